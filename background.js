@@ -10,6 +10,15 @@
  * - Timer alarms and notifications
  * - Duplicate tab prevention
  * - Pinned tab protection (re-opens if accidentally closed)
+ * - Local snapshots of saved data (periodic and before destructive actions)
+ * - Following the encryption lock state (timers and pinned tabs are only
+ *   handled while the panel has unlocked encrypted data)
+ * - Writing the last changes of a side panel that closed before saving them
+ * - Two-way sync of bound groups with bookmarks folders
+ * - Autosaving the open windows as sessions, and noticing when the
+ *   previous session wasn't reopened (crash recovery)
+ * - Hibernating (discarding) tabs that have been idle for a while
+ * - Opening groups on their schedules, with a notification
  *
  * Note: In Manifest V3, background scripts are service workers that can
  * be suspended when idle and restarted when needed.
@@ -17,6 +26,113 @@
  * ============================================================================
  */
 
+// =============================================================================
+// SHARED SCRIPTS
+// =============================================================================
+
+/**
+ * Load the DOM-free scripts shared with the side panel
+ *
+ * Stored collections are sharded across several keys (and may live in
+ * local storage), so they must be read and written through the same
+ * storage layer the side panel uses.
+ */
+importScripts('js/constants.js', 'js/crypto.js', 'js/sharded-storage.js', 'js/migrations.js', 'js/merge.js', 'js/snapshots.js');
+
+/**
+ * Promise of the migration result, once started (see ensureMigrated())
+ */
+let migrationResult = null;
+
+/**
+ * Brings stored data up to the current schema version, once
+ *
+ * Migrations only run here; the side panel asks for the result. After a
+ * failure, stored collections stay read-only in this context. If the
+ * check itself fails, the next call tries again.
+ *
+ * @async
+ * @returns {Promise<Object>} - { status: 'current'|'migrated'|'failed', error? }
+ */
+function ensureMigrated() {
+  if (!migrationResult) {
+    migrationResult = migrateStoredData()
+      .catch(error => {
+        console.error('Failed to check data schema version:', error);
+        migrationResult = null;
+        return { status: 'failed', error };
+      })
+      .then(result => {
+        setCollectionsReadOnly(result.status === 'failed');
+        return result;
+      });
+  }
+  return migrationResult;
+}
+
+/**
+ * Resolves once the encryption state is loaded and stored data is on the
+ * current schema version
+ *
+ * Every handler that reads stored collections awaits this first, so the
+ * background never works with data in an older shape. The service worker
+ * can restart at any time, so this runs on every startup (a few small
+ * storage reads once data is current).
+ */
+const storageReady = loadEncryptionState()
+  .catch(error => {
+    console.error('Failed to load encryption state:', error);
+  })
+  .then(() => ensureMigrated());
+
+/**
+ * Answer the side panel's migration requests
+ *
+ * migrateStoredData: waits for the migration and sends its result.
+ * restoreMigrationBackup: writes the backup back and migrates again.
+ * Both respond with { status, error? } (see ensureMigrated()), plus
+ * restored for the latter.
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  const respond = (result, extra = {}) => {
+    sendResponse({ status: result.status, error: result.error?.message, ...extra });
+  };
+
+  if (message.type === 'migrateStoredData') {
+    storageReady.then(() => ensureMigrated()).then(result => respond(result));
+    return true; // Respond asynchronously
+  }
+
+  if (message.type === 'restoreMigrationBackup') {
+    storageReady
+      .then(() => restoreMigrationBackup())
+      .then(() => {
+        migrationResult = null;
+        return ensureMigrated();
+      })
+      .then(result => respond(result, { restored: true }))
+      .catch(error => {
+        console.error('Failed to restore the migration backup:', error);
+        setCollectionsReadOnly(true);
+        respond({ status: 'failed', error }, { restored: false });
+      });
+    return true; // Respond asynchronously
+  }
+});
+
+/**
+ * Follow unlocks, locks and passphrase changes made in the side panel
+ *
+ * The key is shared through session storage (see crypto.js).
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (isEncryptionChange(changes, areaName)) {
+    loadEncryptionState().catch(error => {
+      console.error('Failed to load encryption state:', error);
+    });
+  }
+});
+
 // =============================================================================
 // INITIALIZATION
 // =============================================================================
@@ -65,8 +181,8 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
     const tabId = parseFloat(alarm.name.replace('timer-', ''));
 
     // Get the timed tab info from storage
-    const result = await chrome.storage.sync.get(['timedTabs']);
-    const timedTabs = result.timedTabs || [];
+    await storageReady;
+    const timedTabs = await readTimedTabs();
     const timedTab = timedTabs.find(t => t.id === tabId);
 
     console.log('All timed tabs:', timedTabs);
@@ -118,8 +234,8 @@ chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIn
 
     if (buttonIndex === 0) {
       // "Open Tab" button was clicked
-      const result = await chrome.storage.sync.get(['timedTabs']);
-      const timedTabs = result.timedTabs || [];
+      await storageReady;
+      const timedTabs = await readTimedTabs();
       const timedTab = timedTabs.find(t => t.id === tabId);
 
       if (timedTab) {
@@ -131,11 +247,13 @@ chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIn
     // Clear the notification
     chrome.notifications.clear(notificationId);
 
-    // Remove from timed tabs in storage
-    const result = await chrome.storage.sync.get(['timedTabs']);
-    let timedTabs = result.timedTabs || [];
-    timedTabs = timedTabs.filter(t => t.id !== tabId);
-    await chrome.storage.sync.set({ timedTabs });
+    // Clear the timer on the saved tab in storage
+    await storageReady;
+    await updateSavedTabs(t => t.id === tabId && t.timerEnd != null, tab => {
+      delete tab.timerEnd;
+      delete tab.timerDuration;
+      delete tab.notified;
+    });
   }
 });
 
@@ -152,8 +270,8 @@ chrome.notifications.onClicked.addListener(async (notificationId) => {
     const tabId = parseFloat(notificationId.replace(prefix, ''));
 
     // Get the tab info
-    const result = await chrome.storage.sync.get(['timedTabs']);
-    const timedTabs = result.timedTabs || [];
+    await storageReady;
+    const timedTabs = await readTimedTabs();
     const timedTab = timedTabs.find(t => t.id === tabId);
 
     if (timedTab) {
@@ -320,9 +438,9 @@ chrome.tabs.onRemoved.addListener(async (tabId, removeInfo) => {
   if (!closedUrl || closedUrl.startsWith('chrome://')) return;
 
   // Check if this URL is in our pinned tabs
-  const result = await chrome.storage.sync.get(['pinnedTabs']);
-  const pinnedTabs = result.pinnedTabs || [];
-  const pinnedTab = pinnedTabs.find(t => normalizeUrl(t.url) === normalizeUrl(closedUrl));
+  await storageReady;
+  const savedTabs = await readSavedTabs();
+  const pinnedTab = savedTabs.find(t => t.pinned && normalizeUrl(t.url) === normalizeUrl(closedUrl));
 
   if (pinnedTab) {
     // This was a pinned tab!
@@ -399,20 +517,506 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 });
 
 /**
- * Removes a URL from the pinned tabs storage
+ * Unpins the saved tab(s) with a URL
  *
  * Called when user confirms they want to close a pinned tab.
  *
  * @async
- * @param {string} url - The URL to remove from pinned tabs
+ * @param {string} url - The URL to unpin
  */
 async function removeFromPinnedTabs(url) {
-  const result = await chrome.storage.sync.get(['pinnedTabs']);
-  let pinnedTabs = result.pinnedTabs || [];
+  await storageReady;
+  await updateSavedTabs(
+    t => t.pinned && normalizeUrl(t.url) === normalizeUrl(url),
+    tab => { delete tab.pinned; }
+  );
+}
+
+// =============================================================================
+// SNAPSHOTS
+// =============================================================================
+
+/**
+ * Snapshot in progress, so snapshots are taken one at a time and never
+ * interleave their index updates
+ */
+let snapshotQueue = Promise.resolve();
+
+/**
+ * Queues a snapshot (see snapshots.js)
+ *
+ * @param {string} reason - SNAPSHOT_REASONS value
+ * @param {string} [label] - Action that triggered it
+ * @param {Object} [collections] - Data to store instead of reading storage
+ * @returns {Promise<Object|null>} - Index entry, or null if skipped or failed
+ */
+function queueSnapshot(reason, label, collections) {
+  const run = snapshotQueue.then(async () => {
+    await storageReady;
+    return takeSnapshot(reason, label, collections);
+  }).catch(error => {
+    console.error('Failed to take snapshot:', error);
+    return null;
+  });
+
+  snapshotQueue = run;
+  return run;
+}
+
+/**
+ * Schedule the periodic snapshot alarm
+ *
+ * Alarms survive service worker restarts, so it is only created when
+ * missing (creating it again would push the next snapshot back).
+ */
+chrome.alarms.get(SNAPSHOT_ROTATION.ALARM_NAME).then(alarm => {
+  if (!alarm) {
+    chrome.alarms.create(SNAPSHOT_ROTATION.ALARM_NAME, {
+      periodInMinutes: SNAPSHOT_ROTATION.INTERVAL_MINUTES
+    });
+  }
+});
+
+/**
+ * Take a periodic snapshot when the alarm fires
+ */
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SNAPSHOT_ROTATION.ALARM_NAME) {
+    queueSnapshot(SNAPSHOT_REASONS.PERIODIC);
+  }
+});
+
+/**
+ * Take a snapshot on request from the side panel
+ *
+ * The panel sends its data from before a destructive action (or before
+ * restoring a snapshot), since the change is not in storage yet.
+ * Responds with the new index entry (null if skipped).
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === 'takeSnapshot') {
+    queueSnapshot(message.reason, message.label, message.collections)
+      .then(entry => sendResponse({ entry }));
+    return true; // Respond asynchronously
+  }
+});
+
+// =============================================================================
+// UNLOAD SAVES
+// =============================================================================
+
+/**
+ * Unload save in progress, so they are written one at a time
+ */
+let unloadSaveQueue = Promise.resolve();
+
+/**
+ * Writes the changes a closing side panel left in local storage
+ *
+ * The panel can't merge before writing once it is closing (see
+ * saveOnUnload() in save-queue.js), so its changes are merged here with
+ * what is stored, like every other write. They are kept while they
+ * can't be written (e.g. locked) and tried again on the next startup
+ * or unlock.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function writeUnloadSave() {
+  const result = await chrome.storage.local.get([STORAGE_KEYS.UNLOAD_SAVE]);
+  const pending = result[STORAGE_KEYS.UNLOAD_SAVE];
+  if (!pending) return;
+
+  const keys = Object.keys(pending.collections).filter(key => SHARDED_COLLECTIONS.includes(key));
+  const stored = await readCollections(SHARDED_COLLECTIONS);
+  const merged = mergeCollections(pending.collections, stored);
+
+  // Never overwrite a collection held on another device
+  const held = await getCollectionsHeldElsewhere(keys);
+  const collections = {};
+  keys.filter(key => !held.includes(key)).forEach(key => {
+    collections[key] = merged[key];
+  });
+
+  await writeCollections(collections);
+  console.log('Wrote changes left by a closed side panel:', Object.keys(collections));
+
+  // A panel closed again meanwhile left newer changes; keep those
+  const latest = await chrome.storage.local.get([STORAGE_KEYS.UNLOAD_SAVE]);
+  if (latest[STORAGE_KEYS.UNLOAD_SAVE]?.savedAt === pending.savedAt) {
+    await chrome.storage.local.remove([STORAGE_KEYS.UNLOAD_SAVE]);
+  }
+}
+
+/**
+ * Queues writing the unload save
+ *
+ * @returns {Promise<void>}
+ */
+function queueUnloadSave() {
+  unloadSaveQueue = unloadSaveQueue.then(async () => {
+    await storageReady;
+    await writeUnloadSave();
+  }).catch(error => {
+    if (isLockedError(error)) {
+      console.warn('Saved data is encrypted and locked, keeping the side panel\'s last changes for later');
+    } else {
+      console.error('Failed to write the side panel\'s last changes:', error);
+    }
+  });
+  return unloadSaveQueue;
+}
+
+/**
+ * Write unload saves as they arrive, and any left from before a restart
+ * or while locked
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[STORAGE_KEYS.UNLOAD_SAVE]?.newValue) {
+    queueUnloadSave();
+  } else if (isEncryptionChange(changes, areaName)) {
+    // Needs the key the panel just unlocked with
+    loadEncryptionState().then(queueUnloadSave, error => {
+      console.error('Failed to load encryption state:', error);
+    });
+  }
+});
+
+queueUnloadSave();
+
+// =============================================================================
+// BOOKMARK SYNC
+// =============================================================================
+
+/**
+ * Load the bookmark sync (background only)
+ */
+importScripts('js/bookmark-sync.js');
+
+/**
+ * Push changes to synced groups and tabs to their bookmarks
+ *
+ * Fires for changes from the side panel, from other devices, and for
+ * our own writes (which find nothing to push).
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'sync' && areaName !== 'local') return;
+
+  const changedKeys = getChangedCollections(changes);
+  if (changedKeys.includes(STORAGE_KEYS.GROUPS) || changedKeys.includes(STORAGE_KEYS.SAVED_TABS)) {
+    queueBookmarkSync(syncToBookmarks);
+  }
+});
+
+/**
+ * Collect bookmark changes made in Chrome
+ */
+chrome.bookmarks.onCreated.addListener((id, node) => {
+  recordBookmarkEvent({ type: 'created', id, info: node });
+});
+
+chrome.bookmarks.onChanged.addListener((id, changeInfo) => {
+  recordBookmarkEvent({ type: 'changed', id, info: changeInfo });
+});
+
+chrome.bookmarks.onMoved.addListener((id, moveInfo) => {
+  recordBookmarkEvent({ type: 'moved', id, info: moveInfo });
+});
+
+chrome.bookmarks.onRemoved.addListener((id, removeInfo) => {
+  recordBookmarkEvent({ type: 'removed', id, info: removeInfo });
+});
+
+/**
+ * Bind and unbind groups on request from the side panel
+ *
+ * The panel writes its pending changes first. Responds with
+ * { counts } or { error } (a message for the user).
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === 'bindBookmarkFolder') {
+    queueBookmarkSync(() => bindBookmarkFolder(message.groupId, message.folderId))
+      .then(counts => sendResponse({ counts }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true; // Respond asynchronously
+  }
+
+  if (message.type === 'unbindBookmarkFolder') {
+    queueBookmarkSync(() => unbindBookmarkFolder(message.groupId))
+      .then(() => sendResponse({}))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+});
+
+// =============================================================================
+// SESSION AUTOSAVE
+// =============================================================================
+
+/**
+ * Load session capture and autosave (session-autosave.js is background only)
+ */
+importScripts('js/session-capture.js', 'js/session-autosave.js');
+
+/**
+ * Save the windows whenever the worker starts, which also starts a new
+ * run (and the recovery check) when the browser has just started
+ */
+scheduleSessionAutosave();
+
+/**
+ * Save the windows after tabs, tab groups or windows change
+ *
+ * Tabs removed because their window closed are handled by the window's
+ * onRemoved instead.
+ */
+chrome.tabs.onCreated.addListener(() => scheduleSessionAutosave());
+chrome.tabs.onMoved.addListener(() => scheduleSessionAutosave());
+chrome.tabs.onAttached.addListener(() => scheduleSessionAutosave());
+chrome.tabs.onDetached.addListener(() => scheduleSessionAutosave());
+chrome.tabs.onActivated.addListener(() => scheduleSessionAutosave());
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.url || changeInfo.status === 'complete' ||
+      changeInfo.pinned !== undefined || changeInfo.groupId !== undefined) {
+    scheduleSessionAutosave();
+  }
+});
+
+chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
+  if (!removeInfo.isWindowClosing) scheduleSessionAutosave();
+});
+
+chrome.tabGroups.onUpdated.addListener(() => scheduleSessionAutosave());
+
+chrome.windows.onCreated.addListener(() => scheduleSessionAutosave());
+chrome.windows.onBoundsChanged.addListener(() => scheduleSessionAutosave());
+
+chrome.windows.onRemoved.addListener(() => {
+  queueAutosave(handleAutosaveWindowClosed);
+});
+
+/**
+ * Offer the previous session for recovery once the browser has started
+ */
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SESSION_AUTOSAVE.CHECK_ALARM_NAME) {
+    queueAutosave(checkSessionRecovery);
+  }
+});
+
+// =============================================================================
+// TAB HIBERNATION
+// =============================================================================
+
+/**
+ * Load the hibernation rules (shared with the side panel's settings)
+ */
+importScripts('js/hibernation.js');
+
+/**
+ * Schedule the periodic hibernation check
+ *
+ * Like the snapshot alarm, it is only created when missing. The check
+ * does nothing while hibernation is turned off.
+ */
+chrome.alarms.get(HIBERNATION.ALARM_NAME).then(alarm => {
+  if (!alarm) {
+    chrome.alarms.create(HIBERNATION.ALARM_NAME, {
+      periodInMinutes: HIBERNATION.CHECK_INTERVAL_MINUTES
+    });
+  }
+});
+
+/**
+ * Discard idle tabs when the alarm fires
+ *
+ * Saved pinned tabs are never discarded (pinned tab protection). When
+ * they can't be known (see readHibernationSavedTabs()) the run is
+ * skipped rather than discarding tabs that may be protected.
+ */
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === HIBERNATION.ALARM_NAME) {
+    queueHibernation(async () => {
+      await storageReady;
+      const savedTabs = await readHibernationSavedTabs();
+      if (!savedTabs) {
+        console.warn('Saved tabs can\'t be read, skipping hibernation');
+        return;
+      }
+
+      const protectedUrls = new Set(savedTabs.filter(t => t.pinned).map(t => normalizeUrl(t.url)));
+      await hibernateIdleTabs(protectedUrls);
+    });
+  }
+});
+
+/**
+ * Reads the saved tabs for pinned tab protection
+ *
+ * Unlike readSavedTabs(), a list that can't be read is not treated as
+ * empty: this returns null while encrypted data is locked, while the
+ * list is held in another device's local storage, or when its shards
+ * are damaged. A list that was never saved is empty.
+ *
+ * @async
+ * @returns {Promise<Object[]|null>}
+ */
+async function readHibernationSavedTabs() {
+  let collections;
+  try {
+    collections = await readCollections([STORAGE_KEYS.SAVED_TABS]);
+  } catch (error) {
+    if (isLockedError(error)) return null;
+    throw error;
+  }
+
+  const savedTabs = collections[STORAGE_KEYS.SAVED_TABS];
+  if (savedTabs === undefined) return null;
+  if (savedTabs !== null) return savedTabs;
+
+  const metas = await readShardMetas([STORAGE_KEYS.SAVED_TABS]);
+  return metas[STORAGE_KEYS.SAVED_TABS].current ? null : [];
+}
+
+/**
+ * Track when each tab was last used
+ */
+chrome.tabs.onActivated.addListener(({ tabId, windowId }) => {
+  queueHibernation(() => recordTabActivated(tabId, windowId));
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  queueHibernation(() => forgetTabActivity(tabId));
+});
+
+chrome.tabs.onReplaced.addListener((addedTabId, removedTabId) => {
+  queueHibernation(() => replaceTabActivity(addedTabId, removedTabId));
+});
+
+// =============================================================================
+// GROUP SCHEDULES
+// =============================================================================
+
+/**
+ * Load the schedule rules (shared with the side panel) and the alarms
+ * that open scheduled groups (background only)
+ */
+importScripts('js/group-schedule.js', 'js/schedule-alarms.js');
+
+/**
+ * Bring the schedule alarms up to date whenever the worker starts
+ */
+storageReady.then(() => queueScheduleWork(syncScheduleAlarms));
+
+/**
+ * Follow schedules added, changed or removed in the side panel or on
+ * other devices, and catch up once encrypted data is unlocked
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  const groupsChanged = (areaName === 'sync' || areaName === 'local') &&
+    getChangedCollections(changes).includes(STORAGE_KEYS.GROUPS);
+
+  const encryptionChanged = isEncryptionChange(changes, areaName);
+
+  if (groupsChanged || encryptionChanged) {
+    queueScheduleWork(async () => {
+      await storageReady;
+      // The key may not be loaded by the listener above yet
+      if (encryptionChanged) await loadEncryptionState();
+      await syncScheduleAlarms();
+    });
+  }
+});
+
+/**
+ * Open a group when its schedule alarm fires
+ */
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name.startsWith(GROUP_SCHEDULE.ALARM_PREFIX)) {
+    queueScheduleWork(async () => {
+      await storageReady;
+      await openScheduledGroup(alarm);
+    });
+  }
+});
+
+/**
+ * "Skip next" on a schedule notification
+ */
+chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+  if (!notificationId.startsWith(GROUP_SCHEDULE.NOTIFICATION_PREFIX)) return;
+
+  chrome.notifications.clear(notificationId);
+  if (buttonIndex === 0) {
+    const groupId = getScheduledGroupId(notificationId, GROUP_SCHEDULE.NOTIFICATION_PREFIX);
+    queueScheduleWork(async () => {
+      await storageReady;
+      await skipNextGroupOpening(groupId);
+    });
+  }
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (notificationId.startsWith(GROUP_SCHEDULE.NOTIFICATION_PREFIX)) {
+    chrome.notifications.clear(notificationId);
+  }
+});
+
+// =============================================================================
+// STORAGE HELPERS
+// =============================================================================
+
+/**
+ * Reads the saved tabs
+ *
+ * While encrypted data is locked, nothing can be read and this returns
+ * an empty list: timers and pinned tabs resume once the panel unlocks.
+ *
+ * @async
+ * @returns {Promise<Object[]>}
+ */
+async function readSavedTabs() {
+  try {
+    return await readCollection(STORAGE_KEYS.SAVED_TABS) || [];
+  } catch (error) {
+    if (!isLockedError(error)) throw error;
+    console.warn('Saved tabs are encrypted and locked, skipping');
+    return [];
+  }
+}
+
+/**
+ * Reads the saved tabs that have a timer
+ *
+ * @async
+ * @returns {Promise<Object[]>} - Saved tabs with timerEnd set
+ */
+async function readTimedTabs() {
+  const savedTabs = await readSavedTabs();
+  return savedTabs.filter(t => t.timerEnd != null);
+}
+
+/**
+ * Updates matching saved tabs in storage
+ *
+ * Updated tabs are touched (see merge.js) so the change wins when the
+ * side panel or another device merges its own copy of the list.
+ *
+ * @async
+ * @param {Function} predicate - Returns true for tabs to update
+ * @param {Function} update - Modifies a tab in place
+ * @returns {Promise<void>}
+ */
+async function updateSavedTabs(predicate, update) {
+  const savedTabs = await readSavedTabs();
+  const matching = savedTabs.filter(predicate);
+  if (matching.length === 0) return;
 
-  // Filter out the matching URL
-  pinnedTabs = pinnedTabs.filter(t => normalizeUrl(t.url) !== normalizeUrl(url));
+  matching.forEach(tab => {
+    update(tab);
+    touchRecord(tab);
+  });
 
-  // Save back to storage
-  await chrome.storage.sync.set({ pinnedTabs });
+  await writeCollections({ [STORAGE_KEYS.SAVED_TABS]: savedTabs });
 }
@@ -0,0 +1,425 @@
+/**
+ * ============================================================================
+ * ARCHIVE.JS
+ * ============================================================================
+ *
+ * Local archive for cold tabs and groups in the Tab Saver extension.
+ *
+ * Sync storage holds roughly 500-1000 tabs. Tabs and groups that are no
+ * longer in active use can be moved to an IndexedDB archive on this
+ * device, which has room for tens of thousands of them. Only active data
+ * stays in sync.
+ *
+ * - Archiving removes the records from sync (with tombstones, so other
+ *   devices remove them too) and stores them in the archive with an
+ *   archivedAt timestamp
+ * - Pinned, daily, timed and reminder tabs are active and never archived;
+ *   when their group is archived they move to Saved Tabs
+ * - Archived entries are listed with the Archive toggle and always
+ *   included in search results (see render.js)
+ * - Unarchiving moves them back into sync
+ *
+ * The archive belongs to this device: other devices only see that the
+ * records were removed. Archiving is not an undo step; unarchive instead.
+ *
+ * Database (ARCHIVE_DB): object stores 'tabs' and 'groups', keyed by id.
+ *
+ * ============================================================================
+ */
+
+// -----------------------------------------------------------------------------
+// DATABASE
+// -----------------------------------------------------------------------------
+
+/**
+ * Promise of the open database (opened on first use)
+ */
+let archiveDB = null;
+
+/**
+ * Opens the archive database, creating the object stores on first use
+ *
+ * @returns {Promise<IDBDatabase>}
+ */
+function openArchiveDB() {
+  if (!archiveDB) {
+    archiveDB = new Promise((resolve, reject) => {
+      const request = indexedDB.open(ARCHIVE_DB.NAME, ARCHIVE_DB.VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(ARCHIVE_DB.TABS)) {
+          db.createObjectStore(ARCHIVE_DB.TABS, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(ARCHIVE_DB.GROUPS)) {
+          db.createObjectStore(ARCHIVE_DB.GROUPS, { keyPath: 'id' });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return archiveDB;
+}
+
+/**
+ * Runs work in a transaction over both object stores
+ *
+ * @async
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} work - Called with (tabStore, groupStore); its return
+ *   value is resolved once the transaction completes
+ * @returns {Promise<*>}
+ */
+async function runArchiveTransaction(mode, work) {
+  const db = await openArchiveDB();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([ARCHIVE_DB.TABS, ARCHIVE_DB.GROUPS], mode);
+    const result = work(tx.objectStore(ARCHIVE_DB.TABS), tx.objectStore(ARCHIVE_DB.GROUPS));
+
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Writes and deletes archive records in one transaction
+ *
+ * @async
+ * @param {Object} changes
+ * @param {Object[]} [changes.putTabs=[]] - Tabs to store
+ * @param {Object[]} [changes.putGroups=[]] - Groups to store
+ * @param {Array<number>} [changes.deleteTabs=[]] - IDs of tabs to delete
+ * @param {Array<string>} [changes.deleteGroups=[]] - IDs of groups to delete
+ * @returns {Promise<void>}
+ */
+async function updateArchive({ putTabs = [], putGroups = [], deleteTabs = [], deleteGroups = [] }) {
+  await runArchiveTransaction('readwrite', (tabStore, groupStore) => {
+    putTabs.forEach(tab => tabStore.put(tab));
+    putGroups.forEach(group => groupStore.put(group));
+    deleteTabs.forEach(id => tabStore.delete(id));
+    deleteGroups.forEach(id => groupStore.delete(id));
+  });
+}
+
+/**
+ * Loads the archive into archivedTabs and archivedGroups
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadArchive() {
+  try {
+    const requests = await runArchiveTransaction('readonly', (tabStore, groupStore) => ({
+      tabs: tabStore.getAll(),
+      groups: groupStore.getAll()
+    }));
+
+    archivedTabs = requests.tabs.result;
+    archivedGroups = requests.groups.result;
+    console.log('Archive loaded:', { tabs: archivedTabs.length, groups: archivedGroups.length });
+  } catch (error) {
+    console.error('Failed to load archive:', error);
+  }
+}
+
+// -----------------------------------------------------------------------------
+// ARCHIVING
+// -----------------------------------------------------------------------------
+
+/**
+ * Checks whether a saved tab is in active use and must stay in sync
+ *
+ * @param {Object} tab - Saved tab
+ * @returns {boolean}
+ */
+function isActiveTab(tab) {
+  return !!(tab.pinned || tab.daily || tab.timerEnd != null || tab.reminder);
+}
+
+/**
+ * Archives a group with its subgroups and tabs
+ *
+ * @async
+ * @param {string} groupId - ID of the group
+ * @returns {Promise<void>}
+ */
+async function archiveGroup(groupId) {
+  await archiveRecords(getGroupAndDescendants(groupId), []);
+}
+
+/**
+ * Archives a single saved tab
+ *
+ * @async
+ * @param {number} tabId - ID of the tab
+ * @returns {Promise<void>}
+ */
+async function archiveTab(tabId) {
+  await archiveRecords([], [tabId]);
+}
+
+/**
+ * Moves groups and tabs from sync state into the archive
+ *
+ * The archive is written first, so nothing is lost if that fails.
+ * Active tabs in the archived groups stay in sync, in Saved Tabs.
+ *
+ * @async
+ * @param {string[]} groupIds - Groups to archive (with all their tabs)
+ * @param {number[]} tabIds - Additional tabs to archive
+ * @returns {Promise<boolean>} - Whether anything was archived
+ */
+async function archiveRecords(groupIds, tabIds) {
+  const now = Date.now();
+
+  const groupRecords = groups.filter(g => groupIds.includes(g.id));
+  const tabRecords = savedTabs.filter(t =>
+    (tabIds.includes(t.id) || groupIds.includes(t.groupId)) && !isActiveTab(t)
+  );
+  const keptTabs = savedTabs.filter(t => groupIds.includes(t.groupId) && isActiveTab(t));
+
+  if (groupRecords.length === 0 && tabRecords.length === 0) return false;
+
+  const archivedGroupRecords = groupRecords.map(g => ({ ...g, archivedAt: now }));
+  const archivedTabRecords = tabRecords.map(t => ({ ...t, archivedAt: now }));
+
+  try {
+    await updateArchive({ putTabs: archivedTabRecords, putGroups: archivedGroupRecords });
+  } catch (error) {
+    console.error('Failed to archive:', error);
+    alert('Could not write to the archive. Nothing was archived.');
+    return false;
+  }
+
+  archivedGroups.push(...archivedGroupRecords);
+  archivedTabs.push(...archivedTabRecords);
+
+  const groupRecordIds = groupRecords.map(g => g.id);
+  const tabRecordIds = tabRecords.map(t => t.id);
+
+  groups = groups.filter(g => !groupRecordIds.includes(g.id));
+  savedTabs = savedTabs.filter(t => !tabRecordIds.includes(t.id));
+  keptTabs.forEach(tab => {
+    tab.groupId = null;
+    touchRecord(tab);
+  });
+
+  recordDeletions(STORAGE_KEYS.GROUPS, groupRecordIds);
+  recordDeletions(STORAGE_KEYS.SAVED_TABS, tabRecordIds);
+
+  finishArchiveChange();
+  return true;
+}
+
+/**
+ * Finds top-level groups and ungrouped tabs unchanged for a while
+ *
+ * A group counts as unchanged if neither it, its subgroups nor any of
+ * their tabs changed since the cutoff. Active tabs are left out.
+ *
+ * @param {number} [days=ARCHIVE_LIMITS.OLD_AFTER_DAYS] - Age in days
+ * @returns {Object} - { groupIds: string[], tabIds: number[] }
+ */
+function findOldRecords(days = ARCHIVE_LIMITS.OLD_AFTER_DAYS) {
+  const cutoff = Date.now() - days * TIME.DAY;
+  const isOld = record => (record.updatedAt || 0) < cutoff;
+
+  const groupIds = groups
+    .filter(g => !g.parentId)
+    .filter(g => {
+      const treeIds = getGroupAndDescendants(g.id);
+      return groups.filter(x => treeIds.includes(x.id)).every(isOld) &&
+        savedTabs.filter(t => treeIds.includes(t.groupId)).every(isOld);
+    })
+    .map(g => g.id);
+
+  const tabIds = savedTabs
+    .filter(t => !t.groupId && !isActiveTab(t) && isOld(t))
+    .map(t => t.id);
+
+  return { groupIds, tabIds };
+}
+
+/**
+ * Archives everything found by findOldRecords()
+ *
+ * @async
+ * @returns {Promise<boolean>} - Whether anything was archived
+ */
+async function archiveOldRecords() {
+  const { groupIds, tabIds } = findOldRecords();
+  const allGroupIds = groupIds.flatMap(id => getGroupAndDescendants(id));
+  return archiveRecords(allGroupIds, tabIds);
+}
+
+// -----------------------------------------------------------------------------
+// UNARCHIVING
+// -----------------------------------------------------------------------------
+
+/**
+ * Collects an archived group and its archived subgroups
+ *
+ * @param {string} groupId - ID of the archived group
+ * @returns {string[]} - The group ID followed by its descendants' IDs
+ */
+function getArchivedGroupTree(groupId) {
+  const ids = [groupId];
+  for (let i = 0; i < ids.length; i++) {
+    archivedGroups.filter(g => g.parentId === ids[i]).forEach(g => ids.push(g.id));
+  }
+  return ids;
+}
+
+/**
+ * Moves an archived group, its subgroups and their tabs back into sync
+ *
+ * @async
+ * @param {string} groupId - ID of the archived group
+ * @returns {Promise<void>}
+ */
+async function unarchiveGroup(groupId) {
+  const groupIds = getArchivedGroupTree(groupId);
+  const tabIds = archivedTabs.filter(t => groupIds.includes(t.groupId)).map(t => t.id);
+  await unarchiveRecords(groupIds, tabIds);
+}
+
+/**
+ * Moves an archived tab back into sync
+ *
+ * Goes back to its group if that is in sync, otherwise to Saved Tabs.
+ *
+ * @async
+ * @param {number} tabId - ID of the archived tab
+ * @returns {Promise<void>}
+ */
+async function unarchiveTab(tabId) {
+  await unarchiveRecords([], [tabId]);
+}
+
+/**
+ * Moves archived groups and tabs back into sync state
+ *
+ * @async
+ * @param {string[]} groupIds - Archived groups to restore
+ * @param {number[]} tabIds - Archived tabs to restore
+ * @returns {Promise<void>}
+ */
+async function unarchiveRecords(groupIds, tabIds) {
+  try {
+    await updateArchive({ deleteTabs: tabIds, deleteGroups: groupIds });
+  } catch (error) {
+    console.error('Failed to unarchive:', error);
+    alert('Could not read from the archive.');
+    return;
+  }
+
+  const restoredGroups = archivedGroups.filter(g => groupIds.includes(g.id));
+  const restoredTabs = archivedTabs.filter(t => tabIds.includes(t.id));
+  archivedGroups = archivedGroups.filter(g => !groupIds.includes(g.id));
+  archivedTabs = archivedTabs.filter(t => !tabIds.includes(t.id));
+
+  restoredGroups.forEach(group => {
+    const restored = touchRecord({ ...group });
+    delete restored.archivedAt;
+    if (restored.parentId && !groups.some(g => g.id === restored.parentId) &&
+        !groupIds.includes(restored.parentId)) {
+      restored.parentId = null;
+    }
+    groups.push(restored);
+  });
+
+  restoredTabs.forEach(tab => {
+    const restored = touchRecord({ ...tab });
+    delete restored.archivedAt;
+    if (restored.groupId && !groups.some(g => g.id === restored.groupId)) {
+      restored.groupId = null;
+    }
+    savedTabs.unshift(restored);
+  });
+
+  clearTombstones(STORAGE_KEYS.GROUPS, groupIds);
+  clearTombstones(STORAGE_KEYS.SAVED_TABS, tabIds);
+
+  finishArchiveChange();
+}
+
+// -----------------------------------------------------------------------------
+// PERMANENT DELETION
+// -----------------------------------------------------------------------------
+
+/**
+ * Permanently deletes an archived group with its subgroups and tabs
+ *
+ * @async
+ * @param {string} groupId - ID of the archived group
+ * @returns {Promise<void>}
+ */
+async function deleteArchivedGroup(groupId) {
+  const groupIds = getArchivedGroupTree(groupId);
+  const tabIds = archivedTabs.filter(t => groupIds.includes(t.groupId)).map(t => t.id);
+  await deleteArchivedRecords(groupIds, tabIds);
+}
+
+/**
+ * Permanently deletes archived groups and tabs
+ *
+ * @async
+ * @param {string[]} groupIds - Archived group IDs
+ * @param {number[]} tabIds - Archived tab IDs
+ * @returns {Promise<void>}
+ */
+async function deleteArchivedRecords(groupIds, tabIds) {
+  try {
+    await updateArchive({ deleteTabs: tabIds, deleteGroups: groupIds });
+  } catch (error) {
+    console.error('Failed to delete from archive:', error);
+    return;
+  }
+
+  archivedGroups = archivedGroups.filter(g => !groupIds.includes(g.id));
+  archivedTabs = archivedTabs.filter(t => !tabIds.includes(t.id));
+  renderAll();
+}
+
+// -----------------------------------------------------------------------------
+// HELPERS
+// -----------------------------------------------------------------------------
+
+/**
+ * Saves and re-renders after records moved into or out of the archive
+ *
+ * Earlier undo steps may refer to records that moved, so the history
+ * starts over from here.
+ */
+function finishArchiveChange() {
+  resetHistory();
+  saveData();
+  renderAll();
+}
+
+/**
+ * Toggles listing of archived tabs and groups
+ */
+function toggleShowArchived() {
+  showArchived = !showArchived;
+  document.getElementById('toggleArchive')?.classList.toggle('active', showArchived);
+  renderAll();
+}
+
+/**
+ * Toggles an archived group open or closed in the list
+ *
+ * @param {string} groupId - ID of the archived group
+ */
+function toggleArchivedGroup(groupId) {
+  if (expandedArchivedGroups.has(groupId)) {
+    expandedArchivedGroups.delete(groupId);
+  } else {
+    expandedArchivedGroups.add(groupId);
+  }
+  renderGroups();
+}
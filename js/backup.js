@@ -0,0 +1,559 @@
+/**
+ * ============================================================================
+ * BACKUP.JS
+ * ============================================================================
+ *
+ * JSON backup export and import for the Tab Saver extension.
+ *
+ * A backup holds the saved tabs (with their pinned, daily, timer and
+ * reminder state), the group hierarchy, the trash and the settings:
+ *
+ *   {
+ *     format: 'tab-saver-backup',
+ *     version: 1,                    // BACKUP_FORMAT.VERSION
+ *     schemaVersion: 3,              // Data schema (migrations.js)
+ *     exportedAt: '2024-02-01T...',
+ *     collections: { savedTabs: [...], groups: [...], trash: [...] },
+ *     settings: { theme, trashRetentionDays, hibernation }
+ *   }
+ *
+ * Imported data is validated, migrated from its schema version and
+ * repaired (missing fields, broken group references) before it is used,
+ * then combined with the current data in one of three IMPORT_MODES:
+ * - REPLACE:   Everything (and the settings) is replaced by the backup
+ * - MERGE:     Groups with the same name are reused and tabs whose URL is
+ *              already saved are skipped
+ * - NEW_GROUP: Everything is added under a new "Imported" group
+ *
+ * An import is a regular change: it can be undone, and a snapshot of the
+ * data before it is taken first. Archived items are not included.
+ *
+ * ============================================================================
+ */
+
+// -----------------------------------------------------------------------------
+// BACKUP STATE
+// -----------------------------------------------------------------------------
+
+/**
+ * Backup waiting in the import modal: { backup, fileName }
+ */
+let pendingImport = null;
+
+// -----------------------------------------------------------------------------
+// EXPORT
+// -----------------------------------------------------------------------------
+
+/**
+ * Builds a backup of the current data and settings
+ *
+ * @async
+ * @returns {Promise<Object>} - Backup object (see file header)
+ */
+async function createBackup() {
+  const result = await chrome.storage.sync.get([STORAGE_KEYS.THEME]);
+  const hibernation = await readHibernationSettings();
+
+  return {
+    format: BACKUP_FORMAT.NAME,
+    version: BACKUP_FORMAT.VERSION,
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    collections: getSnapshotCollections(),
+    settings: {
+      theme: result[STORAGE_KEYS.THEME] || THEMES.SYSTEM,
+      trashRetentionDays,
+      hibernation
+    }
+  };
+}
+
+/**
+ * Downloads a backup file, from the Settings button
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function exportBackup() {
+  const backup = await createBackup();
+  downloadFile(
+    `${BACKUP_FORMAT.FILE_PREFIX}-${formatFileDate()}.json`,
+    JSON.stringify(backup, null, 2),
+    'application/json'
+  );
+}
+
+// -----------------------------------------------------------------------------
+// PARSING
+// -----------------------------------------------------------------------------
+
+/**
+ * Parses and validates a backup file
+ *
+ * @param {string} text - File contents
+ * @returns {Object} - { collections, settings, exportedAt } with the
+ *   collections migrated to the current schema and repaired
+ * @throws {Error} With a message for the user if the file can't be used
+ */
+function parseBackup(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+
+  if (!backup || backup.format !== BACKUP_FORMAT.NAME) {
+    throw new Error('The file is not a Tab Saver backup.');
+  }
+
+  const schemaVersion = backup.schemaVersion;
+  if (backup.version > BACKUP_FORMAT.VERSION || schemaVersion > CURRENT_SCHEMA_VERSION) {
+    throw new Error('The backup was made by a newer version of Tab Saver. Please update the extension first.');
+  }
+
+  const collections = backup.collections;
+  if (!Number.isInteger(schemaVersion) || schemaVersion < 0 ||
+      !collections || typeof collections !== 'object' ||
+      Object.values(collections).some(value => !Array.isArray(value))) {
+    throw new Error('The backup file is damaged.');
+  }
+
+  return {
+    collections: readBackupCollections(collections, schemaVersion),
+    settings: backup.settings || {},
+    exportedAt: backup.exportedAt || null
+  };
+}
+
+/**
+ * Migrates and repairs the collections of a backup
+ *
+ * Older backups go through the same migrations as stored data. Every
+ * backup then gets the v1 normalization, which also repairs hand-edited
+ * files (missing fields, unknown groups), and duplicate IDs and group
+ * cycles are removed.
+ *
+ * @param {Object} collections - { [collectionKey]: Array } from the file
+ * @param {number} schemaVersion - Schema version of the backup
+ * @returns {Object} - { savedTabs, groups, trash }
+ * @throws {Error} If a migration fails
+ */
+function readBackupCollections(collections, schemaVersion) {
+  let data = {};
+  [...SHARDED_COLLECTIONS, ...RETIRED_COLLECTIONS].forEach(key => {
+    data[key] = collections[key] || [];
+  });
+
+  try {
+    data = normalizeRecordsV1(runMigrations(data, schemaVersion));
+  } catch (error) {
+    console.error('Failed to migrate backup:', error);
+    throw new Error('The backup file is damaged.');
+  }
+
+  const trashTypes = Object.values(TRASH_TYPES);
+
+  return {
+    [STORAGE_KEYS.SAVED_TABS]: uniqueById(data[STORAGE_KEYS.SAVED_TABS]),
+    [STORAGE_KEYS.GROUPS]: orderGroupsParentsFirst(uniqueById(data[STORAGE_KEYS.GROUPS])),
+    [STORAGE_KEYS.TRASH]: uniqueById(data[STORAGE_KEYS.TRASH]
+      .filter(entry => entry && trashTypes.includes(entry.type)))
+  };
+}
+
+/**
+ * Drops records whose ID was already seen
+ *
+ * @param {Object[]} records - Records to filter
+ * @returns {Object[]} - First record of each ID
+ */
+function uniqueById(records) {
+  const seen = new Set();
+  return records.filter(record => {
+    if (!record || record.id == null || seen.has(record.id)) return false;
+    seen.add(record.id);
+    return true;
+  });
+}
+
+/**
+ * Orders groups so every group comes after its parent
+ *
+ * Groups in a parent cycle (only found in damaged files) are moved to
+ * the top level.
+ *
+ * @param {Object[]} groupList - Groups (parentId references may be fixed in place)
+ * @returns {Object[]} - Groups, parents first
+ */
+function orderGroupsParentsFirst(groupList) {
+  const ordered = [];
+  const placed = new Set();
+  let remaining = groupList;
+
+  while (remaining.length > 0) {
+    const ready = remaining.filter(g => !g.parentId || placed.has(g.parentId));
+
+    if (ready.length === 0) {
+      // Everything left is in a cycle: cut it at the first group
+      remaining[0].parentId = null;
+      continue;
+    }
+
+    ready.forEach(g => {
+      ordered.push(g);
+      placed.add(g.id);
+    });
+    remaining = remaining.filter(g => !placed.has(g.id));
+  }
+
+  return ordered;
+}
+
+// -----------------------------------------------------------------------------
+// IMPORT MODAL
+// -----------------------------------------------------------------------------
+
+/**
+ * Reads the file chosen for import and shows the import modal
+ *
+ * @async
+ * @param {Event} e - Change event of the file input
+ * @returns {Promise<void>}
+ */
+async function handleImportFile(e) {
+  const file = e.target.files[0];
+  // Clear the input so choosing the same file again fires another change
+  e.target.value = '';
+  if (!file) return;
+
+  try {
+    pendingImport = { backup: parseBackup(await file.text()), fileName: file.name };
+  } catch (error) {
+    alert(`Could not import ${file.name}: ${error.message}`);
+    return;
+  }
+
+  showImportModal();
+}
+
+/**
+ * Shows the import modal for the pending backup
+ */
+function showImportModal() {
+  const { backup, fileName } = pendingImport;
+  const collections = backup.collections;
+  const exportedAt = backup.exportedAt ? new Date(backup.exportedAt) : null;
+
+  document.getElementById('importSummary').textContent =
+    `${fileName}: ${collections[STORAGE_KEYS.SAVED_TABS].length} tabs, ` +
+    `${collections[STORAGE_KEYS.GROUPS].length} groups, ` +
+    `${collections[STORAGE_KEYS.TRASH].length} items in trash` +
+    (exportedAt && !Number.isNaN(exportedAt.getTime()) ? `, exported ${exportedAt.toLocaleString()}` : '');
+
+  document.getElementById('importOptions').classList.remove('hidden');
+  document.getElementById('importReport').classList.add('hidden');
+  document.getElementById('confirmImport').classList.remove('hidden');
+  document.getElementById('cancelImport').textContent = 'Cancel';
+  document.querySelector(`input[name="importMode"][value="${IMPORT_MODES.MERGE}"]`).checked = true;
+
+  hideSettingsModal();
+  document.getElementById('importModal').classList.remove('hidden');
+}
+
+/**
+ * Hides the import modal and forgets the pending backup
+ */
+function hideImportModal() {
+  document.getElementById('importModal').classList.add('hidden');
+  pendingImport = null;
+}
+
+/**
+ * Imports the pending backup with the selected mode, then shows the report
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function confirmImport() {
+  if (!pendingImport) return;
+
+  const mode = document.querySelector('input[name="importMode"]:checked').value;
+  if (mode === IMPORT_MODES.REPLACE &&
+      !confirm('Replace all tabs, groups and trash with this backup? A snapshot of the current data is taken first.')) {
+    return;
+  }
+
+  const report = await importBackup(pendingImport.backup, mode);
+  pendingImport = null;
+
+  const reportList = document.getElementById('importReport');
+  reportList.innerHTML = formatImportReport(report)
+    .map(line => `<li>${escapeHtml(line)}</li>`)
+    .join('');
+
+  document.getElementById('importOptions').classList.add('hidden');
+  reportList.classList.remove('hidden');
+  document.getElementById('confirmImport').classList.add('hidden');
+  document.getElementById('cancelImport').textContent = 'Done';
+}
+
+// -----------------------------------------------------------------------------
+// IMPORTING
+// -----------------------------------------------------------------------------
+
+/**
+ * Combines a parsed backup with the current data
+ *
+ * @async
+ * @param {Object} backup - Result of parseBackup()
+ * @param {string} mode - IMPORT_MODES value
+ * @returns {Promise<Object>} - Import report (see createImportReport())
+ */
+async function importBackup(backup, mode) {
+  const label = 'Import backup';
+  const report = createImportReport();
+  const previousTabs = [...savedTabs];
+
+  // Every mode changes a lot at once: keep the data from before it
+  await requestSnapshot(SNAPSHOT_REASONS.IMPORT, label);
+
+  if (mode === IMPORT_MODES.REPLACE) {
+    replaceWithBackup(backup.collections, report);
+  } else if (mode === IMPORT_MODES.NEW_GROUP) {
+    importIntoNewGroup(backup.collections, report);
+  } else {
+    mergeBackup(backup.collections, report);
+  }
+
+  syncTimerAlarms(previousTabs, savedTabs);
+
+  recordHistory(label);
+  showUndoToast(label);
+  saveData();
+  renderAll();
+
+  if (mode === IMPORT_MODES.REPLACE) {
+    applyBackupSettings(backup.settings, report);
+  }
+
+  return report;
+}
+
+/**
+ * Replaces all tabs, groups and trash with the backup's
+ *
+ * Records keep their IDs, so importing a backup of the same data only
+ * changes what differs.
+ *
+ * @param {Object} collections - Backup collections
+ * @param {Object} report - Import report to fill in
+ */
+function replaceWithBackup(collections, report) {
+  const current = getSnapshotCollections();
+  const restored = {};
+  const changes = {};
+
+  RECORD_COLLECTIONS.forEach(key => {
+    restored[key] = collections[key].map(record => touchRecord({ ...record }));
+
+    const ids = new Set(restored[key].map(r => r.id));
+    const currentIds = new Set(current[key].map(r => r.id));
+    const removed = current[key].filter(r => !ids.has(r.id)).map(r => r.id);
+
+    recordDeletions(key, removed);
+    clearTombstones(key, [...ids]);
+    changes[key] = { added: [...ids].filter(id => !currentIds.has(id)).length, removed: removed.length };
+  });
+
+  setCollectionsState(restored);
+
+  report.addedTabs = changes[STORAGE_KEYS.SAVED_TABS].added;
+  report.removedTabs = changes[STORAGE_KEYS.SAVED_TABS].removed;
+  report.addedGroups = changes[STORAGE_KEYS.GROUPS].added;
+  report.removedGroups = changes[STORAGE_KEYS.GROUPS].removed;
+  report.trash = restored[STORAGE_KEYS.TRASH].length;
+}
+
+/**
+ * Adds the backup's groups and tabs, skipping what is already saved
+ *
+ * A group with the same name under the same parent is reused instead of
+ * added again. Tabs whose URL is already saved (or appears earlier in
+ * the backup) are skipped. The trash is not imported.
+ *
+ * @param {Object} collections - Backup collections
+ * @param {Object} report - Import report to fill in
+ */
+function mergeBackup(collections, report) {
+  const groupIds = new Map();
+
+  orderGroupsParentsFirst(collections[STORAGE_KEYS.GROUPS]).forEach(group => {
+    const parentId = group.parentId ? groupIds.get(group.parentId) : null;
+    const existing = groups.find(g => g.name === group.name && (g.parentId || null) === parentId);
+
+    if (existing) {
+      groupIds.set(group.id, existing.id);
+      report.mergedGroups++;
+      return;
+    }
+
+    const added = copyImportedGroup(group, parentId);
+    groups.push(added);
+    groupIds.set(group.id, added.id);
+    report.addedGroups++;
+  });
+
+  // Same rule as every other import (isTabSaved()); tabs added here
+  // count too, so repeats within the backup are skipped
+  collections[STORAGE_KEYS.SAVED_TABS].forEach(tab => {
+    if (isTabSaved(tab.url)) {
+      report.skippedTabs++;
+      return;
+    }
+
+    savedTabs.push(copyImportedTab(tab, groupIds.get(tab.groupId) || null));
+    report.addedTabs++;
+  });
+}
+
+/**
+ * Adds everything from the backup under a new top-level group
+ *
+ * The backup's top-level groups become subgroups of the new group and
+ * its ungrouped tabs go directly into it. Nothing is skipped; the trash
+ * is not imported.
+ *
+ * @param {Object} collections - Backup collections
+ * @param {Object} report - Import report to fill in
+ */
+function importIntoNewGroup(collections, report) {
+  const root = {
+    id: generateStringId(),
+    name: `Imported ${new Date().toLocaleDateString()}`,
+    expanded: true,
+    parentId: null,
+    updatedAt: Date.now()
+  };
+  groups.push(root);
+  report.addedGroups++;
+
+  const groupIds = new Map();
+
+  orderGroupsParentsFirst(collections[STORAGE_KEYS.GROUPS]).forEach(group => {
+    const added = copyImportedGroup(group, group.parentId ? groupIds.get(group.parentId) : root.id);
+    groups.push(added);
+    groupIds.set(group.id, added.id);
+    report.addedGroups++;
+  });
+
+  collections[STORAGE_KEYS.SAVED_TABS].forEach(tab => {
+    savedTabs.push(copyImportedTab(tab, groupIds.get(tab.groupId) || root.id));
+    report.addedTabs++;
+  });
+}
+
+/**
+ * Copies an imported group with a new ID
+ *
+ * New IDs keep imported records apart from current, archived and
+ * deleted ones.
+ *
+ * @param {Object} group - Group from the backup
+ * @param {string|null} parentId - ID of the parent in the current data
+ * @returns {Object} - Group to add
+ */
+function copyImportedGroup(group, parentId) {
+  return { ...group, id: generateStringId(), parentId, updatedAt: Date.now() };
+}
+
+/**
+ * Copies an imported tab with a new ID
+ *
+ * @param {Object} tab - Tab from the backup
+ * @param {string|null} groupId - ID of its group in the current data
+ * @returns {Object} - Tab to add
+ */
+function copyImportedTab(tab, groupId) {
+  return { ...tab, id: generateId(), groupId, updatedAt: Date.now() };
+}
+
+/**
+ * Applies the theme, trash retention and tab hibernation from a backup
+ *
+ * Unknown values are ignored.
+ *
+ * @param {Object} settings - Backup settings
+ * @param {Object} report - Import report to fill in
+ */
+function applyBackupSettings(settings, report) {
+  if (Object.values(THEMES).includes(settings.theme)) {
+    applyTheme(settings.theme);
+    chrome.storage.sync.set({ [STORAGE_KEYS.THEME]: settings.theme });
+    loadThemeSetting();
+    report.settings = true;
+  }
+
+  if (TRASH_RETENTION_DAYS.OPTIONS.includes(settings.trashRetentionDays)) {
+    setTrashRetentionDays(settings.trashRetentionDays);
+    document.getElementById('trashRetentionSelect').value = String(settings.trashRetentionDays);
+    report.settings = true;
+  }
+
+  if (settings.hibernation && typeof settings.hibernation === 'object') {
+    setHibernationSettings(settings.hibernation);
+    report.settings = true;
+  }
+}
+
+// -----------------------------------------------------------------------------
+// IMPORT REPORT
+// -----------------------------------------------------------------------------
+
+/**
+ * Creates an empty import report
+ *
+ * @returns {Object} - Counts of what the import changed
+ */
+function createImportReport() {
+  return {
+    addedTabs: 0,
+    skippedTabs: 0,
+    removedTabs: 0,
+    addedGroups: 0,
+    mergedGroups: 0,
+    removedGroups: 0,
+    trash: 0,
+    settings: false
+  };
+}
+
+/**
+ * Describes an import report
+ *
+ * @param {Object} report - Import report
+ * @returns {string[]} - One line per change
+ */
+function formatImportReport(report) {
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+  const lines = [];
+
+  lines.push(`Added ${plural(report.addedTabs, 'tab')} and ${plural(report.addedGroups, 'group')}`);
+  if (report.skippedTabs > 0) {
+    lines.push(`Skipped ${plural(report.skippedTabs, 'tab')} already saved`);
+  }
+  if (report.mergedGroups > 0) {
+    lines.push(`Merged ${plural(report.mergedGroups, 'group')} into existing groups`);
+  }
+  if (report.removedTabs > 0 || report.removedGroups > 0) {
+    lines.push(`Removed ${plural(report.removedTabs, 'tab')} and ${plural(report.removedGroups, 'group')} not in the backup`);
+  }
+  if (report.trash > 0) {
+    lines.push(`Restored ${plural(report.trash, 'item')} in the trash`);
+  }
+  if (report.settings) {
+    lines.push('Restored settings');
+  }
+
+  return lines;
+}
@@ -0,0 +1,223 @@
+/**
+ * ============================================================================
+ * BOOKMARK-BINDING.JS
+ * ============================================================================
+ *
+ * Binding groups to Chrome bookmarks folders, from the Tab Saver side panel.
+ *
+ * The sync itself runs in the background (bookmark-sync.js), which also
+ * owns the bindings: this file asks it to bind or unbind a group and
+ * shows which groups are bound. Bindings are per device (bookmark IDs
+ * differ between devices), so they are read from local storage.
+ *
+ * ============================================================================
+ */
+
+// -----------------------------------------------------------------------------
+// BINDING STATE
+// -----------------------------------------------------------------------------
+
+/**
+ * Bound groups on this device: { [groupId]: folderId }
+ */
+let bookmarkBindings = {};
+
+/**
+ * Group the bookmark sync modal is open for
+ */
+let bookmarkSyncGroupId = null;
+
+/**
+ * Loads the bindings
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadBookmarkBindings() {
+  const result = await chrome.storage.local.get([STORAGE_KEYS.BOOKMARK_BINDINGS]);
+  bookmarkBindings = result[STORAGE_KEYS.BOOKMARK_BINDINGS] || {};
+}
+
+/**
+ * Follows bindings changed by the background
+ *
+ * @param {Object} change - Storage change of the bindings key
+ */
+function handleBookmarkBindingsChange(change) {
+  bookmarkBindings = change.newValue || {};
+  renderAll();
+}
+
+/**
+ * Checks whether a group is bound to a bookmarks folder
+ *
+ * @param {string} groupId - Group ID
+ * @returns {boolean}
+ */
+function isGroupBoundToBookmarks(groupId) {
+  return Boolean(bookmarkBindings[groupId]);
+}
+
+// -----------------------------------------------------------------------------
+// BOOKMARK SYNC MODAL
+// -----------------------------------------------------------------------------
+
+/**
+ * Shows the bookmark sync modal for a group
+ *
+ * Unbound groups get a folder to bind to; bound ones show their folder
+ * and can stop syncing.
+ *
+ * @async
+ * @param {string} groupId - Group ID
+ * @returns {Promise<void>}
+ */
+async function showBookmarkSyncModal(groupId) {
+  const group = groups.find(g => g.id === groupId);
+  if (!group) return;
+
+  bookmarkSyncGroupId = groupId;
+  const folderId = bookmarkBindings[groupId];
+  const select = document.getElementById('bookmarkFolderSelect');
+
+  document.getElementById('bookmarkSyncTitle').textContent = `Sync "${group.name}" with bookmarks`;
+  document.getElementById('bookmarkSyncError').classList.add('hidden');
+  document.getElementById('bindBookmarkSync').classList.toggle('hidden', Boolean(folderId));
+  document.getElementById('unbindBookmarkSync').classList.toggle('hidden', !folderId);
+  select.classList.toggle('hidden', Boolean(folderId));
+
+  const status = document.getElementById('bookmarkSyncStatus');
+  if (folderId) {
+    status.textContent = `Synced with the bookmarks folder "${await getBookmarkFolderTitle(folderId)}". ` +
+      'Changes on either side are copied to the other.';
+  } else {
+    status.textContent = 'Choose a folder. Its bookmarks and subfolders are added to this group, ' +
+      'and the group\'s tabs and subgroups are added to the folder.';
+    await populateBookmarkFolderSelect(select);
+  }
+
+  document.getElementById('bookmarkSyncModal').classList.remove('hidden');
+}
+
+/**
+ * Hides the bookmark sync modal
+ */
+function hideBookmarkSyncModal() {
+  document.getElementById('bookmarkSyncModal').classList.add('hidden');
+  bookmarkSyncGroupId = null;
+}
+
+/**
+ * Fills the folder dropdown with every bookmarks folder, in tree order
+ *
+ * @async
+ * @param {HTMLSelectElement} select - Dropdown to fill
+ * @returns {Promise<void>}
+ */
+async function populateBookmarkFolderSelect(select) {
+  const [root] = await chrome.bookmarks.getTree();
+  select.innerHTML = '';
+
+  const addFolders = (nodes, depth) => {
+    nodes
+      .filter(node => !node.url)
+      .forEach(node => {
+        const option = document.createElement('option');
+        option.value = node.id;
+        option.textContent = `${'\u00a0\u00a0'.repeat(depth)}${node.title || 'Untitled folder'}`;
+        select.appendChild(option);
+        addFolders(node.children || [], depth + 1);
+      });
+  };
+  addFolders(root.children || [], 0);
+}
+
+/**
+ * Gets a bookmarks folder's title
+ *
+ * @async
+ * @param {string} folderId - Folder ID
+ * @returns {Promise<string>}
+ */
+async function getBookmarkFolderTitle(folderId) {
+  try {
+    const [folder] = await chrome.bookmarks.get(folderId);
+    return folder.title || 'Untitled folder';
+  } catch {
+    return 'Removed folder';
+  }
+}
+
+/**
+ * Shows why binding or unbinding failed
+ *
+ * @param {string} message - Text to show
+ */
+function showBookmarkSyncError(message) {
+  const errorText = document.getElementById('bookmarkSyncError');
+  errorText.textContent = message;
+  errorText.classList.remove('hidden');
+}
+
+/**
+ * Binds the group to the folder chosen in the modal
+ *
+ * Pending saves are written first, so the background imports into the
+ * group as it is now.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function submitBookmarkBinding() {
+  const groupId = bookmarkSyncGroupId;
+  const folderId = document.getElementById('bookmarkFolderSelect').value;
+  if (!groupId || !folderId) return;
+
+  const button = document.getElementById('bindBookmarkSync');
+  button.disabled = true;
+
+  try {
+    await flushSaves();
+    const response = await chrome.runtime.sendMessage({ type: 'bindBookmarkFolder', groupId, folderId });
+    if (response?.error) {
+      showBookmarkSyncError(response.error);
+      return;
+    }
+
+    hideBookmarkSyncModal();
+    const { tabs, groups: groupCount } = response.counts;
+    if (tabs > 0 || groupCount > 0) {
+      alert(`Imported ${tabs} tabs in ${groupCount} groups from bookmarks.`);
+    }
+  } catch (error) {
+    console.error('Failed to bind bookmarks folder:', error);
+    showBookmarkSyncError('Could not sync with the folder. Please try again.');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * Stops syncing the group with its folder
+ *
+ * The group and the bookmarks both stay as they are.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function stopBookmarkSync() {
+  const groupId = bookmarkSyncGroupId;
+  if (!groupId) return;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'unbindBookmarkFolder', groupId });
+    if (response?.error) {
+      showBookmarkSyncError(response.error);
+      return;
+    }
+    hideBookmarkSyncModal();
+  } catch (error) {
+    console.error('Failed to unbind bookmarks folder:', error);
+    showBookmarkSyncError('Could not stop syncing. Please try again.');
+  }
+}
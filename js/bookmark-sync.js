@@ -0,0 +1,968 @@
+/**
+ * ============================================================================
+ * BOOKMARK-SYNC.JS
+ * ============================================================================
+ *
+ * Two-way sync between groups and Chrome bookmarks folders for the Tab
+ * Saver extension. Loaded by the background service worker only.
+ *
+ * A group bound to a bookmarks folder mirrors it: subfolders are its
+ * subgroups and bookmarks are its saved tabs. Binding imports the folder
+ * into the group (reusing subgroups with the same name and tabs with the
+ * same URL) and creates bookmarks for whatever the group had that the
+ * folder did not. From then on:
+ * - Changes to the groups and tabs, made in the side panel or on another
+ *   device, are pushed to the bookmarks when the collections change in
+ *   storage (pushToBookmarks())
+ * - Bookmarks created, edited, moved or removed in Chrome are applied to
+ *   the groups and tabs (applyBookmarkEvents()). Removed bookmarks go to
+ *   the trash; a removed folder is deleted like deleteGroup() does, its
+ *   tabs moving to Saved Tabs.
+ *
+ * Bookmark IDs are only valid on this device, so bindings and links are
+ * kept in local storage:
+ *
+ *   bookmarkBindings: { [groupId]: folderId }   // Bound groups
+ *   bookmarkLinks: {
+ *     groups: { [groupId]: { folderId, name, parentId } },  // Subgroups
+ *     tabs: { [tabId]: { bookmarkId, url, title, groupId } }
+ *   }
+ *
+ * Links hold the values last synced, so each side can tell what changed
+ * on the other, and the events caused by our own writes find nothing to
+ * do. A bound group's own name is never synced (the folder may be the
+ * bookmarks bar), and deleting or unbinding it leaves the bookmarks as
+ * they are. Bookmark order is not synced.
+ *
+ * ============================================================================
+ */
+
+// -----------------------------------------------------------------------------
+// BOOKMARK SYNC STATE
+// -----------------------------------------------------------------------------
+
+/**
+ * Sync job in progress, so jobs run one at a time and each sees the
+ * links saved by the one before
+ */
+let bookmarkSyncQueue = Promise.resolve();
+
+/**
+ * Bookmark events waiting to be applied
+ */
+let pendingBookmarkEvents = [];
+
+/**
+ * Timer that applies the pending bookmark events
+ */
+let bookmarkEventTimer = null;
+
+/**
+ * Last ID returned by createBookmarkGroupId()
+ */
+let lastBookmarkGroupId = 0;
+
+/**
+ * Queues a sync job
+ *
+ * @param {Function} job - Async function doing the work
+ * @returns {Promise<*>} - Result of the job; rejects if it fails
+ */
+function queueBookmarkSync(job) {
+  const run = bookmarkSyncQueue.then(async () => {
+    await storageReady;
+    return job();
+  });
+
+  bookmarkSyncQueue = run.catch(error => {
+    if (isLockedError(error)) {
+      console.warn('Saved data is encrypted and locked, skipping bookmark sync');
+    } else {
+      console.error('Bookmark sync failed:', error);
+    }
+  });
+  return run;
+}
+
+/**
+ * Reads the bindings and links
+ *
+ * @async
+ * @returns {Promise<Object>} - { bindings, groups, tabs, savedBindings, savedLinks }
+ */
+async function readBookmarkSyncState() {
+  const result = await chrome.storage.local.get([
+    STORAGE_KEYS.BOOKMARK_BINDINGS,
+    STORAGE_KEYS.BOOKMARK_LINKS
+  ]);
+  const bindings = result[STORAGE_KEYS.BOOKMARK_BINDINGS] || {};
+  const links = result[STORAGE_KEYS.BOOKMARK_LINKS] || {};
+
+  return {
+    bindings,
+    groups: links.groups || {},
+    tabs: links.tabs || {},
+    // Only what changed is written back (the panel re-renders on bindings)
+    savedBindings: JSON.stringify(bindings),
+    savedLinks: JSON.stringify(links)
+  };
+}
+
+/**
+ * Writes the bindings and links
+ *
+ * @async
+ * @param {Object} state - State from readBookmarkSyncState()
+ * @returns {Promise<void>}
+ */
+async function writeBookmarkSyncState(state) {
+  const bindings = JSON.stringify(state.bindings);
+  const links = JSON.stringify({ groups: state.groups, tabs: state.tabs });
+
+  const items = {};
+  if (bindings !== state.savedBindings) {
+    items[STORAGE_KEYS.BOOKMARK_BINDINGS] = state.bindings;
+  }
+  if (links !== state.savedLinks) {
+    items[STORAGE_KEYS.BOOKMARK_LINKS] = { groups: state.groups, tabs: state.tabs };
+  }
+  if (Object.keys(items).length === 0) return;
+
+  await chrome.storage.local.set(items);
+  state.savedBindings = bindings;
+  state.savedLinks = links;
+}
+
+/**
+ * Reads the collections bookmark sync works on
+ *
+ * Groups and saved tabs that can't be read here (damaged shards, or
+ * held in another device's local storage) would look empty, and
+ * pushing that would delete every synced bookmark, on every device
+ * Chrome syncs bookmarks to. Sync stops instead.
+ *
+ * @async
+ * @returns {Promise<Object>} - { groups, savedTabs, trash, tombstones, changed };
+ *   changed is the set of collection keys to write back
+ * @throws {Error} ENCRYPTION_LOCKED while encrypted data is locked, or
+ *   with a message for the user if groups or saved tabs can't be read
+ */
+async function readBookmarkSyncData() {
+  const collections = await readCollections([
+    STORAGE_KEYS.GROUPS,
+    STORAGE_KEYS.SAVED_TABS,
+    STORAGE_KEYS.TRASH,
+    STORAGE_KEYS.TOMBSTONES
+  ]);
+
+  const needed = [STORAGE_KEYS.GROUPS, STORAGE_KEYS.SAVED_TABS];
+  const held = await getCollectionsHeldElsewhere(needed);
+  const unreadable = needed.filter(key => held.includes(key) || !Array.isArray(collections[key]));
+  if (unreadable.length > 0) {
+    throw new Error(`Bookmark sync is paused: ${unreadable.join(' and ')} can't be read on this device.`);
+  }
+
+  return {
+    groups: collections[STORAGE_KEYS.GROUPS] || [],
+    savedTabs: collections[STORAGE_KEYS.SAVED_TABS] || [],
+    trash: collections[STORAGE_KEYS.TRASH] || [],
+    tombstones: collections[STORAGE_KEYS.TOMBSTONES] || [],
+    changed: new Set()
+  };
+}
+
+/**
+ * Writes back the collections that were changed
+ *
+ * Like the side panel's save queue (see save-queue.js), the changes are
+ * merged with what is stored now (see merge.js), so edits written by the
+ * panel or another device since the data was read are kept.
+ *
+ * @async
+ * @param {Object} data - Data from readBookmarkSyncData()
+ * @returns {Promise<void>}
+ */
+async function writeBookmarkSyncData(data) {
+  if (data.changed.size === 0) return;
+
+  const stored = await readCollections(SHARDED_COLLECTIONS);
+  const merged = mergeCollections({
+    [STORAGE_KEYS.GROUPS]: data.groups,
+    [STORAGE_KEYS.SAVED_TABS]: data.savedTabs,
+    [STORAGE_KEYS.TRASH]: data.trash,
+    [STORAGE_KEYS.TOMBSTONES]: data.tombstones
+  }, stored);
+
+  data.groups = merged[STORAGE_KEYS.GROUPS];
+  data.savedTabs = merged[STORAGE_KEYS.SAVED_TABS];
+  data.trash = merged[STORAGE_KEYS.TRASH];
+  data.tombstones = merged[STORAGE_KEYS.TOMBSTONES];
+
+  const collections = {};
+  data.changed.forEach(key => { collections[key] = merged[key]; });
+
+  // Never overwrite a collection held on another device with what little
+  // is known of it here
+  const held = await getCollectionsHeldElsewhere(Object.keys(collections));
+  held.forEach(key => {
+    console.warn(`Bookmark sync can't update "${key}", it is only stored on another device`);
+    delete collections[key];
+  });
+
+  await writeCollections(collections);
+  data.changed.clear();
+}
+
+// -----------------------------------------------------------------------------
+// LOOKUPS
+// -----------------------------------------------------------------------------
+
+/**
+ * Creates a saved tab ID (as generateId() in the side panel)
+ *
+ * @returns {number}
+ */
+function createBookmarkTabId() {
+  return Date.now() + Math.random();
+}
+
+/**
+ * Creates a unique group ID (as generateStringId() in the side panel)
+ *
+ * @returns {string}
+ */
+function createBookmarkGroupId() {
+  lastBookmarkGroupId = Math.max(Date.now(), lastBookmarkGroupId + 1);
+  return lastBookmarkGroupId.toString();
+}
+
+/**
+ * Gets the folder a group is synced with
+ *
+ * @param {Object} state - Bookmark sync state
+ * @param {string} groupId - Group ID
+ * @returns {string|null} - Folder ID
+ */
+function getGroupFolderId(state, groupId) {
+  return state.bindings[groupId] || state.groups[groupId]?.folderId || null;
+}
+
+/**
+ * Gets the group a folder is synced with
+ *
+ * @param {Object} state - Bookmark sync state
+ * @param {string} folderId - Bookmark folder ID
+ * @returns {string|null} - Group ID
+ */
+function getFolderGroupId(state, folderId) {
+  const bound = Object.keys(state.bindings).find(groupId => state.bindings[groupId] === folderId);
+  if (bound) return bound;
+
+  return Object.keys(state.groups).find(groupId => state.groups[groupId].folderId === folderId) || null;
+}
+
+/**
+ * Gets the saved tab a bookmark is synced with
+ *
+ * @param {Object} state - Bookmark sync state
+ * @param {string} bookmarkId - Bookmark ID
+ * @returns {string|null} - Tab ID (as a link key)
+ */
+function getBookmarkTabId(state, bookmarkId) {
+  return Object.keys(state.tabs).find(tabId => state.tabs[tabId].bookmarkId === bookmarkId) || null;
+}
+
+/**
+ * Gets a group and all its subgroups, parents first
+ *
+ * @param {Object[]} groups - All groups
+ * @param {string} groupId - Group ID
+ * @returns {Object[]} - Empty if the group doesn't exist
+ */
+function getGroupTree(groups, groupId) {
+  const tree = [];
+  const seen = new Set();
+
+  const visit = (group) => {
+    if (seen.has(group.id)) return;
+    seen.add(group.id);
+    tree.push(group);
+    groups.filter(g => g.parentId === group.id).forEach(visit);
+  };
+
+  const group = groups.find(g => g.id === groupId);
+  if (group) visit(group);
+  return tree;
+}
+
+/**
+ * Gets the bound groups and all their subgroups, parents first
+ *
+ * @param {Object} state - Bookmark sync state
+ * @param {Object[]} groups - All groups
+ * @returns {Object[]}
+ */
+function getSyncedGroups(state, groups) {
+  return Object.keys(state.bindings).flatMap(groupId => getGroupTree(groups, groupId));
+}
+
+/**
+ * Checks whether a linked group belongs to a bound group's tree
+ *
+ * Follows the parents recorded in the links, so this works after the
+ * groups themselves are gone.
+ *
+ * @param {Object} state - Bookmark sync state
+ * @param {string} groupId - Group ID
+ * @param {string} boundGroupId - Bound group ID
+ * @returns {boolean}
+ */
+function isLinkedUnder(state, groupId, boundGroupId) {
+  const seen = new Set();
+  let id = groupId;
+
+  while (id && !seen.has(id)) {
+    if (id === boundGroupId) return true;
+    seen.add(id);
+    id = state.groups[id]?.parentId;
+  }
+  return false;
+}
+
+/**
+ * Removes a binding and forgets the links of its tree
+ *
+ * Groups, tabs and bookmarks are left as they are.
+ *
+ * @param {Object} state - Bookmark sync state
+ * @param {string} groupId - Bound group ID
+ */
+function forgetBinding(state, groupId) {
+  Object.keys(state.tabs)
+    .filter(tabId => isLinkedUnder(state, state.tabs[tabId].groupId, groupId))
+    .forEach(tabId => { delete state.tabs[tabId]; });
+
+  Object.keys(state.groups)
+    .filter(id => isLinkedUnder(state, id, groupId))
+    .forEach(id => { delete state.groups[id]; });
+
+  delete state.bindings[groupId];
+}
+
+// -----------------------------------------------------------------------------
+// BINDING
+// -----------------------------------------------------------------------------
+
+/**
+ * Binds a group to a bookmarks folder
+ *
+ * The folder's bookmarks and subfolders are imported into the group,
+ * then the group's other tabs and subgroups are added to the folder.
+ *
+ * @async
+ * @param {string} groupId - Group to bind
+ * @param {string} folderId - Bookmarks folder to bind it to
+ * @returns {Promise<Object>} - { groups, tabs } counts of what was imported
+ * @throws {Error} With a message for the user if the binding isn't possible
+ */
+async function bindBookmarkFolder(groupId, folderId) {
+  const state = await readBookmarkSyncState();
+  const data = await readBookmarkSyncData();
+
+  const group = data.groups.find(g => g.id === groupId);
+  if (!group) {
+    throw new Error('The group no longer exists.');
+  }
+
+  const syncedIds = new Set(getSyncedGroups(state, data.groups).map(g => g.id));
+  if (syncedIds.has(groupId)) {
+    throw new Error('This group is already synced with a bookmarks folder.');
+  }
+  if (getGroupTree(data.groups, groupId).some(g => state.bindings[g.id])) {
+    throw new Error('A subgroup of this group is already synced with a bookmarks folder.');
+  }
+
+  const [folder] = await chrome.bookmarks.getSubTree(folderId);
+  if (!folder || folder.url || !folder.parentId) {
+    throw new Error('Choose a bookmarks folder.');
+  }
+  if (await isFolderSynced(state, folder)) {
+    throw new Error('This folder, or a folder in or around it, is already synced with a group.');
+  }
+
+  state.bindings[groupId] = folderId;
+  const counts = mergeBookmarkFolder(state, data, folder, groupId);
+
+  await writeBookmarkSyncData(data);
+  await pushToBookmarks(state, data);
+  await writeBookmarkSyncState(state);
+
+  return counts;
+}
+
+/**
+ * Checks whether a folder, one of its subfolders or one of its parents
+ * is synced already
+ *
+ * @async
+ * @param {Object} state - Bookmark sync state
+ * @param {Object} folder - Folder node with its children
+ * @returns {Promise<boolean>}
+ */
+async function isFolderSynced(state, folder) {
+  const containsSynced = (node) => Boolean(getFolderGroupId(state, node.id)) ||
+    (node.children || []).some(child => !child.url && containsSynced(child));
+  if (containsSynced(folder)) return true;
+
+  let parentId = folder.parentId;
+  while (parentId) {
+    if (getFolderGroupId(state, parentId)) return true;
+    const [parent] = await chrome.bookmarks.get(parentId);
+    parentId = parent.parentId;
+  }
+  return false;
+}
+
+/**
+ * Imports a folder's contents into a group that already has its own
+ *
+ * Subfolders reuse a subgroup with the same name and bookmarks reuse a
+ * tab with the same URL (taking the bookmark's title); everything else
+ * is added.
+ *
+ * @param {Object} state - Bookmark sync state
+ * @param {Object} data - Data from readBookmarkSyncData()
+ * @param {Object} folder - Folder node with its children
+ * @param {string} groupId - Group synced with the folder
+ * @returns {Object} - { groups, tabs } counts of what was added
+ */
+function mergeBookmarkFolder(state, data, folder, groupId) {
+  const counts = { groups: 0, tabs: 0 };
+
+  (folder.children || []).forEach(node => {
+    if (node.url) {
+      const tab = data.savedTabs.find(t =>
+        t.groupId === groupId && t.url === node.url && !state.tabs[t.id]
+      );
+      if (!tab) {
+        counts.tabs += importBookmarkNode(state, data, node, groupId).tabs;
+        return;
+      }
+
+      const title = node.title || node.url;
+      if (tab.title !== title) {
+        tab.title = title;
+        touchRecord(tab);
+        data.changed.add(STORAGE_KEYS.SAVED_TABS);
+      }
+      state.tabs[tab.id] = { bookmarkId: node.id, url: tab.url, title, groupId };
+      return;
+    }
+
+    const name = node.title || 'Untitled group';
+    const subgroup = data.groups.find(g =>
+      g.parentId === groupId && g.name === name && !state.groups[g.id]
+    );
+    const added = subgroup
+      ? linkBookmarkFolder(state, data, node, subgroup)
+      : importBookmarkNode(state, data, node, groupId);
+
+    counts.groups += added.groups;
+    counts.tabs += added.tabs;
+  });
+
+  return counts;
+}
+
+/**
+ * Links an existing subgroup to a folder and merges the folder into it
+ *
+ * @param {Object} state - Bookmark sync state
+ * @param {Object} data - Data from readBookmarkSyncData()
+ * @param {Object} folder - Folder node with its children
+ * @param {Object} group - Subgroup with the folder's name
+ * @returns {Object} - { groups, tabs } counts of what was added
+ */
+function linkBookmarkFolder(state, data, folder, group) {
+  state.groups[group.id] = { folderId: folder.id, name: group.name, parentId: group.parentId };
+  return mergeBookmarkFolder(state, data, folder, group.id);
+}
+
+/**
+ * Adds a bookmark as a saved tab, or a folder as a subgroup with its
+ * contents
+ *
+ * @param {Object} state - Bookmark sync state
+ * @param {Object} data - Data from readBookmarkSyncData()
+ * @param {Object} node - Bookmark or folder node (with its children)
+ * @param {string} groupId - Group to add it to
+ * @returns {Object} - { groups, tabs } counts of what was added
+ */
+function importBookmarkNode(state, data, node, groupId) {
+  const counts = { groups: 0, tabs: 0 };
+  const now = Date.now();
+
+  if (node.url) {
+    const tab = {
+      id: createBookmarkTabId(),
+      title: node.title || node.url,
+      url: node.url,
+      favicon: '',
+      savedAt: new Date(node.dateAdded || now).toISOString(),
+      groupId,
+      updatedAt: now
+    };
+    data.savedTabs.push(tab);
+    data.changed.add(STORAGE_KEYS.SAVED_TABS);
+
+    state.tabs[tab.id] = { bookmarkId: node.id, url: tab.url, title: tab.title, groupId };
+    counts.tabs++;
+    return counts;
+  }
+
+  const group = {
+    id: createBookmarkGroupId(),
+    name: node.title || 'Untitled group',
+    expanded: false,
+    parentId: groupId,
+    updatedAt: now
+  };
+  data.groups.push(group);
+  data.changed.add(STORAGE_KEYS.GROUPS);
+
+  state.groups[group.id] = { folderId: node.id, name: group.name, parentId: groupId };
+  counts.groups++;
+
+  (node.children || []).forEach(child => {
+    const added = importBookmarkNode(state, data, child, group.id);
+    counts.groups += added.groups;
+    counts.tabs += added.tabs;
+  });
+
+  return counts;
+}
+
+/**
+ * Unbinds a group from its bookmarks folder
+ *
+ * @async
+ * @param {string} groupId - Bound group ID
+ * @returns {Promise<void>}
+ */
+async function unbindBookmarkFolder(groupId) {
+  const state = await readBookmarkSyncState();
+  if (!state.bindings[groupId]) return;
+
+  forgetBinding(state, groupId);
+  await writeBookmarkSyncState(state);
+}
+
+// -----------------------------------------------------------------------------
+// TAB SAVER TO BOOKMARKS
+// -----------------------------------------------------------------------------
+
+/**
+ * Pushes the stored groups and tabs to the bookmarks
+ *
+ * Runs whenever the collections change in storage.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function syncToBookmarks() {
+  const state = await readBookmarkSyncState();
+  if (Object.keys(state.bindings).length === 0) return;
+
+  const data = await readBookmarkSyncData();
+  await pushToBookmarks(state, data);
+  await writeBookmarkSyncState(state);
+}
+
+/**
+ * Makes the bookmarks match the synced groups and tabs
+ *
+ * Compares each group and tab with its link: unlinked ones are created
+ * as folders and bookmarks, changed ones are updated or moved, and links
+ * whose group or tab is gone (or left the synced tree) have their folder
+ * or bookmark removed. A failure on one item is logged and the rest go on.
+ *
+ * @async
+ * @param {Object} state - Bookmark sync state (links are updated)
+ * @param {Object} data - Data from readBookmarkSyncData()
+ * @returns {Promise<void>}
+ */
+async function pushToBookmarks(state, data) {
+  // A deleted bound group leaves its folder alone
+  Object.keys(state.bindings)
+    .filter(groupId => !data.groups.some(g => g.id === groupId))
+    .forEach(groupId => forgetBinding(state, groupId));
+
+  const synced = getSyncedGroups(state, data.groups);
+  const syncedIds = new Set(synced.map(g => g.id));
+
+  for (const group of synced) {
+    if (state.bindings[group.id]) continue;
+
+    const parentFolderId = getGroupFolderId(state, group.parentId);
+    if (!parentFolderId) continue;
+
+    const link = state.groups[group.id];
+
+    try {
+      if (!link) {
+        const folder = await chrome.bookmarks.create({ parentId: parentFolderId, title: group.name });
+        state.groups[group.id] = { folderId: folder.id, name: group.name, parentId: group.parentId };
+        continue;
+      }
+      if (link.name !== group.name) {
+        await chrome.bookmarks.update(link.folderId, { title: group.name });
+        link.name = group.name;
+      }
+      if (link.parentId !== group.parentId) {
+        await chrome.bookmarks.move(link.folderId, { parentId: parentFolderId });
+        link.parentId = group.parentId;
+      }
+    } catch (error) {
+      console.warn(`Could not sync group "${group.name}" to bookmarks:`, error);
+    }
+  }
+
+  const tabsById = new Map(data.savedTabs.map(tab => [String(tab.id), tab]));
+
+  for (const tab of data.savedTabs) {
+    const folderId = syncedIds.has(tab.groupId) ? getGroupFolderId(state, tab.groupId) : null;
+    if (!folderId) continue;
+
+    const link = state.tabs[tab.id];
+    const title = tab.title || tab.url;
+
+    try {
+      if (!link) {
+        const bookmark = await chrome.bookmarks.create({ parentId: folderId, title, url: tab.url });
+        state.tabs[tab.id] = { bookmarkId: bookmark.id, url: tab.url, title, groupId: tab.groupId };
+        continue;
+      }
+      if (link.url !== tab.url || link.title !== title) {
+        await chrome.bookmarks.update(link.bookmarkId, { title, url: tab.url });
+        link.url = tab.url;
+        link.title = title;
+      }
+      if (link.groupId !== tab.groupId) {
+        await chrome.bookmarks.move(link.bookmarkId, { parentId: folderId });
+        link.groupId = tab.groupId;
+      }
+    } catch (error) {
+      console.warn(`Could not sync "${tab.url}" to bookmarks:`, error);
+    }
+  }
+
+  // Tabs first: one moved to another synced group must leave its old
+  // folder before that folder is removed
+  for (const [tabId, link] of Object.entries(state.tabs)) {
+    const tab = tabsById.get(tabId);
+    if (tab && syncedIds.has(tab.groupId)) continue;
+
+    delete state.tabs[tabId];
+    await removeSyncedBookmark(link.bookmarkId, false);
+  }
+
+  for (const [groupId, link] of Object.entries(state.groups)) {
+    if (syncedIds.has(groupId)) continue;
+
+    delete state.groups[groupId];
+    await removeSyncedBookmark(link.folderId, true);
+  }
+}
+
+/**
+ * Removes a bookmark or folder that may already be gone
+ *
+ * @async
+ * @param {string} id - Bookmark or folder ID
+ * @param {boolean} isFolder - Whether to remove a folder with its contents
+ * @returns {Promise<void>}
+ */
+async function removeSyncedBookmark(id, isFolder) {
+  try {
+    await (isFolder ? chrome.bookmarks.removeTree(id) : chrome.bookmarks.remove(id));
+  } catch (error) {
+    // Already removed in Chrome, or with its removed folder
+    console.warn('Could not remove bookmark:', error);
+  }
+}
+
+// -----------------------------------------------------------------------------
+// BOOKMARKS TO TAB SAVER
+// -----------------------------------------------------------------------------
+
+/**
+ * Collects a bookmark event to apply shortly
+ *
+ * @param {Object} event - { type: 'created'|'changed'|'moved'|'removed', id, info }
+ */
+function recordBookmarkEvent(event) {
+  pendingBookmarkEvents.push(event);
+
+  clearTimeout(bookmarkEventTimer);
+  bookmarkEventTimer = setTimeout(() => {
+    const events = pendingBookmarkEvents;
+    pendingBookmarkEvents = [];
+    queueBookmarkSync(() => applyBookmarkEvents(events));
+  }, BOOKMARK_SYNC.EVENT_DELAY_MS);
+}
+
+/**
+ * Checks whether a bookmark event touches a synced folder or bookmark
+ *
+ * @param {Object} state - Bookmark sync state
+ * @param {Object} event - Bookmark event
+ * @returns {boolean}
+ */
+function isSyncedBookmarkEvent(state, event) {
+  const { id, info } = event;
+  return Boolean(
+    getBookmarkTabId(state, id) ||
+    getFolderGroupId(state, id) ||
+    (info.parentId && getFolderGroupId(state, info.parentId)) ||
+    (info.oldParentId && getFolderGroupId(state, info.oldParentId))
+  );
+}
+
+/**
+ * Applies bookmark events to the synced groups and tabs
+ *
+ * @async
+ * @param {Object[]} events - Events in the order they happened
+ * @returns {Promise<void>}
+ */
+async function applyBookmarkEvents(events) {
+  const state = await readBookmarkSyncState();
+  const relevant = events.filter(event => isSyncedBookmarkEvent(state, event));
+  if (relevant.length === 0) return;
+
+  const data = await readBookmarkSyncData();
+
+  for (const event of relevant) {
+    try {
+      await applyBookmarkEvent(state, data, event);
+    } catch (error) {
+      console.warn(`Could not apply bookmark ${event.type} event:`, error);
+    }
+  }
+
+  await writeBookmarkSyncData(data);
+  await writeBookmarkSyncState(state);
+}
+
+/**
+ * Applies one bookmark event
+ *
+ * Events for changes we made ourselves match their links and do nothing.
+ *
+ * @async
+ * @param {Object} state - Bookmark sync state
+ * @param {Object} data - Data from readBookmarkSyncData()
+ * @param {Object} event - Bookmark event
+ * @returns {Promise<void>}
+ */
+async function applyBookmarkEvent(state, data, event) {
+  const { type, id, info } = event;
+  const tabId = getBookmarkTabId(state, id);
+  const groupId = getFolderGroupId(state, id);
+
+  switch (type) {
+    case 'created': {
+      const parentGroupId = getFolderGroupId(state, info.parentId);
+      if (!tabId && !groupId && parentGroupId) {
+        importBookmarkNode(state, data, info, parentGroupId);
+      }
+      break;
+    }
+
+    case 'changed':
+      if (tabId) {
+        applyBookmarkChange(state, data, tabId, info);
+      } else if (groupId && state.groups[groupId] && info.title !== state.groups[groupId].name) {
+        updateSyncedGroup(state, data, groupId, { name: info.title || 'Untitled group' });
+      }
+      break;
+
+    case 'moved': {
+      const parentGroupId = getFolderGroupId(state, info.parentId);
+
+      if (state.bindings[groupId]) {
+        // A bound folder can go anywhere
+      } else if (tabId) {
+        if (!parentGroupId) {
+          removeSyncedTab(state, data, tabId);
+        } else if (state.tabs[tabId].groupId !== parentGroupId) {
+          state.tabs[tabId].groupId = parentGroupId;
+          updateSyncedTab(data, tabId, { groupId: parentGroupId });
+        }
+      } else if (groupId) {
+        if (!parentGroupId) {
+          removeSyncedGroup(state, data, groupId);
+        } else if (state.groups[groupId].parentId !== parentGroupId) {
+          updateSyncedGroup(state, data, groupId, { parentId: parentGroupId });
+        }
+      } else if (parentGroupId) {
+        // Moved in from an unsynced folder, with its contents
+        const [node] = await chrome.bookmarks.getSubTree(id);
+        importBookmarkNode(state, data, node, parentGroupId);
+      }
+      break;
+    }
+
+    case 'removed':
+      if (state.bindings[groupId]) {
+        forgetBinding(state, groupId);
+      } else if (tabId) {
+        removeSyncedTab(state, data, tabId);
+      } else if (groupId) {
+        removeSyncedGroup(state, data, groupId);
+      }
+      break;
+  }
+}
+
+/**
+ * Applies an edited bookmark title or URL to its tab
+ *
+ * @param {Object} state - Bookmark sync state
+ * @param {Object} data - Data from readBookmarkSyncData()
+ * @param {string} tabId - Linked tab ID
+ * @param {Object} changeInfo - { title, url } from onChanged
+ */
+function applyBookmarkChange(state, data, tabId, changeInfo) {
+  const link = state.tabs[tabId];
+  const url = changeInfo.url || link.url;
+  const title = changeInfo.title || url;
+  if (url === link.url && title === link.title) return;
+
+  link.url = url;
+  link.title = title;
+  updateSyncedTab(data, tabId, { url, title });
+}
+
+/**
+ * Updates a synced tab's fields
+ *
+ * @param {Object} data - Data from readBookmarkSyncData()
+ * @param {string} tabId - Tab ID (as a link key)
+ * @param {Object} fields - Fields to set
+ */
+function updateSyncedTab(data, tabId, fields) {
+  const tab = data.savedTabs.find(t => String(t.id) === tabId);
+  if (!tab) return;
+
+  Object.assign(tab, fields);
+  touchRecord(tab);
+  data.changed.add(STORAGE_KEYS.SAVED_TABS);
+}
+
+/**
+ * Updates a synced subgroup's name or parent, and its link
+ *
+ * @param {Object} state - Bookmark sync state
+ * @param {Object} data - Data from readBookmarkSyncData()
+ * @param {string} groupId - Linked group ID
+ * @param {Object} fields - { name } or { parentId }
+ */
+function updateSyncedGroup(state, data, groupId, fields) {
+  Object.assign(state.groups[groupId], fields);
+
+  const group = data.groups.find(g => g.id === groupId);
+  if (!group) return;
+
+  Object.assign(group, fields);
+  touchRecord(group);
+  data.changed.add(STORAGE_KEYS.GROUPS);
+}
+
+/**
+ * Moves a tab whose bookmark was removed to the trash
+ *
+ * @param {Object} state - Bookmark sync state
+ * @param {Object} data - Data from readBookmarkSyncData()
+ * @param {string} tabId - Linked tab ID
+ */
+function removeSyncedTab(state, data, tabId) {
+  delete state.tabs[tabId];
+
+  const index = data.savedTabs.findIndex(t => String(t.id) === tabId);
+  if (index === -1) return;
+
+  const [tab] = data.savedTabs.splice(index, 1);
+  if (tab.timerEnd != null) {
+    chrome.alarms.clear(`timer-${tab.id}`);
+  }
+
+  data.trash.unshift(createBookmarkTrashEntry(TRASH_TYPES.TAB, { tab: { ...tab } }));
+  data.tombstones = mergeTombstones(data.tombstones, createTombstones(STORAGE_KEYS.SAVED_TABS, [tab.id]));
+  data.changed.add(STORAGE_KEYS.SAVED_TABS);
+  data.changed.add(STORAGE_KEYS.TRASH);
+  data.changed.add(STORAGE_KEYS.TOMBSTONES);
+}
+
+/**
+ * Deletes a subgroup whose folder was removed, with its subgroups
+ *
+ * As deleteGroup() in the side panel: the groups go to the trash and
+ * their tabs move to Saved Tabs, so nothing is lost.
+ *
+ * @param {Object} state - Bookmark sync state
+ * @param {Object} data - Data from readBookmarkSyncData()
+ * @param {string} groupId - Linked group ID
+ */
+function removeSyncedGroup(state, data, groupId) {
+  const tree = getGroupTree(data.groups, groupId);
+  const treeIds = tree.map(g => g.id);
+
+  Object.keys(state.tabs)
+    .filter(tabId => isLinkedUnder(state, state.tabs[tabId].groupId, groupId))
+    .forEach(tabId => { delete state.tabs[tabId]; });
+  Object.keys(state.groups)
+    .filter(id => isLinkedUnder(state, id, groupId))
+    .forEach(id => { delete state.groups[id]; });
+
+  if (tree.length === 0) return;
+
+  const placements = [];
+  data.savedTabs.forEach(tab => {
+    if (treeIds.includes(tab.groupId)) {
+      placements.push({ tabId: tab.id, groupId: tab.groupId });
+      tab.groupId = null;
+      touchRecord(tab);
+    }
+  });
+
+  data.trash.unshift(createBookmarkTrashEntry(TRASH_TYPES.GROUP, {
+    groups: tree.map(group => ({ ...group })),
+    placements
+  }));
+  data.groups = data.groups.filter(g => !treeIds.includes(g.id));
+  data.tombstones = mergeTombstones(data.tombstones, createTombstones(STORAGE_KEYS.GROUPS, treeIds));
+
+  data.changed.add(STORAGE_KEYS.GROUPS);
+  data.changed.add(STORAGE_KEYS.SAVED_TABS);
+  data.changed.add(STORAGE_KEYS.TRASH);
+  data.changed.add(STORAGE_KEYS.TOMBSTONES);
+}
+
+/**
+ * Creates a trash entry (as createTrashEntry() in the side panel)
+ *
+ * @param {string} type - TRASH_TYPES value
+ * @param {Object} fields - Type-specific fields
+ * @returns {Object} - Trash entry
+ */
+function createBookmarkTrashEntry(type, fields) {
+  const now = Date.now();
+  return {
+    id: createBookmarkTabId(),
+    type,
+    deletedAt: now,
+    updatedAt: now,
+    ...fields
+  };
+}
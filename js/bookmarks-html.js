@@ -0,0 +1,277 @@
+/**
+ * ============================================================================
+ * BOOKMARKS-HTML.JS
+ * ============================================================================
+ *
+ * Netscape bookmarks HTML export and import for the Tab Saver extension.
+ *
+ * This is the format every browser uses to export and import bookmarks:
+ *
+ *   <DL><p>
+ *     <DT><H3 ADD_DATE="1706889234">Folder</H3>
+ *     <DL><p>
+ *       <DT><A HREF="https://..." ADD_DATE="1706889234">Title</A>
+ *     </DL><p>
+ *   </DL><p>
+ *
+ * Export writes the group tree (following parentId) as nested folders,
+ * with ungrouped tabs at the top level. Import turns folders into nested
+ * groups and links into saved tabs (ADD_DATE, in seconds, becomes
+ * savedAt), using importGroupTree() from groups.js; links that are
+ * already saved are skipped.
+ *
+ * Exported files are not always valid HTML (unclosed <DT> and <p>), so
+ * they are read with a small tag scanner rather than the DOM.
+ *
+ * ============================================================================
+ */
+
+// -----------------------------------------------------------------------------
+// EXPORT
+// -----------------------------------------------------------------------------
+
+/**
+ * Downloads all groups and tabs as a bookmarks HTML file
+ */
+function exportBookmarksHtml() {
+  downloadFile(
+    `tab-saver-bookmarks-${formatFileDate()}.html`,
+    buildBookmarksHtml(),
+    'text/html'
+  );
+}
+
+/**
+ * Builds a Netscape bookmarks file from the groups and saved tabs
+ *
+ * @returns {string} - Bookmarks HTML
+ */
+function buildBookmarksHtml() {
+  const lines = [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<!-- This is an automatically generated file.',
+    '     It will be read and overwritten.',
+    '     DO NOT EDIT! -->',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    '<TITLE>Bookmarks</TITLE>',
+    '<H1>Bookmarks</H1>',
+    '<DL><p>'
+  ];
+
+  appendBookmarkItems(lines, null, 1);
+
+  lines.push('</DL><p>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Appends the folders and links inside a group
+ *
+ * @param {string[]} lines - Output lines
+ * @param {string|null} groupId - Group to write (null for the top level)
+ * @param {number} depth - Nesting depth, for indentation
+ */
+function appendBookmarkItems(lines, groupId, depth) {
+  const indent = '    '.repeat(depth);
+
+  groups
+    .filter(g => (g.parentId || null) === groupId)
+    .forEach(group => {
+      const added = getBookmarkDate(parseInt(group.id, 10));
+      const modified = getBookmarkDate(group.updatedAt);
+      lines.push(`${indent}<DT><H3${added ? ` ADD_DATE="${added}"` : ''}${modified ? ` LAST_MODIFIED="${modified}"` : ''}>${escapeBookmarkText(group.name)}</H3>`);
+      lines.push(`${indent}<DL><p>`);
+      appendBookmarkItems(lines, group.id, depth + 1);
+      lines.push(`${indent}</DL><p>`);
+    });
+
+  savedTabs
+    .filter(t => (t.groupId || null) === groupId)
+    .forEach(tab => {
+      const added = getBookmarkDate(Date.parse(tab.savedAt));
+      const icon = /^https?:/.test(tab.favicon || '') ? ` ICON_URI="${escapeBookmarkText(tab.favicon)}"` : '';
+      lines.push(`${indent}<DT><A HREF="${escapeBookmarkText(tab.url)}"${added ? ` ADD_DATE="${added}"` : ''}${icon}>${escapeBookmarkText(tab.title || tab.url)}</A>`);
+    });
+}
+
+/**
+ * Converts a time to a bookmark date (whole seconds)
+ *
+ * @param {number} ms - Time in milliseconds
+ * @returns {number|null} - Seconds, or null if the time is unknown
+ */
+function getBookmarkDate(ms) {
+  return Number.isFinite(ms) && ms > 0 ? Math.floor(ms / 1000) : null;
+}
+
+/**
+ * Escapes text for bookmark element content and attribute values
+ *
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+function escapeBookmarkText(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// -----------------------------------------------------------------------------
+// IMPORT
+// -----------------------------------------------------------------------------
+
+/**
+ * Imports the bookmarks file chosen in Settings
+ *
+ * @async
+ * @param {Event} e - Change event of the file input
+ * @returns {Promise<void>}
+ */
+async function handleBookmarksFile(e) {
+  const file = e.target.files[0];
+  // Clear the input so choosing the same file again fires another change
+  e.target.value = '';
+  if (!file) return;
+
+  let tree;
+  try {
+    tree = parseBookmarksHtml(await file.text());
+  } catch (error) {
+    alert(`Could not import ${file.name}: ${error.message}`);
+    return;
+  }
+
+  const counts = importGroupTree(tree);
+
+  const label = 'Import bookmarks';
+  recordHistory(label);
+  showUndoToast(label);
+  saveData();
+  renderAll();
+
+  const skipped = counts.skipped > 0 ? ` ${counts.skipped} tabs were already saved and skipped.` : '';
+  alert(`Imported ${counts.tabs} tabs in ${counts.groups} groups from ${file.name}.${skipped}`);
+}
+
+/**
+ * Parses a Netscape bookmarks file into a group tree
+ *
+ * Links that can't be opened as tabs (javascript:, Firefox place:
+ * queries) are skipped, as are embedded data: icons, which would use
+ * up sync storage.
+ *
+ * @param {string} html - Bookmarks file contents
+ * @returns {Object} - Group tree (see importGroupTree()); the root
+ *   holds the top-level links and folders
+ * @throws {Error} If the file contains no bookmarks
+ */
+function parseBookmarksHtml(html) {
+  const root = { name: '', tabs: [], children: [] };
+  const stack = [];
+  let pendingFolder = null;
+  let found = false;
+
+  const pattern = /<DT>\s*<H3\b([^>]*)>([\s\S]*?)<\/H3>|<DT>\s*<A\b([^>]*)>([\s\S]*?)<\/A>|<DL\b[^>]*>|<\/DL>/gi;
+
+  for (const match of html.matchAll(pattern)) {
+    const [tag, folderAttributes, folderName, linkAttributes, linkTitle] = match;
+    const current = stack[stack.length - 1] || root;
+
+    if (folderAttributes !== undefined) {
+      // Folder: its contents follow in the next <DL>
+      pendingFolder = {
+        name: getBookmarkText(folderName) || 'Untitled group',
+        tabs: [],
+        children: []
+      };
+      current.children.push(pendingFolder);
+      found = true;
+    } else if (linkAttributes !== undefined) {
+      const attributes = parseHtmlAttributes(linkAttributes);
+      const url = attributes.href || '';
+      if (!/^[a-z][a-z0-9+.-]*:/i.test(url) || /^(javascript|place|data):/i.test(url)) continue;
+
+      const icon = attributes.icon_uri || attributes.icon || '';
+      current.tabs.push({
+        url,
+        title: getBookmarkText(linkTitle) || url,
+        savedAt: parseBookmarkDate(attributes.add_date),
+        favicon: /^https?:/i.test(icon) ? icon : ''
+      });
+      found = true;
+    } else if (tag[1] === '/') {
+      stack.pop();
+    } else {
+      // The first list is the top level; later ones belong to a folder
+      stack.push(pendingFolder || current);
+      pendingFolder = null;
+    }
+  }
+
+  if (!found) {
+    throw new Error('No bookmarks were found in the file.');
+  }
+
+  return root;
+}
+
+/**
+ * Parses the attributes of an HTML start tag
+ *
+ * @param {string} text - Text between the tag name and '>'
+ * @returns {Object} - { [lowercase name]: decoded value }
+ */
+function parseHtmlAttributes(text) {
+  const attributes = {};
+  for (const [, name, quoted, unquoted] of text.matchAll(/([\w-]+)\s*=\s*(?:"([^"]*)"|([^\s"]+))/g)) {
+    attributes[name.toLowerCase()] = decodeHtmlEntities(quoted ?? unquoted);
+  }
+  return attributes;
+}
+
+/**
+ * Converts element content to plain text
+ *
+ * @param {string} html - Content between the start and end tag
+ * @returns {string}
+ */
+function getBookmarkText(html) {
+  return decodeHtmlEntities(html.replace(/<[^>]*>/g, '')).trim();
+}
+
+/**
+ * Converts a bookmark date (seconds) to an ISO timestamp
+ *
+ * @param {string} [value] - ADD_DATE attribute value
+ * @returns {string|undefined} - ISO timestamp, or undefined if missing
+ */
+function parseBookmarkDate(value) {
+  const seconds = parseInt(value, 10);
+  return seconds > 0 ? new Date(seconds * 1000).toISOString() : undefined;
+}
+
+/**
+ * Decodes HTML character references
+ *
+ * @param {string} text - Text with entities
+ * @returns {string}
+ *
+ * @example
+ * decodeHtmlEntities('Tom &amp; Jerry&#39;s') // "Tom & Jerry's"
+ */
+function decodeHtmlEntities(text) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] !== '#') {
+      return named[entity.toLowerCase()] ?? match;
+    }
+
+    const code = entity[1].toLowerCase() === 'x'
+      ? parseInt(entity.slice(2), 16)
+      : parseInt(entity.slice(1), 10);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+  });
+}
@@ -0,0 +1,134 @@
+/**
+ * ============================================================================
+ * CHROME-TAB-GROUPS.JS
+ * ============================================================================
+ *
+ * Moving groups between Tab Saver and Chrome's native tab groups.
+ *
+ * - "Open as Chrome tab group" opens a group's tabs (subgroups included)
+ *   in the current window as one Chrome tab group, titled after the group
+ *   and in its color (see getGroupColor() in groups.js)
+ * - The tab picker lists tabs under their Chrome tab group; "Save as
+ *   group" saves a Chrome tab group's tabs into the top-level Tab Saver
+ *   group of the same name, created with the tab group's color if needed
+ *
+ * ============================================================================
+ */
+
+// -----------------------------------------------------------------------------
+// OPEN AS CHROME TAB GROUP
+// -----------------------------------------------------------------------------
+
+/**
+ * Opens a group's tabs as a Chrome tab group in the current window
+ *
+ * Tabs are always opened anew, even if they are open elsewhere, so the
+ * tab group holds the whole group.
+ *
+ * @async
+ * @param {string} groupId - Group ID
+ * @returns {Promise<void>}
+ */
+async function openGroupAsTabGroup(groupId) {
+  const group = groups.find(g => g.id === groupId);
+  if (!group) return;
+
+  const tabs = getGroupTabsRecursive(groupId);
+  if (tabs.length === 0) {
+    alert('This group has no tabs to open.');
+    return;
+  }
+
+  try {
+    const win = await chrome.windows.getCurrent();
+    const created = [];
+    for (const tab of tabs) {
+      created.push(await chrome.tabs.create({ windowId: win.id, url: tab.url, active: false }));
+    }
+
+    const tabGroupId = await chrome.tabs.group({
+      tabIds: created.map(tab => tab.id),
+      createProperties: { windowId: win.id }
+    });
+    await chrome.tabGroups.update(tabGroupId, {
+      title: group.name,
+      color: getGroupColor(groupId) || 'grey'
+    });
+    await chrome.tabs.update(created[0].id, { active: true });
+  } catch (error) {
+    console.error('Failed to open group as a Chrome tab group:', error);
+    alert('Could not open the group as a Chrome tab group.');
+  }
+}
+
+// -----------------------------------------------------------------------------
+// SAVE CHROME TAB GROUP
+// -----------------------------------------------------------------------------
+
+/**
+ * Gets the Chrome tab groups of all windows
+ *
+ * @async
+ * @returns {Promise<Map<number, chrome.tabGroups.TabGroup>>} - Tab groups by ID
+ */
+async function getChromeTabGroups() {
+  const tabGroups = await chrome.tabGroups.query({});
+  return new Map(tabGroups.map(group => [group.id, group]));
+}
+
+/**
+ * Saves a Chrome tab group's tabs into a Tab Saver group
+ *
+ * Tabs that are already saved are left where they are.
+ *
+ * @async
+ * @param {number} tabGroupId - Chrome tab group ID
+ * @returns {Promise<void>}
+ */
+async function saveChromeTabGroup(tabGroupId) {
+  let tabGroup, tabs;
+  try {
+    tabGroup = await chrome.tabGroups.get(tabGroupId);
+    tabs = await chrome.tabs.query({ groupId: tabGroupId });
+  } catch (error) {
+    console.error('Failed to read Chrome tab group:', error);
+    alert('This tab group is no longer open.');
+    return;
+  }
+
+  const name = tabGroup.title.trim() || 'Tab group';
+  let group = groups.find(g => !g.parentId && g.name === name);
+  if (!group) {
+    group = {
+      id: generateStringId(),
+      name,
+      expanded: true,
+      parentId: null,
+      updatedAt: Date.now()
+    };
+    setGroupColor(group, tabGroup.color);
+    groups.push(group);
+  }
+
+  const newTabs = [];
+  [...tabs]
+    .sort((a, b) => a.index - b.index)
+    .forEach(tab => {
+      if (isTabSaved(tab.url) || newTabs.some(t => t.url === tab.url)) return;
+      newTabs.push({
+        id: generateId(),
+        title: tab.title,
+        url: tab.url,
+        favicon: tab.favIconUrl || '',
+        savedAt: new Date().toISOString(),
+        groupId: group.id,
+        updatedAt: Date.now()
+      });
+    });
+  savedTabs.unshift(...newTabs);
+
+  recordHistory('Save tab group');
+  saveData();
+  renderAll();
+  hideTabPicker();
+}
@@ -41,7 +41,103 @@ const STORAGE_KEYS = {
   DAILY_TABS: 'dailyTabs',
   PINNED_TABS: 'pinnedTabs',
   TIMED_TABS: 'timedTabs',
-  THEME: 'theme'
+  TOMBSTONES: 'tombstones',
+  TRASH: 'trash',
+  THEME: 'theme',
+  TRASH_RETENTION: 'trashRetentionDays',
+  SCHEMA_VERSION: 'schemaVersion',
+  MIGRATION_BACKUP: 'migrationBackup',
+  SNAPSHOTS: 'snapshots',
+  ENCRYPTION: 'encryption',
+  ENCRYPTION_KEY: 'encryptionKey',
+  BOOKMARK_BINDINGS: 'bookmarkBindings',
+  BOOKMARK_LINKS: 'bookmarkLinks',
+  SESSIONS: 'sessions',
+  AUTOSAVED_SESSIONS: 'autosavedSessions',
+  SESSION_RECOVERY: 'sessionRecovery',
+  AUTOSAVE_RUN: 'autosaveRun',
+  HIBERNATION: 'hibernation',
+  TAB_ACTIVITY: 'tabActivity',
+  WORKSPACES: 'workspaces',
+  ACTIVE_WORKSPACE: 'activeWorkspace',
+  DEVICE_ID: 'deviceId',
+  UNLOAD_SAVE: 'unloadSave'
+};
+
+/**
+ * Collections persisted through the sharded storage layer (sharded-storage.js)
+ *
+ * Order matters: when sync storage runs short on space, collections earlier
+ * in this list are placed in sync first, so the small, frequently used lists
+ * keep syncing while the large savedTabs list overflows to local storage.
+ */
+const SHARDED_COLLECTIONS = [
+  STORAGE_KEYS.GROUPS,
+  STORAGE_KEYS.TOMBSTONES,
+  STORAGE_KEYS.SAVED_TABS,
+  STORAGE_KEYS.TRASH
+];
+
+/**
+ * Collections written by older versions that are no longer used
+ *
+ * Pinned, daily and timed tabs used to be stored as copies of saved tabs
+ * in their own lists. Since schema v3 they are flags on the saved tab
+ * itself; these keys are only read by migrations and then removed.
+ */
+const RETIRED_COLLECTIONS = [
+  STORAGE_KEYS.PINNED_TABS,
+  STORAGE_KEYS.DAILY_TABS,
+  STORAGE_KEYS.TIMED_TABS
+];
+
+// -----------------------------------------------------------------------------
+// STORAGE LIMITS
+// -----------------------------------------------------------------------------
+
+/**
+ * Chrome storage quotas (see chrome.storage.sync documentation)
+ *
+ * SYNC_QUOTA_BYTES_PER_ITEM is the one that bites first: a single key
+ * (key name + JSON value) may not exceed ~8KB, which is why collections
+ * are split into shards. The reserved values leave headroom for small
+ * non-sharded keys such as the theme preference.
+ */
+const STORAGE_LIMITS = {
+  SYNC_QUOTA_BYTES: 102400,
+  SYNC_QUOTA_BYTES_PER_ITEM: 8192,
+  SYNC_MAX_ITEMS: 512,
+  SYNC_RESERVED_BYTES: 4096,
+  SYNC_RESERVED_ITEMS: 16,
+  SHARD_SAFETY_MARGIN: 64,
+  LOCAL_QUOTA_BYTES: 10485760
+};
+
+/**
+ * Usage ratios at which the storage dashboard (storage-usage.js) warns
+ */
+const STORAGE_USAGE_THRESHOLDS = {
+  WARNING: 0.75,
+  CRITICAL: 0.9
+};
+
+// -----------------------------------------------------------------------------
+// SAVE QUEUE TIMING
+// -----------------------------------------------------------------------------
+
+/**
+ * Timing for the write coalescing queue (save-queue.js)
+ *
+ * Chrome allows 120 sync writes per minute and 1800 per hour, so saves
+ * are debounced and batched. MAX_WAIT_MS bounds how long a burst of
+ * changes (e.g. dragging several tabs) can delay a write. Rate-limited
+ * writes are retried with exponential backoff between the RETRY values.
+ */
+const SAVE_QUEUE_TIMING = {
+  DEBOUNCE_MS: 500,
+  MAX_WAIT_MS: 3000,
+  RETRY_BASE_MS: 2000,
+  RETRY_MAX_MS: 60000
 };
 
 // -----------------------------------------------------------------------------
@@ -71,3 +167,266 @@ const TIME = {
   HOUR: 60 * 60 * 1000,
   DAY: 24 * 60 * 60 * 1000
 };
+
+/**
+ * How long deletion records (tombstones) are kept for sync merging
+ *
+ * A device that stays offline longer than this may bring deleted
+ * records back when it syncs again.
+ */
+const TOMBSTONE_TTL = 30 * TIME.DAY;
+
+// -----------------------------------------------------------------------------
+// UNDO HISTORY
+// -----------------------------------------------------------------------------
+
+/**
+ * Limits for the undo/redo history (history.js)
+ */
+const HISTORY_LIMITS = {
+  MAX_STEPS: 100,
+  TOAST_DURATION_MS: 6000
+};
+
+// -----------------------------------------------------------------------------
+// TRASH
+// -----------------------------------------------------------------------------
+
+/**
+ * Kinds of entries in the trash (trash.js)
+ */
+const TRASH_TYPES = {
+  TAB: 'tab',
+  GROUP: 'group'
+};
+
+/**
+ * How many days deleted items stay in the trash
+ * OPTIONS are the choices offered in Settings
+ */
+const TRASH_RETENTION_DAYS = {
+  DEFAULT: 30,
+  OPTIONS: [7, 30, 90, 365]
+};
+
+// -----------------------------------------------------------------------------
+// SNAPSHOTS
+// -----------------------------------------------------------------------------
+
+/**
+ * Why a snapshot was taken (snapshots.js)
+ */
+const SNAPSHOT_REASONS = {
+  PERIODIC: 'periodic',
+  DESTRUCTIVE: 'destructive',
+  MANUAL: 'manual',
+  RESTORE: 'restore',
+  IMPORT: 'import'
+};
+
+/**
+ * Schedule and rotation of local snapshots (snapshots.js)
+ *
+ * The background takes a snapshot every INTERVAL_MINUTES. The newest
+ * RECENT snapshots are always kept; older ones are thinned to the newest
+ * per day for DAILY days and the newest per week for WEEKLY weeks.
+ * Snapshots before destructive actions are skipped if the last snapshot
+ * is less than DESTRUCTIVE_MIN_GAP_MINUTES old.
+ */
+const SNAPSHOT_ROTATION = {
+  ALARM_NAME: 'snapshot-periodic',
+  INTERVAL_MINUTES: 60,
+  DESTRUCTIVE_MIN_GAP_MINUTES: 5,
+  RECENT: 10,
+  DAILY: 7,
+  WEEKLY: 4
+};
+
+// -----------------------------------------------------------------------------
+// BACKUP
+// -----------------------------------------------------------------------------
+
+/**
+ * JSON backup file format (backup.js)
+ *
+ * VERSION is the version of the file layout. The data inside carries the
+ * schema version it was exported with and is migrated on import.
+ */
+const BACKUP_FORMAT = {
+  NAME: 'tab-saver-backup',
+  VERSION: 1,
+  FILE_PREFIX: 'tab-saver-backup'
+};
+
+/**
+ * How an imported backup is combined with the current data
+ */
+const IMPORT_MODES = {
+  REPLACE: 'replace',
+  MERGE: 'merge',
+  NEW_GROUP: 'newGroup'
+};
+
+/**
+ * Formats for copying a group or tab as links (link-export.js)
+ */
+const LINK_FORMATS = {
+  MARKDOWN: 'markdown',
+  HTML: 'html',
+  CSV: 'csv',
+  URLS: 'urls'
+};
+
+// -----------------------------------------------------------------------------
+// SHARING
+// -----------------------------------------------------------------------------
+
+/**
+ * Shared group bundles (share.js)
+ *
+ * A bundle is shared as a code, PREFIX followed by compressed JSON.
+ * Older versions shared links to the side panel ending in
+ * LEGACY_HASH_PREFIX<payload>, which can still be imported. VERSION is the
+ * version of the bundle layout; MAX_DEPTH limits how deeply groups may be
+ * nested and MAX_BYTES the size of a decompressed bundle (well above the
+ * local storage quota a shared group has to fit into anyway).
+ */
+const SHARE_BUNDLE = {
+  VERSION: 1,
+  PREFIX: 'tabsaver:',
+  LEGACY_HASH_PREFIX: '#bundle=',
+  MAX_DEPTH: 20,
+  MAX_BYTES: 16 * 1024 * 1024
+};
+
+// -----------------------------------------------------------------------------
+// CHROME TAB GROUPS
+// -----------------------------------------------------------------------------
+
+/**
+ * Colors of Chrome tab groups (chrome.tabGroups.Color)
+ *
+ * Tab Saver groups can have one of these colors, so they map directly
+ * onto Chrome tab groups and back (chrome-tab-groups.js).
+ */
+const TAB_GROUP_COLORS = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+
+// -----------------------------------------------------------------------------
+// SESSION AUTOSAVE
+// -----------------------------------------------------------------------------
+
+/**
+ * Automatic session snapshots of the open windows (session-autosave.js)
+ *
+ * Windows are saved DELAY_MS after the last tab or window change, and
+ * the newest MAX_SESSIONS autosaved sessions are kept. CHECK_DELAY_MINUTES
+ * after the browser starts, the previous session is offered for recovery
+ * if at least MISSING_RATIO of its tabs were not reopened.
+ */
+const SESSION_AUTOSAVE = {
+  DELAY_MS: 2000,
+  MAX_SESSIONS: 10,
+  CHECK_ALARM_NAME: 'session-recovery-check',
+  CHECK_DELAY_MINUTES: 0.5,
+  MISSING_RATIO: 0.5
+};
+
+// -----------------------------------------------------------------------------
+// TAB HIBERNATION
+// -----------------------------------------------------------------------------
+
+/**
+ * Discarding idle tabs to free memory (hibernation.js)
+ *
+ * The background checks every CHECK_INTERVAL_MINUTES and discards tabs
+ * not used for the configured number of minutes (one of IDLE_OPTIONS,
+ * DEFAULT_IDLE_MINUTES until changed). Hibernation is off by default.
+ */
+const HIBERNATION = {
+  ALARM_NAME: 'tab-hibernation',
+  CHECK_INTERVAL_MINUTES: 1,
+  DEFAULT_IDLE_MINUTES: 60,
+  IDLE_OPTIONS: [15, 30, 60, 120, 240, 480]
+};
+
+// -----------------------------------------------------------------------------
+// GROUP SCHEDULES
+// -----------------------------------------------------------------------------
+
+/**
+ * Opening groups at set times (group-schedule.js)
+ *
+ * Each scheduled group has one alarm, named ALARM_PREFIX + group ID, for
+ * its next opening; its notification is NOTIFICATION_PREFIX + group ID.
+ * An opening missed by more than MISSED_GRACE_MINUTES (e.g. because the
+ * browser was closed) is skipped. WEEKDAYS are Monday to Friday, as
+ * Date.getDay() numbers.
+ */
+const GROUP_SCHEDULE = {
+  ALARM_PREFIX: 'group-schedule-',
+  NOTIFICATION_PREFIX: 'group-schedule-notification-',
+  MISSED_GRACE_MINUTES: 30,
+  WEEKDAYS: [1, 2, 3, 4, 5]
+};
+
+// -----------------------------------------------------------------------------
+// BOOKMARK SYNC
+// -----------------------------------------------------------------------------
+
+/**
+ * Two-way sync of groups with bookmarks folders (bookmark-sync.js)
+ *
+ * Bookmark events are collected for EVENT_DELAY_MS and applied in one
+ * write, so adding many bookmarks at once doesn't exhaust the sync
+ * storage write quota.
+ */
+const BOOKMARK_SYNC = {
+  EVENT_DELAY_MS: 500
+};
+
+// -----------------------------------------------------------------------------
+// ARCHIVE
+// -----------------------------------------------------------------------------
+
+/**
+ * IndexedDB database holding archived tabs and groups (archive.js)
+ */
+const ARCHIVE_DB = {
+  NAME: 'tabSaverArchive',
+  VERSION: 1,
+  TABS: 'tabs',
+  GROUPS: 'groups'
+};
+
+/**
+ * Archive limits
+ *
+ * OLD_AFTER_DAYS: groups and saved tabs unchanged for this long are
+ * offered for archiving in the storage dashboard.
+ * RENDER_LIMIT: maximum number of archived saved tabs listed at once
+ * (search narrows the list).
+ */
+const ARCHIVE_LIMITS = {
+  OLD_AFTER_DAYS: 90,
+  RENDER_LIMIT: 200
+};
+
+// -----------------------------------------------------------------------------
+// ENCRYPTION
+// -----------------------------------------------------------------------------
+
+/**
+ * Parameters for passphrase encryption of stored collections (crypto.js)
+ *
+ * The key is derived from the passphrase with PBKDF2-SHA-256 and used
+ * for AES-GCM. CHECK_TEXT is encrypted into the stored config so a
+ * passphrase can be verified without decrypting any data.
+ */
+const ENCRYPTION = {
+  PBKDF2_ITERATIONS: 600000,
+  KEY_BITS: 256,
+  SALT_BYTES: 16,
+  IV_BYTES: 12,
+  CHECK_TEXT: 'tab-saver-encryption-check',
+  MIN_PASSPHRASE_LENGTH: 8
+};
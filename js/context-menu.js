@@ -12,6 +12,7 @@
  * - Move to group
  * - Set / Remove reminder
  * - Set / Remove timer
+ * - Archive tab (not for pinned, daily, timed or reminder tabs)
  * - Delete tab
  *
  * The menu shows/hides options based on the current state of the clicked tab.
@@ -39,10 +40,10 @@ function showContextMenu(e, tab) {
   selectedTab = tab;
 
   // Determine current state of the tab
-  const isDaily = dailyTabs.some(t => t.id === tab.id);
-  const isPinned = pinnedTabs.some(t => t.id === tab.id);
+  const isDaily = !!tab.daily;
+  const isPinned = !!tab.pinned;
   const hasReminder = tab.reminder != null;
-  const hasTimer = timedTabs.some(t => t.id === tab.id);
+  const hasTimer = tab.timerEnd != null;
 
   // Get menu items
   const addToDailyItem = contextMenu.querySelector('[data-action="addToDaily"]');
@@ -53,6 +54,7 @@ function showContextMenu(e, tab) {
   const removeReminderItem = contextMenu.querySelector('[data-action="removeReminder"]');
   const setTimerItem = contextMenu.querySelector('[data-action="setTimer"]');
   const removeTimerItem = contextMenu.querySelector('[data-action="removeTimer"]');
+  const archiveItem = contextMenu.querySelector('[data-action="archive"]');
 
   // Show/hide based on state (toggle pairs)
   addToDailyItem.style.display = isDaily ? 'none' : 'block';
@@ -67,6 +69,9 @@ function showContextMenu(e, tab) {
   setTimerItem.style.display = hasTimer ? 'none' : 'block';
   removeTimerItem.style.display = hasTimer ? 'block' : 'none';
 
+  // Active tabs stay in sync
+  archiveItem.style.display = isActiveTab(tab) ? 'none' : 'block';
+
   // Position the menu at click location
   contextMenu.style.left = `${e.pageX}px`;
   contextMenu.style.top = `${e.pageY}px`;
@@ -165,6 +170,16 @@ function handleContextMenuAction(e) {
       removeTimer(selectedTab.id);
       break;
 
+    case 'copyLinks':
+      // Copy the tab as a link in a chosen format
+      showTabLinkExport(selectedTab);
+      break;
+
+    case 'archive':
+      // Move the tab to the local archive
+      archiveTab(selectedTab.id);
+      break;
+
     case 'delete':
       // Delete the tab
       deleteTab(selectedTab.id);
@@ -0,0 +1,388 @@
+/**
+ * ============================================================================
+ * CRYPTO.JS
+ * ============================================================================
+ *
+ * Optional passphrase encryption of stored collections for the Tab Saver
+ * extension.
+ *
+ * When enabled, every collection is encrypted with AES-GCM before the
+ * sharded storage layer writes it (see sharded-storage.js), so sync
+ * storage only ever holds ciphertext. The key is derived from the user's
+ * passphrase with PBKDF2 and never leaves the browser:
+ *
+ *   sync:    encryption    -> { salt, iterations, check }  (no secrets)
+ *   session: encryptionKey -> raw AES key (base64), cleared when the
+ *                             browser closes or the user locks
+ *
+ * Session storage is shared by the side panel and the background service
+ * worker, so unlocking in the panel also lets the background read timers
+ * and pinned tabs. While locked, reads of encrypted data and all writes
+ * fail with an ENCRYPTION_LOCKED error instead of returning empty data or
+ * writing plaintext.
+ *
+ * Encrypted shard payload: '<base64 iv>.<base64 ciphertext>'
+ *
+ * Shared by the side panel and the background service worker, so this
+ * file must not touch the DOM.
+ *
+ * ============================================================================
+ */
+
+// -----------------------------------------------------------------------------
+// ENCRYPTION STATE
+// -----------------------------------------------------------------------------
+
+/**
+ * Stored encryption config, or null when encryption is off
+ */
+let encryptionConfig = null;
+
+/**
+ * AES-GCM key while unlocked, otherwise null
+ */
+let encryptionKey = null;
+
+/**
+ * Checks whether stored collections are encrypted
+ *
+ * @returns {boolean}
+ */
+function isEncryptionEnabled() {
+  return encryptionConfig !== null;
+}
+
+/**
+ * Checks whether encryption is on but the key is not available
+ *
+ * @returns {boolean}
+ */
+function isEncryptionLocked() {
+  return encryptionConfig !== null && encryptionKey === null;
+}
+
+/**
+ * Creates the error thrown when encrypted data is used while locked
+ *
+ * @returns {Error}
+ */
+function createLockedError() {
+  return new Error('ENCRYPTION_LOCKED: Enter the passphrase to unlock your saved tabs');
+}
+
+/**
+ * Checks whether an error was caused by locked encryption
+ *
+ * @param {Error} error - Error thrown while reading or writing
+ * @returns {boolean}
+ */
+function isLockedError(error) {
+  return /ENCRYPTION_LOCKED/.test(error?.message || '');
+}
+
+// -----------------------------------------------------------------------------
+// LOAD STATE
+// -----------------------------------------------------------------------------
+
+/**
+ * Loads the encryption config and the cached session key
+ *
+ * Call before reading collections, and again whenever
+ * isEncryptionChange() reports a change. A cached key that does not
+ * match the config (the passphrase was changed elsewhere) is ignored.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadEncryptionState() {
+  const [syncResult, sessionResult] = await Promise.all([
+    chrome.storage.sync.get([STORAGE_KEYS.ENCRYPTION]),
+    chrome.storage.session.get([STORAGE_KEYS.ENCRYPTION_KEY])
+  ]);
+
+  const config = syncResult[STORAGE_KEYS.ENCRYPTION] || null;
+  const rawKey = sessionResult[STORAGE_KEYS.ENCRYPTION_KEY];
+
+  let key = null;
+  if (config && rawKey) {
+    const candidate = await importEncryptionKey(rawKey);
+    if (await verifyEncryptionKey(candidate, config)) {
+      key = candidate;
+    }
+  }
+
+  // Assigned together, so reads in between never see a half-loaded state
+  encryptionConfig = config;
+  encryptionKey = key;
+}
+
+/**
+ * Checks whether a storage change affects the encryption state
+ *
+ * @param {Object} changes - Changes object from chrome.storage.onChanged
+ * @param {string} areaName - Storage area that changed
+ * @returns {boolean}
+ */
+function isEncryptionChange(changes, areaName) {
+  return (areaName === 'sync' && STORAGE_KEYS.ENCRYPTION in changes) ||
+    (areaName === 'session' && STORAGE_KEYS.ENCRYPTION_KEY in changes);
+}
+
+// -----------------------------------------------------------------------------
+// UNLOCK / LOCK
+// -----------------------------------------------------------------------------
+
+/**
+ * Unlocks with a passphrase and caches the key for this browser session
+ *
+ * @async
+ * @param {string} passphrase - User's passphrase
+ * @returns {Promise<boolean>} - False if the passphrase is wrong
+ */
+async function unlockEncryption(passphrase) {
+  if (!encryptionConfig) return true;
+
+  const key = await deriveEncryptionKey(passphrase, encryptionConfig);
+  if (!await verifyEncryptionKey(key, encryptionConfig)) {
+    return false;
+  }
+
+  encryptionKey = key;
+  await cacheEncryptionKey(key);
+  return true;
+}
+
+/**
+ * Forgets the key in this context and in session storage
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function lockEncryption() {
+  encryptionKey = null;
+  await chrome.storage.session.remove([STORAGE_KEYS.ENCRYPTION_KEY]);
+}
+
+// -----------------------------------------------------------------------------
+// ENABLE / DISABLE
+// -----------------------------------------------------------------------------
+
+/**
+ * Turns encryption on with a new passphrase
+ *
+ * Stores the config and caches the key. The caller must then rewrite
+ * all collections so they are stored encrypted.
+ *
+ * @async
+ * @param {string} passphrase - New passphrase
+ * @returns {Promise<void>}
+ */
+async function enableEncryption(passphrase) {
+  const config = {
+    salt: bytesToBase64(crypto.getRandomValues(new Uint8Array(ENCRYPTION.SALT_BYTES))),
+    iterations: ENCRYPTION.PBKDF2_ITERATIONS
+  };
+
+  const key = await deriveEncryptionKey(passphrase, config);
+  config.check = await encryptWithKey(key, ENCRYPTION.CHECK_TEXT);
+
+  encryptionConfig = config;
+  encryptionKey = key;
+
+  await cacheEncryptionKey(key);
+  await chrome.storage.sync.set({ [STORAGE_KEYS.ENCRYPTION]: config });
+}
+
+/**
+ * Turns encryption off in this context
+ *
+ * The caller must rewrite all collections (now in plaintext) and then
+ * call removeEncryptionConfig().
+ */
+function disableEncryption() {
+  encryptionConfig = null;
+  encryptionKey = null;
+}
+
+/**
+ * Removes the stored config and the cached key
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function removeEncryptionConfig() {
+  await Promise.all([
+    chrome.storage.sync.remove([STORAGE_KEYS.ENCRYPTION]),
+    chrome.storage.session.remove([STORAGE_KEYS.ENCRYPTION_KEY])
+  ]);
+}
+
+// -----------------------------------------------------------------------------
+// ENCRYPT / DECRYPT
+// -----------------------------------------------------------------------------
+
+/**
+ * Encrypts a serialized collection with the current key
+ *
+ * @async
+ * @param {string} text - Plaintext
+ * @returns {Promise<string>} - '<iv>.<ciphertext>' in base64
+ * @throws {Error} ENCRYPTION_LOCKED if the key is not available
+ */
+async function encryptText(text) {
+  if (!encryptionKey) throw createLockedError();
+  return encryptWithKey(encryptionKey, text);
+}
+
+/**
+ * Decrypts a payload written by encryptText()
+ *
+ * @async
+ * @param {string} payload - '<iv>.<ciphertext>' in base64
+ * @returns {Promise<string>} - Plaintext
+ * @throws {Error} ENCRYPTION_LOCKED if the key is not available or does not fit
+ */
+async function decryptText(payload) {
+  if (!encryptionKey) throw createLockedError();
+
+  try {
+    return await decryptWithKey(encryptionKey, payload);
+  } catch (error) {
+    // Encrypted with another key (the passphrase was changed elsewhere)
+    throw createLockedError();
+  }
+}
+
+/**
+ * Encrypts text with a key
+ *
+ * @async
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {string} text - Plaintext
+ * @returns {Promise<string>} - '<iv>.<ciphertext>' in base64
+ */
+async function encryptWithKey(key, text) {
+  const iv = crypto.getRandomValues(new Uint8Array(ENCRYPTION.IV_BYTES));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(text)
+  );
+  return `${bytesToBase64(iv)}.${bytesToBase64(new Uint8Array(ciphertext))}`;
+}
+
+/**
+ * Decrypts text with a key
+ *
+ * @async
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {string} payload - '<iv>.<ciphertext>' in base64
+ * @returns {Promise<string>} - Plaintext
+ * @throws {Error} If the key is wrong or the payload was tampered with
+ */
+async function decryptWithKey(key, payload) {
+  const [iv, ciphertext] = payload.split('.');
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: base64ToBytes(iv) },
+    key,
+    base64ToBytes(ciphertext)
+  );
+  return new TextDecoder().decode(plaintext);
+}
+
+// -----------------------------------------------------------------------------
+// KEYS
+// -----------------------------------------------------------------------------
+
+/**
+ * Derives the AES-GCM key from a passphrase
+ *
+ * @async
+ * @param {string} passphrase - User's passphrase
+ * @param {Object} config - { salt, iterations }
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveEncryptionKey(passphrase, config) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: base64ToBytes(config.salt), iterations: config.iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: ENCRYPTION.KEY_BITS },
+    true, // Extractable, so it can be cached in session storage
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Checks a key against the config's encrypted check text
+ *
+ * @async
+ * @param {CryptoKey} key - Candidate key
+ * @param {Object} config - Encryption config
+ * @returns {Promise<boolean>}
+ */
+async function verifyEncryptionKey(key, config) {
+  try {
+    return await decryptWithKey(key, config.check) === ENCRYPTION.CHECK_TEXT;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Stores the raw key in session storage for the other contexts
+ *
+ * @async
+ * @param {CryptoKey} key - AES-GCM key
+ * @returns {Promise<void>}
+ */
+async function cacheEncryptionKey(key) {
+  const raw = new Uint8Array(await crypto.subtle.exportKey('raw', key));
+  await chrome.storage.session.set({ [STORAGE_KEYS.ENCRYPTION_KEY]: bytesToBase64(raw) });
+}
+
+/**
+ * Imports a raw key cached by cacheEncryptionKey()
+ *
+ * @async
+ * @param {string} rawKey - Base64 raw key
+ * @returns {Promise<CryptoKey>}
+ */
+async function importEncryptionKey(rawKey) {
+  return crypto.subtle.importKey('raw', base64ToBytes(rawKey), 'AES-GCM', true, ['encrypt', 'decrypt']);
+}
+
+// -----------------------------------------------------------------------------
+// BASE64
+// -----------------------------------------------------------------------------
+
+/**
+ * Encodes bytes as base64
+ *
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string}
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decodes base64 into bytes
+ *
+ * @param {string} base64 - Base64 text
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
@@ -0,0 +1,330 @@
+/**
+ * ============================================================================
+ * ENCRYPTION.JS
+ * ============================================================================
+ *
+ * Passphrase unlock and encryption settings for the Tab Saver side panel.
+ *
+ * The encryption itself lives in crypto.js. This file:
+ * - Asks for the passphrase when the panel opens on locked data, and
+ *   again whenever the data gets locked while the panel is open
+ * - Turns encryption on and off from Settings, rewriting every
+ *   collection so storage matches the new setting
+ * - Locks on request ("Lock now")
+ *
+ * While locked, the unlock modal covers the whole panel and saves are
+ * held back (writes fail with ENCRYPTION_LOCKED and are retried after
+ * unlocking).
+ *
+ * ============================================================================
+ */
+
+// -----------------------------------------------------------------------------
+// ENCRYPTION UI STATE
+// -----------------------------------------------------------------------------
+
+/**
+ * Callbacks waiting for the first unlock (panel startup)
+ */
+let unlockWaiters = [];
+
+// -----------------------------------------------------------------------------
+// UNLOCK
+// -----------------------------------------------------------------------------
+
+/**
+ * Loads the encryption state and waits for the passphrase if locked
+ *
+ * Called on startup before the data is loaded.
+ *
+ * @async
+ * @returns {Promise<void>} - Resolves once the data can be read
+ */
+async function ensureUnlocked() {
+  try {
+    await loadEncryptionState();
+  } catch (error) {
+    console.error('Failed to load encryption state:', error);
+    return;
+  }
+
+  if (!isEncryptionLocked()) return;
+
+  showUnlockModal();
+  return new Promise(resolve => unlockWaiters.push(resolve));
+}
+
+/**
+ * Shows the unlock modal
+ */
+function showUnlockModal() {
+  const modal = document.getElementById('unlockModal');
+  if (!modal.classList.contains('hidden')) return;
+
+  hideSettingsModal();
+  document.getElementById('unlockPassphraseInput').value = '';
+  document.getElementById('unlockError').classList.add('hidden');
+  modal.classList.remove('hidden');
+  document.getElementById('unlockPassphraseInput').focus();
+}
+
+/**
+ * Hides the unlock modal
+ */
+function hideUnlockModal() {
+  document.getElementById('unlockModal').classList.add('hidden');
+  document.getElementById('unlockPassphraseInput').value = '';
+}
+
+/**
+ * Unlocks with the passphrase entered in the unlock modal
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function submitUnlock() {
+  const input = document.getElementById('unlockPassphraseInput');
+  const button = document.getElementById('unlockBtn');
+  const errorText = document.getElementById('unlockError');
+
+  if (!input.value) return;
+
+  // Key derivation is deliberately slow
+  button.disabled = true;
+  button.textContent = 'Unlocking...';
+
+  let unlocked = false;
+  try {
+    unlocked = await unlockEncryption(input.value);
+  } catch (error) {
+    console.error('Failed to unlock:', error);
+  } finally {
+    button.disabled = false;
+    button.textContent = 'Unlock';
+  }
+
+  if (!unlocked) {
+    errorText.classList.remove('hidden');
+    input.select();
+    return;
+  }
+
+  await finishUnlock();
+}
+
+/**
+ * Continues after the data was unlocked (here or in another window)
+ *
+ * On startup, lets init() go on loading the data. Later on, picks up
+ * what changed elsewhere while locked and writes the held-back saves.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function finishUnlock() {
+  hideUnlockModal();
+
+  if (unlockWaiters.length > 0) {
+    const waiters = unlockWaiters;
+    unlockWaiters = [];
+    waiters.forEach(resolve => resolve());
+    return;
+  }
+
+  try {
+    await mergeStoredChanges();
+  } catch (error) {
+    console.error('Failed to read data after unlocking:', error);
+  }
+  saveData();
+  renderAll();
+}
+
+/**
+ * Locks the data now, from Settings
+ *
+ * Pending saves are written first, since nothing can be written while
+ * locked.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function lockNow() {
+  await flushSaves();
+  await lockEncryption();
+  showUnlockModal();
+}
+
+/**
+ * Follows an encryption change made in another window or on another device
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function handleEncryptionChange() {
+  const wasLocked = isEncryptionLocked();
+
+  try {
+    await loadEncryptionState();
+  } catch (error) {
+    console.error('Failed to load encryption state:', error);
+    return;
+  }
+
+  renderEncryptionSettings();
+
+  if (isEncryptionLocked()) {
+    showUnlockModal();
+  } else if (wasLocked) {
+    await finishUnlock();
+  }
+}
+
+// -----------------------------------------------------------------------------
+// SETTINGS
+// -----------------------------------------------------------------------------
+
+/**
+ * Renders the encryption status and buttons in Settings
+ */
+function renderEncryptionSettings() {
+  const enabled = isEncryptionEnabled();
+
+  document.getElementById('encryptionStatus').textContent = enabled
+    ? 'On. Synced tabs and groups are encrypted with your passphrase.'
+    : 'Off. Synced tabs and groups are stored as plain text.';
+
+  document.getElementById('enableEncryption').classList.toggle('hidden', enabled);
+  document.getElementById('lockEncryption').classList.toggle('hidden', !enabled);
+  document.getElementById('disableEncryption').classList.toggle('hidden', !enabled);
+}
+
+/**
+ * Shows the modal for choosing a passphrase
+ */
+function showEncryptionModal() {
+  document.getElementById('encryptionPassphraseInput').value = '';
+  document.getElementById('encryptionConfirmInput').value = '';
+  document.getElementById('encryptionError').classList.add('hidden');
+  document.getElementById('encryptionModal').classList.remove('hidden');
+  document.getElementById('encryptionPassphraseInput').focus();
+}
+
+/**
+ * Hides the passphrase modal
+ */
+function hideEncryptionModal() {
+  document.getElementById('encryptionModal').classList.add('hidden');
+  document.getElementById('encryptionPassphraseInput').value = '';
+  document.getElementById('encryptionConfirmInput').value = '';
+}
+
+/**
+ * Shows a problem with the chosen passphrase
+ *
+ * @param {string} message - Text to show
+ */
+function showEncryptionError(message) {
+  const errorText = document.getElementById('encryptionError');
+  errorText.textContent = message;
+  errorText.classList.remove('hidden');
+}
+
+/**
+ * Turns encryption on with the passphrase entered in the modal
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function submitEncryptionSetup() {
+  const passphrase = document.getElementById('encryptionPassphraseInput').value;
+  const confirmation = document.getElementById('encryptionConfirmInput').value;
+
+  if (passphrase.length < ENCRYPTION.MIN_PASSPHRASE_LENGTH) {
+    showEncryptionError(`Use at least ${ENCRYPTION.MIN_PASSPHRASE_LENGTH} characters.`);
+    return;
+  }
+  if (passphrase !== confirmation) {
+    showEncryptionError('The passphrases do not match.');
+    return;
+  }
+
+  const button = document.getElementById('saveEncryption');
+  button.disabled = true;
+
+  try {
+    await flushSaves();
+    await enableEncryption(passphrase);
+    await rewriteAllCollections();
+    hideEncryptionModal();
+  } catch (error) {
+    console.error('Failed to turn on encryption:', error);
+    showEncryptionError('Could not encrypt your data. Please try again.');
+  } finally {
+    button.disabled = false;
+    renderEncryptionSettings();
+    renderStorageUsage();
+  }
+}
+
+/**
+ * Turns encryption off, storing everything as plain text again
+ *
+ * Refused while a collection is held in another device's local storage:
+ * it can't be rewritten from here, and once the passphrase is gone that
+ * device could never decrypt it again.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function turnOffEncryption() {
+  let held;
+  try {
+    held = await getCollectionsHeldElsewhere(SHARDED_COLLECTIONS);
+  } catch (error) {
+    console.error('Failed to check where collections are stored:', error);
+    alert('Could not turn off encryption. Please try again.');
+    return;
+  }
+  if (held.length > 0) {
+    alert('Some of your data is only stored on another device, which could no longer read it. ' +
+      'Turn off encryption on that device instead.');
+    return;
+  }
+
+  if (!confirm('Turn off encryption? Your tabs and groups will be synced as plain text.')) return;
+
+  try {
+    await flushSaves();
+    disableEncryption();
+    await rewriteAllCollections();
+    await removeEncryptionConfig();
+  } catch (error) {
+    console.error('Failed to turn off encryption:', error);
+    alert('Could not turn off encryption. Please try again.');
+    // Whatever was not rewritten is still encrypted
+    await loadEncryptionState();
+  }
+
+  renderEncryptionSettings();
+  renderStorageUsage();
+}
+
+/**
+ * Writes every collection again, so storage matches the encryption setting
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function rewriteAllCollections() {
+  const collections = getCollectionsState();
+
+  // Collections held on another device are left to it: it encrypts them
+  // the next time it saves them (turning encryption off is refused while
+  // any exist, see turnOffEncryption())
+  const held = await getCollectionsHeldElsewhere(Object.keys(collections));
+  held.forEach(key => delete collections[key]);
+
+  await writeCollections(collections);
+  rememberPersistedCollections(collections);
+}
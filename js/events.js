@@ -10,6 +10,7 @@
  * - UI Controls: Buttons, modals, search
  * - Chrome Events: Tab changes, storage changes
  * - Theme: Radio buttons, system preference changes
+ * - History: Undo/redo keyboard shortcuts
  *
  * ============================================================================
  */
@@ -37,6 +38,12 @@ function setupEventListeners() {
   // Group modal
   setupGroupModalListeners();
 
+  // Workspace switcher and modal
+  setupWorkspaceListeners();
+
+  // Group schedule modal
+  setupScheduleModalListeners();
+
   // Reminder modal
   setupReminderModalListeners();
 
@@ -51,6 +58,9 @@ function setupEventListeners() {
 
   // Due Soon category toggles
   setupCategoryToggleListeners();
+
+  // Undo/redo shortcuts and toast
+  setupHistoryListeners();
 }
 
 // -----------------------------------------------------------------------------
@@ -89,6 +99,9 @@ function setupButtonListeners() {
   pickFromWindowBtn.addEventListener('click', () => showTabPicker(false));
   pickFromAllWindowsBtn.addEventListener('click', () => showTabPicker(true));
 
+  // Save and close every tab in the window
+  document.getElementById('stashWindow').addEventListener('click', stashCurrentWindow);
+
   // Pinned tabs - open all
   openPinnedTabsBtn.addEventListener('click', openAllPinnedTabs);
 
@@ -98,6 +111,28 @@ function setupButtonListeners() {
   // Create group button
   createGroupBtn.addEventListener('click', () => showGroupModal());
 
+  // Archive toggle
+  document.getElementById('toggleArchive').addEventListener('click', toggleShowArchived);
+
+  // Save windows as sessions
+  document.getElementById('saveWindowSession').addEventListener('click', () => saveWindowSession(false));
+  document.getElementById('saveAllWindowsSession').addEventListener('click', () => saveWindowSession(true));
+  document.getElementById('toggleAutosavedSessions').addEventListener('click', toggleShowAutosavedSessions);
+
+  // Failed upgrade banner
+  document.getElementById('restoreMigrationBackup').addEventListener('click', handleRestoreMigrationBackup);
+
+  // Session recovery banner
+  document.getElementById('recoverSession').addEventListener('click', recoverPreviousSession);
+  document.getElementById('dismissSessionRecovery').addEventListener('click', dismissSessionRecovery);
+
+  // Empty trash button
+  document.getElementById('emptyTrash').addEventListener('click', () => {
+    if (confirm('Delete everything in the trash? You can undo this until you close the panel.')) {
+      emptyTrash();
+    }
+  });
+
   // Test buttons (for debugging notifications)
   document.getElementById('testNotification').addEventListener('click', testNotification);
   document.getElementById('testAlarm').addEventListener('click', testAlarm);
@@ -116,7 +151,8 @@ function setupPickerListeners() {
   deselectAllTabsBtn.addEventListener('click', deselectAllPickerTabs);
 
   // Save and cancel
-  saveSelectedTabsBtn.addEventListener('click', saveSelectedTabs);
+  saveSelectedTabsBtn.addEventListener('click', () => saveSelectedTabs(false));
+  document.getElementById('saveAndCloseTabs').addEventListener('click', () => saveSelectedTabs(true));
   cancelPickerBtn.addEventListener('click', hideTabPicker);
 
   // Close on backdrop click
@@ -146,6 +182,53 @@ function setupGroupModalListeners() {
   });
 }
 
+// -----------------------------------------------------------------------------
+// WORKSPACES
+// -----------------------------------------------------------------------------
+
+/**
+ * Sets up listeners for the workspace switcher and the new workspace modal
+ */
+function setupWorkspaceListeners() {
+  document.getElementById('workspaceSelect').addEventListener('change', (e) => {
+    switchWorkspace(e.target.value || null);
+  });
+  document.getElementById('newWorkspace').addEventListener('click', showWorkspaceModal);
+  document.getElementById('removeWorkspace').addEventListener('click', removeActiveWorkspace);
+
+  const workspaceModal = document.getElementById('workspaceModal');
+  document.getElementById('createWorkspace').addEventListener('click', handleCreateWorkspace);
+  document.getElementById('cancelWorkspace').addEventListener('click', hideWorkspaceModal);
+  document.getElementById('workspaceNameInput').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') handleCreateWorkspace();
+  });
+  workspaceModal.addEventListener('click', (e) => {
+    if (e.target === workspaceModal) hideWorkspaceModal();
+  });
+}
+
+// -----------------------------------------------------------------------------
+// SCHEDULE MODAL
+// -----------------------------------------------------------------------------
+
+/**
+ * Sets up listeners for the group schedule modal
+ */
+function setupScheduleModalListeners() {
+  const scheduleModal = document.getElementById('scheduleModal');
+
+  document.getElementById('saveSchedule').addEventListener('click', handleSaveSchedule);
+  document.getElementById('cancelSchedule').addEventListener('click', hideScheduleModal);
+  document.getElementById('removeSchedule').addEventListener('click', removeGroupSchedule);
+  document.getElementById('skipNextOpening').addEventListener('click', toggleSkipNextOpening);
+  document.getElementById('scheduleRepeatSelect').addEventListener('change', updateScheduleModal);
+
+  // Close on backdrop click
+  scheduleModal.addEventListener('click', (e) => {
+    if (e.target === scheduleModal) hideScheduleModal();
+  });
+}
+
 // -----------------------------------------------------------------------------
 // REMINDER MODAL
 // -----------------------------------------------------------------------------
@@ -231,6 +314,127 @@ function setupSettingsListeners() {
 
   // Load saved theme setting to check the correct radio button
   loadThemeSetting();
+
+  // Trash retention period
+  document.getElementById('trashRetentionSelect').addEventListener('change', (e) => {
+    setTrashRetentionDays(parseInt(e.target.value, 10));
+  });
+
+  // Tab hibernation
+  ['hibernationEnabled', 'hibernationIdleSelect', 'hibernationAllowlist'].forEach(id => {
+    document.getElementById(id).addEventListener('change', saveHibernationSettingsFromForm);
+  });
+
+  // Snapshots
+  document.getElementById('takeSnapshot').addEventListener('click', takeManualSnapshot);
+  document.getElementById('closeSnapshot').addEventListener('click', hideSnapshotModal);
+  document.getElementById('restoreSnapshot').addEventListener('click', restoreOpenSnapshot);
+  document.getElementById('snapshotModal').addEventListener('click', (e) => {
+    if (e.target.id === 'snapshotModal') hideSnapshotModal();
+  });
+
+  // Backup export and import
+  document.getElementById('exportBackup').addEventListener('click', exportBackup);
+  document.getElementById('importBackup').addEventListener('click', () => {
+    document.getElementById('importFileInput').click();
+  });
+  document.getElementById('importFileInput').addEventListener('change', handleImportFile);
+  document.getElementById('cancelImport').addEventListener('click', hideImportModal);
+  document.getElementById('confirmImport').addEventListener('click', confirmImport);
+
+  // Bookmarks HTML export and import
+  document.getElementById('exportBookmarks').addEventListener('click', exportBookmarksHtml);
+  document.getElementById('importBookmarks').addEventListener('click', () => {
+    document.getElementById('importBookmarksInput').click();
+  });
+  document.getElementById('importBookmarksInput').addEventListener('change', handleBookmarksFile);
+
+  // Import from other tab managers (Session Buddy, Toby, Workona)
+  document.getElementById('importApps').addEventListener('click', () => {
+    document.getElementById('importAppsInput').click();
+  });
+  document.getElementById('importAppsInput').addEventListener('change', handleAppImportFile);
+  document.getElementById('appImportSkipDuplicates').addEventListener('change', updateAppImportPreview);
+  document.getElementById('cancelAppImport').addEventListener('click', hideAppImportModal);
+  document.getElementById('confirmAppImport').addEventListener('click', confirmAppImport);
+
+  // OneTab import and export
+  document.getElementById('showOneTab').addEventListener('click', showOneTabModal);
+  document.getElementById('closeOneTab').addEventListener('click', hideOneTabModal);
+  document.getElementById('oneTabImportText').addEventListener('input', updateOneTabPreview);
+  document.getElementById('importOneTab').addEventListener('click', importOneTabText);
+  document.getElementById('copyOneTab').addEventListener('click', copyOneTabExport);
+  document.getElementById('downloadOneTab').addEventListener('click', downloadOneTabExport);
+
+  // Link export (copy a group or tab as links)
+  document.querySelectorAll('input[name="linkFormat"]').forEach(radio => {
+    radio.addEventListener('change', updateLinkExportPreview);
+  });
+  document.getElementById('closeLinkExport').addEventListener('click', hideLinkExportModal);
+  document.getElementById('downloadLinkExport').addEventListener('click', downloadLinkExport);
+  document.getElementById('copyLinkExport').addEventListener('click', copyLinkExport);
+  document.getElementById('linkExportModal').addEventListener('click', (e) => {
+    if (e.target.id === 'linkExportModal') hideLinkExportModal();
+  });
+
+  // Sharing groups as links and QR codes
+  document.getElementById('closeShare').addEventListener('click', hideShareModal);
+  document.getElementById('copyShareCode').addEventListener('click', copyShareCode);
+  document.getElementById('shareModal').addEventListener('click', (e) => {
+    if (e.target.id === 'shareModal') hideShareModal();
+  });
+  document.getElementById('showShareImport').addEventListener('click', () => showShareImportModal());
+  document.getElementById('shareImportText').addEventListener('input', updateShareImportPreview);
+  document.getElementById('cancelShareImport').addEventListener('click', hideShareImportModal);
+  document.getElementById('confirmShareImport').addEventListener('click', confirmShareImport);
+
+  // Bookmark sync (bind a group to a bookmarks folder)
+  document.getElementById('cancelBookmarkSync').addEventListener('click', hideBookmarkSyncModal);
+  document.getElementById('bindBookmarkSync').addEventListener('click', submitBookmarkBinding);
+  document.getElementById('unbindBookmarkSync').addEventListener('click', stopBookmarkSync);
+  document.getElementById('bookmarkSyncModal').addEventListener('click', (e) => {
+    if (e.target.id === 'bookmarkSyncModal') hideBookmarkSyncModal();
+  });
+
+  // Encryption
+  document.getElementById('enableEncryption').addEventListener('click', showEncryptionModal);
+  document.getElementById('lockEncryption').addEventListener('click', lockNow);
+  document.getElementById('disableEncryption').addEventListener('click', turnOffEncryption);
+  document.getElementById('cancelEncryption').addEventListener('click', hideEncryptionModal);
+  document.getElementById('saveEncryption').addEventListener('click', submitEncryptionSetup);
+  document.getElementById('encryptionConfirmInput').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') submitEncryptionSetup();
+  });
+}
+
+// -----------------------------------------------------------------------------
+// UNLOCK MODAL
+// -----------------------------------------------------------------------------
+
+/**
+ * Sets up the unlock modal
+ *
+ * Called by init() before the other listeners, since the passphrase may
+ * be needed before the data loads. The modal has no Cancel and ignores
+ * backdrop clicks: nothing works until the data is unlocked.
+ */
+function setupUnlockListeners() {
+  document.getElementById('unlockBtn').addEventListener('click', submitUnlock);
+  document.getElementById('unlockPassphraseInput').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') submitUnlock();
+  });
+}
+
+// -----------------------------------------------------------------------------
+// UNDO / REDO
+// -----------------------------------------------------------------------------
+
+/**
+ * Sets up Ctrl+Z / Ctrl+Shift+Z and the Undo toast button
+ */
+function setupHistoryListeners() {
+  document.addEventListener('keydown', handleHistoryShortcut);
+  document.getElementById('undoToastBtn').addEventListener('click', undo);
 }
 
 // -----------------------------------------------------------------------------
@@ -254,13 +458,20 @@ function setupTabChangeListeners() {
     renderCurrentTabs();
   });
 
-  // When a tab is updated (URL change, title change, favicon change)
+  // When a tab is updated (URL change, title change, favicon change,
+  // hibernated or woken)
   chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
-    if (changeInfo.url || changeInfo.title || changeInfo.favIconUrl) {
+    if (changeInfo.url || changeInfo.title || changeInfo.favIconUrl ||
+        changeInfo.discarded !== undefined) {
       renderCurrentTabs();
     }
   });
 
+  // When a tab is replaced by Chrome (e.g. after discarding)
+  chrome.tabs.onReplaced.addListener(() => {
+    renderCurrentTabs();
+  });
+
   // When a tab is moved within a window
   chrome.tabs.onMoved.addListener(() => {
     renderCurrentTabs();
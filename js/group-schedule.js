@@ -0,0 +1,143 @@
+/**
+ * ============================================================================
+ * GROUP-SCHEDULE.JS
+ * ============================================================================
+ *
+ * Schedules for opening groups at set times, e.g. the "Standup" group at
+ * 9:55 on weekdays. Shared by the side panel (schedules.js), which edits
+ * them, and the background (schedule-alarms.js), which opens the groups.
+ *
+ * A schedule is stored on its group (group.schedule), so it syncs with
+ * the group:
+ *
+ *   { time: '09:55', days: [1, 2, 3, 4, 5] }   // Repeating (Date.getDay())
+ *   { time: '09:55', date: '2024-03-01' }      // Once, on a date
+ *
+ * plus skip: the time (ms) of an opening to skip, set by "Skip next".
+ * Times are local to the device.
+ *
+ * ============================================================================
+ */
+
+// -----------------------------------------------------------------------------
+// SCHEDULE RULES
+// -----------------------------------------------------------------------------
+
+/**
+ * Validates a schedule, dropping unknown fields
+ *
+ * @param {Object} [schedule] - Stored or edited schedule
+ * @returns {Object|null} - Valid schedule, or null
+ */
+function normalizeGroupSchedule(schedule) {
+  if (!schedule || typeof schedule !== 'object') return null;
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(schedule.time)) return null;
+
+  const normalized = { time: schedule.time };
+
+  if (typeof schedule.date === 'string') {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(schedule.date)) return null;
+    normalized.date = schedule.date;
+  } else {
+    const days = Array.isArray(schedule.days)
+      ? [...new Set(schedule.days)].filter(day => Number.isInteger(day) && day >= 0 && day <= 6).sort((a, b) => a - b)
+      : [];
+    if (days.length === 0) return null;
+    normalized.days = days;
+  }
+
+  if (Number.isFinite(schedule.skip)) normalized.skip = schedule.skip;
+  return normalized;
+}
+
+/**
+ * Gets the first time a schedule occurs after a given time
+ *
+ * Skipped openings are included (see getNextGroupOpening()).
+ *
+ * @param {Object} schedule - Valid schedule
+ * @param {number} [after=Date.now()] - Time (ms)
+ * @returns {number|null} - Time (ms), or null if it never occurs again
+ */
+function getNextScheduleTime(schedule, after = Date.now()) {
+  const [hours, minutes] = schedule.time.split(':').map(Number);
+
+  if (schedule.date) {
+    const [year, month, day] = schedule.date.split('-').map(Number);
+    const time = new Date(year, month - 1, day, hours, minutes).getTime();
+    return time > after ? time : null;
+  }
+
+  const start = new Date(after);
+  for (let offset = 0; offset <= 7; offset++) {
+    const candidate = new Date(start.getFullYear(), start.getMonth(), start.getDate() + offset, hours, minutes);
+    if (candidate.getTime() > after && schedule.days.includes(candidate.getDay())) {
+      return candidate.getTime();
+    }
+  }
+  return null;
+}
+
+/**
+ * Gets the next time a group opens, passing over a skipped opening
+ *
+ * @param {Object} schedule - Valid schedule
+ * @param {number} [after=Date.now()] - Time (ms)
+ * @returns {number|null} - Time (ms), or null if it never opens again
+ */
+function getNextGroupOpening(schedule, after = Date.now()) {
+  const next = getNextScheduleTime(schedule, after);
+  if (next !== null && next === schedule.skip) return getNextScheduleTime(schedule, next);
+  return next;
+}
+
+// -----------------------------------------------------------------------------
+// FORMATTING
+// -----------------------------------------------------------------------------
+
+/**
+ * Short day names, by Date.getDay()
+ */
+const SCHEDULE_DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Describes a schedule, e.g. "Weekdays at 09:55" or "Mar 1, 2024 at 09:55"
+ *
+ * @param {Object} schedule - Valid schedule
+ * @returns {string}
+ */
+function formatGroupSchedule(schedule) {
+  if (schedule.date) {
+    const [year, month, day] = schedule.date.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    return `${date.toLocaleDateString([], { month: 'short', day: 'numeric', year: 'numeric' })} at ${schedule.time}`;
+  }
+
+  const days = schedule.days.join(',');
+  let when;
+  if (days === '0,1,2,3,4,5,6') {
+    when = 'Every day';
+  } else if (days === GROUP_SCHEDULE.WEEKDAYS.join(',')) {
+    when = 'Weekdays';
+  } else if (days === '0,6') {
+    when = 'Weekends';
+  } else {
+    // Monday first
+    when = [1, 2, 3, 4, 5, 6, 0].filter(day => schedule.days.includes(day))
+      .map(day => SCHEDULE_DAY_NAMES[day])
+      .join(', ');
+  }
+  return `${when} at ${schedule.time}`;
+}
+
+/**
+ * Formats an opening time, e.g. "Mon, Oct 21, 09:55"
+ *
+ * @param {number} time - Time (ms)
+ * @returns {string}
+ */
+function formatScheduleTime(time) {
+  const date = new Date(time);
+  return date.toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' }) + ', ' +
+    date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
@@ -11,7 +11,9 @@
  *   id: string,          // Unique identifier (timestamp as string)
  *   name: string,        // Display name of the group
  *   expanded: boolean,   // Whether the group is expanded in UI
- *   parentId: string|null // Parent group ID for nesting, null for root
+ *   parentId: string|null, // Parent group ID for nesting, null for root
+ *   color?: string,      // Chrome tab group color (TAB_GROUP_COLORS), if set
+ *   updatedAt: number     // Last modification time (ms), used for sync merging
  * }
  *
  * ============================================================================
@@ -34,8 +36,9 @@ function showGroupModal(group = null, parentId = null) {
   // Update modal title based on action
   modalTitle.textContent = group ? 'Edit Group' : 'Create Group';
 
-  // Pre-fill name if editing
+  // Pre-fill name and color if editing
   groupNameInput.value = group ? group.name : '';
+  populateGroupColorSelect(group ? group.color : '');
 
   // Store group ID and parent ID in modal's dataset for later use
   groupModal.dataset.groupId = group ? group.id : '';
@@ -55,6 +58,25 @@ function hideGroupModal() {
   groupModal.dataset.parentId = '';
 }
 
+/**
+ * Fills the color dropdown in the group modal
+ *
+ * @param {string} [selected=''] - Color to select ('' for no color)
+ */
+function populateGroupColorSelect(selected = '') {
+  const select = document.getElementById('groupColorSelect');
+  select.innerHTML = '';
+
+  ['', ...TAB_GROUP_COLORS].forEach(color => {
+    const option = document.createElement('option');
+    option.value = color;
+    option.textContent = color ? color[0].toUpperCase() + color.slice(1) : 'No color';
+    select.appendChild(option);
+  });
+
+  select.value = TAB_GROUP_COLORS.includes(selected) ? selected : '';
+}
+
 // -----------------------------------------------------------------------------
 // GROUP CRUD OPERATIONS
 // -----------------------------------------------------------------------------
@@ -72,50 +94,100 @@ function handleSaveGroup() {
 
   const groupId = groupModal.dataset.groupId;
   const parentId = groupModal.dataset.parentId || null;
+  const color = document.getElementById('groupColorSelect').value;
 
   if (groupId) {
-    // Edit existing group - update name
+    // Edit existing group - update name and color
     const group = groups.find(g => g.id === groupId);
     if (group) {
       group.name = name;
+      setGroupColor(group, color);
+      touchRecord(group);
     }
   } else {
     // Create new group
-    groups.push({
+    const group = {
       id: generateStringId(),
       name: name,
       expanded: true,
-      parentId: parentId
-    });
+      parentId: parentId,
+      updatedAt: Date.now()
+    };
+    setGroupColor(group, color);
+    groups.push(group);
   }
 
+  recordHistory(groupId ? 'Edit group' : 'Create group');
   saveData();
   renderAll();
   hideGroupModal();
 }
 
 /**
- * Deletes a group and all its subgroups
+ * Sets or clears a group's color
+ *
+ * @param {Object} group - Group to update
+ * @param {string} color - TAB_GROUP_COLORS value, or '' for no color
+ */
+function setGroupColor(group, color) {
+  if (TAB_GROUP_COLORS.includes(color)) {
+    group.color = color;
+  } else {
+    delete group.color;
+  }
+}
+
+/**
+ * Gets the color a group shows as a Chrome tab group
+ *
+ * Subgroups without a color of their own use their parent's.
+ *
+ * @param {string} groupId - Group ID
+ * @returns {string|null} - TAB_GROUP_COLORS value, or null if none is set
+ */
+function getGroupColor(groupId) {
+  let group = groups.find(g => g.id === groupId);
+  while (group) {
+    if (group.color) return group.color;
+    group = groups.find(g => g.id === group.parentId);
+  }
+  return null;
+}
+
+/**
+ * Deletes a group and all its subgroups (moves them to the trash)
  *
  * Tabs in the deleted group(s) are moved back to the
- * ungrouped "Saved Tabs" section.
+ * ungrouped "Saved Tabs" section. The trash entry remembers
+ * which group each tab was in, so restoring puts them back.
  *
  * @param {string} groupId - ID of the group to delete
  */
 function deleteGroup(groupId) {
   // Get all groups to delete (this group and all descendants)
   const groupsToDelete = getGroupAndDescendants(groupId);
+  const placements = [];
 
   // Move tabs from deleted groups to ungrouped
   savedTabs.forEach(tab => {
     if (groupsToDelete.includes(tab.groupId)) {
+      placements.push({ tabId: tab.id, groupId: tab.groupId });
       tab.groupId = null;
+      touchRecord(tab);
     }
   });
 
+  // Keep the group tree in the trash
+  const groupTree = groupsToDelete
+    .map(id => groups.find(g => g.id === id))
+    .filter(Boolean);
+  trashGroupTree(groupTree, placements);
+
   // Remove groups
   groups = groups.filter(g => !groupsToDelete.includes(g.id));
+  recordDeletions(STORAGE_KEYS.GROUPS, groupsToDelete);
 
+  recordHistory('Delete group', { destructive: true });
   saveData();
   renderAll();
 }
@@ -187,6 +259,10 @@ function toggleGroup(groupId) {
   const group = groups.find(g => g.id === groupId);
   if (group) {
     group.expanded = !group.expanded;
+    touchRecord(group);
+
+    // Expanding/collapsing is not an undo step
+    syncHistoryBaseline();
     saveData();
     renderGroups();
   }
@@ -205,6 +281,8 @@ function moveGroupToParent(groupId, newParentId) {
   const group = groups.find(g => g.id === groupId);
   if (group) {
     group.parentId = newParentId;
+    touchRecord(group);
+    recordHistory('Move group');
     saveData();
     renderGroups();
   }
@@ -258,3 +336,70 @@ function countGroupTabs(groupId) {
 
   return count;
 }
+
+// -----------------------------------------------------------------------------
+// GROUP TREE IMPORT
+// -----------------------------------------------------------------------------
+
+/**
+ * Adds a tree of groups and tabs (built by an importer) to the data
+ *
+ * Group tree format:
+ * {
+ *   name: string,
+ *   tabs: [{ url, title, savedAt?, favicon? }],
+ *   children: [<group tree>, ...]
+ * }
+ *
+ * The root itself is not created: its tabs go into parentId and its
+ * children become groups under parentId. Every group and tab gets a new
+ * ID. Tabs whose URL is already saved (isTabSaved(), which also catches
+ * repeats within the tree) are skipped unless skipSaved is false. The
+ * caller records the history step, saves and renders.
+ *
+ * @param {Object} tree - Root of the group tree
+ * @param {string|null} [parentId=null] - Group to import into (null for top level)
+ * @param {boolean} [skipSaved=true] - Whether to skip tabs that are already saved
+ * @returns {Object} - { groups, tabs, skipped } counts of what was added and skipped
+ */
+function importGroupTree(tree, parentId = null, skipSaved = true) {
+  const counts = { groups: 0, tabs: 0, skipped: 0 };
+  const now = Date.now();
+
+  (tree.tabs || []).forEach(tab => {
+    if (skipSaved && isTabSaved(tab.url)) {
+      counts.skipped++;
+      return;
+    }
+
+    savedTabs.push({
+      id: generateId(),
+      title: tab.title || tab.url,
+      url: tab.url,
+      favicon: tab.favicon || '',
+      savedAt: tab.savedAt || new Date(now).toISOString(),
+      groupId: parentId,
+      updatedAt: now
+    });
+    counts.tabs++;
+  });
+
+  (tree.children || []).forEach(child => {
+    const group = {
+      id: generateStringId(),
+      name: child.name || 'Untitled group',
+      expanded: false,
+      parentId,
+      updatedAt: now
+    };
+    groups.push(group);
+    counts.groups++;
+
+    const added = importGroupTree(child, group.id, skipSaved);
+    counts.groups += added.groups;
+    counts.tabs += added.tabs;
+    counts.skipped += added.skipped;
+  });
+
+  return counts;
+}
@@ -0,0 +1,119 @@
+/**
+ * ============================================================================
+ * HIBERNATION-SETTINGS.JS
+ * ============================================================================
+ *
+ * Tab hibernation settings in the Tab Saver side panel.
+ *
+ * The background discards tabs that have been idle for a while (see
+ * hibernation.js); this file edits its settings in the Settings modal.
+ * Changes are saved as soon as they are made, and the background reads
+ * them on its next check.
+ *
+ * ============================================================================
+ */
+
+// -----------------------------------------------------------------------------
+// HIBERNATION SETTINGS
+// -----------------------------------------------------------------------------
+
+/**
+ * Fills the idle time select with HIBERNATION.IDLE_OPTIONS
+ */
+function populateHibernationIdleSelect() {
+  const select = document.getElementById('hibernationIdleSelect');
+  select.innerHTML = HIBERNATION.IDLE_OPTIONS
+    .map(minutes => `<option value="${minutes}">${formatHibernationIdle(minutes)}</option>`)
+    .join('');
+}
+
+/**
+ * Formats an idle time option, e.g. "30 minutes" or "2 hours"
+ *
+ * @param {number} minutes - Idle time in minutes
+ * @returns {string}
+ */
+function formatHibernationIdle(minutes) {
+  if (minutes < 60) return `${minutes} minutes`;
+  const hours = minutes / 60;
+  return hours === 1 ? '1 hour' : `${hours} hours`;
+}
+
+/**
+ * Loads the hibernation settings into the Settings modal
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadHibernationSettings() {
+  populateHibernationIdleSelect();
+  showHibernationSettings(await readHibernationSettings());
+}
+
+/**
+ * Shows hibernation settings in the Settings modal
+ *
+ * @param {Object} settings - { enabled, idleMinutes, allowlist }
+ */
+function showHibernationSettings(settings) {
+  document.getElementById('hibernationEnabled').checked = settings.enabled;
+  document.getElementById('hibernationIdleSelect').value = String(settings.idleMinutes);
+  document.getElementById('hibernationAllowlist').value = settings.allowlist.join('\n');
+}
+
+/**
+ * Saves the hibernation settings from the Settings modal
+ *
+ * The allowlist is cleaned up (one domain per line) in the textarea.
+ */
+function saveHibernationSettingsFromForm() {
+  setHibernationSettings({
+    enabled: document.getElementById('hibernationEnabled').checked,
+    idleMinutes: parseInt(document.getElementById('hibernationIdleSelect').value, 10),
+    allowlist: parseHibernationAllowlist(document.getElementById('hibernationAllowlist').value)
+  });
+}
+
+/**
+ * Saves hibernation settings and shows them in the Settings modal
+ *
+ * If they can't be saved, the user is told and the stored settings are
+ * shown again.
+ *
+ * @async
+ * @param {Object} settings - { enabled, idleMinutes, allowlist }
+ * @returns {Promise<void>}
+ */
+async function setHibernationSettings(settings) {
+  const normalized = normalizeHibernationSettings(settings);
+  showHibernationSettings(normalized);
+
+  try {
+    await chrome.storage.sync.set({ [STORAGE_KEYS.HIBERNATION]: normalized });
+  } catch (error) {
+    console.error('Failed to save hibernation settings:', error);
+    alert('Could not save the tab hibernation settings. Please try again.');
+    showHibernationSettings(await readHibernationSettings());
+  }
+}
+
+// -----------------------------------------------------------------------------
+// WAKING TABS
+// -----------------------------------------------------------------------------
+
+/**
+ * Wakes a hibernated (discarded) tab by reloading it, without switching
+ * to it
+ *
+ * @async
+ * @param {number} tabId - Chrome tab ID
+ * @returns {Promise<void>}
+ */
+async function wakeTab(tabId) {
+  try {
+    await chrome.tabs.reload(tabId);
+  } catch (error) {
+    console.error('Failed to wake tab:', error);
+    alert('Could not wake this tab. It may have been closed.');
+  }
+}
@@ -0,0 +1,278 @@
+/**
+ * ============================================================================
+ * HIBERNATION.JS
+ * ============================================================================
+ *
+ * Idle tab hibernation for the Tab Saver extension: tabs that haven't
+ * been used for a while are discarded with chrome.tabs.discard(), which
+ * frees their memory but keeps them in the tab strip. A discarded tab
+ * reloads when it is clicked (or woken from the Current Tabs section).
+ *
+ * The settings helpers are shared with the side panel
+ * (hibernation-settings.js); the rule engine runs in the background.
+ *
+ * Settings (sync storage, key hibernation):
+ *   { enabled, idleMinutes, allowlist: ['mail.google.com', ...] }
+ *
+ * A tab is discarded when it has been inactive for idleMinutes and is
+ * not:
+ * - the active tab of its window, or already discarded
+ * - playing audio
+ * - pinned in Chrome, or a Tab Saver pinned tab (pinned tab protection)
+ * - on an allowlisted site (the domain or any of its subdomains)
+ * - a page other than http(s), or marked as not auto-discardable
+ *
+ * When a tab was last used is tracked per tab in session storage (key
+ * tabActivity): the time it was activated, and the time it stopped being
+ * the active tab. Tabs without a recorded time start counting when the
+ * background first sees them.
+ *
+ * ============================================================================
+ */
+
+// -----------------------------------------------------------------------------
+// SETTINGS
+// -----------------------------------------------------------------------------
+
+/**
+ * Reads the hibernation settings
+ *
+ * @async
+ * @returns {Promise<Object>} - { enabled, idleMinutes, allowlist }
+ */
+async function readHibernationSettings() {
+  const result = await chrome.storage.sync.get([STORAGE_KEYS.HIBERNATION]);
+  return normalizeHibernationSettings(result[STORAGE_KEYS.HIBERNATION]);
+}
+
+/**
+ * Fills in defaults and drops invalid values
+ *
+ * @param {Object} [settings] - Stored or imported settings
+ * @returns {Object} - { enabled, idleMinutes, allowlist }
+ */
+function normalizeHibernationSettings(settings) {
+  const value = settings && typeof settings === 'object' ? settings : {};
+
+  return {
+    enabled: value.enabled === true,
+    idleMinutes: HIBERNATION.IDLE_OPTIONS.includes(value.idleMinutes)
+      ? value.idleMinutes
+      : HIBERNATION.DEFAULT_IDLE_MINUTES,
+    allowlist: Array.isArray(value.allowlist)
+      ? parseHibernationAllowlist(value.allowlist.join('\n'))
+      : []
+  };
+}
+
+/**
+ * Parses allowlisted sites, one per line
+ *
+ * Accepts bare domains or URLs; "www." is dropped.
+ *
+ * @param {string} text - One site per line
+ * @returns {string[]} - Unique lowercase domains
+ */
+function parseHibernationAllowlist(text) {
+  const domains = text
+    .split(/[\n,]/)
+    .map(line => line.trim().toLowerCase())
+    .filter(Boolean)
+    .map(line => {
+      try {
+        return new URL(line.includes('://') ? line : `https://${line}`).hostname;
+      } catch {
+        return '';
+      }
+    })
+    .map(domain => domain.replace(/^www\./, ''))
+    .filter(Boolean);
+
+  return [...new Set(domains)];
+}
+
+/**
+ * Checks whether a URL is on an allowlisted site
+ *
+ * @param {string} url - Tab URL
+ * @param {string[]} allowlist - Allowlisted domains
+ * @returns {boolean}
+ */
+function isHibernationAllowlisted(url, allowlist) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch {
+    return false;
+  }
+  return allowlist.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+}
+
+// -----------------------------------------------------------------------------
+// TAB ACTIVITY
+// -----------------------------------------------------------------------------
+
+/**
+ * Hibernation work in progress, so activity updates never interleave
+ */
+let hibernationQueue = Promise.resolve();
+
+/**
+ * Queues hibernation work
+ *
+ * @param {Function} job - Async function to run
+ * @returns {Promise<*>} - Result of the job (undefined if it failed)
+ */
+function queueHibernation(job) {
+  const run = hibernationQueue.then(job).catch(error => {
+    console.error('Tab hibernation failed:', error);
+  });
+
+  hibernationQueue = run;
+  return run;
+}
+
+/**
+ * Reads when each tab was last used
+ *
+ * @async
+ * @returns {Promise<Object>} - { times: { [tabId]: ms }, active: { [windowId]: tabId } }
+ */
+async function readTabActivity() {
+  const result = await chrome.storage.session.get([STORAGE_KEYS.TAB_ACTIVITY]);
+  return result[STORAGE_KEYS.TAB_ACTIVITY] || { times: {}, active: {} };
+}
+
+/**
+ * Stores when each tab was last used
+ *
+ * @async
+ * @param {Object} activity - See readTabActivity()
+ * @returns {Promise<void>}
+ */
+async function writeTabActivity(activity) {
+  await chrome.storage.session.set({ [STORAGE_KEYS.TAB_ACTIVITY]: activity });
+}
+
+/**
+ * Records a tab becoming active, and the previous active tab of its
+ * window being left
+ *
+ * @async
+ * @param {number} tabId - Activated tab
+ * @param {number} windowId - Its window
+ * @returns {Promise<void>}
+ */
+async function recordTabActivated(tabId, windowId) {
+  const activity = await readTabActivity();
+  const now = Date.now();
+
+  const previous = activity.active[windowId];
+  if (previous !== undefined && previous !== tabId) activity.times[previous] = now;
+
+  activity.times[tabId] = now;
+  activity.active[windowId] = tabId;
+  await writeTabActivity(activity);
+}
+
+/**
+ * Forgets a closed tab
+ *
+ * @async
+ * @param {number} tabId - Closed tab
+ * @returns {Promise<void>}
+ */
+async function forgetTabActivity(tabId) {
+  const activity = await readTabActivity();
+  const windowIds = Object.keys(activity.active).filter(windowId => activity.active[windowId] === tabId);
+  if (!(tabId in activity.times) && windowIds.length === 0) return;
+
+  delete activity.times[tabId];
+  windowIds.forEach(windowId => delete activity.active[windowId]);
+  await writeTabActivity(activity);
+}
+
+/**
+ * Moves a tab's activity to its new ID when Chrome replaces the tab
+ *
+ * @async
+ * @param {number} addedTabId - New tab ID
+ * @param {number} removedTabId - Old tab ID
+ * @returns {Promise<void>}
+ */
+async function replaceTabActivity(addedTabId, removedTabId) {
+  const activity = await readTabActivity();
+  if (!(removedTabId in activity.times)) return;
+
+  activity.times[addedTabId] = activity.times[removedTabId];
+  delete activity.times[removedTabId];
+  Object.keys(activity.active).forEach(windowId => {
+    if (activity.active[windowId] === removedTabId) activity.active[windowId] = addedTabId;
+  });
+  await writeTabActivity(activity);
+}
+
+// -----------------------------------------------------------------------------
+// DISCARDING
+// -----------------------------------------------------------------------------
+
+/**
+ * Checks whether a tab may be discarded, regardless of how long it has
+ * been idle
+ *
+ * @param {chrome.tabs.Tab} tab - Tab to check
+ * @param {Object} settings - Hibernation settings
+ * @param {Set<string>} protectedUrls - Normalized URLs of Tab Saver pinned tabs
+ * @returns {boolean}
+ */
+function canHibernateTab(tab, settings, protectedUrls) {
+  return !tab.active &&
+    !tab.discarded &&
+    !tab.audible &&
+    !tab.pinned &&
+    tab.autoDiscardable !== false &&
+    /^https?:/i.test(tab.url || '') &&
+    !protectedUrls.has(normalizeUrl(tab.url)) &&
+    !isHibernationAllowlisted(tab.url, settings.allowlist);
+}
+
+/**
+ * Discards the tabs that have been idle longer than the threshold
+ *
+ * @async
+ * @param {Set<string>} protectedUrls - Normalized URLs of Tab Saver pinned tabs
+ * @returns {Promise<number>} - Number of tabs discarded
+ */
+async function hibernateIdleTabs(protectedUrls) {
+  const settings = await readHibernationSettings();
+  if (!settings.enabled) return 0;
+
+  const [tabs, activity] = await Promise.all([chrome.tabs.query({}), readTabActivity()]);
+  const now = Date.now();
+  const idleMs = settings.idleMinutes * 60 * 1000;
+  let seen = false;
+  let discarded = 0;
+
+  for (const tab of tabs) {
+    if (!canHibernateTab(tab, settings, protectedUrls)) continue;
+
+    const lastUsed = Math.max(activity.times[tab.id] || 0, tab.lastAccessed || 0);
+    if (!lastUsed) {
+      // First time we see this tab: start counting now
+      activity.times[tab.id] = now;
+      seen = true;
+      continue;
+    }
+    if (now - lastUsed < idleMs) continue;
+
+    try {
+      await chrome.tabs.discard(tab.id);
+      discarded++;
+    } catch (error) {
+      console.warn('Could not discard tab:', tab.id, error);
+    }
+  }
+
+  if (seen) await writeTabActivity(activity);
+  return discarded;
+}
@@ -0,0 +1,340 @@
+/**
+ * ============================================================================
+ * HISTORY.JS
+ * ============================================================================
+ *
+ * Undo/redo history for the Tab Saver extension.
+ *
+ * Every mutation calls recordHistory() after changing state. The changes
+ * since the previous call are diffed record by record and pushed onto the
+ * undo stack as one step, so each step holds enough to reverse itself:
+ *
+ *   {
+ *     label: string,       // e.g. 'Delete tab', shown in the Undo toast
+ *     patches: [{
+ *       collection: string,  // Collection key (savedTabs, groups, trash)
+ *       id: number|string,   // Record ID
+ *       before: Object|null, // Record before the change (null if added)
+ *       after: Object|null,  // Record after the change (null if removed)
+ *       beforeIndex: number, // Position before the change (-1 if added)
+ *       afterIndex: number   // Position after the change (-1 if removed)
+ *     }]
+ *   }
+ *
+ * Undo writes each patch's `before` back, redo writes `after`. Restored
+ * records are touched and their tombstones cleared, so they also win when
+ * merging with other devices (see merge.js).
+ *
+ * Changes that should not become undo steps (edits merged from other
+ * devices, expanding a group, timer notifications) call
+ * syncHistoryBaseline() instead.
+ *
+ * Keyboard: Ctrl+Z / Cmd+Z to undo, Ctrl+Shift+Z / Cmd+Shift+Z to redo.
+ * Destructive actions show an "Undo" toast and ask the background for a
+ * snapshot of the data as it was before them (see snapshots.js).
+ *
+ * ============================================================================
+ */
+
+// -----------------------------------------------------------------------------
+// HISTORY STATE
+// -----------------------------------------------------------------------------
+
+/**
+ * Steps that can be undone, oldest first
+ */
+let undoStack = [];
+
+/**
+ * Steps that were undone and can be redone, oldest first
+ * Cleared whenever a new step is recorded.
+ */
+let redoStack = [];
+
+/**
+ * Serialized records as of the last recorded step
+ * Key: collection key, Value: Map of record ID -> { json, index }
+ */
+let historyBaseline = {};
+
+/**
+ * Timeout ID for hiding the Undo toast
+ */
+let undoToastTimer = null;
+
+// -----------------------------------------------------------------------------
+// RECORDING
+// -----------------------------------------------------------------------------
+
+/**
+ * Records the changes made since the last step as a new undo step
+ *
+ * Call after modifying state, next to saveData().
+ *
+ * @param {string} label - Short description of the action (e.g. 'Delete tab')
+ * @param {Object} [options]
+ * @param {boolean} [options.destructive=false] - Show the Undo toast
+ */
+function recordHistory(label, { destructive = false } = {}) {
+  const previous = historyBaseline;
+  const current = snapshotRecords();
+  const patches = diffRecords(previous, current);
+  historyBaseline = current;
+
+  if (patches.length === 0) return;
+
+  undoStack.push({ label, patches });
+  if (undoStack.length > HISTORY_LIMITS.MAX_STEPS) {
+    undoStack.shift();
+  }
+  redoStack = [];
+
+  if (destructive) {
+    requestSnapshot(SNAPSHOT_REASONS.DESTRUCTIVE, label, baselineToCollections(previous));
+    showUndoToast(label);
+  }
+}
+
+/**
+ * Accepts the current state as the baseline without recording a step
+ *
+ * Called after loading and after changes that should not be undoable.
+ */
+function syncHistoryBaseline() {
+  historyBaseline = snapshotRecords();
+}
+
+/**
+ * Serializes the record collections for diffing
+ *
+ * @returns {Object} - { [collectionKey]: Map<id, { json, index }> }
+ */
+function snapshotRecords() {
+  const collections = getCollectionsState();
+  const snapshot = {};
+
+  RECORD_COLLECTIONS.forEach(key => {
+    snapshot[key] = new Map(
+      collections[key].map((record, index) => [record.id, { json: JSON.stringify(record), index }])
+    );
+  });
+
+  return snapshot;
+}
+
+/**
+ * Clears the undo and redo stacks and starts over from the current state
+ *
+ * Called when records leave the collections tracked here (e.g. when
+ * they are archived), so older steps can't bring them back.
+ */
+function resetHistory() {
+  undoStack = [];
+  redoStack = [];
+  syncHistoryBaseline();
+  hideUndoToast();
+}
+
+/**
+ * Turns a snapshot from snapshotRecords() back into collections
+ *
+ * @param {Object} snapshot - Snapshot from snapshotRecords()
+ * @returns {Object} - { [collectionKey]: Array }
+ */
+function baselineToCollections(snapshot) {
+  const collections = {};
+  RECORD_COLLECTIONS.forEach(key => {
+    collections[key] = [...(snapshot[key]?.values() || [])].map(entry => JSON.parse(entry.json));
+  });
+  return collections;
+}
+
+/**
+ * Lists the records that were added, removed or changed between two snapshots
+ *
+ * @param {Object} before - Snapshot from snapshotRecords()
+ * @param {Object} after - Snapshot from snapshotRecords()
+ * @returns {Object[]} - Patches (see file header)
+ */
+function diffRecords(before, after) {
+  const patches = [];
+
+  RECORD_COLLECTIONS.forEach(collection => {
+    const beforeRecords = before[collection] || new Map();
+    const afterRecords = after[collection];
+
+    beforeRecords.forEach((entry, id) => {
+      const afterEntry = afterRecords.get(id);
+      if (afterEntry && afterEntry.json === entry.json) return;
+
+      patches.push({
+        collection,
+        id,
+        before: JSON.parse(entry.json),
+        after: afterEntry ? JSON.parse(afterEntry.json) : null,
+        beforeIndex: entry.index,
+        afterIndex: afterEntry ? afterEntry.index : -1
+      });
+    });
+
+    afterRecords.forEach((entry, id) => {
+      if (beforeRecords.has(id)) return;
+
+      patches.push({
+        collection,
+        id,
+        before: null,
+        after: JSON.parse(entry.json),
+        beforeIndex: -1,
+        afterIndex: entry.index
+      });
+    });
+  });
+
+  return patches;
+}
+
+// -----------------------------------------------------------------------------
+// UNDO / REDO
+// -----------------------------------------------------------------------------
+
+/**
+ * Reverts the most recent step
+ */
+function undo() {
+  const step = undoStack.pop();
+  if (!step) return;
+
+  applyPatches(step.patches, 'before');
+  redoStack.push(step);
+  hideUndoToast();
+}
+
+/**
+ * Re-applies the most recently undone step
+ */
+function redo() {
+  const step = redoStack.pop();
+  if (!step) return;
+
+  applyPatches(step.patches, 'after');
+  undoStack.push(step);
+  hideUndoToast();
+}
+
+/**
+ * Writes one side of a step's patches into state
+ *
+ * Removals go first, then replacements, then insertions in position
+ * order, so reinserted records land where they were.
+ *
+ * @param {Object[]} patches - Patches of a step
+ * @param {string} side - 'before' to undo, 'after' to redo
+ */
+function applyPatches(patches, side) {
+  const collections = getCollectionsState();
+  const indexKey = side === 'before' ? 'beforeIndex' : 'afterIndex';
+
+  const removals = patches.filter(p => p[side] === null);
+  const updates = patches.filter(p => p[side] !== null)
+    .sort((a, b) => a[indexKey] - b[indexKey]);
+
+  removals.forEach(patch => {
+    const records = collections[patch.collection];
+    const index = records.findIndex(r => r.id === patch.id);
+    if (index !== -1) records.splice(index, 1);
+    recordDeletions(patch.collection, [patch.id]);
+  });
+
+  updates.forEach(patch => {
+    const records = collections[patch.collection];
+    const record = touchRecord(JSON.parse(JSON.stringify(patch[side])));
+    const index = records.findIndex(r => r.id === patch.id);
+
+    if (index !== -1) {
+      records[index] = record;
+    } else {
+      records.splice(Math.min(patch[indexKey], records.length), 0, record);
+    }
+    clearTombstones(patch.collection, [patch.id]);
+  });
+
+  // Timer alarms are not part of state, so bring them in line
+  patches
+    .filter(patch => patch.collection === STORAGE_KEYS.SAVED_TABS)
+    .filter(patch => patch.before?.timerEnd !== patch.after?.timerEnd)
+    .forEach(patch => updateTimerAlarm(patch.id, patch[side]));
+
+  syncHistoryBaseline();
+  saveData();
+  renderAll();
+}
+
+/**
+ * Creates or clears a tab's timer alarm to match its restored state
+ *
+ * @param {number} tabId - Saved tab ID
+ * @param {Object|null} tab - The tab as restored (null if removed)
+ */
+function updateTimerAlarm(tabId, tab) {
+  if (tab?.timerEnd > Date.now()) {
+    chrome.alarms.create(`timer-${tabId}`, { when: tab.timerEnd });
+  } else {
+    chrome.alarms.clear(`timer-${tabId}`);
+  }
+}
+
+// -----------------------------------------------------------------------------
+// UNDO TOAST
+// -----------------------------------------------------------------------------
+
+/**
+ * Shows the Undo toast for a destructive action
+ *
+ * Hides itself after HISTORY_LIMITS.TOAST_DURATION_MS.
+ *
+ * @param {string} label - Action description (e.g. 'Delete tab')
+ */
+function showUndoToast(label) {
+  const toast = document.getElementById('undoToast');
+  if (!toast) return;
+
+  document.getElementById('undoToastMessage').textContent = label;
+  toast.classList.remove('hidden');
+
+  clearTimeout(undoToastTimer);
+  undoToastTimer = setTimeout(hideUndoToast, HISTORY_LIMITS.TOAST_DURATION_MS);
+}
+
+/**
+ * Hides the Undo toast
+ */
+function hideUndoToast() {
+  clearTimeout(undoToastTimer);
+  undoToastTimer = null;
+  document.getElementById('undoToast')?.classList.add('hidden');
+}
+
+// -----------------------------------------------------------------------------
+// KEYBOARD SHORTCUTS
+// -----------------------------------------------------------------------------
+
+/**
+ * Handles Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS)
+ *
+ * Ignored while typing in a text field, so the browser's own
+ * text undo keeps working there.
+ *
+ * @param {KeyboardEvent} e - Keydown event
+ */
+function handleHistoryShortcut(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+  if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+  e.preventDefault();
+  if (e.shiftKey) {
+    redo();
+  } else {
+    undo();
+  }
+}
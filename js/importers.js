@@ -0,0 +1,443 @@
+/**
+ * ============================================================================
+ * IMPORTERS.JS
+ * ============================================================================
+ *
+ * Imports from other tab managers' JSON exports for the Tab Saver extension.
+ *
+ * Each importer is registered with registerImporter() and has:
+ * - id:     Short identifier
+ * - name:   Name of the app, shown to the user
+ * - detect: (data) => boolean, whether parsed JSON is this app's export
+ * - parse:  (data) => group tree (see importGroupTree() in groups.js)
+ *
+ * Choosing a file in Settings finds the first importer that recognizes it
+ * and shows a preview with the groups and tab counts, and how many tabs
+ * are already saved or repeated in the file, before anything is added.
+ *
+ * Supported exports:
+ * - Session Buddy: collections (or, in older exports, sessions) become
+ *   groups, with a subgroup per window when there is more than one
+ * - Toby: lists become groups, nested in their Toby group if any
+ * - Workona: workspaces become groups; their resources and sections
+ *   become subgroups
+ *
+ * ============================================================================
+ */
+
+// -----------------------------------------------------------------------------
+// IMPORTER REGISTRY
+// -----------------------------------------------------------------------------
+
+/**
+ * Registered importers, tried in order
+ */
+const APP_IMPORTERS = [];
+
+/**
+ * The import waiting for confirmation: { importer, tree, fileName }
+ */
+let pendingAppImport = null;
+
+/**
+ * Registers an importer
+ *
+ * @param {Object} importer - { id, name, detect, parse }
+ */
+function registerImporter(importer) {
+  APP_IMPORTERS.push(importer);
+}
+
+/**
+ * Finds the importer for parsed JSON
+ *
+ * @param {*} data - Parsed file contents
+ * @returns {Object|null} - Importer, or null if none recognizes the data
+ */
+function findImporter(data) {
+  if (!data || typeof data !== 'object') return null;
+  return APP_IMPORTERS.find(importer => importer.detect(data)) || null;
+}
+
+// -----------------------------------------------------------------------------
+// IMPORT DIALOG
+// -----------------------------------------------------------------------------
+
+/**
+ * Reads the export chosen in Settings and shows its preview
+ *
+ * @async
+ * @param {Event} e - Change event of the file input
+ * @returns {Promise<void>}
+ */
+async function handleAppImportFile(e) {
+  const file = e.target.files[0];
+  // Clear the input so choosing the same file again fires another change
+  e.target.value = '';
+  if (!file) return;
+
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch {
+    alert(`Could not import ${file.name}: the file is not valid JSON.`);
+    return;
+  }
+
+  const importer = findImporter(data);
+  if (!importer) {
+    const names = APP_IMPORTERS.map(i => i.name).join(', ');
+    alert(`Could not import ${file.name}: it is not an export from ${names}.`);
+    return;
+  }
+
+  let tree;
+  try {
+    tree = importer.parse(data);
+  } catch (error) {
+    console.error(`Failed to read ${importer.name} export:`, error);
+    alert(`Could not import ${file.name}: the ${importer.name} export could not be read.`);
+    return;
+  }
+
+  pendingAppImport = { importer, tree, fileName: file.name };
+  showAppImportModal();
+}
+
+/**
+ * Shows the import preview
+ */
+function showAppImportModal() {
+  document.getElementById('appImportTitle').textContent = `Import from ${pendingAppImport.importer.name}`;
+  document.getElementById('appImportSkipDuplicates').checked = true;
+  updateAppImportPreview();
+
+  hideSettingsModal();
+  document.getElementById('appImportModal').classList.remove('hidden');
+}
+
+/**
+ * Hides the import preview and forgets the file
+ */
+function hideAppImportModal() {
+  document.getElementById('appImportModal').classList.add('hidden');
+  pendingAppImport = null;
+}
+
+/**
+ * Shows the counts of what would be imported
+ *
+ * Lists each top-level group with its tab count (subgroups included).
+ */
+function updateAppImportPreview() {
+  if (!pendingAppImport) return;
+
+  const skipDuplicates = document.getElementById('appImportSkipDuplicates').checked;
+  const { tree, stats } = filterImportTree(pendingAppImport.tree, skipDuplicates);
+
+  const notes = [];
+  if (stats.saved > 0) notes.push(`${stats.saved} already saved`);
+  if (stats.repeated > 0) notes.push(`${stats.repeated} repeated in the file`);
+
+  document.getElementById('appImportSummary').textContent =
+    `${stats.tabs} tabs in ${stats.groups} groups from ${pendingAppImport.fileName}.` +
+    (notes.length > 0 ? ` Duplicates: ${notes.join(', ')}${skipDuplicates ? ' (skipped)' : ''}.` : '');
+
+  const preview = document.getElementById('appImportPreview');
+  preview.innerHTML = tree.children
+    .map(group => `<li>${escapeHtml(group.name)}: ${group.tabCount} tabs</li>`)
+    .join('');
+  if (tree.tabs.length > 0) {
+    preview.innerHTML += `<li>Without a group: ${tree.tabs.length} tabs</li>`;
+  }
+
+  document.getElementById('confirmAppImport').disabled = stats.tabs === 0 && stats.groups === 0;
+}
+
+/**
+ * Imports the previewed file
+ */
+function confirmAppImport() {
+  if (!pendingAppImport) return;
+
+  const skipDuplicates = document.getElementById('appImportSkipDuplicates').checked;
+  const { tree } = filterImportTree(pendingAppImport.tree, skipDuplicates);
+  importGroupTree(tree, null, skipDuplicates);
+
+  const label = `Import from ${pendingAppImport.importer.name}`;
+  recordHistory(label);
+  showUndoToast(label);
+  saveData();
+  renderAll();
+  hideAppImportModal();
+}
+
+/**
+ * Counts a group tree's duplicates, optionally leaving them out
+ *
+ * A tab is a duplicate if its URL is already saved (isTabSaved()) or
+ * came earlier in the file.
+ *
+ * @param {Object} tree - Group tree from an importer
+ * @param {boolean} skipDuplicates - Whether to leave duplicates out
+ * @returns {Object} - { tree, stats }; tree is a copy whose groups have a
+ *   tabCount (subgroups included), stats is { groups, tabs, saved, repeated }
+ */
+function filterImportTree(tree, skipDuplicates) {
+  const stats = { groups: 0, tabs: 0, saved: 0, repeated: 0 };
+  const seen = new Set();
+
+  const visit = (node) => {
+    const tabs = node.tabs.filter(tab => {
+      const saved = isTabSaved(tab.url);
+      const repeated = !saved && seen.has(tab.url);
+      seen.add(tab.url);
+
+      if (saved) stats.saved++;
+      if (repeated) stats.repeated++;
+      return !skipDuplicates || (!saved && !repeated);
+    });
+    stats.tabs += tabs.length;
+
+    const children = node.children.map(child => {
+      stats.groups++;
+      return visit(child);
+    });
+    const tabCount = children.reduce((sum, child) => sum + child.tabCount, tabs.length);
+
+    return { ...node, tabs, children, tabCount };
+  };
+
+  return { tree: visit(tree), stats };
+}
+
+// -----------------------------------------------------------------------------
+// PARSING HELPERS
+// -----------------------------------------------------------------------------
+
+/**
+ * Creates a group tree node
+ *
+ * @param {string} name - Group name
+ * @returns {Object} - { name, tabs, children }
+ */
+function createImportGroup(name) {
+  return { name: String(name || '').trim() || 'Untitled group', tabs: [], children: [] };
+}
+
+/**
+ * Converts another app's link to a tab for a group tree
+ *
+ * Links that can't be opened as tabs (javascript:, data:) are left out,
+ * as are embedded data: icons, which would use up sync storage.
+ *
+ * @param {string} url - Link URL
+ * @param {string} [title] - Link title
+ * @param {string} [favicon] - Icon URL
+ * @param {*} [savedAt] - When it was saved (see parseImportDate())
+ * @returns {Object|null} - Tab, or null if the link can't be imported
+ */
+function createImportTab(url, title, favicon, savedAt) {
+  if (typeof url !== 'string' || !/^[a-z][a-z0-9+.-]*:/i.test(url) || /^(javascript|data):/i.test(url)) {
+    return null;
+  }
+
+  return {
+    url,
+    title: (typeof title === 'string' && title.trim()) || url,
+    favicon: /^https?:/i.test(favicon || '') ? favicon : '',
+    savedAt: parseImportDate(savedAt)
+  };
+}
+
+/**
+ * Adds links to a group tree node, leaving out those that can't be imported
+ *
+ * @param {Object} group - Group tree node
+ * @param {Object[]} links - The app's links
+ * @param {Function} toTab - Converts a link with createImportTab()
+ */
+function addImportTabs(group, links, toTab) {
+  (Array.isArray(links) ? links : []).forEach(link => {
+    const tab = link && toTab(link);
+    if (tab) group.tabs.push(tab);
+  });
+}
+
+/**
+ * Converts a date from an export to an ISO timestamp
+ *
+ * @param {*} value - Milliseconds, seconds or a date string
+ * @returns {string|undefined} - ISO timestamp, or undefined if unknown
+ */
+function parseImportDate(value) {
+  let ms = typeof value === 'number' ? value : Date.parse(value);
+  if (!Number.isFinite(ms) || ms <= 0) return undefined;
+
+  // Timestamps before 2001 in milliseconds are taken as seconds
+  if (ms < 1e12) ms *= 1000;
+  return new Date(ms).toISOString();
+}
+
+// -----------------------------------------------------------------------------
+// SESSION BUDDY
+// -----------------------------------------------------------------------------
+
+registerImporter({
+  id: 'sessionBuddy',
+  name: 'Session Buddy',
+  detect: data => (Array.isArray(data.collections) && data.collections.some(c => Array.isArray(c?.folders))) ||
+    (Array.isArray(data.sessions) && data.sessions.some(s => Array.isArray(s?.windows))),
+  parse: parseSessionBuddy
+});
+
+/**
+ * Parses a Session Buddy export
+ *
+ * Current exports hold collections of folders (one per window) of links;
+ * older ones hold sessions of windows of tabs.
+ *
+ * @param {Object} data - Parsed export
+ * @returns {Object} - Group tree
+ *
+ * @example
+ * // { collections: [{ title, created, folders: [{ title, links: [{ url, title, favIconUrl }] }] }] }
+ * // { sessions: [{ name, created, windows: [{ tabs: [{ url, title, favIconUrl }] }] }] }
+ */
+function parseSessionBuddy(data) {
+  const root = createImportGroup('');
+
+  const addSession = (name, windows, created) => {
+    const group = createImportGroup(name);
+    const toTab = link => createImportTab(link.url, link.title, link.favIconUrl, created);
+    const nonEmpty = (Array.isArray(windows) ? windows : []).filter(Boolean);
+
+    if (nonEmpty.length === 1) {
+      addImportTabs(group, nonEmpty[0].links || nonEmpty[0].tabs, toTab);
+    } else {
+      nonEmpty.forEach((sessionWindow, index) => {
+        const child = createImportGroup(sessionWindow.title || `Window ${index + 1}`);
+        addImportTabs(child, sessionWindow.links || sessionWindow.tabs, toTab);
+        group.children.push(child);
+      });
+    }
+    root.children.push(group);
+  };
+
+  (Array.isArray(data.collections) ? data.collections : []).forEach((collection, index) => {
+    if (!collection) return;
+    addSession(collection.title || `Collection ${index + 1}`, collection.folders, collection.created);
+  });
+
+  (Array.isArray(data.sessions) ? data.sessions : []).forEach((session, index) => {
+    if (!session) return;
+    const name = session.name || (session.type === 'current' ? 'Current session' : `Session ${index + 1}`);
+    addSession(name, session.windows, session.created || session.generated);
+  });
+
+  return root;
+}
+
+// -----------------------------------------------------------------------------
+// TOBY
+// -----------------------------------------------------------------------------
+
+registerImporter({
+  id: 'toby',
+  name: 'Toby',
+  detect: data => (Array.isArray(data.lists) && data.lists.some(l => Array.isArray(l?.cards))) ||
+    (Array.isArray(data.groups) && data.groups.some(g => Array.isArray(g?.lists))),
+  parse: parseToby
+});
+
+/**
+ * Parses a Toby export
+ *
+ * Lists of cards become groups. Exports with Toby groups (spaces) nest
+ * each group's lists under a group of the same name.
+ *
+ * @param {Object} data - Parsed export
+ * @returns {Object} - Group tree
+ *
+ * @example
+ * // { lists: [{ title, cards: [{ url, title, customTitle, favIconUrl }] }] }
+ * // { groups: [{ name, lists: [...] }] }
+ */
+function parseToby(data) {
+  const root = createImportGroup('');
+
+  const addLists = (parent, lists) => {
+    (Array.isArray(lists) ? lists : []).forEach(list => {
+      if (!list) return;
+      const group = createImportGroup(list.title || list.name);
+      addImportTabs(group, list.cards, card =>
+        createImportTab(card.url, card.customTitle || card.title, card.favIconUrl, card.createdAt)
+      );
+      parent.children.push(group);
+    });
+  };
+
+  addLists(root, data.lists);
+
+  (Array.isArray(data.groups) ? data.groups : []).forEach(tobyGroup => {
+    if (!tobyGroup) return;
+    const group = createImportGroup(tobyGroup.name || tobyGroup.title);
+    addLists(group, tobyGroup.lists);
+    root.children.push(group);
+  });
+
+  return root;
+}
+
+// -----------------------------------------------------------------------------
+// WORKONA
+// -----------------------------------------------------------------------------
+
+registerImporter({
+  id: 'workona',
+  name: 'Workona',
+  detect: data => Array.isArray(data.workspaces) || Array.isArray(data.spaces),
+  parse: parseWorkona
+});
+
+/**
+ * Parses a Workona export
+ *
+ * Each workspace becomes a group holding its saved tabs. Resources go in
+ * a "Resources" subgroup, or in a subgroup per section.
+ *
+ * @param {Object} data - Parsed export
+ * @returns {Object} - Group tree
+ *
+ * @example
+ * // { workspaces: [{ title, tabs: [{ url, title }], resources: [...],
+ * //   sections: [{ title, resources: [{ url, title }] }] }] }
+ */
+function parseWorkona(data) {
+  const root = createImportGroup('');
+  const toTab = item => createImportTab(item.url, item.title || item.name, item.favIconUrl || item.favicon, item.createdAt);
+  const workspaces = Array.isArray(data.workspaces) ? data.workspaces : data.spaces;
+
+  workspaces.forEach(workspace => {
+    if (!workspace) return;
+    const group = createImportGroup(workspace.title || workspace.name);
+    addImportTabs(group, workspace.tabs, toTab);
+
+    if (Array.isArray(workspace.resources) && workspace.resources.length > 0) {
+      const resources = createImportGroup('Resources');
+      addImportTabs(resources, workspace.resources, toTab);
+      group.children.push(resources);
+    }
+
+    (Array.isArray(workspace.sections) ? workspace.sections : []).forEach(section => {
+      if (!section) return;
+      const child = createImportGroup(section.title || section.name);
+      addImportTabs(child, section.resources || section.tabs, toTab);
+      group.children.push(child);
+    });
+
+    root.children.push(group);
+  });
+
+  return root;
+}
@@ -0,0 +1,223 @@
+/**
+ * ============================================================================
+ * LINK-EXPORT.JS
+ * ============================================================================
+ *
+ * Copies a group or a single tab as a list of links for the Tab Saver
+ * extension.
+ *
+ * Opened from the group header (the group's tabs and those of all its
+ * subgroups, via getGroupTabsRecursive()) or from the tab context menu.
+ * The links can be copied to the clipboard or downloaded in one of the
+ * LINK_FORMATS:
+ * - Markdown list:  - [Title](url)
+ * - HTML list:      <ul><li><a href="url">Title</a></li></ul>
+ * - CSV:            title,url,savedAt,reminder
+ * - Plain URLs:     one URL per line
+ *
+ * ============================================================================
+ */
+
+// -----------------------------------------------------------------------------
+// LINK EXPORT STATE
+// -----------------------------------------------------------------------------
+
+/**
+ * What the link export modal shows: { name, tabs, isGroup }
+ */
+let linkExportSource = null;
+
+/**
+ * Format chosen last time, preselected when the modal opens again
+ */
+let lastLinkFormat = LINK_FORMATS.MARKDOWN;
+
+/**
+ * File extension and MIME type of each format, for downloads
+ */
+const LINK_FORMAT_FILES = {
+  [LINK_FORMATS.MARKDOWN]: { extension: 'md', mimeType: 'text/markdown' },
+  [LINK_FORMATS.HTML]: { extension: 'html', mimeType: 'text/html' },
+  [LINK_FORMATS.CSV]: { extension: 'csv', mimeType: 'text/csv' },
+  [LINK_FORMATS.URLS]: { extension: 'txt', mimeType: 'text/plain' }
+};
+
+// -----------------------------------------------------------------------------
+// LINK EXPORT MODAL
+// -----------------------------------------------------------------------------
+
+/**
+ * Opens the link export modal for a group and its subgroups
+ *
+ * @param {string} groupId - ID of the group
+ */
+function showGroupLinkExport(groupId) {
+  const group = groups.find(g => g.id === groupId);
+  if (!group) return;
+
+  showLinkExportModal({ name: group.name, tabs: getGroupTabsRecursive(groupId), isGroup: true });
+}
+
+/**
+ * Opens the link export modal for a single tab
+ *
+ * @param {Object} tab - Saved tab
+ */
+function showTabLinkExport(tab) {
+  showLinkExportModal({ name: tab.title || tab.url, tabs: [tab], isGroup: false });
+}
+
+/**
+ * Shows the link export modal
+ *
+ * @param {Object} source - { name, tabs, isGroup }
+ */
+function showLinkExportModal(source) {
+  linkExportSource = source;
+
+  document.getElementById('linkExportTitle').textContent = source.isGroup
+    ? `Copy "${source.name}" (${source.tabs.length} tabs)`
+    : 'Copy tab';
+  document.querySelector(`input[name="linkFormat"][value="${lastLinkFormat}"]`).checked = true;
+  updateLinkExportPreview();
+
+  document.getElementById('linkExportModal').classList.remove('hidden');
+}
+
+/**
+ * Hides the link export modal
+ */
+function hideLinkExportModal() {
+  document.getElementById('linkExportModal').classList.add('hidden');
+  linkExportSource = null;
+}
+
+/**
+ * Shows the links in the selected format
+ */
+function updateLinkExportPreview() {
+  if (!linkExportSource) return;
+
+  lastLinkFormat = document.querySelector('input[name="linkFormat"]:checked').value;
+  document.getElementById('linkExportPreview').value = formatLinks(linkExportSource, lastLinkFormat);
+}
+
+/**
+ * Copies the links to the clipboard
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function copyLinkExport() {
+  if (!linkExportSource) return;
+
+  try {
+    await navigator.clipboard.writeText(formatLinks(linkExportSource, lastLinkFormat));
+    hideLinkExportModal();
+  } catch (error) {
+    console.error('Failed to copy links:', error);
+    alert('Could not copy the links to the clipboard. Download them instead.');
+  }
+}
+
+/**
+ * Downloads the links as a file named after the group or tab
+ */
+function downloadLinkExport() {
+  if (!linkExportSource) return;
+
+  const { extension, mimeType } = LINK_FORMAT_FILES[lastLinkFormat];
+  const baseName = linkExportSource.name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 50) || 'tabs';
+
+  downloadFile(`${baseName}.${extension}`, formatLinks(linkExportSource, lastLinkFormat), mimeType);
+}
+
+// -----------------------------------------------------------------------------
+// FORMATS
+// -----------------------------------------------------------------------------
+
+/**
+ * Serializes tabs as links
+ *
+ * @param {Object} source - { name, tabs, isGroup }; groups get a heading
+ *   in Markdown and HTML
+ * @param {string} format - LINK_FORMATS value
+ * @returns {string}
+ */
+function formatLinks(source, format) {
+  switch (format) {
+    case LINK_FORMATS.HTML:
+      return formatHtmlLinks(source);
+    case LINK_FORMATS.CSV:
+      return formatCsvLinks(source.tabs);
+    case LINK_FORMATS.URLS:
+      return source.tabs.map(tab => tab.url).join('\n') + '\n';
+    default:
+      return formatMarkdownLinks(source);
+  }
+}
+
+/**
+ * Formats a Markdown list of links
+ *
+ * @param {Object} source - { name, tabs, isGroup }
+ * @returns {string}
+ *
+ * @example
+ * // ## Reading
+ * //
+ * // - [Example](https://example.com)
+ */
+function formatMarkdownLinks(source) {
+  const escapeText = (text) => text.replace(/([\\[\]])/g, '\\$1');
+  const escapeUrl = (url) => url.replace(/\(/g, '%28').replace(/\)/g, '%29').replace(/\s/g, '%20');
+
+  const items = source.tabs
+    .map(tab => `- [${escapeText(tab.title || tab.url)}](${escapeUrl(tab.url)})`)
+    .join('\n');
+
+  return source.isGroup ? `## ${source.name}\n\n${items}\n` : `${items}\n`;
+}
+
+/**
+ * Formats an HTML list of links
+ *
+ * @param {Object} source - { name, tabs, isGroup }
+ * @returns {string}
+ */
+function formatHtmlLinks(source) {
+  const items = source.tabs
+    .map(tab => `  <li><a href="${escapeAttribute(tab.url)}">${escapeHtml(tab.title || tab.url)}</a></li>`)
+    .join('\n');
+  const list = `<ul>\n${items}\n</ul>\n`;
+
+  return source.isGroup ? `<h2>${escapeHtml(source.name)}</h2>\n${list}` : list;
+}
+
+/**
+ * Formats tabs as CSV with a header row
+ *
+ * Values containing commas, quotes or line breaks are quoted. Values
+ * starting with =, +, -, @, a tab or a carriage return get a leading '
+ * so spreadsheets show them as text instead of running them as formulas
+ * (a page title is whatever the page chose).
+ *
+ * @param {Object[]} tabs - Tabs to list
+ * @returns {string}
+ */
+function formatCsvLinks(tabs) {
+  const quote = (value) => {
+    let text = value == null ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const rows = [['title', 'url', 'savedAt', 'reminder']];
+  tabs.forEach(tab => rows.push([tab.title, tab.url, tab.savedAt, tab.reminder]));
+
+  return rows.map(row => row.map(quote).join(',')).join('\r\n') + '\r\n';
+}
@@ -9,10 +9,12 @@
  * Initialization Order:
  * 1. Wait for DOMContentLoaded
  * 2. Cache DOM element references
- * 3. Load data from Chrome storage
- * 4. Render all UI sections
- * 5. Setup event listeners
- * 6. Setup Chrome event listeners
+ * 3. Ask for the passphrase if saved data is encrypted and locked
+ * 4. Load data from Chrome storage and the archive, and purge expired trash
+ * 5. Render all UI sections
+ * 6. Setup event listeners
+ * 7. Setup Chrome event listeners
+ * 8. Flush queued saves when the panel closes
  *
  * Note: Theme is applied earlier in theme.js via IIFE to prevent flash.
  *
@@ -50,11 +52,41 @@ async function init() {
   // Cache all DOM element references
   initDOMElements();
 
+  // Encrypted data can only be read once unlocked
+  setupUnlockListeners();
+  await ensureUnlocked();
+
   // Load data from Chrome storage
   await loadData();
 
+  // Load archived tabs and groups from IndexedDB
+  await loadArchive();
+
+  // Groups bound to bookmarks folders on this device
+  await loadBookmarkBindings();
+
+  // Window sessions saved on this device
+  await loadSessions();
+
+  // Workspaces on this device and the active one
+  await loadWorkspaces();
+
+  // Tab hibernation settings (used by the background)
+  await loadHibernationSettings();
+
+  // Drop trash entries past the retention period
+  await loadTrashRetentionSetting();
+  if (purgeExpiredTrash()) {
+    saveData();
+  }
+
+  // Undo history starts from the loaded state
+  syncHistoryBaseline();
+
   // Render initial UI
   renderAll();
+  renderSessionRecoveryBanner();
+  renderWorkspaceSwitcher();
 
   // Setup UI event listeners
   setupEventListeners();
@@ -67,6 +99,9 @@ async function init() {
 
   // Setup storage change listener for cross-device/window sync
   setupStorageChangeListener();
+
+  // Write any queued changes before the panel closes
+  setupSaveQueueUnloadHandlers();
 }
 
 // -----------------------------------------------------------------------------
@@ -111,7 +146,9 @@ function initDOMElements() {
   dailyTabsList = document.getElementById('dailyTabsList');
   groupsList = document.getElementById('groupsList');
   savedTabsList = document.getElementById('savedTabsList');
+  sessionsList = document.getElementById('sessionsList');
   currentTabsList = document.getElementById('currentTabsList');
+  trashList = document.getElementById('trashList');
 
   // ----- Reminder Modal -----
   reminderModal = document.getElementById('reminderModal');
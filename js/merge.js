@@ -0,0 +1,264 @@
+/**
+ * ============================================================================
+ * MERGE.JS
+ * ============================================================================
+ *
+ * Record-by-record merging of concurrent edits for the Tab Saver extension.
+ *
+ * Chrome sync resolves conflicts per storage key: when two devices write
+ * the same collection, the last write wins and the other device's changes
+ * vanish. To avoid that, every device merges incoming data with its own
+ * state instead of replacing it:
+ *
+ * - Every tab and group record carries an updatedAt timestamp (ms),
+ *   bumped with touchRecord() whenever the record changes
+ * - Deleting a record leaves a tombstone { collection, id, deletedAt } in
+ *   the tombstones collection, so other devices delete it too instead of
+ *   bringing it back
+ * - Records merge last-writer-wins per record: for each id, the copy with
+ *   the newer updatedAt is kept, with its position; a tombstone newer than
+ *   the record removes it
+ * - Records that move are touched too (touchReorderedRecords()), so a
+ *   new order syncs like any other edit
+ * - Tombstones merge as a union and expire after TOMBSTONE_TTL
+ *
+ * Merging is commutative, so devices converge once each has seen the
+ * other's writes. This file has no DOM dependencies and is shared by the
+ * side panel and the background service worker (via importScripts).
+ *
+ * ============================================================================
+ */
+
+// -----------------------------------------------------------------------------
+// RECORD TIMESTAMPS
+// -----------------------------------------------------------------------------
+
+/**
+ * Collections whose entries are id-keyed records merged by updatedAt
+ */
+const RECORD_COLLECTIONS = SHARDED_COLLECTIONS.filter(key => key !== STORAGE_KEYS.TOMBSTONES);
+
+/**
+ * Marks a record as modified now
+ *
+ * Call after changing any field of a tab or group so the change wins
+ * over older copies of the record on other devices.
+ *
+ * @param {Object} record - Tab or group object (modified in place)
+ * @returns {Object} - The same record
+ */
+function touchRecord(record) {
+  record.updatedAt = Date.now();
+  return record;
+}
+
+// -----------------------------------------------------------------------------
+// TOMBSTONES
+// -----------------------------------------------------------------------------
+
+/**
+ * Creates tombstones for deleted records
+ *
+ * @param {string} collection - Collection key the records were deleted from
+ * @param {Array<number|string>} ids - IDs of the deleted records
+ * @returns {Object[]} - Tombstone entries
+ */
+function createTombstones(collection, ids) {
+  const deletedAt = Date.now();
+  return ids.map(id => ({ collection, id, deletedAt }));
+}
+
+/**
+ * Builds the lookup key for a tombstone
+ *
+ * @param {string} collection - Collection key
+ * @param {number|string} id - Record ID
+ * @returns {string}
+ */
+function getTombstoneKey(collection, id) {
+  return `${collection}:${id}`;
+}
+
+/**
+ * Merges tombstone lists, keeping the latest deletion per record and
+ * dropping tombstones older than TOMBSTONE_TTL
+ *
+ * @param {...Object[]} lists - Tombstone lists
+ * @returns {Object[]} - Merged tombstones
+ */
+function mergeTombstones(...lists) {
+  const cutoff = Date.now() - TOMBSTONE_TTL;
+  const byKey = new Map();
+
+  lists.flat().forEach(tombstone => {
+    if (!tombstone || tombstone.deletedAt < cutoff) return;
+
+    const key = getTombstoneKey(tombstone.collection, tombstone.id);
+    const existing = byKey.get(key);
+    if (!existing || tombstone.deletedAt > existing.deletedAt) {
+      byKey.set(key, tombstone);
+    }
+  });
+
+  return [...byKey.values()];
+}
+
+/**
+ * Removes records that were deleted after their last modification
+ *
+ * @param {Object[]} records - Records of one collection
+ * @param {string} collection - Collection key
+ * @param {Object[]} tombstones - Tombstones of all collections
+ * @returns {Object[]} - Records that are still alive
+ */
+function applyTombstones(records, collection, tombstones) {
+  const deletedAt = new Map();
+  tombstones
+    .filter(tombstone => tombstone.collection === collection)
+    .forEach(tombstone => deletedAt.set(tombstone.id, tombstone.deletedAt));
+
+  if (deletedAt.size === 0) return records;
+
+  return records.filter(record =>
+    !deletedAt.has(record.id) || deletedAt.get(record.id) < (record.updatedAt || 0)
+  );
+}
+
+// -----------------------------------------------------------------------------
+// RECORD MERGING
+// -----------------------------------------------------------------------------
+
+/**
+ * Merges two versions of a record collection
+ *
+ * Keeps the local order. Records that only exist remotely are inserted
+ * at their remote position; records present on both sides are replaced
+ * by the remote copy only if it is newer. A newer remote copy also
+ * brings its position: if it follows a different record (of those on
+ * both sides) than locally, it is moved after that record, so reorders
+ * sync (see touchReorderedRecords()).
+ *
+ * @param {Object[]} local - Local records
+ * @param {Object[]} remote - Remote records
+ * @returns {Object[]} - Merged records
+ */
+function mergeRecords(local, remote) {
+  const merged = [...local];
+  const indexById = new Map(merged.map((record, index) => [record.id, index]));
+  const reindex = () => merged.forEach((entry, index) => indexById.set(entry.id, index));
+
+  // Record (of those on both sides) before each remote record
+  const sharedIds = new Set(remote.filter(record => indexById.has(record.id)).map(record => record.id));
+  const remotePrevious = new Map();
+  let previous = null;
+  remote.forEach(record => {
+    remotePrevious.set(record.id, previous);
+    if (sharedIds.has(record.id)) previous = record.id;
+  });
+
+  remote.forEach((record, remoteIndex) => {
+    if (!indexById.has(record.id)) {
+      const position = Math.min(remoteIndex, merged.length);
+      merged.splice(position, 0, record);
+      reindex();
+      return;
+    }
+
+    const index = indexById.get(record.id);
+    if ((record.updatedAt || 0) <= (merged[index].updatedAt || 0)) return;
+
+    merged[index] = record;
+
+    const before = remotePrevious.get(record.id);
+    if (getPreviousSharedId(merged, index, sharedIds) === before) return;
+
+    merged.splice(index, 1);
+    const position = before === null
+      ? merged.findIndex(entry => sharedIds.has(entry.id))
+      : indexById.get(before) + (indexById.get(before) < index ? 1 : 0);
+    merged.splice(position === -1 ? merged.length : position, 0, record);
+    reindex();
+  });
+
+  return merged;
+}
+
+/**
+ * Finds the closest record before a position that exists on both sides
+ *
+ * @param {Object[]} records - Merged records
+ * @param {number} index - Position of the record
+ * @param {Set} sharedIds - IDs of the records on both sides
+ * @returns {number|string|null} - ID, or null if there is none
+ */
+function getPreviousSharedId(records, index, sharedIds) {
+  for (let i = index - 1; i >= 0; i--) {
+    if (sharedIds.has(records[i].id)) return records[i].id;
+  }
+  return null;
+}
+
+/**
+ * Touches the records that moved between two versions of a collection,
+ * so the new order wins when merged elsewhere (see mergeRecords())
+ *
+ * A record counts as moved when the record before it (of those in both
+ * versions) changed, so adding or removing records moves nothing.
+ *
+ * @param {Object[]} previous - Records as last stored
+ * @param {Object[]} current - Current records (touched in place)
+ * @returns {number} - Number of records touched
+ */
+function touchReorderedRecords(previous, current) {
+  const previousIds = new Set(previous.map(record => record.id));
+  const currentIds = new Set(current.map(record => record.id));
+
+  const previousBefore = new Map();
+  let last = null;
+  previous.forEach(record => {
+    if (!currentIds.has(record.id)) return;
+    previousBefore.set(record.id, last);
+    last = record.id;
+  });
+
+  let touched = 0;
+  last = null;
+  current.forEach(record => {
+    if (!previousIds.has(record.id)) return;
+    if (previousBefore.get(record.id) !== last) {
+      touchRecord(record);
+      touched++;
+    }
+    last = record.id;
+  });
+
+  return touched;
+}
+
+/**
+ * Merges remote collections into local ones
+ *
+ * Tombstones are merged first so that deletions from either side apply
+ * to every record collection, including ones that did not change remotely.
+ *
+ * @param {Object} local - { [collectionKey]: Array } local collections
+ * @param {Object} remote - { [collectionKey]: Array|null } remote collections
+ *   (missing or null entries are treated as unchanged)
+ * @returns {Object} - Merged { [collectionKey]: Array } for all collections
+ */
+function mergeCollections(local, remote) {
+  const tombstones = mergeTombstones(
+    local[STORAGE_KEYS.TOMBSTONES] || [],
+    remote[STORAGE_KEYS.TOMBSTONES] || []
+  );
+
+  const merged = { [STORAGE_KEYS.TOMBSTONES]: tombstones };
+
+  RECORD_COLLECTIONS.forEach(key => {
+    const localRecords = local[key] || [];
+    const records = remote[key] ? mergeRecords(localRecords, remote[key]) : localRecords;
+    merged[key] = applyTombstones(records, key, tombstones);
+  });
+
+  return merged;
+}
@@ -0,0 +1,443 @@
+/**
+ * ============================================================================
+ * MIGRATIONS.JS
+ * ============================================================================
+ *
+ * Versioned data schema for the Tab Saver extension.
+ *
+ * The stored schema version lives in chrome.storage.sync under
+ * STORAGE_KEYS.SCHEMA_VERSION. Data saved before versioning existed has
+ * no version and is treated as version 0.
+ *
+ * On load, every migration newer than the stored version runs in order
+ * on a copy of the collections. The result is written back together with
+ * the new version number. Retired collections found on current data are
+ * folded in again (see migrateStoredData()).
+ *
+ * Migrations only run in the background service worker. The side panel
+ * asks it for the result (message migrateStoredData), so two contexts
+ * never migrate the same data at once.
+ *
+ * Recovery:
+ * - Before migrating, the original collections are copied to
+ *   chrome.storage.local under STORAGE_KEYS.MIGRATION_BACKUP
+ * - If a migration throws, or writing its result fails, the backup is
+ *   marked as failed and kept (later attempts won't replace it)
+ * - After a failure, stored collections are read-only (see
+ *   setCollectionsReadOnly()): unmigrated data must not be saved back,
+ *   since the retired lists may hold state the current shape lacks. The
+ *   side panel says so and offers restoreMigrationBackup(), which writes
+ *   the backup back and lets the next attempt start from it
+ *
+ * Adding a migration:
+ * - Append an entry to MIGRATIONS with the next version number
+ * - migrate() receives { [collectionKey]: Array } and returns the same shape
+ *   (collections in RETIRED_COLLECTIONS are included so migrations can
+ *   fold them into current ones; they are deleted once migration succeeds)
+ * - Never edit a migration that has shipped; add a new one instead
+ *
+ * This file has no DOM dependencies and is shared by the side panel and
+ * the background service worker (via importScripts).
+ *
+ * ============================================================================
+ */
+
+// -----------------------------------------------------------------------------
+// MIGRATION PIPELINE
+// -----------------------------------------------------------------------------
+
+/**
+ * Ordered list of schema migrations
+ *
+ * Each entry upgrades data from (version - 1) to version.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Normalize tab and group records to the documented shape',
+    migrate: normalizeRecordsV1
+  },
+  {
+    version: 2,
+    description: 'Add modification timestamps and tombstones for sync merging',
+    migrate: addMergeMetadataV2
+  },
+  {
+    version: 3,
+    description: 'Store pinned, daily and timer state as flags on saved tabs',
+    migrate: mergeTabCopiesV3
+  }
+];
+
+/**
+ * Schema version written by this build of the extension
+ */
+const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Version whose migration folds the retired collections into saved tabs
+ * (see mergeTabCopiesV3())
+ */
+const RETIRED_FOLD_VERSION = 3;
+
+/**
+ * Runs all migrations newer than fromVersion on a copy of the data
+ *
+ * @param {Object} data - { [collectionKey]: Array } as read from storage
+ * @param {number} fromVersion - Version the data was saved with
+ * @returns {Object} - Migrated data
+ * @throws {Error} If a migration fails (error message names the migration)
+ */
+function runMigrations(data, fromVersion) {
+  let migrated = JSON.parse(JSON.stringify(data));
+
+  MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .forEach(migration => {
+      try {
+        migrated = migration.migrate(migrated);
+      } catch (error) {
+        throw new Error(`Migration to v${migration.version} (${migration.description}) failed: ${error.message}`);
+      }
+    });
+
+  return migrated;
+}
+
+/**
+ * Brings stored data up to CURRENT_SCHEMA_VERSION
+ *
+ * Only called by the background script (see the file header); once the
+ * stored version is current this only reads the version and checks that
+ * no retired collections are left.
+ *
+ * Retired collections found on current data (written by a device still
+ * on an older build, or synced in after a fresh install recorded the
+ * version) are folded in again from RETIRED_FOLD_VERSION, so their
+ * pinned, daily and timer state is never skipped.
+ *
+ * @async
+ * @returns {Promise<Object>} - { status: 'current'|'migrated'|'failed', error? }
+ */
+async function migrateStoredData() {
+  const versionResult = await chrome.storage.sync.get([STORAGE_KEYS.SCHEMA_VERSION]);
+  const storedVersion = versionResult[STORAGE_KEYS.SCHEMA_VERSION] || 0;
+
+  let fromVersion = storedVersion;
+
+  if (storedVersion > CURRENT_SCHEMA_VERSION) {
+    console.warn(`Stored schema v${storedVersion} is newer than this build (v${CURRENT_SCHEMA_VERSION})`);
+    return { status: 'current' };
+  }
+
+  if (storedVersion === CURRENT_SCHEMA_VERSION) {
+    // Retired lists can still arrive from devices on an older build, or
+    // sync in after this device recorded the version
+    const retired = await readCollections(RETIRED_COLLECTIONS);
+    if (Object.values(retired).every(value => value === null)) {
+      return { status: 'current' };
+    }
+    fromVersion = RETIRED_FOLD_VERSION - 1;
+    console.warn('Found retired collections on current schema, folding them into saved tabs');
+  }
+
+  const stored = await readCollections([...SHARDED_COLLECTIONS, ...RETIRED_COLLECTIONS]);
+
+  // Nothing saved yet (fresh install): just record the version
+  if (Object.values(stored).every(value => value === null)) {
+    await chrome.storage.sync.set({ [STORAGE_KEYS.SCHEMA_VERSION]: CURRENT_SCHEMA_VERSION });
+    return { status: 'current' };
+  }
+
+  const data = {};
+  [...SHARDED_COLLECTIONS, ...RETIRED_COLLECTIONS].forEach(key => {
+    data[key] = stored[key] || [];
+  });
+
+  await backupBeforeMigration(data, fromVersion);
+
+  let migrated;
+  try {
+    migrated = runMigrations(data, fromVersion);
+  } catch (error) {
+    console.error('Data migration failed, keeping original data:', error);
+    await markMigrationFailed(error);
+    return { status: 'failed', error };
+  }
+
+  try {
+    await writeCollections(migrated);
+    await removeCollections(RETIRED_COLLECTIONS);
+    await chrome.storage.sync.set({ [STORAGE_KEYS.SCHEMA_VERSION]: CURRENT_SCHEMA_VERSION });
+  } catch (error) {
+    // Some collections may already be in the new shape
+    console.error('Writing migrated data failed:', error);
+    await markMigrationFailed(error);
+    return { status: 'failed', error };
+  }
+  await ensureTimerAlarms(migrated[STORAGE_KEYS.SAVED_TABS]);
+
+  console.log(`Data migrated from schema v${fromVersion} to v${CURRENT_SCHEMA_VERSION}`);
+  return { status: 'migrated' };
+}
+
+// -----------------------------------------------------------------------------
+// BACKUP & RECOVERY
+// -----------------------------------------------------------------------------
+
+/**
+ * Copies the original collections to local storage before migrating
+ *
+ * A backup left by a failed migration is never overwritten, so the
+ * blob from before the first failure survives repeated attempts.
+ *
+ * @async
+ * @param {Object} data - Original collections
+ * @param {number} fromVersion - Version the data was saved with
+ * @returns {Promise<void>}
+ */
+async function backupBeforeMigration(data, fromVersion) {
+  const result = await chrome.storage.local.get([STORAGE_KEYS.MIGRATION_BACKUP]);
+  const existing = result[STORAGE_KEYS.MIGRATION_BACKUP];
+
+  if (existing?.failed) {
+    console.warn('Keeping backup from a previously failed migration');
+    return;
+  }
+
+  await chrome.storage.local.set({
+    [STORAGE_KEYS.MIGRATION_BACKUP]: {
+      fromVersion,
+      toVersion: CURRENT_SCHEMA_VERSION,
+      createdAt: new Date().toISOString(),
+      failed: null,
+      data
+    }
+  });
+}
+
+/**
+ * Records a migration failure on the stored backup
+ *
+ * @async
+ * @param {Error} error - The error thrown by the migration
+ * @returns {Promise<void>}
+ */
+async function markMigrationFailed(error) {
+  const result = await chrome.storage.local.get([STORAGE_KEYS.MIGRATION_BACKUP]);
+  const backup = result[STORAGE_KEYS.MIGRATION_BACKUP];
+  if (!backup || backup.failed) return;
+
+  backup.failed = {
+    message: error.message,
+    at: new Date().toISOString()
+  };
+
+  await chrome.storage.local.set({ [STORAGE_KEYS.MIGRATION_BACKUP]: backup });
+}
+
+/**
+ * Writes the collections from the migration backup back to storage, with
+ * the schema version they were saved with
+ *
+ * Read-only mode is lifted for the restore; the caller migrates again
+ * afterwards. The backup is kept.
+ *
+ * @async
+ * @returns {Promise<void>}
+ * @throws {Error} If there is no backup or writing fails
+ */
+async function restoreMigrationBackup() {
+  const result = await chrome.storage.local.get([STORAGE_KEYS.MIGRATION_BACKUP]);
+  const backup = result[STORAGE_KEYS.MIGRATION_BACKUP];
+  if (!backup?.data) {
+    throw new Error('There is no migration backup on this device');
+  }
+
+  setCollectionsReadOnly(false);
+  await writeCollections(backup.data);
+  await chrome.storage.sync.set({ [STORAGE_KEYS.SCHEMA_VERSION]: backup.fromVersion });
+
+  console.log(`Restored the migration backup (schema v${backup.fromVersion})`);
+}
+
+/**
+ * Creates missing alarms for running timers
+ *
+ * Timer alarms are named after the tab ID. A migration can move a timer
+ * to a tab with a different ID (see v3), which would orphan its alarm.
+ *
+ * @async
+ * @param {Object[]} savedTabs - Migrated saved tabs
+ * @returns {Promise<void>}
+ */
+async function ensureTimerAlarms(savedTabs) {
+  const now = Date.now();
+  const running = savedTabs.filter(tab => tab.timerEnd > now);
+
+  for (const tab of running) {
+    const existing = await chrome.alarms.get(`timer-${tab.id}`);
+    if (!existing) {
+      chrome.alarms.create(`timer-${tab.id}`, { when: tab.timerEnd });
+    }
+  }
+}
+
+// -----------------------------------------------------------------------------
+// MIGRATIONS
+// -----------------------------------------------------------------------------
+
+/**
+ * v1: Normalizes tab and group records
+ *
+ * Older builds wrote records with missing fields or string IDs for
+ * tabs. This gives every record the documented shape:
+ * - Tabs: numeric id, title (falls back to URL), favicon, savedAt, groupId
+ * - Groups: string id, expanded flag, parentId
+ * - Drops tabs without a URL and clears references to missing groups
+ *
+ * @param {Object} data - Collections at v0
+ * @returns {Object} - Collections at v1
+ */
+function normalizeRecordsV1(data) {
+  const groups = (data[STORAGE_KEYS.GROUPS] || [])
+    .filter(group => group && group.id != null)
+    .map(group => ({
+      ...group,
+      id: String(group.id),
+      name: group.name || 'Untitled group',
+      expanded: group.expanded !== false,
+      parentId: group.parentId != null ? String(group.parentId) : null
+    }));
+
+  const groupIds = new Set(groups.map(group => group.id));
+  groups.forEach(group => {
+    if (group.parentId && (!groupIds.has(group.parentId) || group.parentId === group.id)) {
+      group.parentId = null;
+    }
+  });
+
+  const normalizeTab = (tab) => {
+    const groupId = tab.groupId != null ? String(tab.groupId) : null;
+    return {
+      ...tab,
+      id: typeof tab.id === 'number' ? tab.id : parseFloat(tab.id),
+      title: tab.title || tab.url,
+      favicon: tab.favicon || '',
+      savedAt: tab.savedAt || new Date(0).toISOString(),
+      groupId: groupId && groupIds.has(groupId) ? groupId : null
+    };
+  };
+
+  const normalizeTabs = (tabs) => (tabs || [])
+    .filter(tab => tab && typeof tab.url === 'string' && tab.url)
+    .map(normalizeTab)
+    .filter(tab => !Number.isNaN(tab.id));
+
+  return {
+    ...data,
+    [STORAGE_KEYS.SAVED_TABS]: normalizeTabs(data[STORAGE_KEYS.SAVED_TABS]),
+    [STORAGE_KEYS.GROUPS]: groups,
+    [STORAGE_KEYS.DAILY_TABS]: normalizeTabs(data[STORAGE_KEYS.DAILY_TABS]),
+    [STORAGE_KEYS.PINNED_TABS]: normalizeTabs(data[STORAGE_KEYS.PINNED_TABS]),
+    [STORAGE_KEYS.TIMED_TABS]: normalizeTabs(data[STORAGE_KEYS.TIMED_TABS])
+  };
+}
+
+/**
+ * v2: Adds the metadata used to merge edits across devices (merge.js)
+ *
+ * Existing records get an updatedAt timestamp derived from when they were
+ * created (savedAt for tabs, the timestamp ID for groups), so any edit
+ * made after upgrading wins over them. Starts an empty tombstone list.
+ *
+ * @param {Object} data - Collections at v1
+ * @returns {Object} - Collections at v2
+ */
+function addMergeMetadataV2(data) {
+  const stampTab = (tab) => ({
+    ...tab,
+    updatedAt: tab.updatedAt || Date.parse(tab.savedAt) || 0
+  });
+
+  const stampTabs = (tabs) => (tabs || []).map(stampTab);
+
+  return {
+    ...data,
+    [STORAGE_KEYS.SAVED_TABS]: stampTabs(data[STORAGE_KEYS.SAVED_TABS]),
+    [STORAGE_KEYS.DAILY_TABS]: stampTabs(data[STORAGE_KEYS.DAILY_TABS]),
+    [STORAGE_KEYS.PINNED_TABS]: stampTabs(data[STORAGE_KEYS.PINNED_TABS]),
+    [STORAGE_KEYS.TIMED_TABS]: stampTabs(data[STORAGE_KEYS.TIMED_TABS]),
+    [STORAGE_KEYS.GROUPS]: (data[STORAGE_KEYS.GROUPS] || []).map(group => ({
+      ...group,
+      updatedAt: group.updatedAt || parseInt(group.id, 10) || 0
+    })),
+    [STORAGE_KEYS.TOMBSTONES]: data[STORAGE_KEYS.TOMBSTONES] || []
+  };
+}
+
+/**
+ * v3: Folds the pinned, daily and timed copies into the saved tabs
+ *
+ * Older builds stored { ...tab } copies in separate lists, which went
+ * stale when the saved tab was edited, moved or deleted. Each copy is
+ * matched to its saved tab by id, then by normalized URL, and becomes a
+ * flag on it:
+ * - pinnedTabs -> tab.pinned = true
+ * - dailyTabs  -> tab.daily = true
+ * - timedTabs  -> tab.timerEnd, tab.timerDuration, tab.notified
+ * Copies whose saved tab was deleted are re-added as saved tabs, so no
+ * pinned, daily or timed tab disappears. Tombstones of the retired lists
+ * are dropped.
+ *
+ * Uses normalizeUrl(), defined in utils.js for the side panel and in
+ * background.js for the service worker.
+ *
+ * @param {Object} data - Collections at v2
+ * @returns {Object} - Collections at v3
+ */
+function mergeTabCopiesV3(data) {
+  const savedTabs = data[STORAGE_KEYS.SAVED_TABS] || [];
+
+  const findSavedTab = (copy) =>
+    savedTabs.find(tab => tab.id === copy.id) ||
+    savedTabs.find(tab => normalizeUrl(tab.url) === normalizeUrl(copy.url));
+
+  const foldCopies = (copies, applyState) => {
+    (copies || []).forEach(copy => {
+      let tab = findSavedTab(copy);
+      if (!tab) {
+        const { timerEnd, timerDuration, notified, ...base } = copy;
+        tab = base;
+        savedTabs.push(tab);
+      }
+
+      applyState(tab, copy);
+      tab.updatedAt = Math.max(tab.updatedAt || 0, copy.updatedAt || 0);
+    });
+  };
+
+  foldCopies(data[STORAGE_KEYS.PINNED_TABS], (tab) => {
+    tab.pinned = true;
+  });
+
+  foldCopies(data[STORAGE_KEYS.DAILY_TABS], (tab) => {
+    tab.daily = true;
+  });
+
+  foldCopies(data[STORAGE_KEYS.TIMED_TABS], (tab, copy) => {
+    tab.timerEnd = copy.timerEnd;
+    tab.timerDuration = copy.timerDuration;
+    if (copy.notified) tab.notified = true;
+  });
+
+  const migrated = {
+    ...data,
+    [STORAGE_KEYS.SAVED_TABS]: savedTabs,
+    [STORAGE_KEYS.TOMBSTONES]: (data[STORAGE_KEYS.TOMBSTONES] || [])
+      .filter(tombstone => !RETIRED_COLLECTIONS.includes(tombstone.collection))
+  };
+  RETIRED_COLLECTIONS.forEach(key => delete migrated[key]);
+
+  return migrated;
+}
@@ -0,0 +1,236 @@
+/**
+ * ============================================================================
+ * ONETAB.JS
+ * ============================================================================
+ *
+ * OneTab-compatible text import and export for the Tab Saver extension.
+ *
+ * OneTab exports one tab per line as "URL | Title", with a blank line
+ * between groups:
+ *
+ *   https://example.com | Example
+ *   https://example.org | Another page
+ *
+ *   https://news.example | News
+ *
+ * Import (pasted into the OneTab dialog) creates a new top-level group
+ * per block, skipping URLs that are already saved the same way addTab()
+ * does (isTabSaved()). Export writes the whole collection, or one group
+ * with its subgroups, with one block per group.
+ *
+ * ============================================================================
+ */
+
+// -----------------------------------------------------------------------------
+// ONETAB DIALOG
+// -----------------------------------------------------------------------------
+
+/**
+ * Shows the OneTab import and export dialog
+ */
+function showOneTabModal() {
+  document.getElementById('oneTabImportText').value = '';
+  populateOneTabExportSelect();
+  updateOneTabPreview();
+
+  hideSettingsModal();
+  document.getElementById('oneTabModal').classList.remove('hidden');
+  document.getElementById('oneTabImportText').focus();
+}
+
+/**
+ * Hides the OneTab dialog
+ */
+function hideOneTabModal() {
+  document.getElementById('oneTabModal').classList.add('hidden');
+  document.getElementById('oneTabImportText').value = '';
+}
+
+/**
+ * Fills the export dropdown with "All tabs" and every group, in tree order
+ */
+function populateOneTabExportSelect() {
+  const select = document.getElementById('oneTabExportSelect');
+  select.innerHTML = '';
+
+  const allOption = document.createElement('option');
+  allOption.value = '';
+  allOption.textContent = 'All tabs';
+  select.appendChild(allOption);
+
+  const addGroups = (parentId, depth) => {
+    groups
+      .filter(g => (g.parentId || null) === parentId)
+      .forEach(group => {
+        const option = document.createElement('option');
+        option.value = group.id;
+        option.textContent = `${'\u00a0\u00a0'.repeat(depth)}${group.name}`;
+        select.appendChild(option);
+        addGroups(group.id, depth + 1);
+      });
+  };
+  addGroups(null, 0);
+}
+
+/**
+ * Shows what the pasted text would import
+ */
+function updateOneTabPreview() {
+  const text = document.getElementById('oneTabImportText').value;
+  const preview = document.getElementById('oneTabPreview');
+  const importBtn = document.getElementById('importOneTab');
+
+  if (!text.trim()) {
+    preview.textContent = 'Paste a OneTab export above.';
+    importBtn.disabled = true;
+    return;
+  }
+
+  const { tree, skipped, invalid } = parseOneTabText(text);
+  const tabCount = tree.children.reduce((sum, group) => sum + group.tabs.length, 0);
+
+  const notes = [];
+  if (skipped > 0) notes.push(`${skipped} already saved`);
+  if (invalid > 0) notes.push(`${invalid} invalid ${invalid === 1 ? 'line' : 'lines'}`);
+
+  preview.textContent = `${tabCount} new tabs in ${tree.children.length} groups` +
+    (notes.length > 0 ? ` (skipping ${notes.join(', ')})` : '');
+  importBtn.disabled = tabCount === 0;
+}
+
+// -----------------------------------------------------------------------------
+// IMPORT
+// -----------------------------------------------------------------------------
+
+/**
+ * Imports the text pasted in the OneTab dialog
+ */
+function importOneTabText() {
+  const { tree } = parseOneTabText(document.getElementById('oneTabImportText').value);
+  if (tree.children.length === 0) return;
+
+  importGroupTree(tree);
+
+  const label = 'Import from OneTab';
+  recordHistory(label);
+  showUndoToast(label);
+  saveData();
+  renderAll();
+  hideOneTabModal();
+}
+
+/**
+ * Parses OneTab export text into a group tree
+ *
+ * Each block of lines becomes a group. Lines without " | " are taken as
+ * a bare URL. URLs that are already saved, or repeated in the text, are
+ * skipped; so are lines that don't start with a URL.
+ *
+ * @param {string} text - OneTab export text
+ * @returns {Object} - { tree, skipped, invalid }; tree is a group tree
+ *   (see importGroupTree()) whose children are the groups to create
+ */
+function parseOneTabText(text) {
+  const tree = { name: '', tabs: [], children: [] };
+  const seen = new Set();
+  let block = null;
+  let skipped = 0;
+  let invalid = 0;
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) {
+      // Blank line: the next tab starts a new group
+      block = null;
+      return;
+    }
+
+    const separator = line.indexOf(' | ');
+    const url = (separator === -1 ? line : line.slice(0, separator)).trim();
+    const title = separator === -1 ? '' : line.slice(separator + 3).trim();
+
+    if (!/^[a-z][a-z0-9+.-]*:\S+$/i.test(url)) {
+      invalid++;
+      return;
+    }
+    if (isTabSaved(url) || seen.has(url)) {
+      skipped++;
+      return;
+    }
+    seen.add(url);
+
+    if (!block) {
+      block = { name: `OneTab ${tree.children.length + 1}`, tabs: [], children: [] };
+      tree.children.push(block);
+    }
+    block.tabs.push({ url, title: title || url });
+  });
+
+  return { tree, skipped, invalid };
+}
+
+// -----------------------------------------------------------------------------
+// EXPORT
+// -----------------------------------------------------------------------------
+
+/**
+ * Builds OneTab export text
+ *
+ * Every group with tabs becomes a block, in tree order. For the whole
+ * collection, ungrouped tabs come first.
+ *
+ * @param {string|null} [groupId=null] - Group to export with its subgroups,
+ *   or null for everything
+ * @returns {string} - OneTab text
+ */
+function buildOneTabText(groupId = null) {
+  const blocks = [];
+
+  const addBlock = (tabs) => {
+    if (tabs.length === 0) return;
+    blocks.push(tabs
+      .map(tab => `${tab.url} | ${(tab.title || tab.url).replace(/\s+/g, ' ')}`)
+      .join('\n'));
+  };
+
+  const addGroup = (id) => {
+    addBlock(savedTabs.filter(t => t.groupId === id));
+    groups.filter(g => g.parentId === id).forEach(child => addGroup(child.id));
+  };
+
+  if (groupId) {
+    addGroup(groupId);
+  } else {
+    addBlock(savedTabs.filter(t => !t.groupId));
+    groups.filter(g => !g.parentId).forEach(group => addGroup(group.id));
+  }
+
+  return blocks.length > 0 ? blocks.join('\n\n') + '\n' : '';
+}
+
+/**
+ * Copies the selected export to the clipboard
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function copyOneTabExport() {
+  const button = document.getElementById('copyOneTab');
+  const groupId = document.getElementById('oneTabExportSelect').value || null;
+
+  try {
+    await navigator.clipboard.writeText(buildOneTabText(groupId));
+    button.textContent = 'Copied';
+    setTimeout(() => { button.textContent = 'Copy'; }, 1500);
+  } catch (error) {
+    console.error('Failed to copy OneTab export:', error);
+  }
+}
+
+/**
+ * Downloads the selected export as a text file
+ */
+function downloadOneTabExport() {
+  const groupId = document.getElementById('oneTabExportSelect').value || null;
+  downloadFile(`tab-saver-onetab-${formatFileDate()}.txt`, buildOneTabText(groupId));
+}
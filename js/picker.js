@@ -12,6 +12,9 @@
  * - Multi-select with Select All/Deselect All
  * - Group selection or create new group inline
  * - Visual indication of already-saved tabs
+ * - Tabs listed under their Chrome tab group, which can be saved as a
+ *   group in one click (see chrome-tab-groups.js)
+ * - Save & Close: saves the selected tabs and closes them (see stash.js)
  *
  * ============================================================================
  */
@@ -40,6 +43,14 @@ async function showTabPicker(allWindows = false) {
     tabs = await chrome.tabs.query({ currentWindow: true });
   }
 
+  // Chrome tab groups, to list tabs under their group
+  let tabGroups = new Map();
+  try {
+    tabGroups = await getChromeTabGroups();
+  } catch (error) {
+    console.error('Failed to read Chrome tab groups:', error);
+  }
+
   // Group tabs by window if showing all windows
   if (allWindows) {
     // Create a map of windows to their tabs
@@ -54,11 +65,11 @@ async function showTabPicker(allWindows = false) {
     // Render with window headers
     tabPickerList.innerHTML = Object.entries(windows).map(([windowId, windowTabs], index) => `
       <div class="window-header">Window ${index + 1} (${windowTabs.length} tabs)</div>
-      ${windowTabs.map(tab => createPickerItemHTML(tab)).join('')}
+      ${createPickerTabsHTML(windowTabs, tabGroups)}
     `).join('');
   } else {
     // Render flat list
-    tabPickerList.innerHTML = tabs.map(tab => createPickerItemHTML(tab)).join('');
+    tabPickerList.innerHTML = createPickerTabsHTML(tabs, tabGroups);
   }
 
   // Attach click listeners to toggle selection
@@ -70,6 +81,13 @@ async function showTabPicker(allWindows = false) {
     });
   });
 
+  // Save a whole Chrome tab group
+  tabPickerList.querySelectorAll('.picker-save-tab-group').forEach(button => {
+    button.addEventListener('click', () => {
+      saveChromeTabGroup(Number(button.closest('.picker-tab-group').dataset.tabGroupId));
+    });
+  });
+
   // Populate group dropdown
   populatePickerGroupSelect();
 
@@ -80,6 +98,38 @@ async function showTabPicker(allWindows = false) {
   tabPickerModal.classList.remove('hidden');
 }
 
+/**
+ * Creates HTML for a window's tabs in the picker
+ *
+ * Tabs in a Chrome tab group follow a header with the group's name and
+ * color and a button to save the group.
+ *
+ * @param {chrome.tabs.Tab[]} tabs - Tabs in tab strip order
+ * @param {Map<number, chrome.tabGroups.TabGroup>} tabGroups - Chrome tab groups by ID
+ * @returns {string} - HTML string
+ */
+function createPickerTabsHTML(tabs, tabGroups) {
+  let currentGroupId = -1;
+
+  return tabs.map(tab => {
+    let header = '';
+    if (tab.groupId !== currentGroupId) {
+      currentGroupId = tab.groupId;
+      const tabGroup = tabGroups.get(tab.groupId);
+      if (tabGroup) {
+        header = `
+          <div class="picker-tab-group" data-tab-group-id="${tabGroup.id}">
+            <span class="group-color" data-color="${escapeHtml(tabGroup.color)}"></span>
+            <span class="picker-tab-group-name">${escapeHtml(tabGroup.title || 'Unnamed group')}</span>
+            <button class="btn btn-small picker-save-tab-group" title="Save these tabs to a group with this name">Save as group</button>
+          </div>
+        `;
+      }
+    }
+    return header + createPickerItemHTML(tab);
+  }).join('');
+}
+
 /**
  * Creates HTML for a tab item in the picker
  *
@@ -91,10 +141,11 @@ async function showTabPicker(allWindows = false) {
  */
 function createPickerItemHTML(tab) {
   // Check if this tab is already saved
-  const alreadySaved = savedTabs.some(t => t.url === tab.url);
+  const alreadySaved = isTabSaved(tab.url);
 
   return `
     <div class="picker-item ${alreadySaved ? 'already-saved' : ''}"
+         data-tab-id="${tab.id}"
          data-url="${escapeHtml(tab.url)}"
          data-title="${escapeHtml(tab.title)}"
          data-favicon="${tab.favIconUrl || ''}">
@@ -223,9 +274,25 @@ function deselectAllPickerTabs() {
  * Creates savedTab entries for each selected tab.
  * If "+ New Group" was selected, creates the new group first.
  * Assigns all saved tabs to the selected/created group.
+ *
+ * With closeTabs, the tabs are stashed: saved with the stash time and
+ * closed (see stash.js). Stashed tabs always go into a group, so "No
+ * Group" creates a stash group for them.
+ *
+ * @async
+ * @param {boolean} [closeTabs=false] - Whether to close the saved tabs
+ * @returns {Promise<void>}
  */
-function saveSelectedTabs() {
-  const selectedItems = tabPickerList.querySelectorAll('.picker-item.selected');
+async function saveSelectedTabs(closeTabs = false) {
+  const selectedItems = [...tabPickerList.querySelectorAll('.picker-item.selected')]
+    .filter(item => !closeTabs || isStashableUrl(item.dataset.url));
+  const stashedAt = Date.now();
+
+  // Nothing to close: don't create a stash group either
+  if (closeTabs && selectedItems.length === 0) {
+    alert('None of the selected tabs can be stashed. Only web pages are saved and closed.');
+    return;
+  }
 
   // Get selected group or prepare to create new one
   let groupId = document.getElementById('pickerGroupSelect').value;
@@ -244,40 +311,61 @@ function saveSelectedTabs() {
       id: generateStringId(),
       name: newGroupName,
       expanded: true,
-      parentId: null
+      parentId: null,
+      updatedAt: Date.now()
     };
     groups.push(newGroup);
     groupId = newGroup.id;
+  } else if (groupId === '' && closeTabs) {
+    // Stashed tabs need a group to be restored from
+    const stashGroup = createStashGroup(stashedAt);
+    groups.push(stashGroup);
+    groupId = stashGroup.id;
   } else if (groupId === '') {
     // "No Group" selected
     groupId = null;
   }
 
-  // Save each selected tab
-  selectedItems.forEach(item => {
-    const url = item.dataset.url;
-    const title = item.dataset.title;
-    const favicon = item.dataset.favicon;
-
-    // Skip if already saved
-    if (savedTabs.some(t => t.url === url)) return;
-
-    const savedTab = {
-      id: generateId(),
-      title: title,
-      url: url,
-      favicon: favicon,
-      savedAt: new Date().toISOString(),
-      groupId: groupId
-    };
+  if (closeTabs) {
+    // Already saved tabs are marked as stashed where they are
+    addStashedTabs(selectedItems.map(item => ({
+      url: item.dataset.url,
+      title: item.dataset.title,
+      favicon: item.dataset.favicon
+    })), groupId, stashedAt);
+  } else {
+    // Save each selected tab
+    selectedItems.forEach(item => {
+      const url = item.dataset.url;
+      const title = item.dataset.title;
+      const favicon = item.dataset.favicon;
+
+      // Skip if already saved
+      if (isTabSaved(url)) return;
+
+      const savedTab = {
+        id: generateId(),
+        title: title,
+        url: url,
+        favicon: favicon,
+        savedAt: new Date().toISOString(),
+        groupId: groupId,
+        updatedAt: Date.now()
+      };
+
+      // Add to beginning of array
+      savedTabs.unshift(savedTab);
+    });
+  }
 
-    // Add to beginning of array
-    savedTabs.unshift(savedTab);
-  });
+  const tabIds = selectedItems.map(item => Number(item.dataset.tabId));
 
+  recordHistory(closeTabs ? 'Save and close tabs' : 'Save tabs');
   saveData();
   renderAll();
   hideTabPicker();
+
+  if (closeTabs) await closeStashedTabs(tabIds);
 }
 
 // -----------------------------------------------------------------------------
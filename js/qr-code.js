@@ -0,0 +1,549 @@
+/**
+ * ============================================================================
+ * QR-CODE.JS
+ * ============================================================================
+ *
+ * QR code generator for the Tab Saver extension (used to share groups).
+ *
+ * Encodes text in byte mode (UTF-8), versions 1 to 40, following ISO/IEC
+ * 18004. Works offline with no dependencies:
+ * - Picks the smallest version that fits at error correction level L,
+ *   then raises the level as far as the same version allows
+ * - Adds Reed-Solomon error correction and interleaves the blocks
+ * - Draws the function patterns and data, and keeps the mask pattern
+ *   with the lowest penalty score
+ *
+ * The result is a square grid of booleans (true = dark), drawn by
+ * renderQrSvg().
+ *
+ * ============================================================================
+ */
+
+// -----------------------------------------------------------------------------
+// TABLES
+// -----------------------------------------------------------------------------
+
+/**
+ * Error correction levels, lowest first, with their format bits
+ */
+const QR_ECC_LEVELS = [
+  { name: 'L', formatBits: 1 },
+  { name: 'M', formatBits: 0 },
+  { name: 'Q', formatBits: 3 },
+  { name: 'H', formatBits: 2 }
+];
+
+/**
+ * Error correction codewords per block, by level (L, M, Q, H) and version
+ * (index 0 is unused)
+ */
+const QR_ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+/**
+ * Number of error correction blocks, by level (L, M, Q, H) and version
+ * (index 0 is unused)
+ */
+const QR_ECC_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+// -----------------------------------------------------------------------------
+// ENCODING
+// -----------------------------------------------------------------------------
+
+/**
+ * Encodes text as a QR code
+ *
+ * @param {string} text - Text to encode
+ * @returns {boolean[][]} - Modules by row, true for dark
+ * @throws {Error} If the text is too long for a QR code
+ */
+function createQrCode(text) {
+  const bytes = [...new TextEncoder().encode(text)];
+
+  // Smallest version that fits at the lowest level
+  let version = 1;
+  while (version <= 40 && getQrDataBits(bytes.length, version) > getQrDataCodewords(version, 0) * 8) {
+    version++;
+  }
+  if (version > 40) {
+    throw new Error('Text is too long for a QR code');
+  }
+
+  // Highest level that still fits in that version
+  let level = 0;
+  while (level < QR_ECC_LEVELS.length - 1 &&
+    getQrDataBits(bytes.length, version) <= getQrDataCodewords(version, level + 1) * 8) {
+    level++;
+  }
+
+  const codewords = addQrErrorCorrection(createQrDataCodewords(bytes, version, level), version, level);
+  return drawQrCode(codewords, version, level);
+}
+
+/**
+ * Counts the bits of a byte mode segment
+ *
+ * @param {number} length - Number of bytes
+ * @param {number} version - QR version (1-40)
+ * @returns {number}
+ */
+function getQrDataBits(length, version) {
+  // Mode indicator, character count, data
+  return 4 + (version < 10 ? 8 : 16) + length * 8;
+}
+
+/**
+ * Counts the modules that hold data and error correction
+ *
+ * @param {number} version - QR version (1-40)
+ * @returns {number}
+ */
+function getQrRawModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignCount = Math.floor(version / 7) + 2;
+    result -= (25 * alignCount - 10) * alignCount - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+/**
+ * Counts the data codewords (without error correction)
+ *
+ * @param {number} version - QR version (1-40)
+ * @param {number} level - Index in QR_ECC_LEVELS
+ * @returns {number}
+ */
+function getQrDataCodewords(version, level) {
+  return Math.floor(getQrRawModules(version) / 8) -
+    QR_ECC_CODEWORDS_PER_BLOCK[level][version] * QR_ECC_BLOCKS[level][version];
+}
+
+/**
+ * Builds the data codewords: a byte mode segment, terminator and padding
+ *
+ * @param {number[]} bytes - Data bytes
+ * @param {number} version - QR version (1-40)
+ * @param {number} level - Index in QR_ECC_LEVELS
+ * @returns {number[]} - Data codewords
+ */
+function createQrDataCodewords(bytes, version, level) {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  append(0b0100, 4);
+  append(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach(byte => append(byte, 8));
+
+  const capacity = getQrDataCodewords(version, level) * 8;
+  append(0, Math.min(4, capacity - bits.length));
+  append(0, (8 - bits.length % 8) % 8);
+  for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+    append(pad, 8);
+  }
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  return codewords;
+}
+
+/**
+ * Splits data into blocks, adds error correction and interleaves them
+ *
+ * @param {number[]} data - Data codewords
+ * @param {number} version - QR version (1-40)
+ * @param {number} level - Index in QR_ECC_LEVELS
+ * @returns {number[]} - All codewords in placement order
+ */
+function addQrErrorCorrection(data, version, level) {
+  const blockCount = QR_ECC_BLOCKS[level][version];
+  const eccLength = QR_ECC_CODEWORDS_PER_BLOCK[level][version];
+  const rawCodewords = Math.floor(getQrRawModules(version) / 8);
+  const shortBlockCount = blockCount - rawCodewords % blockCount;
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+  const divisor = getReedSolomonDivisor(eccLength);
+
+  const blocks = [];
+  for (let i = 0, offset = 0; i < blockCount; i++) {
+    const blockData = data.slice(offset, offset + shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1));
+    offset += blockData.length;
+
+    const ecc = getReedSolomonRemainder(blockData, divisor);
+    // Short blocks get a placeholder so all blocks line up
+    if (i < shortBlockCount) blockData.push(0);
+    blocks.push(blockData.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLength - eccLength || j >= shortBlockCount) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+}
+
+// -----------------------------------------------------------------------------
+// REED-SOLOMON
+// -----------------------------------------------------------------------------
+
+/**
+ * Multiplies two elements of GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+ *
+ * @param {number} x - Byte
+ * @param {number} y - Byte
+ * @returns {number}
+ */
+function multiplyGf256(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+/**
+ * Computes the Reed-Solomon generator polynomial of a degree
+ *
+ * @param {number} degree - Number of error correction codewords
+ * @returns {number[]} - Coefficients, highest power first (the leading 1
+ *   is left out)
+ */
+function getReedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = multiplyGf256(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = multiplyGf256(root, 0x02);
+  }
+  return result;
+}
+
+/**
+ * Computes the error correction codewords of a block
+ *
+ * @param {number[]} data - Data codewords of the block
+ * @param {number[]} divisor - From getReedSolomonDivisor()
+ * @returns {number[]}
+ */
+function getReedSolomonRemainder(data, divisor) {
+  const result = new Array(divisor.length).fill(0);
+
+  data.forEach(byte => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= multiplyGf256(coefficient, factor);
+    });
+  });
+  return result;
+}
+
+// -----------------------------------------------------------------------------
+// DRAWING
+// -----------------------------------------------------------------------------
+
+/**
+ * Draws the modules and picks the best mask
+ *
+ * @param {number[]} codewords - All codewords in placement order
+ * @param {number} version - QR version (1-40)
+ * @param {number} level - Index in QR_ECC_LEVELS
+ * @returns {boolean[][]} - Modules by row, true for dark
+ */
+function drawQrCode(codewords, version, level) {
+  const size = version * 4 + 17;
+  const qr = {
+    size,
+    modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+    isFunction: Array.from({ length: size }, () => new Array(size).fill(false))
+  };
+
+  drawQrFunctionPatterns(qr, version, level);
+  drawQrCodewords(qr, codewords);
+
+  let bestMask = 0;
+  let bestPenalty = Infinity;
+  for (let mask = 0; mask < 8; mask++) {
+    applyQrMask(qr, mask);
+    drawQrFormatBits(qr, level, mask);
+    const penalty = getQrPenalty(qr.modules);
+    if (penalty < bestPenalty) {
+      bestMask = mask;
+      bestPenalty = penalty;
+    }
+    // Masks are their own inverse
+    applyQrMask(qr, mask);
+  }
+
+  applyQrMask(qr, bestMask);
+  drawQrFormatBits(qr, level, bestMask);
+  return qr.modules;
+}
+
+/**
+ * Sets a module that is part of a function pattern
+ *
+ * @param {Object} qr - { size, modules, isFunction }
+ * @param {number} x - Column
+ * @param {number} y - Row
+ * @param {boolean} dark - Whether the module is dark
+ */
+function setQrFunctionModule(qr, x, y, dark) {
+  qr.modules[y][x] = dark;
+  qr.isFunction[y][x] = true;
+}
+
+/**
+ * Draws the timing, finder and alignment patterns, and reserves the
+ * format and version areas
+ *
+ * @param {Object} qr - { size, modules, isFunction }
+ * @param {number} version - QR version (1-40)
+ * @param {number} level - Index in QR_ECC_LEVELS
+ */
+function drawQrFunctionPatterns(qr, version, level) {
+  const { size } = qr;
+
+  for (let i = 0; i < size; i++) {
+    setQrFunctionModule(qr, 6, i, i % 2 === 0);
+    setQrFunctionModule(qr, i, 6, i % 2 === 0);
+  }
+
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) {
+          setQrFunctionModule(qr, x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  });
+
+  const positions = getQrAlignmentPositions(version);
+  const last = positions.length - 1;
+  positions.forEach((cx, i) => {
+    positions.forEach((cy, j) => {
+      // Corners with finder patterns
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          setQrFunctionModule(qr, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  // Placeholder, drawn again once the mask is chosen
+  drawQrFormatBits(qr, level, 0);
+
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+    }
+    const bits = (version << 12) | remainder;
+
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      setQrFunctionModule(qr, a, b, dark);
+      setQrFunctionModule(qr, b, a, dark);
+    }
+  }
+}
+
+/**
+ * Gets the centre coordinates of the alignment patterns
+ *
+ * @param {number} version - QR version (1-40)
+ * @returns {number[]} - Ascending positions, used for both rows and columns
+ */
+function getQrAlignmentPositions(version) {
+  if (version === 1) return [];
+
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+  const result = [6];
+  for (let position = version * 4 + 10; result.length < count; position -= step) {
+    result.splice(1, 0, position);
+  }
+  return result;
+}
+
+/**
+ * Draws both copies of the format bits (level and mask)
+ *
+ * @param {Object} qr - { size, modules, isFunction }
+ * @param {number} level - Index in QR_ECC_LEVELS
+ * @param {number} mask - Mask pattern (0-7)
+ */
+function drawQrFormatBits(qr, level, mask) {
+  const { size } = qr;
+  const data = (QR_ECC_LEVELS[level].formatBits << 3) | mask;
+
+  let remainder = data;
+  for (let i = 0; i < 10; i++) {
+    remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  }
+  const bits = ((data << 10) | remainder) ^ 0x5412;
+  const bit = (i) => ((bits >>> i) & 1) === 1;
+
+  // Around the top left finder pattern
+  for (let i = 0; i <= 5; i++) setQrFunctionModule(qr, 8, i, bit(i));
+  setQrFunctionModule(qr, 8, 7, bit(6));
+  setQrFunctionModule(qr, 8, 8, bit(7));
+  setQrFunctionModule(qr, 7, 8, bit(8));
+  for (let i = 9; i < 15; i++) setQrFunctionModule(qr, 14 - i, 8, bit(i));
+
+  // Split between the other two finder patterns
+  for (let i = 0; i < 8; i++) setQrFunctionModule(qr, size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i++) setQrFunctionModule(qr, 8, size - 15 + i, bit(i));
+  setQrFunctionModule(qr, 8, size - 8, true);
+}
+
+/**
+ * Places the codewords in the zigzag order, skipping function modules
+ *
+ * @param {Object} qr - { size, modules, isFunction }
+ * @param {number[]} codewords - All codewords in placement order
+ */
+function drawQrCodewords(qr, codewords) {
+  const { size } = qr;
+  let index = 0;
+
+  for (let right = size - 1; right >= 1; right -= 2) {
+    // The vertical timing pattern takes a whole column
+    if (right === 6) right = 5;
+
+    for (let vertical = 0; vertical < size; vertical++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vertical : vertical;
+
+        if (!qr.isFunction[y][x] && index < codewords.length * 8) {
+          qr.modules[y][x] = ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) === 1;
+          index++;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Inverts the data modules selected by a mask pattern
+ *
+ * @param {Object} qr - { size, modules, isFunction }
+ * @param {number} mask - Mask pattern (0-7)
+ */
+function applyQrMask(qr, mask) {
+  const patterns = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+  ];
+  const invert = patterns[mask];
+
+  for (let y = 0; y < qr.size; y++) {
+    for (let x = 0; x < qr.size; x++) {
+      if (!qr.isFunction[y][x] && invert(x, y)) {
+        qr.modules[y][x] = !qr.modules[y][x];
+      }
+    }
+  }
+}
+
+/**
+ * Scores how hard a masked code is to scan (lower is better)
+ *
+ * Counts long runs of one colour, 2x2 blocks, finder-like patterns and
+ * an unbalanced share of dark modules.
+ *
+ * @param {boolean[][]} modules - Modules by row
+ * @returns {number}
+ */
+function getQrPenalty(modules) {
+  const size = modules.length;
+  const rows = modules.map(row => row.map(dark => (dark ? '1' : '0')).join(''));
+  const columns = modules[0].map((_, x) => modules.map(row => (row[x] ? '1' : '0')).join(''));
+  let penalty = 0;
+
+  [...rows, ...columns].forEach(line => {
+    for (const [run] of line.matchAll(/0{5,}|1{5,}/g)) {
+      penalty += run.length - 2;
+    }
+    for (let i = 0; i + 11 <= line.length; i++) {
+      const window = line.slice(i, i + 11);
+      if (window === '10111010000' || window === '00001011101') penalty += 40;
+    }
+  });
+
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const dark = modules[y][x];
+      if (dark === modules[y][x + 1] && dark === modules[y + 1][x] && dark === modules[y + 1][x + 1]) {
+        penalty += 3;
+      }
+    }
+  }
+
+  const darkCount = rows.reduce((sum, row) => sum + row.split('1').length - 1, 0);
+  const total = size * size;
+  penalty += (Math.ceil(Math.abs(darkCount * 20 - total * 10) / total) - 1) * 10;
+
+  return penalty;
+}
+
+/**
+ * Renders QR modules as an SVG image
+ *
+ * @param {boolean[][]} modules - From createQrCode()
+ * @returns {string} - SVG markup with a 4-module quiet zone
+ */
+function renderQrSvg(modules) {
+  const border = 4;
+  const size = modules.length + border * 2;
+  const path = [];
+
+  modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) path.push(`M${x + border},${y + border}h1v1h-1z`);
+    });
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges">` +
+    `<rect width="100%" height="100%" fill="#fff"/><path d="${path.join('')}" fill="#000"/></svg>`;
+}
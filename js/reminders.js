@@ -109,7 +109,9 @@ function handleSaveReminder() {
     // Track whether time was explicitly set
     // This affects how the reminder is displayed in the UI
     tab.hasTime = !!timeValue;
+    touchRecord(tab);
 
+    recordHistory('Set reminder');
     saveData();
     renderAll();
   }
@@ -130,6 +132,8 @@ function removeReminder(tabId) {
   if (tab) {
     delete tab.reminder;
     delete tab.hasTime;
+    touchRecord(tab);
+    recordHistory('Remove reminder', { destructive: true });
     saveData();
     renderAll();
   }
@@ -38,7 +38,9 @@ function renderAll(searchQuery) {
   renderDueSoon(query);
   renderGroups(query);
   renderSavedTabs(query);
+  renderSessions(query);
   renderCurrentTabs(query);
+  renderTrash(query);
 }
 
 // -----------------------------------------------------------------------------
@@ -55,7 +57,7 @@ function renderAll(searchQuery) {
  */
 function renderPinnedTabs(searchQuery) {
   const query = getSearchQuery(searchQuery);
-  const filtered = filterTabs(pinnedTabs, query);
+  const filtered = filterTabs(getPinnedTabs(), query);
   const section = pinnedTabsList.closest('.section');
 
   // Hide section if empty
@@ -128,7 +130,7 @@ function attachPinnedTabListeners(container) {
  */
 function renderDailyTabs(searchQuery) {
   const query = getSearchQuery(searchQuery);
-  const filtered = filterTabs(dailyTabs, query);
+  const filtered = filterTabs(getDailyTabs(), query);
   const section = dailyTabsList.closest('.section');
 
   // Hide section if empty
@@ -158,7 +160,7 @@ function renderDailyTabs(searchQuery) {
  */
 function renderTimedTabs(searchQuery) {
   const query = getSearchQuery(searchQuery);
-  const filtered = filterTabs(timedTabs, query);
+  const filtered = filterTabs(getTimedTabs(), query);
   const section = timedTabsList.closest('.section');
 
   // Hide section if empty
@@ -505,7 +507,12 @@ function attachReminderEditListeners(container) {
 function renderGroups(searchQuery) {
   const query = getSearchQuery(searchQuery);
 
-  if (groups.length === 0) {
+  // Archived groups under an active parent are rendered inside it
+  const archivedRoots = shouldIncludeArchived(query)
+    ? archivedGroups.filter(g => !groups.some(p => p.id === g.parentId) && !archivedGroups.some(p => p.id === g.parentId))
+    : [];
+
+  if (groups.length === 0 && archivedRoots.length === 0) {
     groupsList.innerHTML = '<div class="empty-state">No groups yet. Create one to organize your tabs.</div>';
     return;
   }
@@ -513,10 +520,12 @@ function renderGroups(searchQuery) {
   // Get root level groups (no parent)
   const rootGroups = groups.filter(g => !g.parentId);
 
-  groupsList.innerHTML = rootGroups.map(group => renderGroupHTML(group, query, 0)).join('');
+  groupsList.innerHTML = rootGroups.map(group => renderGroupHTML(group, query, 0)).join('') +
+    archivedRoots.map(group => renderArchivedGroupHTML(group, query, 0)).join('');
 
   // Attach all group listeners
   attachGroupListeners();
+  attachArchiveListeners(groupsList);
 }
 
 /**
@@ -537,28 +546,55 @@ function renderGroupHTML(group, searchQuery, depth) {
   // Get child groups
   const childGroups = groups.filter(g => g.parentId === group.id);
 
+  // Archived tabs and subgroups of this group
+  const includeArchived = shouldIncludeArchived(searchQuery);
+  const archivedInGroup = includeArchived ? filterTabs(archivedTabs.filter(t => t.groupId === group.id), searchQuery) : [];
+  const archivedChildren = includeArchived ? archivedGroups.filter(g => g.parentId === group.id) : [];
+  const archivedChildrenHTML = archivedChildren.map(child => renderArchivedGroupHTML(child, searchQuery, depth + 1)).join('');
+
   // Count total tabs including nested groups
   const totalTabs = countGroupTabs(group.id);
 
+  // Tabs saved and closed into this group, restorable in one click
+  const stashedTabs = getStashedTabs(group.id);
+  const stashButton = stashedTabs.length > 0
+    ? `<button class="tab-action-btn group-restore-stash" title="Reopen ${stashedTabs.length} stashed tabs (stashed ${formatStashTime(Math.max(...stashedTabs.map(t => t.stashedAt)))})">⤴</button>`
+    : '';
+
+  // Opens automatically at set times (see schedules.js)
+  const scheduleTitle = getGroupScheduleTitle(group);
+
   return `
     <div class="group-item ${group.expanded ? 'expanded' : ''}" data-group-id="${group.id}" style="margin-left: ${depth * 16}px;">
       <div class="group-header" draggable="true">
         <span class="drag-handle">⋮⋮</span>
         <span class="group-expand">▶</span>
+        ${group.color ? `<span class="group-color" data-color="${escapeHtml(group.color)}" title="Chrome tab group color"></span>` : ''}
         <span class="group-name">${escapeHtml(group.name)}</span>
+        ${isGroupBoundToBookmarks(group.id) ? '<span class="group-synced" title="Synced with a bookmarks folder">🔖</span>' : ''}
+        ${scheduleTitle ? `<span class="group-scheduled" title="${escapeHtml(scheduleTitle)}">⏰</span>` : ''}
         <span class="group-count">${totalTabs}</span>
         <div class="group-actions">
+          ${stashButton}
           <button class="tab-action-btn group-add-subgroup" title="Add subgroup">+</button>
           <button class="tab-action-btn group-open-all" title="Open all">↗</button>
+          <button class="tab-action-btn group-open-tab-group" title="Open as Chrome tab group">⧈</button>
+          <button class="tab-action-btn group-schedule" title="Schedule opening">⏰</button>
+          <button class="tab-action-btn group-copy-links" title="Copy links">⧉</button>
+          <button class="tab-action-btn group-share" title="Share group">⇪</button>
+          <button class="tab-action-btn group-bookmarks" title="Sync with bookmarks">🔖</button>
           <button class="tab-action-btn group-edit" title="Edit">✎</button>
+          <button class="tab-action-btn group-archive" title="Archive">🗄</button>
           <button class="tab-action-btn group-delete" title="Delete">×</button>
         </div>
       </div>
       <div class="group-tabs">
         ${filtered.length > 0
           ? filtered.map(tab => createTabHTML(tab)).join('')
-          : (childGroups.length === 0 ? '<div class="empty-state">No tabs in this group</div>' : '')}
+          : (childGroups.length === 0 && archivedInGroup.length === 0 && !archivedChildrenHTML ? '<div class="empty-state">No tabs in this group</div>' : '')}
+        ${createArchivedTabListHTML(archivedInGroup)}
         ${childGroups.map(child => renderGroupHTML(child, searchQuery, depth + 1)).join('')}
+        ${archivedChildrenHTML}
       </div>
     </div>
   `;
@@ -570,7 +606,7 @@ function renderGroupHTML(group, searchQuery, depth) {
  * Handles expand/collapse, drag-and-drop, and action buttons.
  */
 function attachGroupListeners() {
-  groupsList.querySelectorAll('.group-header').forEach(header => {
+  groupsList.querySelectorAll('.group-item:not(.archived) > .group-header').forEach(header => {
     const groupItem = header.closest('.group-item');
     const groupId = groupItem.dataset.groupId;
 
@@ -609,15 +645,52 @@ function attachGroupListeners() {
       }
     });
 
+    header.querySelector('.group-restore-stash')?.addEventListener('click', (e) => {
+      e.stopPropagation();
+      restoreStash(groupId);
+    });
+
+    header.querySelector('.group-open-tab-group')?.addEventListener('click', (e) => {
+      e.stopPropagation();
+      openGroupAsTabGroup(groupId);
+    });
+
+    header.querySelector('.group-schedule')?.addEventListener('click', (e) => {
+      e.stopPropagation();
+      showScheduleModal(groupId);
+    });
+
+    header.querySelector('.group-copy-links')?.addEventListener('click', (e) => {
+      e.stopPropagation();
+      showGroupLinkExport(groupId);
+    });
+
+    header.querySelector('.group-share')?.addEventListener('click', (e) => {
+      e.stopPropagation();
+      showShareModal(groupId);
+    });
+
+    header.querySelector('.group-bookmarks')?.addEventListener('click', (e) => {
+      e.stopPropagation();
+      showBookmarkSyncModal(groupId);
+    });
+
     header.querySelector('.group-edit')?.addEventListener('click', (e) => {
       e.stopPropagation();
       const group = groups.find(g => g.id === groupId);
       if (group) showGroupModal(group);
     });
 
+    header.querySelector('.group-archive')?.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (confirm('Archive this group and all subgroups? Archived groups are kept on this device only and removed from sync. Pinned, daily, timed and reminder tabs stay in Saved Tabs.')) {
+        archiveGroup(groupId);
+      }
+    });
+
     header.querySelector('.group-delete')?.addEventListener('click', (e) => {
       e.stopPropagation();
-      if (confirm('Delete this group and all subgroups? Tabs will be moved to Saved Tabs.')) {
+      if (confirm('Delete this group and all subgroups? Tabs will be moved to Saved Tabs. You can restore the group from the Trash.')) {
         deleteGroup(groupId);
       }
     });
@@ -732,14 +805,21 @@ function renderSavedTabs(searchQuery) {
   const ungroupedTabs = savedTabs.filter(t => !t.groupId);
   const filtered = filterTabs(ungroupedTabs, query);
 
-  if (filtered.length === 0) {
+  // Archived tabs whose group is not listed (ungrouped, or group deleted)
+  const archived = shouldIncludeArchived(query)
+    ? filterTabs(archivedTabs.filter(t => !groups.some(g => g.id === t.groupId) && !archivedGroups.some(g => g.id === t.groupId)), query)
+    : [];
+
+  if (filtered.length === 0 && archived.length === 0) {
     savedTabsList.innerHTML = '<div class="empty-state">No saved tabs yet. Click a button above to save tabs.</div>';
     return;
   }
 
-  savedTabsList.innerHTML = filtered.map(tab => createTabHTML(tab)).join('');
+  savedTabsList.innerHTML = filtered.map(tab => createTabHTML(tab)).join('') +
+    createArchivedTabListHTML(archived);
 
   attachTabListeners(savedTabsList);
+  attachArchiveListeners(savedTabsList);
   attachDragListeners(savedTabsList);
   attachFaviconErrorHandlers(savedTabsList);
 }
@@ -785,21 +865,23 @@ async function renderCurrentTabs(searchQuery) {
  * Creates HTML for a current tab item
  *
  * Shows save button if not already saved, or "Saved" badge if it is.
+ * Hibernated (discarded) tabs show 💤 and a button to wake them.
  *
  * @param {chrome.tabs.Tab} tab - Chrome tab object
  * @returns {string} - HTML string
  */
 function createCurrentTabHTML(tab) {
-  const alreadySaved = savedTabs.some(t => t.url === tab.url);
+  const alreadySaved = isTabSaved(tab.url);
 
   return `
-    <div class="tab-item current-tab ${alreadySaved ? 'already-saved' : ''}" data-tab-id="${tab.id}" data-url="${escapeHtml(tab.url)}" data-title="${escapeHtml(tab.title)}" data-favicon="${tab.favIconUrl || ''}">
+    <div class="tab-item current-tab ${alreadySaved ? 'already-saved' : ''} ${tab.discarded ? 'hibernated' : ''}" data-tab-id="${tab.id}" data-url="${escapeHtml(tab.url)}" data-title="${escapeHtml(tab.title)}" data-favicon="${tab.favIconUrl || ''}">
       <img class="tab-favicon" src="${tab.favIconUrl || DEFAULT_FAVICON}" alt="">
       <div class="tab-info">
-        <div class="tab-title">${escapeHtml(tab.title)}</div>
+        <div class="tab-title">${tab.discarded ? '<span class="hibernated-badge" title="Hibernated to save memory">💤</span>' : ''}${escapeHtml(tab.title)}</div>
         <div class="tab-url">${escapeHtml(getHostname(tab.url))}</div>
       </div>
       <div class="tab-actions">
+        ${tab.discarded ? '<button class="tab-action-btn tab-wake" title="Wake tab (reload it without switching to it)">☀</button>' : ''}
         ${alreadySaved
           ? '<span class="saved-badge">Saved</span>'
           : '<button class="tab-action-btn tab-save" title="Save tab">+</button>'}
@@ -835,6 +917,12 @@ function attachCurrentTabListeners(container) {
       saveTabFromCurrent(url, title, favicon);
       renderAll();
     });
+
+    // Wake button (hibernated tabs)
+    item.querySelector('.tab-wake')?.addEventListener('click', (e) => {
+      e.stopPropagation();
+      wakeTab(parseInt(item.dataset.tabId));
+    });
   });
 }
 
@@ -852,7 +940,7 @@ function attachCurrentTabListeners(container) {
  * @returns {string} - HTML string
  */
 function createTabHTML(tab, isDaily = false) {
-  const isDailyTab = dailyTabs.some(t => t.id === tab.id);
+  const isDailyTab = !!tab.daily;
 
   return `
     <div class="tab-item ${isDaily ? 'daily' : ''}" data-tab-id="${tab.id}" data-url="${escapeHtml(tab.url)}" draggable="true">
@@ -880,10 +968,10 @@ function createTabHTML(tab, isDaily = false) {
  * @param {HTMLElement} container - Container with tab items
  */
 function attachTabListeners(container) {
-  container.querySelectorAll('.tab-item').forEach(item => {
+  container.querySelectorAll('.tab-item:not(.archived)').forEach(item => {
     const tabId = parseFloat(item.dataset.tabId);
     const url = item.dataset.url;
-    const tab = savedTabs.find(t => t.id === tabId) || dailyTabs.find(t => t.id === tabId);
+    const tab = savedTabs.find(t => t.id === tabId);
 
     // Click to open tab
     item.addEventListener('click', (e) => {
@@ -910,3 +998,443 @@ function attachTabListeners(container) {
     });
   });
 }
+
+// -----------------------------------------------------------------------------
+// ARCHIVE
+// -----------------------------------------------------------------------------
+
+/**
+ * Checks whether archived entries are listed
+ *
+ * They are listed when the Archive toggle is on, and always while searching.
+ *
+ * @param {string} searchQuery - Current search query
+ * @returns {boolean}
+ */
+function shouldIncludeArchived(searchQuery) {
+  return showArchived || !!searchQuery;
+}
+
+/**
+ * Creates HTML for an archived group and its archived contents
+ *
+ * Tabs are only rendered while the group is expanded, since archived
+ * groups can be large. While searching, groups without matches are
+ * left out and groups with matches are expanded.
+ *
+ * @param {Object} group - Archived group
+ * @param {string} searchQuery - Search query for filtering
+ * @param {number} depth - Nesting depth for indentation
+ * @returns {string} - HTML string ('' if nothing matches the search)
+ */
+function renderArchivedGroupHTML(group, searchQuery, depth) {
+  const treeIds = getArchivedGroupTree(group.id);
+  const treeTabs = archivedTabs.filter(t => treeIds.includes(t.groupId));
+
+  if (searchQuery) {
+    const nameMatches = archivedGroups.some(g => treeIds.includes(g.id) && g.name.toLowerCase().includes(searchQuery));
+    if (!nameMatches && filterTabs(treeTabs, searchQuery).length === 0) return '';
+  }
+
+  const expanded = expandedArchivedGroups.has(group.id) || !!searchQuery;
+  const groupTabs = expanded ? filterTabs(treeTabs.filter(t => t.groupId === group.id), searchQuery) : [];
+  const childGroups = expanded ? archivedGroups.filter(g => g.parentId === group.id) : [];
+
+  return `
+    <div class="group-item archived ${expanded ? 'expanded' : ''}" data-archived-group-id="${escapeHtml(group.id)}" style="margin-left: ${depth * 16}px;">
+      <div class="group-header">
+        <span class="group-expand">▶</span>
+        <span class="group-name">${escapeHtml(group.name)}</span>
+        <span class="archive-badge" title="Archived on this device">🗄</span>
+        <span class="group-count">${treeTabs.length}</span>
+        <div class="group-actions">
+          <button class="tab-action-btn archived-group-open-all" title="Open all">↗</button>
+          <button class="tab-action-btn archived-group-restore" title="Unarchive">↺</button>
+          <button class="tab-action-btn archived-group-delete" title="Delete forever">×</button>
+        </div>
+      </div>
+      <div class="group-tabs">
+        ${groupTabs.map(tab => createArchivedTabHTML(tab)).join('')}
+        ${childGroups.map(child => renderArchivedGroupHTML(child, searchQuery, depth + 1)).join('')}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Creates HTML for a list of archived tabs, capped at ARCHIVE_LIMITS.RENDER_LIMIT
+ *
+ * @param {Object[]} tabs - Archived tabs
+ * @returns {string} - HTML string
+ */
+function createArchivedTabListHTML(tabs) {
+  const shown = [...tabs]
+    .sort((a, b) => b.archivedAt - a.archivedAt)
+    .slice(0, ARCHIVE_LIMITS.RENDER_LIMIT);
+  const more = tabs.length - shown.length;
+
+  return shown.map(tab => createArchivedTabHTML(tab)).join('') +
+    (more > 0 ? `<div class="empty-state">${more} more archived tabs. Search to find them.</div>` : '');
+}
+
+/**
+ * Creates HTML for an archived tab
+ *
+ * Archived tabs can be opened, unarchived or deleted, but not dragged.
+ *
+ * @param {Object} tab - Archived tab
+ * @returns {string} - HTML string
+ */
+function createArchivedTabHTML(tab) {
+  return `
+    <div class="tab-item archived" data-tab-id="${tab.id}" data-url="${escapeHtml(tab.url)}">
+      <img class="tab-favicon" src="${tab.favicon || DEFAULT_FAVICON}" alt="">
+      <div class="tab-info">
+        <div class="tab-title">${escapeHtml(tab.title)}</div>
+        <div class="tab-url">🗄 ${escapeHtml(getHostname(tab.url))}</div>
+      </div>
+      <div class="tab-actions">
+        <button class="tab-action-btn tab-open" title="Open">↗</button>
+        <button class="tab-action-btn archived-tab-restore" title="Unarchive">↺</button>
+        <button class="tab-action-btn archived-tab-delete" title="Delete forever">×</button>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Attaches listeners for archived groups and tabs in a container
+ *
+ * @param {HTMLElement} container - Container with archived items
+ */
+function attachArchiveListeners(container) {
+  container.querySelectorAll('.group-item.archived > .group-header').forEach(header => {
+    const groupId = header.closest('.group-item').dataset.archivedGroupId;
+
+    header.querySelector('.group-expand').addEventListener('click', (e) => {
+      e.stopPropagation();
+      toggleArchivedGroup(groupId);
+    });
+
+    header.querySelector('.group-name').addEventListener('click', (e) => {
+      e.stopPropagation();
+      toggleArchivedGroup(groupId);
+    });
+
+    header.querySelector('.archived-group-open-all').addEventListener('click', async (e) => {
+      e.stopPropagation();
+      const treeIds = getArchivedGroupTree(groupId);
+      for (const tab of archivedTabs.filter(t => treeIds.includes(t.groupId))) {
+        await openTab(tab.url, true);
+      }
+    });
+
+    header.querySelector('.archived-group-restore').addEventListener('click', (e) => {
+      e.stopPropagation();
+      unarchiveGroup(groupId);
+    });
+
+    header.querySelector('.archived-group-delete').addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (confirm('Delete this archived group, its subgroups and tabs forever? This cannot be undone.')) {
+        deleteArchivedGroup(groupId);
+      }
+    });
+  });
+
+  container.querySelectorAll('.tab-item.archived').forEach(item => {
+    const tabId = parseFloat(item.dataset.tabId);
+    const url = item.dataset.url;
+
+    item.addEventListener('click', (e) => {
+      if (!e.target.closest('.tab-actions')) {
+        openTab(url, false);
+      }
+    });
+
+    item.querySelector('.tab-open').addEventListener('click', (e) => {
+      e.stopPropagation();
+      openTab(url, true);
+    });
+
+    item.querySelector('.archived-tab-restore').addEventListener('click', (e) => {
+      e.stopPropagation();
+      unarchiveTab(tabId);
+    });
+
+    item.querySelector('.archived-tab-delete').addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (confirm('Delete this archived tab forever? This cannot be undone.')) {
+        deleteArchivedRecords([], [tabId]);
+      }
+    });
+  });
+
+  attachFaviconErrorHandlers(container);
+}
+
+// -----------------------------------------------------------------------------
+// SESSIONS
+// -----------------------------------------------------------------------------
+
+/**
+ * Renders the Sessions section
+ *
+ * Sessions are listed newest first, followed by the autosaved sessions
+ * while the Autosaved toggle is on; an expanded session shows its windows
+ * and tabs in order. The section stays visible when empty so windows can
+ * be saved, and is hidden only when a search matches nothing in it.
+ *
+ * @param {string} [searchQuery] - Optional search query to filter items
+ */
+function renderSessions(searchQuery) {
+  const query = getSearchQuery(searchQuery);
+  const section = sessionsList.closest('.section');
+
+  document.getElementById('toggleAutosavedSessions').classList.toggle('active', showAutosavedSessions);
+
+  const autosavedIds = new Set(autosavedSessions.map(session => session.id));
+  const listed = showAutosavedSessions ? [...sessions, ...autosavedSessions] : sessions;
+  const filtered = query
+    ? listed.filter(session => session.name.toLowerCase().includes(query) ||
+        session.windows.some(win => filterTabs(win.tabs, query).length > 0))
+    : listed;
+
+  if (query && filtered.length === 0) {
+    section.style.display = 'none';
+    return;
+  }
+
+  section.style.display = 'block';
+
+  if (filtered.length === 0) {
+    sessionsList.innerHTML = '<div class="empty-state">No sessions yet. Save a window to reopen it later exactly as it was.</div>';
+    return;
+  }
+
+  sessionsList.innerHTML = filtered
+    .map(session => createSessionHTML(session, query, autosavedIds.has(session.id)))
+    .join('');
+
+  attachSessionListeners(sessionsList);
+  attachFaviconErrorHandlers(sessionsList);
+}
+
+/**
+ * Creates HTML for a session, with its windows and tabs when expanded
+ *
+ * While searching, sessions are expanded and only matching tabs are shown.
+ * Autosaved sessions show when they were last saved and can be kept as
+ * saved sessions instead of deleted.
+ *
+ * @param {Object} session - Session
+ * @param {string} searchQuery - Search query for filtering
+ * @param {boolean} autosaved - Whether it is an autosaved session
+ * @returns {string} - HTML string
+ */
+function createSessionHTML(session, searchQuery, autosaved) {
+  const counts = countSessionTabs(session);
+  const expanded = expandedSessions.has(session.id) || !!searchQuery;
+  let details = `${counts.windows} ${counts.windows === 1 ? 'window' : 'windows'} · ${counts.tabs} tabs`;
+  if (autosaved) {
+    details += ' · until ' + new Date(session.updatedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  }
+
+  const windowsHTML = expanded
+    ? session.windows.map((win, index) => {
+        const tabs = searchQuery ? filterTabs(win.tabs, searchQuery) : win.tabs;
+        if (tabs.length === 0) return '';
+        return `
+          <div class="window-header">Window ${index + 1} (${win.tabs.length} tabs)</div>
+          ${tabs.map(tab => createSessionTabHTML(tab, win)).join('')}
+        `;
+      }).join('')
+    : '';
+
+  return `
+    <div class="group-item session-item ${autosaved ? 'autosaved' : ''} ${expanded ? 'expanded' : ''}" data-session-id="${session.id}">
+      <div class="group-header">
+        <span class="group-expand">▶</span>
+        <span class="group-name">${escapeHtml(session.name)}</span>
+        ${autosaved ? '<span class="archive-badge" title="Saved automatically">⟳</span>' : ''}
+        <span class="session-details">${details}</span>
+        <div class="group-actions">
+          <button class="tab-action-btn session-restore" title="Restore windows">↗</button>
+          ${autosaved
+            ? '<button class="tab-action-btn session-keep" title="Keep as a saved session">+</button>'
+            : '<button class="tab-action-btn session-delete" title="Delete session">×</button>'}
+        </div>
+      </div>
+      <div class="group-tabs">${windowsHTML}</div>
+    </div>
+  `;
+}
+
+/**
+ * Creates HTML for a tab in a session
+ *
+ * Pinned tabs and the name of the tab's Chrome tab group are shown
+ * before the hostname.
+ *
+ * @param {Object} tab - Session tab
+ * @param {Object} win - Session window the tab belongs to
+ * @returns {string} - HTML string
+ */
+function createSessionTabHTML(tab, win) {
+  const group = tab.group !== null ? win.groups[tab.group] : null;
+  const labels = [
+    tab.pinned ? '📌' : '',
+    group ? `<span class="session-tab-group" data-color="${escapeHtml(group.color || 'grey')}">${escapeHtml(group.title || 'Group')}</span>` : ''
+  ].filter(Boolean).join(' ');
+
+  return `
+    <div class="tab-item session-tab" data-url="${escapeHtml(tab.url)}">
+      <img class="tab-favicon" src="${tab.favicon || DEFAULT_FAVICON}" alt="">
+      <div class="tab-info">
+        <div class="tab-title">${escapeHtml(tab.title)}</div>
+        <div class="tab-url">${labels} ${escapeHtml(getHostname(tab.url))}</div>
+      </div>
+      <div class="tab-actions">
+        <button class="tab-action-btn tab-open" title="Open in new tab">↗</button>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Attaches listeners for sessions and their tabs
+ *
+ * @param {HTMLElement} container - Container with sessions
+ */
+function attachSessionListeners(container) {
+  container.querySelectorAll('.session-item').forEach(item => {
+    const sessionId = parseFloat(item.dataset.sessionId);
+    const header = item.querySelector('.group-header');
+
+    header.addEventListener('click', (e) => {
+      if (!e.target.closest('.group-actions')) toggleSessionExpanded(sessionId);
+    });
+
+    header.querySelector('.session-restore').addEventListener('click', (e) => {
+      e.stopPropagation();
+      restoreSavedSession(sessionId);
+    });
+
+    header.querySelector('.session-keep')?.addEventListener('click', (e) => {
+      e.stopPropagation();
+      keepAutosavedSession(sessionId);
+    });
+
+    header.querySelector('.session-delete')?.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (confirm('Delete this session? This cannot be undone.')) {
+        deleteSession(sessionId);
+      }
+    });
+  });
+
+  container.querySelectorAll('.session-tab').forEach(item => {
+    const url = item.dataset.url;
+
+    item.addEventListener('click', () => openTab(url, true));
+  });
+}
+
+// -----------------------------------------------------------------------------
+// TRASH
+// -----------------------------------------------------------------------------
+
+/**
+ * Renders the Trash section
+ *
+ * Lists deleted tabs and groups, most recently deleted first.
+ * Hidden if the trash is empty.
+ *
+ * @param {string} [searchQuery] - Optional search query to filter items
+ */
+function renderTrash(searchQuery) {
+  const query = getSearchQuery(searchQuery);
+  const section = trashList.closest('.section');
+
+  const filtered = query
+    ? trash.filter(entry => entry.type === TRASH_TYPES.GROUP
+        ? entry.groups.some(g => g.name.toLowerCase().includes(query))
+        : filterTabs([entry.tab], query).length > 0)
+    : trash;
+
+  // Hide section if empty
+  if (filtered.length === 0) {
+    section.style.display = 'none';
+    return;
+  }
+
+  section.style.display = 'block';
+
+  const sorted = [...filtered].sort((a, b) => b.deletedAt - a.deletedAt);
+  trashList.innerHTML = sorted.map(entry => createTrashEntryHTML(entry)).join('');
+
+  attachTrashListeners(trashList);
+  attachFaviconErrorHandlers(trashList);
+}
+
+/**
+ * Creates HTML for a trash entry
+ *
+ * Tabs show their favicon and hostname; groups show how many
+ * subgroups and tabs they had.
+ *
+ * @param {Object} entry - Trash entry
+ * @returns {string} - HTML string
+ */
+function createTrashEntryHTML(entry) {
+  const deletedText = 'Deleted ' + new Date(entry.deletedAt).toLocaleDateString([], { month: 'short', day: 'numeric' });
+
+  let icon, title, details;
+  if (entry.type === TRASH_TYPES.GROUP) {
+    const subgroups = entry.groups.length - 1;
+    icon = '<span class="trash-icon">📁</span>';
+    title = entry.groups[0]?.name || 'Group';
+    details = `${entry.placements.length} tabs${subgroups > 0 ? `, ${subgroups} subgroups` : ''} · ${deletedText}`;
+  } else {
+    icon = `<img class="tab-favicon" src="${entry.tab.favicon || DEFAULT_FAVICON}" alt="">`;
+    title = entry.tab.title;
+    details = `${getHostname(entry.tab.url)} · ${deletedText}`;
+  }
+
+  return `
+    <div class="tab-item trash-item" data-entry-id="${entry.id}">
+      ${icon}
+      <div class="tab-info">
+        <div class="tab-title">${escapeHtml(title)}</div>
+        <div class="tab-url">${escapeHtml(details)}</div>
+      </div>
+      <div class="tab-actions">
+        <button class="tab-action-btn trash-restore" title="Restore">↺</button>
+        <button class="tab-action-btn trash-delete" title="Delete forever">×</button>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Attaches restore and delete-forever listeners for trash entries
+ *
+ * @param {HTMLElement} container - Container with trash entries
+ */
+function attachTrashListeners(container) {
+  container.querySelectorAll('.trash-item').forEach(item => {
+    const entryId = parseFloat(item.dataset.entryId);
+
+    item.querySelector('.trash-restore').addEventListener('click', (e) => {
+      e.stopPropagation();
+      restoreTrashEntry(entryId);
+    });
+
+    item.querySelector('.trash-delete').addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (confirm('Delete this item forever? This cannot be undone.')) {
+        deleteTrashEntry(entryId);
+      }
+    });
+  });
+}
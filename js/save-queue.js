@@ -0,0 +1,307 @@
+/**
+ * ============================================================================
+ * SAVE-QUEUE.JS
+ * ============================================================================
+ *
+ * Write coalescing queue for the Tab Saver extension.
+ *
+ * Every mutation calls saveData(), which used to write all collections to
+ * chrome.storage.sync immediately. Sync storage only allows 120 writes per
+ * minute, so a few quick drags could trip MAX_WRITE_OPERATIONS_PER_MINUTE
+ * and lose changes. Instead, saves are queued here:
+ *
+ * - Debounced: a burst of saves becomes a single write, delayed by at most
+ *   SAVE_QUEUE_TIMING.MAX_WAIT_MS
+ * - Diffed: only collections whose contents changed since the last
+ *   successful write are written (records that moved are touched first,
+ *   see merge.js)
+ * - Merged: changes stored by other devices or windows since the last
+ *   write are merged in first (see merge.js), so they are not overwritten
+ * - Retried: rate-limited writes are retried with exponential backoff
+ * - Flushed on unload: pending changes are written when the panel is
+ *   hidden. A closing panel can't wait for any storage read, so it leaves
+ *   its changes in local storage (key unloadSave) in a single write, and
+ *   the background merges them in and writes them (see background.js)
+ *
+ * ============================================================================
+ */
+
+// -----------------------------------------------------------------------------
+// QUEUE STATE
+// -----------------------------------------------------------------------------
+
+/**
+ * Serialized contents of each collection as last written to (or read from)
+ * storage. Key: collection key, Value: JSON string
+ * Used to skip writing collections that did not change.
+ */
+let persistedSnapshots = {};
+
+/**
+ * Whether there are changes that have not been written yet
+ */
+let savePending = false;
+
+/**
+ * Timeout ID of the scheduled flush (debounce or retry)
+ */
+let saveTimer = null;
+
+/**
+ * Time (ms) of the first save request in the current burst
+ * Used to enforce SAVE_QUEUE_TIMING.MAX_WAIT_MS
+ */
+let firstPendingAt = null;
+
+/**
+ * Current retry delay after a rate-limit error (0 when not retrying)
+ */
+let retryDelay = 0;
+
+/**
+ * Promise of the write in progress, so flushes never overlap
+ */
+let activeFlush = null;
+
+/**
+ * Resolvers of saveData() calls waiting for their changes to be written
+ */
+let saveWaiters = [];
+
+// -----------------------------------------------------------------------------
+// REQUEST SAVE
+// -----------------------------------------------------------------------------
+
+/**
+ * Queues a save of the current state
+ *
+ * Restarts the debounce timer, unless the burst has already waited
+ * MAX_WAIT_MS or a rate-limit retry is scheduled.
+ *
+ * @returns {Promise<boolean>} - Resolves after the write (true on success)
+ */
+function requestSave() {
+  savePending = true;
+
+  const now = Date.now();
+  if (firstPendingAt === null) {
+    firstPendingAt = now;
+  }
+
+  // While backing off from a rate limit, keep the retry schedule
+  if (retryDelay === 0) {
+    const maxWaitLeft = firstPendingAt + SAVE_QUEUE_TIMING.MAX_WAIT_MS - now;
+    scheduleFlush(Math.max(0, Math.min(SAVE_QUEUE_TIMING.DEBOUNCE_MS, maxWaitLeft)));
+  }
+
+  return new Promise(resolve => saveWaiters.push(resolve));
+}
+
+/**
+ * (Re)schedules the next flush
+ *
+ * @param {number} delay - Delay in milliseconds
+ */
+function scheduleFlush(delay) {
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(flushSaves, delay);
+}
+
+// -----------------------------------------------------------------------------
+// FLUSH
+// -----------------------------------------------------------------------------
+
+/**
+ * Writes pending changes now
+ *
+ * Waits for any write already in progress, then writes the collections
+ * that changed. Rate-limit errors re-queue the changes with backoff;
+ * other errors are reported and the waiting saves resolve with false.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function flushSaves() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+
+  while (activeFlush) {
+    await activeFlush;
+  }
+
+  if (!savePending) return;
+
+  savePending = false;
+  firstPendingAt = null;
+  const waiters = saveWaiters;
+  saveWaiters = [];
+
+  activeFlush = writeChangedCollections();
+
+  try {
+    await activeFlush;
+    retryDelay = 0;
+    waiters.forEach(resolve => resolve(true));
+  } catch (error) {
+    if (isRateLimitError(error)) {
+      // Put the changes back in the queue and retry later
+      savePending = true;
+      saveWaiters = waiters.concat(saveWaiters);
+      retryDelay = retryDelay === 0
+        ? SAVE_QUEUE_TIMING.RETRY_BASE_MS
+        : Math.min(retryDelay * 2, SAVE_QUEUE_TIMING.RETRY_MAX_MS);
+
+      console.warn(`Sync write rate limit reached, retrying in ${retryDelay}ms`);
+      scheduleFlush(retryDelay);
+    } else {
+      retryDelay = 0;
+      reportSaveError(error);
+      waiters.forEach(resolve => resolve(false));
+    }
+  } finally {
+    activeFlush = null;
+  }
+}
+
+/**
+ * Writes the collections whose contents differ from the last write
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function writeChangedCollections() {
+  // Fold in anything written elsewhere since we last looked, so this
+  // write doesn't overwrite another device's or window's changes
+  const mergedKeys = await mergeStoredChanges();
+  if (mergedKeys.length > 0) {
+    renderAll();
+  }
+
+  const { changed, serialized } = getChangedCollectionsState();
+  const changedKeys = Object.keys(changed);
+  if (changedKeys.length === 0) return;
+
+  await writeCollections(changed);
+
+  changedKeys.forEach(key => {
+    persistedSnapshots[key] = serialized[key];
+  });
+
+  console.log('Data saved to storage:', changedKeys);
+}
+
+/**
+ * Collects the collections whose contents differ from the last write
+ *
+ * Records that moved are touched first, so the new order syncs.
+ *
+ * @returns {Object} - { changed: { [key]: Array }, serialized: { [key]: string } }
+ */
+function getChangedCollectionsState() {
+  const current = getCollectionsState();
+  const changed = {};
+  const serialized = {};
+
+  Object.keys(current).forEach(key => {
+    serialized[key] = JSON.stringify(current[key]);
+    if (serialized[key] === persistedSnapshots[key]) return;
+
+    const previous = persistedSnapshots[key] ? JSON.parse(persistedSnapshots[key]) : null;
+    if (RECORD_COLLECTIONS.includes(key) && Array.isArray(previous) &&
+        touchReorderedRecords(previous, current[key]) > 0) {
+      serialized[key] = JSON.stringify(current[key]);
+    }
+    changed[key] = current[key];
+  });
+
+  return { changed, serialized };
+}
+
+// -----------------------------------------------------------------------------
+// SNAPSHOTS
+// -----------------------------------------------------------------------------
+
+/**
+ * Records collections as matching what is in storage
+ *
+ * Called after loading and after applying external changes, so those
+ * collections are not written back unless they change again.
+ *
+ * @param {Object} collections - { [key]: Array }
+ */
+function rememberPersistedCollections(collections) {
+  Object.keys(collections).forEach(key => {
+    persistedSnapshots[key] = JSON.stringify(collections[key]);
+  });
+}
+
+/**
+ * Checks whether a collection read from storage is the one this panel
+ * last wrote (the echo of our own write in chrome.storage.onChanged)
+ *
+ * @param {string} key - Collection key
+ * @param {Array} value - Collection as read from storage
+ * @returns {boolean}
+ */
+function isPersistedSnapshot(key, value) {
+  return persistedSnapshots[key] === JSON.stringify(value);
+}
+
+// -----------------------------------------------------------------------------
+// ERRORS
+// -----------------------------------------------------------------------------
+
+/**
+ * Checks whether an error is a sync write rate-limit error
+ *
+ * Chrome reports MAX_WRITE_OPERATIONS_PER_MINUTE or
+ * MAX_WRITE_OPERATIONS_PER_HOUR in the error message.
+ *
+ * @param {Error} error - Error thrown by chrome.storage
+ * @returns {boolean}
+ */
+function isRateLimitError(error) {
+  return /MAX_WRITE_OPERATIONS/.test(error?.message || '');
+}
+
+// -----------------------------------------------------------------------------
+// UNLOAD
+// -----------------------------------------------------------------------------
+
+/**
+ * Leaves unwritten changes for the background when the panel closes
+ *
+ * Nothing after the first await runs once the panel is gone, but a
+ * storage write started here still completes. So the changed
+ * collections go to local storage in one write, without the merge
+ * first; the background merges them with what is stored and writes
+ * them. Changes of a write still in progress are included, since it
+ * may not finish.
+ */
+function saveOnUnload() {
+  if (!savePending && !activeFlush) return;
+
+  clearTimeout(saveTimer);
+  const { changed } = getChangedCollectionsState();
+  if (Object.keys(changed).length === 0) return;
+
+  chrome.storage.local.set({
+    [STORAGE_KEYS.UNLOAD_SAVE]: { collections: changed, savedAt: Date.now() }
+  });
+}
+
+/**
+ * Saves pending changes when the panel is hidden or closed
+ *
+ * A hidden panel still runs, so it flushes as usual; a closing one
+ * can't (see saveOnUnload()).
+ */
+function setupSaveQueueUnloadHandlers() {
+  window.addEventListener('pagehide', saveOnUnload);
+
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+      flushSaves();
+    }
+  });
+}
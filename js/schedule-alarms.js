@@ -0,0 +1,215 @@
+/**
+ * ============================================================================
+ * SCHEDULE-ALARMS.JS
+ * ============================================================================
+ *
+ * Opening scheduled groups for the Tab Saver extension. Runs in the
+ * background service worker only; the schedules themselves are described
+ * in group-schedule.js.
+ *
+ * Each scheduled group has one alarm for its next opening, kept in step
+ * with the stored groups whenever they change. When it fires, the
+ * group's tabs (subgroups included) are opened in a new window and a
+ * notification says so, with a "Skip next" button for the following
+ * opening. A schedule for a single date is removed once it has opened.
+ *
+ * Schedules sync with their groups, so a group opens on every device
+ * where the extension runs. While encrypted data is locked, groups can't
+ * be read: alarms are left as they are, openings due meanwhile are
+ * skipped, and the alarms are brought up to date once unlocked.
+ *
+ * ============================================================================
+ */
+
+// -----------------------------------------------------------------------------
+// SCHEDULE STATE
+// -----------------------------------------------------------------------------
+
+/**
+ * Schedule work in progress, so alarm updates never interleave
+ */
+let scheduleQueue = Promise.resolve();
+
+/**
+ * Queues schedule work
+ *
+ * @param {Function} job - Async function to run
+ * @returns {Promise<*>} - Result of the job (undefined if it failed)
+ */
+function queueScheduleWork(job) {
+  const run = scheduleQueue.then(job).catch(error => {
+    if (isLockedError(error)) {
+      console.warn('Groups are encrypted and locked, skipping schedules');
+      return;
+    }
+    console.error('Group schedule failed:', error);
+  });
+
+  scheduleQueue = run;
+  return run;
+}
+
+/**
+ * Reads the groups and saved tabs
+ *
+ * @async
+ * @returns {Promise<Object>} - { groups, savedTabs }
+ * @throws {Error} ENCRYPTION_LOCKED while encrypted data is locked
+ */
+async function readScheduleData() {
+  const collections = await readCollections([STORAGE_KEYS.GROUPS, STORAGE_KEYS.SAVED_TABS]);
+  return {
+    groups: collections[STORAGE_KEYS.GROUPS] || [],
+    savedTabs: collections[STORAGE_KEYS.SAVED_TABS] || []
+  };
+}
+
+/**
+ * Gets the group a schedule alarm or notification belongs to
+ *
+ * @param {string} name - Alarm name or notification ID
+ * @param {string} prefix - GROUP_SCHEDULE.ALARM_PREFIX or NOTIFICATION_PREFIX
+ * @returns {string} - Group ID
+ */
+function getScheduledGroupId(name, prefix) {
+  return name.slice(prefix.length);
+}
+
+// -----------------------------------------------------------------------------
+// ALARMS
+// -----------------------------------------------------------------------------
+
+/**
+ * Creates, moves and clears alarms to match the stored schedules
+ *
+ * @async
+ * @returns {Promise<void>}
+ * @throws {Error} ENCRYPTION_LOCKED while encrypted data is locked
+ */
+async function syncScheduleAlarms() {
+  const { groups } = await readScheduleData();
+  const alarms = (await chrome.alarms.getAll())
+    .filter(alarm => alarm.name.startsWith(GROUP_SCHEDULE.ALARM_PREFIX));
+  const wanted = new Map();
+
+  groups.forEach(group => {
+    const schedule = normalizeGroupSchedule(group.schedule);
+    const next = schedule && getNextGroupOpening(schedule);
+    if (next) wanted.set(GROUP_SCHEDULE.ALARM_PREFIX + group.id, next);
+  });
+
+  // Alarms that are already due are left to fire
+  for (const alarm of alarms) {
+    if (!wanted.has(alarm.name) && alarm.scheduledTime > Date.now()) {
+      await chrome.alarms.clear(alarm.name);
+    }
+  }
+
+  for (const [name, when] of wanted) {
+    const existing = alarms.find(alarm => alarm.name === name);
+    if (!existing || existing.scheduledTime !== when) {
+      await chrome.alarms.create(name, { when });
+    }
+  }
+}
+
+/**
+ * Opens a group when its alarm fires
+ *
+ * Nothing opens if the schedule changed in the meantime, if this opening
+ * was skipped, or if it was missed by too long (e.g. the browser was
+ * closed). Either way the alarms are brought up to date afterwards.
+ *
+ * @async
+ * @param {chrome.alarms.Alarm} alarm - Fired alarm
+ * @returns {Promise<void>}
+ * @throws {Error} ENCRYPTION_LOCKED while encrypted data is locked
+ */
+async function openScheduledGroup(alarm) {
+  const groupId = getScheduledGroupId(alarm.name, GROUP_SCHEDULE.ALARM_PREFIX);
+  const data = await readScheduleData();
+  const group = data.groups.find(g => g.id === groupId);
+  const schedule = group && normalizeGroupSchedule(group.schedule);
+
+  const due = schedule && getNextScheduleTime(schedule, alarm.scheduledTime - 1) === alarm.scheduledTime;
+  const skipped = due && schedule.skip === alarm.scheduledTime;
+  const late = Date.now() - alarm.scheduledTime > GROUP_SCHEDULE.MISSED_GRACE_MINUTES * 60 * 1000;
+
+  if (due && !skipped && !late) {
+    const groupIds = new Set(getGroupTree(data.groups, groupId).map(g => g.id));
+    const urls = data.savedTabs.filter(t => groupIds.has(t.groupId)).map(t => t.url);
+    if (urls.length > 0) {
+      await chrome.windows.create({ url: urls, focused: true });
+    }
+    notifyScheduledGroup(group, schedule, urls.length);
+  } else if (due && !skipped) {
+    console.warn('Missed scheduled opening of group:', groupId, new Date(alarm.scheduledTime));
+  }
+
+  // A single-date schedule is done; a skip in the past is used up
+  if (due && (schedule.date || (schedule.skip && schedule.skip <= Date.now()))) {
+    if (schedule.date) {
+      delete group.schedule;
+    } else {
+      delete group.schedule.skip;
+    }
+    touchRecord(group);
+    await writeCollections({ [STORAGE_KEYS.GROUPS]: data.groups });
+  }
+
+  await syncScheduleAlarms();
+}
+
+// -----------------------------------------------------------------------------
+// NOTIFICATIONS
+// -----------------------------------------------------------------------------
+
+/**
+ * Tells the user a group was opened on schedule
+ *
+ * Repeating schedules get a "Skip next" button.
+ *
+ * @param {Object} group - Opened group
+ * @param {Object} schedule - Its schedule
+ * @param {number} tabCount - Number of tabs opened
+ */
+function notifyScheduledGroup(group, schedule, tabCount) {
+  const next = schedule.date ? null : getNextGroupOpening(schedule);
+  const opened = tabCount === 0
+    ? 'The group has no tabs to open.'
+    : `Opened ${tabCount} ${tabCount === 1 ? 'tab' : 'tabs'}.`;
+
+  chrome.notifications.create(GROUP_SCHEDULE.NOTIFICATION_PREFIX + group.id, {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+    title: `Scheduled: ${group.name}`,
+    message: next ? `${opened} Next: ${formatScheduleTime(next)}` : opened,
+    buttons: next ? [{ title: 'Skip next' }] : [],
+    priority: 1
+  }, () => {
+    if (chrome.runtime.lastError) {
+      console.error('Notification error:', chrome.runtime.lastError);
+    }
+  });
+}
+
+/**
+ * Skips a group's next scheduled opening
+ *
+ * @async
+ * @param {string} groupId - Group ID
+ * @returns {Promise<void>}
+ * @throws {Error} ENCRYPTION_LOCKED while encrypted data is locked
+ */
+async function skipNextGroupOpening(groupId) {
+  const data = await readScheduleData();
+  const group = data.groups.find(g => g.id === groupId);
+  const schedule = group && normalizeGroupSchedule(group.schedule);
+  const next = schedule && getNextGroupOpening(schedule);
+  if (!next) return;
+
+  group.schedule = { ...schedule, skip: next };
+  touchRecord(group);
+  await writeCollections({ [STORAGE_KEYS.GROUPS]: data.groups });
+  await syncScheduleAlarms();
+}
@@ -0,0 +1,227 @@
+/**
+ * ============================================================================
+ * SCHEDULES.JS
+ * ============================================================================
+ *
+ * Editing group schedules in the Tab Saver side panel.
+ *
+ * The schedule modal sets the time a group opens, on chosen weekdays or
+ * once on a date (see group-schedule.js); the background opens it (see
+ * schedule-alarms.js). Scheduled groups show ⏰ with their next opening,
+ * and "Skip next" skips a single opening.
+ *
+ * Schedules are part of their group, so changing one can be undone.
+ *
+ * ============================================================================
+ */
+
+// -----------------------------------------------------------------------------
+// SCHEDULE MODAL
+// -----------------------------------------------------------------------------
+
+/**
+ * Shows the schedule modal for a group
+ *
+ * A new schedule defaults to 09:00 on weekdays.
+ *
+ * @param {string} groupId - Group ID
+ */
+function showScheduleModal(groupId) {
+  const group = groups.find(g => g.id === groupId);
+  if (!group) return;
+
+  const modal = document.getElementById('scheduleModal');
+  const schedule = normalizeGroupSchedule(group.schedule);
+
+  modal.dataset.groupId = groupId;
+  document.getElementById('scheduleModalTitle').textContent = `Schedule "${group.name}"`;
+  document.getElementById('scheduleTimeInput').value = schedule ? schedule.time : '09:00';
+  document.getElementById('scheduleRepeatSelect').value = schedule?.date ? 'date' : 'days';
+  document.getElementById('scheduleDateInput').value = schedule?.date || formatScheduleDateInput(Date.now());
+
+  const days = schedule?.days || GROUP_SCHEDULE.WEEKDAYS;
+  modal.querySelectorAll('.schedule-day input').forEach(input => {
+    input.checked = days.includes(parseInt(input.value, 10));
+  });
+
+  updateScheduleModal();
+  modal.classList.remove('hidden');
+}
+
+/**
+ * Hides the schedule modal
+ */
+function hideScheduleModal() {
+  const modal = document.getElementById('scheduleModal');
+  modal.classList.add('hidden');
+  modal.dataset.groupId = '';
+}
+
+/**
+ * Shows the inputs for the chosen repeat, the group's next opening and
+ * the buttons that apply to its saved schedule
+ */
+function updateScheduleModal() {
+  const modal = document.getElementById('scheduleModal');
+  const group = groups.find(g => g.id === modal.dataset.groupId);
+  const schedule = group && normalizeGroupSchedule(group.schedule);
+  const once = document.getElementById('scheduleRepeatSelect').value === 'date';
+
+  document.getElementById('scheduleDays').classList.toggle('hidden', once);
+  document.getElementById('scheduleDateInput').classList.toggle('hidden', !once);
+
+  document.getElementById('scheduleNext').textContent = schedule ? describeNextOpening(schedule) : '';
+  document.getElementById('removeSchedule').classList.toggle('hidden', !schedule);
+
+  // Skipping only applies to repeating schedules
+  const skipBtn = document.getElementById('skipNextOpening');
+  const skipPending = schedule && schedule.skip > Date.now();
+  skipBtn.classList.toggle('hidden', !schedule || Boolean(schedule.date));
+  skipBtn.textContent = skipPending ? "Don't skip" : 'Skip next';
+}
+
+/**
+ * Describes a schedule's next opening, e.g. "Next: Tue, Oct 21, 09:55
+ * (Mon, Oct 20, 09:55 is skipped)"
+ *
+ * @param {Object} schedule - Valid schedule
+ * @returns {string}
+ */
+function describeNextOpening(schedule) {
+  const next = getNextGroupOpening(schedule);
+  if (!next) return 'This schedule has no more openings.';
+
+  const skipped = schedule.skip > Date.now() ? ` (${formatScheduleTime(schedule.skip)} is skipped)` : '';
+  return `Next: ${formatScheduleTime(next)}${skipped}`;
+}
+
+/**
+ * Reads the schedule from the modal
+ *
+ * @returns {Object|null} - Valid schedule, or null (after telling the user)
+ */
+function readScheduleForm() {
+  const time = document.getElementById('scheduleTimeInput').value;
+  if (!time) {
+    alert('Please choose a time.');
+    return null;
+  }
+
+  if (document.getElementById('scheduleRepeatSelect').value === 'date') {
+    const date = document.getElementById('scheduleDateInput').value;
+    const schedule = normalizeGroupSchedule({ time, date });
+    if (!schedule || !getNextScheduleTime(schedule)) {
+      alert('Please choose a date and time in the future.');
+      return null;
+    }
+    return schedule;
+  }
+
+  const days = [...document.querySelectorAll('#scheduleDays input:checked')]
+    .map(input => parseInt(input.value, 10));
+  if (days.length === 0) {
+    alert('Please choose at least one day.');
+    return null;
+  }
+  return normalizeGroupSchedule({ time, days });
+}
+
+/**
+ * Formats a time for a date input, e.g. "2024-03-01"
+ *
+ * @param {number} time - Time (ms)
+ * @returns {string}
+ */
+function formatScheduleDateInput(time) {
+  const date = new Date(time);
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// -----------------------------------------------------------------------------
+// SCHEDULE ACTIONS
+// -----------------------------------------------------------------------------
+
+/**
+ * Saves the schedule in the modal to its group
+ *
+ * A skipped opening is kept if the times didn't change.
+ */
+function handleSaveSchedule() {
+  const group = groups.find(g => g.id === document.getElementById('scheduleModal').dataset.groupId);
+  if (!group) return;
+
+  const schedule = readScheduleForm();
+  if (!schedule) return;
+
+  const previous = normalizeGroupSchedule(group.schedule);
+  if (previous?.skip && getNextScheduleTime(schedule, previous.skip - 1) === previous.skip) {
+    schedule.skip = previous.skip;
+  }
+
+  updateGroupSchedule(group, schedule, 'Schedule group');
+  hideScheduleModal();
+}
+
+/**
+ * Removes the schedule of the group in the modal
+ */
+function removeGroupSchedule() {
+  const group = groups.find(g => g.id === document.getElementById('scheduleModal').dataset.groupId);
+  if (!group) return;
+
+  updateGroupSchedule(group, null, 'Remove schedule');
+  hideScheduleModal();
+}
+
+/**
+ * Skips the next opening of the group in the modal, or stops skipping it
+ */
+function toggleSkipNextOpening() {
+  const group = groups.find(g => g.id === document.getElementById('scheduleModal').dataset.groupId);
+  const schedule = group && normalizeGroupSchedule(group.schedule);
+  if (!schedule) return;
+
+  if (schedule.skip > Date.now()) {
+    delete schedule.skip;
+  } else {
+    const next = getNextScheduleTime(schedule);
+    if (!next) return;
+    schedule.skip = next;
+  }
+
+  updateGroupSchedule(group, schedule, 'Skip scheduled opening');
+  updateScheduleModal();
+}
+
+/**
+ * Sets or clears a group's schedule and saves it
+ *
+ * @param {Object} group - Group to update
+ * @param {Object|null} schedule - Valid schedule, or null to remove it
+ * @param {string} label - Undo history label
+ */
+function updateGroupSchedule(group, schedule, label) {
+  if (schedule) {
+    group.schedule = schedule;
+  } else {
+    delete group.schedule;
+  }
+  touchRecord(group);
+
+  recordHistory(label);
+  saveData();
+  renderAll();
+}
+
+/**
+ * Describes a group's schedule for its ⏰ badge
+ *
+ * @param {Object} group - Group
+ * @returns {string} - Empty if the group has no schedule
+ */
+function getGroupScheduleTitle(group) {
+  const schedule = normalizeGroupSchedule(group.schedule);
+  if (!schedule) return '';
+  return `Opens ${formatGroupSchedule(schedule)}. ${describeNextOpening(schedule)}`;
+}
@@ -0,0 +1,238 @@
+/**
+ * ============================================================================
+ * SESSION-AUTOSAVE.JS
+ * ============================================================================
+ *
+ * Automatic session snapshots and crash recovery for the Tab Saver
+ * extension. Runs in the background service worker only; captures and
+ * restores with session-capture.js.
+ *
+ * While the browser runs, the open windows are saved a moment after tabs
+ * or windows change (SESSION_AUTOSAVE.DELAY_MS), always into the same
+ * autosaved session. A new autosaved session is started:
+ * - when the browser starts (a new "run", see startAutosaveRun())
+ * - after a window is closed, so the session from before it closed stays
+ *   available in case it was closed by accident
+ * The newest SESSION_AUTOSAVE.MAX_SESSIONS are kept.
+ *
+ * Chrome doesn't tell extensions whether it shut down cleanly. Instead,
+ * shortly after the browser starts, the previous run's session is
+ * compared with the tabs that are open now: if most of its tabs were
+ * not reopened (after a crash Chrome only offers to restore them), it is
+ * offered for recovery in the side panel. A session whose last window
+ * was closed normally is not offered.
+ *
+ * Storage:
+ * - local autosavedSessions: sessions (newest first), with updatedAt
+ *   and closedCleanly
+ * - local sessionRecovery: { sessionId, detectedAt } while recovery is
+ *   offered
+ * - session autosaveRun: { sessionId, lastId, previousId } for the
+ *   current run (the session being saved into, the last one saved into
+ *   and the previous run's last session); session storage is cleared
+ *   when the browser closes, which is how a new run is recognized
+ *
+ * ============================================================================
+ */
+
+// -----------------------------------------------------------------------------
+// AUTOSAVE STATE
+// -----------------------------------------------------------------------------
+
+/**
+ * Autosave work in progress, so runs never interleave their writes
+ */
+let autosaveQueue = Promise.resolve();
+
+/**
+ * Pending debounced autosave
+ */
+let autosaveTimer = null;
+
+/**
+ * Queues autosave work
+ *
+ * @param {Function} job - Async function to run
+ * @returns {Promise<*>} - Result of the job (undefined if it failed)
+ */
+function queueAutosave(job) {
+  const run = autosaveQueue.then(job).catch(error => {
+    console.error('Session autosave failed:', error);
+  });
+
+  autosaveQueue = run;
+  return run;
+}
+
+/**
+ * Schedules an autosave after the current burst of tab changes
+ */
+function scheduleSessionAutosave() {
+  clearTimeout(autosaveTimer);
+  autosaveTimer = setTimeout(() => {
+    autosaveTimer = null;
+    queueAutosave(autosaveSession);
+  }, SESSION_AUTOSAVE.DELAY_MS);
+}
+
+/**
+ * Reads the autosaved sessions
+ *
+ * @async
+ * @returns {Promise<Object[]>} - Newest first
+ */
+async function readAutosavedSessions() {
+  const result = await chrome.storage.local.get([STORAGE_KEYS.AUTOSAVED_SESSIONS]);
+  return result[STORAGE_KEYS.AUTOSAVED_SESSIONS] || [];
+}
+
+/**
+ * Writes the autosaved sessions, keeping the newest MAX_SESSIONS
+ *
+ * @async
+ * @param {Object[]} list - Newest first
+ * @returns {Promise<void>}
+ */
+async function writeAutosavedSessions(list) {
+  await chrome.storage.local.set({
+    [STORAGE_KEYS.AUTOSAVED_SESSIONS]: list.slice(0, SESSION_AUTOSAVE.MAX_SESSIONS)
+  });
+}
+
+// -----------------------------------------------------------------------------
+// BROWSER RUNS
+// -----------------------------------------------------------------------------
+
+/**
+ * Gets the current run, starting one if the browser has just started
+ *
+ * A new run remembers the newest autosaved session as the previous one
+ * and schedules the recovery check for it.
+ *
+ * @async
+ * @returns {Promise<Object>} - { sessionId, lastId, previousId }
+ */
+async function startAutosaveRun() {
+  const stored = await chrome.storage.session.get([STORAGE_KEYS.AUTOSAVE_RUN]);
+  if (stored[STORAGE_KEYS.AUTOSAVE_RUN]) return stored[STORAGE_KEYS.AUTOSAVE_RUN];
+
+  const [latest] = await readAutosavedSessions();
+  const run = { sessionId: null, lastId: null, previousId: latest ? latest.id : null };
+  await writeAutosaveRun(run);
+
+  // An offer left over from an earlier run is out of date
+  await chrome.storage.local.remove([STORAGE_KEYS.SESSION_RECOVERY]);
+
+  if (run.previousId !== null) {
+    chrome.alarms.create(SESSION_AUTOSAVE.CHECK_ALARM_NAME, {
+      delayInMinutes: SESSION_AUTOSAVE.CHECK_DELAY_MINUTES
+    });
+  }
+  return run;
+}
+
+/**
+ * Stores the current run
+ *
+ * @async
+ * @param {Object} run - { sessionId, lastId, previousId }
+ * @returns {Promise<void>}
+ */
+async function writeAutosaveRun(run) {
+  await chrome.storage.session.set({ [STORAGE_KEYS.AUTOSAVE_RUN]: run });
+}
+
+// -----------------------------------------------------------------------------
+// AUTOSAVE
+// -----------------------------------------------------------------------------
+
+/**
+ * Saves the open windows into the current autosaved session
+ *
+ * Nothing is saved while no window has tabs to keep, so the last
+ * session with windows isn't overwritten by an empty one.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function autosaveSession() {
+  const run = await startAutosaveRun();
+  const captured = await captureSession(true);
+  if (!captured) return;
+
+  const list = await readAutosavedSessions();
+  const current = run.sessionId !== null ? list.find(s => s.id === run.sessionId) : null;
+
+  const session = current
+    ? { ...current, windows: captured.windows, updatedAt: Date.now() }
+    : { ...captured, updatedAt: captured.createdAt };
+
+  await writeAutosavedSessions([session, ...list.filter(s => s.id !== session.id)]);
+
+  if (!current) {
+    await writeAutosaveRun({ ...run, sessionId: session.id, lastId: session.id });
+  }
+}
+
+/**
+ * Starts a new autosaved session after a window closed
+ *
+ * A pending autosave is dropped so the current session keeps the closed
+ * window. When no windows are left, the last session saved is marked as
+ * closed normally, so it isn't offered for recovery.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function handleAutosaveWindowClosed() {
+  clearTimeout(autosaveTimer);
+  autosaveTimer = null;
+
+  const run = await startAutosaveRun();
+  const remaining = await chrome.windows.getAll({ windowTypes: ['normal'] });
+
+  if (remaining.length === 0 && run.lastId !== null) {
+    const list = await readAutosavedSessions();
+    const last = list.find(s => s.id === run.lastId);
+    if (last) {
+      last.closedCleanly = true;
+      await writeAutosavedSessions(list);
+    }
+  }
+
+  if (run.sessionId !== null) {
+    await writeAutosaveRun({ ...run, sessionId: null });
+  }
+  if (remaining.length > 0) scheduleSessionAutosave();
+}
+
+// -----------------------------------------------------------------------------
+// RECOVERY
+// -----------------------------------------------------------------------------
+
+/**
+ * Offers the previous run's session for recovery if it wasn't reopened
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function checkSessionRecovery() {
+  const run = await startAutosaveRun();
+  if (run.previousId === null) return;
+
+  const previous = (await readAutosavedSessions()).find(s => s.id === run.previousId);
+  if (!previous || previous.closedCleanly) return;
+
+  const urls = previous.windows.flatMap(win => win.tabs.map(tab => normalizeUrl(tab.url)));
+  if (urls.length === 0) return;
+
+  const openTabs = await chrome.tabs.query({});
+  const openUrls = new Set(openTabs.map(tab => normalizeUrl(tab.url || tab.pendingUrl || '')));
+  const missing = urls.filter(url => !openUrls.has(url)).length;
+
+  if (missing / urls.length >= SESSION_AUTOSAVE.MISSING_RATIO) {
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.SESSION_RECOVERY]: { sessionId: previous.id, detectedAt: Date.now() }
+    });
+  }
+}
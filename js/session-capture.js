@@ -0,0 +1,234 @@
+/**
+ * ============================================================================
+ * SESSION-CAPTURE.JS
+ * ============================================================================
+ *
+ * Capturing browser windows as sessions and restoring them, for the Tab
+ * Saver extension. Used by the side panel (sessions.js) and written to
+ * run in the background too, so it only uses the chrome APIs.
+ *
+ * A session keeps what a flat list of saved tabs loses: which window
+ * each tab was in, the tab order, Chrome's pin state, tab groups and the
+ * window's size, position and state. Restoring opens every window anew
+ * with its tabs in their original order, then pins, groups and sizes it.
+ *
+ * Session layout:
+ *   {
+ *     id, name, createdAt,
+ *     windows: [{
+ *       state, left, top, width, height, focused,
+ *       tabs: [{ url, title, favicon, pinned, active, group }],
+ *       groups: [{ title, color, collapsed }]
+ *     }]
+ *   }
+ * Tabs are in tab strip order. A tab's group is an index into its
+ * window's groups (null when ungrouped), since Chrome's tab group IDs
+ * don't outlive the browser session.
+ *
+ * Only normal windows are captured; incognito windows and tabs that
+ * can't be reopened (javascript:, data:) are left out.
+ *
+ * ============================================================================
+ */
+
+// -----------------------------------------------------------------------------
+// CAPTURE
+// -----------------------------------------------------------------------------
+
+/**
+ * Captures the current window, or all windows, as a session
+ *
+ * @async
+ * @param {boolean} allWindows - Whether to capture every window
+ * @param {string} [name] - Session name (defaults to the date and time)
+ * @returns {Promise<Object|null>} - Session, or null if there was nothing to capture
+ */
+async function captureSession(allWindows, name) {
+  const windows = allWindows
+    ? await chrome.windows.getAll({ populate: true, windowTypes: ['normal'] })
+    : [await chrome.windows.getCurrent({ populate: true })];
+
+  return createSession(windows, name);
+}
+
+/**
+ * Builds a session from populated chrome windows
+ *
+ * @async
+ * @param {chrome.windows.Window[]} windows - Windows with their tabs
+ * @param {string} [name] - Session name (defaults to the date and time)
+ * @returns {Promise<Object|null>} - Session, or null if no window has a tab to keep
+ */
+async function createSession(windows, name) {
+  const tabGroups = new Map(
+    (await chrome.tabGroups.query({})).map(group => [group.id, group])
+  );
+
+  const sessionWindows = windows
+    .filter(win => win.type === 'normal' && !win.incognito)
+    .map(win => captureSessionWindow(win, tabGroups))
+    .filter(win => win.tabs.length > 0);
+
+  if (sessionWindows.length === 0) return null;
+
+  const now = Date.now();
+  return {
+    id: createSessionId(),
+    name: name || new Date(now).toLocaleString([], {
+      month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+    }),
+    createdAt: now,
+    windows: sessionWindows
+  };
+}
+
+/**
+ * Captures one window's layout, tabs and tab groups
+ *
+ * @param {chrome.windows.Window} win - Window with its tabs
+ * @param {Map<number, chrome.tabGroups.TabGroup>} tabGroups - Tab groups by ID
+ * @returns {Object} - Session window (see the file header)
+ */
+function captureSessionWindow(win, tabGroups) {
+  const groups = [];
+  const groupIndexes = new Map();
+
+  const tabs = [...(win.tabs || [])]
+    .sort((a, b) => a.index - b.index)
+    .filter(tab => isRestorableUrl(tab.url || tab.pendingUrl))
+    .map(tab => {
+      let group = null;
+      if (tab.groupId > -1 && tabGroups.has(tab.groupId)) {
+        if (!groupIndexes.has(tab.groupId)) {
+          const { title, color, collapsed } = tabGroups.get(tab.groupId);
+          groupIndexes.set(tab.groupId, groups.length);
+          groups.push({ title: title || '', color, collapsed: Boolean(collapsed) });
+        }
+        group = groupIndexes.get(tab.groupId);
+      }
+
+      const url = tab.url || tab.pendingUrl;
+      return {
+        url,
+        title: tab.title || url,
+        favicon: tab.favIconUrl || '',
+        pinned: Boolean(tab.pinned),
+        active: Boolean(tab.active),
+        group
+      };
+    });
+
+  return {
+    state: win.state || 'normal',
+    left: win.left,
+    top: win.top,
+    width: win.width,
+    height: win.height,
+    focused: Boolean(win.focused),
+    tabs,
+    groups
+  };
+}
+
+/**
+ * Checks whether a URL can be opened again by the extension
+ *
+ * @param {string} url - Tab URL
+ * @returns {boolean}
+ */
+function isRestorableUrl(url) {
+  return Boolean(url) && !/^(javascript|data):/i.test(url);
+}
+
+/**
+ * Creates an ID for a session (same scheme as generateId() in utils.js,
+ * which only the side panel loads)
+ *
+ * @returns {number}
+ */
+function createSessionId() {
+  return Date.now() + Math.random();
+}
+
+// -----------------------------------------------------------------------------
+// RESTORE
+// -----------------------------------------------------------------------------
+
+/**
+ * Restores a session into new windows
+ *
+ * The focused window of the session is restored last, so it ends up in
+ * front.
+ *
+ * @async
+ * @param {Object} session - Session to restore
+ * @returns {Promise<number>} - Number of windows opened
+ */
+async function restoreSession(session) {
+  const windows = session.windows
+    .filter(win => win.tabs.length > 0)
+    .sort((a, b) => Number(a.focused) - Number(b.focused));
+
+  for (const win of windows) {
+    await restoreSessionWindow(win);
+  }
+  return windows.length;
+}
+
+/**
+ * Opens one session window with its tabs, pins, tab groups and layout
+ *
+ * Bounds can't be combined with the maximized, minimized or fullscreen
+ * state, so the window is opened at its saved bounds and the state is
+ * applied afterwards.
+ *
+ * @async
+ * @param {Object} win - Session window
+ * @returns {Promise<void>}
+ */
+async function restoreSessionWindow(win) {
+  const createData = { url: win.tabs.map(tab => tab.url), focused: true };
+  ['left', 'top', 'width', 'height'].forEach(key => {
+    if (Number.isFinite(win[key])) createData[key] = win[key];
+  });
+
+  const created = await chrome.windows.create(createData);
+  const tabIds = (created.tabs || []).map(tab => tab.id);
+
+  // Pinned tabs come first in the strip, so pinning keeps the order
+  for (let i = 0; i < win.tabs.length && i < tabIds.length; i++) {
+    if (win.tabs[i].pinned) await chrome.tabs.update(tabIds[i], { pinned: true });
+  }
+
+  // Before grouping, since activating a tab expands its collapsed group
+  const activeIndex = win.tabs.findIndex(tab => tab.active);
+  if (activeIndex !== -1 && tabIds[activeIndex] !== undefined) {
+    await chrome.tabs.update(tabIds[activeIndex], { active: true });
+  }
+
+  for (let g = 0; g < win.groups.length; g++) {
+    const groupTabIds = tabIds.filter((id, i) => win.tabs[i]?.group === g);
+    if (groupTabIds.length === 0) continue;
+
+    const { title, color, collapsed } = win.groups[g];
+    const groupId = await chrome.tabs.group({ tabIds: groupTabIds, createProperties: { windowId: created.id } });
+    await chrome.tabGroups.update(groupId, { title, color, collapsed });
+  }
+
+  if (win.state && win.state !== 'normal') {
+    await chrome.windows.update(created.id, { state: win.state });
+  }
+}
+
+/**
+ * Counts the windows and tabs in a session
+ *
+ * @param {Object} session - Session
+ * @returns {Object} - { windows, tabs }
+ */
+function countSessionTabs(session) {
+  return {
+    windows: session.windows.length,
+    tabs: session.windows.reduce((sum, win) => sum + win.tabs.length, 0)
+  };
+}
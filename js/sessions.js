@@ -0,0 +1,265 @@
+/**
+ * ============================================================================
+ * SESSIONS.JS
+ * ============================================================================
+ *
+ * Saved window sessions in the Tab Saver side panel.
+ *
+ * The tab picker saves tabs as a flat list. The Sessions section instead
+ * captures the current window or all windows as they are (see
+ * session-capture.js) and restores them into new windows.
+ *
+ * Sessions hold this device's window layout and can be large, so they
+ * are kept in local storage and not synced. They are not part of the
+ * undo history; deleting one asks for confirmation instead.
+ *
+ * The background also saves the open windows automatically
+ * (session-autosave.js). Autosaved sessions are listed with the
+ * Autosaved toggle and can be restored or kept as saved sessions; when
+ * the previous browser session wasn't reopened (e.g. after a crash), a
+ * banner offers to recover it.
+ *
+ * ============================================================================
+ */
+
+// -----------------------------------------------------------------------------
+// SESSION STATE
+// -----------------------------------------------------------------------------
+
+/**
+ * Saved sessions, newest first
+ */
+let sessions = [];
+
+/**
+ * Sessions saved automatically by the background, newest first
+ */
+let autosavedSessions = [];
+
+/**
+ * Whether autosaved sessions are listed (the Autosaved toggle)
+ */
+let showAutosavedSessions = false;
+
+/**
+ * Autosaved session offered for recovery: { sessionId, detectedAt }, or null
+ */
+let sessionRecovery = null;
+
+/**
+ * IDs of sessions expanded in the list (not persisted)
+ */
+let expandedSessions = new Set();
+
+/**
+ * Loads the saved and autosaved sessions and any recovery offer
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadSessions() {
+  const result = await chrome.storage.local.get([
+    STORAGE_KEYS.SESSIONS,
+    STORAGE_KEYS.AUTOSAVED_SESSIONS,
+    STORAGE_KEYS.SESSION_RECOVERY
+  ]);
+  sessions = result[STORAGE_KEYS.SESSIONS] || [];
+  autosavedSessions = result[STORAGE_KEYS.AUTOSAVED_SESSIONS] || [];
+  sessionRecovery = result[STORAGE_KEYS.SESSION_RECOVERY] || null;
+}
+
+/**
+ * Writes the sessions to local storage
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function saveSessions() {
+  await chrome.storage.local.set({ [STORAGE_KEYS.SESSIONS]: sessions });
+}
+
+/**
+ * Follows sessions saved or deleted in another panel, autosaves and
+ * recovery offers from the background
+ *
+ * @param {Object} changes - Changes in local storage
+ */
+function handleSessionsChange(changes) {
+  const keys = [STORAGE_KEYS.SESSIONS, STORAGE_KEYS.AUTOSAVED_SESSIONS, STORAGE_KEYS.SESSION_RECOVERY];
+  if (!keys.some(key => changes[key])) return;
+
+  if (changes[STORAGE_KEYS.SESSIONS]) {
+    sessions = changes[STORAGE_KEYS.SESSIONS].newValue || [];
+  }
+  if (changes[STORAGE_KEYS.AUTOSAVED_SESSIONS]) {
+    autosavedSessions = changes[STORAGE_KEYS.AUTOSAVED_SESSIONS].newValue || [];
+  }
+  if (changes[STORAGE_KEYS.SESSION_RECOVERY]) {
+    sessionRecovery = changes[STORAGE_KEYS.SESSION_RECOVERY].newValue || null;
+  }
+
+  renderSessions();
+  renderSessionRecoveryBanner();
+}
+
+/**
+ * Finds a saved or autosaved session
+ *
+ * @param {number} sessionId - Session ID
+ * @returns {Object|undefined}
+ */
+function findSession(sessionId) {
+  return sessions.find(s => s.id === sessionId) || autosavedSessions.find(s => s.id === sessionId);
+}
+
+// -----------------------------------------------------------------------------
+// SESSION ACTIONS
+// -----------------------------------------------------------------------------
+
+/**
+ * Saves the current window, or all windows, as a new session
+ *
+ * @async
+ * @param {boolean} allWindows - Whether to capture every window
+ * @returns {Promise<void>}
+ */
+async function saveWindowSession(allWindows) {
+  let session;
+  try {
+    session = await captureSession(allWindows);
+  } catch (error) {
+    console.error('Failed to capture session:', error);
+    alert('Could not save the session. Please try again.');
+    return;
+  }
+
+  if (!session) {
+    alert('There are no tabs to save in this window.');
+    return;
+  }
+
+  sessions = [session, ...sessions];
+  renderSessions();
+  await saveSessions();
+}
+
+/**
+ * Restores a session into new windows
+ *
+ * @async
+ * @param {number} sessionId - Session ID
+ * @returns {Promise<void>}
+ */
+async function restoreSavedSession(sessionId) {
+  const session = findSession(sessionId);
+  if (!session) return;
+
+  try {
+    await restoreSession(session);
+  } catch (error) {
+    console.error('Failed to restore session:', error);
+    alert('Some windows of this session could not be restored.');
+  }
+}
+
+/**
+ * Deletes a session
+ *
+ * @async
+ * @param {number} sessionId - Session ID
+ * @returns {Promise<void>}
+ */
+async function deleteSession(sessionId) {
+  sessions = sessions.filter(s => s.id !== sessionId);
+  expandedSessions.delete(sessionId);
+  renderSessions();
+  await saveSessions();
+}
+
+/**
+ * Keeps an autosaved session as a saved session, so it isn't rotated out
+ *
+ * @async
+ * @param {number} sessionId - ID of the autosaved session
+ * @returns {Promise<void>}
+ */
+async function keepAutosavedSession(sessionId) {
+  const autosaved = autosavedSessions.find(s => s.id === sessionId);
+  if (!autosaved) return;
+
+  const { windows, name } = autosaved;
+  sessions = [{ id: generateId(), name, createdAt: Date.now(), windows }, ...sessions];
+  renderSessions();
+  await saveSessions();
+}
+
+/**
+ * Shows or hides the autosaved sessions
+ */
+function toggleShowAutosavedSessions() {
+  showAutosavedSessions = !showAutosavedSessions;
+  renderSessions();
+}
+
+/**
+ * Expands or collapses a session in the list
+ *
+ * @param {number} sessionId - Session ID
+ */
+function toggleSessionExpanded(sessionId) {
+  if (expandedSessions.has(sessionId)) {
+    expandedSessions.delete(sessionId);
+  } else {
+    expandedSessions.add(sessionId);
+  }
+  renderSessions();
+}
+
+// -----------------------------------------------------------------------------
+// SESSION RECOVERY
+// -----------------------------------------------------------------------------
+
+/**
+ * Shows the recovery banner while the background offers a session
+ */
+function renderSessionRecoveryBanner() {
+  const banner = document.getElementById('sessionRecoveryBanner');
+  const session = sessionRecovery && autosavedSessions.find(s => s.id === sessionRecovery.sessionId);
+
+  if (!session) {
+    banner.classList.add('hidden');
+    return;
+  }
+
+  const counts = countSessionTabs(session);
+  document.getElementById('sessionRecoveryText').textContent =
+    `Your previous browsing session wasn't reopened (${counts.windows} ` +
+    `${counts.windows === 1 ? 'window' : 'windows'}, ${counts.tabs} tabs).`;
+  banner.classList.remove('hidden');
+}
+
+/**
+ * Restores the session offered for recovery
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function recoverPreviousSession() {
+  const sessionId = sessionRecovery?.sessionId;
+  await dismissSessionRecovery();
+  if (sessionId != null) await restoreSavedSession(sessionId);
+}
+
+/**
+ * Stops offering the session for recovery
+ *
+ * It stays in the autosaved sessions.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function dismissSessionRecovery() {
+  sessionRecovery = null;
+  renderSessionRecoveryBanner();
+  await chrome.storage.local.remove([STORAGE_KEYS.SESSION_RECOVERY]);
+}
@@ -0,0 +1,668 @@
+/**
+ * ============================================================================
+ * SHARDED-STORAGE.JS
+ * ============================================================================
+ *
+ * Quota-aware storage layer for the Tab Saver extension.
+ *
+ * chrome.storage.sync limits every key to ~8KB, so a single savedTabs array
+ * stops saving after a few dozen tabs. This layer serializes each collection
+ * to JSON, slices the string into shards that fit the per-item quota, and
+ * writes them under numbered keys next to a small meta record:
+ *
+ *   savedTabs.meta  -> { area: 'sync', shards: 3, bytes: [8100, 8100, 912], updatedAt }
+ *   savedTabs.0     -> '[{"id":1706889234567.12,"title":...'
+ *   savedTabs.1     -> '...'
+ *   savedTabs.2     -> '...}]'
+ *
+ * When a collection no longer fits in the remaining sync quota it is
+ * written to chrome.storage.local instead (overflow). Collections are
+ * placed in SHARDED_COLLECTIONS order, so the large savedTabs list is
+ * the first to overflow.
+ *
+ * An overflowed collection leaves a marker meta record in sync, naming
+ * the device that holds it:
+ *
+ *   savedTabs.meta  -> { area: 'local', shards: 0, bytes: [], device: '…', updatedAt }
+ *
+ * Other devices can't read the collection, so they keep what they have
+ * (readCollections() leaves it out) instead of mistaking it for an empty
+ * one and syncing that back.
+ *
+ * When encryption is enabled (see crypto.js), the JSON is encrypted before
+ * it is sliced and the meta record is marked { encrypted: true }.
+ *
+ * This file has no DOM dependencies and is shared by the side panel and
+ * the background service worker (via importScripts).
+ *
+ * Functions:
+ * - readCollections(): Read and reassemble collections from their shards
+ * - readCollection(): Read a single collection
+ * - getCollectionsHeldElsewhere(): Collections overflowed on another device
+ * - writeCollections(): Shard and write collections, choosing sync or local
+ * - removeCollections(): Delete collections from both areas
+ * - setCollectionsReadOnly(): Refuse writes while stored data can't be trusted
+ * - getChangedCollections(): Map a storage change event to collection keys
+ *
+ * ============================================================================
+ */
+
+// -----------------------------------------------------------------------------
+// KEY HELPERS
+// -----------------------------------------------------------------------------
+
+/**
+ * Gets the storage key of a collection's meta record
+ *
+ * @param {string} key - Collection key (e.g. 'savedTabs')
+ * @returns {string} - Meta key (e.g. 'savedTabs.meta')
+ */
+function getShardMetaKey(key) {
+  return `${key}.meta`;
+}
+
+/**
+ * Gets the storage key of a single shard
+ *
+ * @param {string} key - Collection key (e.g. 'savedTabs')
+ * @param {number} index - Shard index
+ * @returns {string} - Shard key (e.g. 'savedTabs.0')
+ */
+function getShardKey(key, index) {
+  return `${key}.${index}`;
+}
+
+/**
+ * Lists the shard keys described by a meta record
+ *
+ * @param {string} key - Collection key
+ * @param {number} count - Number of shards
+ * @returns {string[]} - Shard keys in order
+ */
+function getShardKeys(key, count) {
+  return Array.from({ length: count }, (_, index) => getShardKey(key, index));
+}
+
+/**
+ * Returns the chrome.storage area object for an area name
+ *
+ * @param {string} area - 'sync' or 'local'
+ * @returns {chrome.storage.StorageArea}
+ */
+function getStorageArea(area) {
+  return area === 'local' ? chrome.storage.local : chrome.storage.sync;
+}
+
+/**
+ * Promise of this device's ID, once requested
+ */
+let deviceIdPromise = null;
+
+/**
+ * Gets the ID of this device (browser profile), creating it on first use
+ *
+ * Kept in local storage, so it never syncs.
+ *
+ * @async
+ * @returns {Promise<string>}
+ */
+function getDeviceId() {
+  if (!deviceIdPromise) {
+    deviceIdPromise = chrome.storage.local.get([STORAGE_KEYS.DEVICE_ID]).then(async result => {
+      let deviceId = result[STORAGE_KEYS.DEVICE_ID];
+      if (!deviceId) {
+        deviceId = crypto.randomUUID();
+        await chrome.storage.local.set({ [STORAGE_KEYS.DEVICE_ID]: deviceId });
+      }
+      return deviceId;
+    });
+    // Try again next time if storage failed
+    deviceIdPromise.catch(() => { deviceIdPromise = null; });
+  }
+  return deviceIdPromise;
+}
+
+// -----------------------------------------------------------------------------
+// SIZE CALCULATION
+// -----------------------------------------------------------------------------
+
+/**
+ * Returns the UTF-8 byte length of a string
+ *
+ * @param {string} text - Text to measure
+ * @returns {number} - Size in bytes
+ */
+function byteLength(text) {
+  return new TextEncoder().encode(text).length;
+}
+
+/**
+ * Returns the number of bytes a single code point takes once the
+ * containing string is JSON encoded (as chrome.storage does)
+ *
+ * @param {number} code - Unicode code point
+ * @returns {number} - Encoded size in bytes
+ */
+function jsonCharCost(code) {
+  // Quote and backslash are escaped with a backslash
+  if (code === 0x22 || code === 0x5c) return 2;
+
+  // Control characters: short escapes (\n, \t, ...) or \u00XX
+  if (code < 0x20) {
+    return [0x08, 0x09, 0x0a, 0x0c, 0x0d].includes(code) ? 2 : 6;
+  }
+
+  if (code < 0x80) return 1;
+  if (code < 0x800) return 2;
+
+  // Lone surrogates are written as \uDXXX escapes
+  if (code >= 0xd800 && code <= 0xdfff) return 6;
+
+  return code < 0x10000 ? 3 : 4;
+}
+
+/**
+ * Splits a JSON string into slices that each fit in one sync item
+ *
+ * The budget accounts for the shard key, the quotes around the stored
+ * string and any escaping JSON adds, so every slice stays under
+ * SYNC_QUOTA_BYTES_PER_ITEM. Slices never cut a surrogate pair in half.
+ *
+ * @param {string} key - Collection key (used to size the shard keys)
+ * @param {string} json - Serialized (or encrypted) collection
+ * @returns {string[]} - Ordered slices (at least one)
+ */
+function splitIntoShards(key, json) {
+  const longestKey = getShardKey(key, STORAGE_LIMITS.SYNC_MAX_ITEMS);
+  const budget = STORAGE_LIMITS.SYNC_QUOTA_BYTES_PER_ITEM -
+    byteLength(longestKey) - 2 - STORAGE_LIMITS.SHARD_SAFETY_MARGIN;
+
+  const shards = [];
+  let start = 0;
+  let size = 0;
+
+  for (let i = 0; i < json.length;) {
+    const code = json.codePointAt(i);
+    const width = code > 0xffff ? 2 : 1;
+    const cost = jsonCharCost(code);
+
+    if (size + cost > budget) {
+      shards.push(json.slice(start, i));
+      start = i;
+      size = 0;
+    }
+
+    size += cost;
+    i += width;
+  }
+
+  shards.push(json.slice(start));
+  return shards;
+}
+
+/**
+ * Calculates the quota cost of a stored key/value pair
+ *
+ * @param {string} storageKey - Storage key
+ * @param {*} value - Value that will be JSON encoded
+ * @returns {number} - Size in bytes
+ */
+function getItemBytes(storageKey, value) {
+  return byteLength(storageKey) + byteLength(JSON.stringify(value));
+}
+
+/**
+ * Total sync quota consumed by a collection, including its meta record
+ *
+ * @param {string} key - Collection key
+ * @param {Object} meta - Meta record
+ * @returns {number} - Size in bytes
+ */
+function getCollectionBytes(key, meta) {
+  const shardBytes = meta.bytes.reduce((sum, bytes) => sum + bytes, 0);
+  return shardBytes + getItemBytes(getShardMetaKey(key), meta);
+}
+
+// -----------------------------------------------------------------------------
+// READ
+// -----------------------------------------------------------------------------
+
+/**
+ * Reads the meta records of the given collections from both areas
+ *
+ * If a collection has a meta record in both areas (a move between
+ * areas was interrupted), the most recently written one wins. An
+ * overflow marker in sync never wins over a copy in local storage. When
+ * the marker is all there is, the collection is held by another device
+ * (elsewhere is set).
+ *
+ * @async
+ * @param {string[]} keys - Collection keys
+ * @returns {Promise<Object>} - { [key]: { sync?, local?, current?, elsewhere } }
+ */
+async function readShardMetas(keys) {
+  const metaKeys = keys.map(getShardMetaKey);
+  const [syncResult, localResult] = await Promise.all([
+    chrome.storage.sync.get(metaKeys),
+    chrome.storage.local.get(metaKeys)
+  ]);
+
+  const metas = {};
+  keys.forEach(key => {
+    const metaKey = getShardMetaKey(key);
+    const sync = syncResult[metaKey];
+    const local = localResult[metaKey];
+
+    let current = sync || local;
+    if (sync && local) {
+      current = sync.area === 'local' || (local.updatedAt || 0) > (sync.updatedAt || 0) ? local : sync;
+    }
+
+    metas[key] = { sync, local, current, elsewhere: !local && sync?.area === 'local' };
+  });
+
+  return metas;
+}
+
+/**
+ * Reads and reassembles collections from their shards
+ *
+ * Falls back to the legacy single-key format (a plain array stored
+ * under the collection key in sync) for data written before sharding.
+ * Collections that were never saved, or whose shards are incomplete,
+ * come back as null so callers can choose a default. Collections held
+ * in another device's local storage are left out, so callers keep what
+ * they have. Encrypted collections are decrypted.
+ *
+ * @async
+ * @param {string[]} keys - Collection keys to read
+ * @returns {Promise<Object>} - { [key]: Array|null }, without collections held elsewhere
+ * @throws {Error} ENCRYPTION_LOCKED if a collection is encrypted and locked
+ */
+async function readCollections(keys) {
+  const metas = await readShardMetas(keys);
+
+  // Collect the shard keys to fetch from each area in one request per area
+  const wanted = { sync: [], local: [] };
+  const legacyKeys = [];
+
+  keys.forEach(key => {
+    const meta = metas[key].current;
+    if (metas[key].elsewhere) return;
+    if (meta) {
+      wanted[meta.area].push(...getShardKeys(key, meta.shards));
+    } else {
+      legacyKeys.push(key);
+    }
+  });
+
+  const [syncResult, localResult] = await Promise.all([
+    chrome.storage.sync.get([...wanted.sync, ...legacyKeys]),
+    chrome.storage.local.get(wanted.local)
+  ]);
+  const results = { sync: syncResult, local: localResult };
+
+  const collections = {};
+  for (const key of keys) {
+    const meta = metas[key].current;
+
+    if (metas[key].elsewhere) {
+      console.warn(`"${key}" is only stored on another device (${meta.device})`);
+      continue;
+    }
+
+    if (!meta) {
+      // Legacy format: whole array under the collection key
+      collections[key] = syncResult[key] ?? null;
+      continue;
+    }
+
+    const parts = getShardKeys(key, meta.shards).map(shardKey => results[meta.area][shardKey]);
+    if (parts.some(part => typeof part !== 'string')) {
+      console.error(`Missing shards for "${key}" in ${meta.area} storage`);
+      collections[key] = null;
+      continue;
+    }
+
+    // Locked errors propagate: returning null would look like "never saved"
+    const json = meta.encrypted ? await decryptText(parts.join('')) : parts.join('');
+
+    try {
+      collections[key] = JSON.parse(json);
+    } catch (error) {
+      console.error(`Failed to reassemble "${key}" from shards:`, error);
+      collections[key] = null;
+    }
+  }
+
+  return collections;
+}
+
+/**
+ * Reads a single collection
+ *
+ * @async
+ * @param {string} key - Collection key
+ * @returns {Promise<Array|null>} - The collection, or null if never saved
+ */
+async function readCollection(key) {
+  const collections = await readCollections([key]);
+  return collections[key];
+}
+
+/**
+ * Lists the collections held in another device's local storage, which
+ * can't be read (or written without losing them) here
+ *
+ * @async
+ * @param {string[]} keys - Collection keys
+ * @returns {Promise<string[]>}
+ */
+async function getCollectionsHeldElsewhere(keys) {
+  const metas = await readShardMetas(keys);
+  return keys.filter(key => metas[key].elsewhere);
+}
+
+// -----------------------------------------------------------------------------
+// READ-ONLY MODE
+// -----------------------------------------------------------------------------
+
+/**
+ * Whether writes are refused (see setCollectionsReadOnly())
+ */
+let collectionsReadOnly = false;
+
+/**
+ * Turns read-only mode on or off for this context
+ *
+ * While stored data failed to migrate (see migrations.js), writing it
+ * back in its old shape could lose what only the old shape holds, so
+ * writeCollections() and removeCollections() fail instead.
+ *
+ * @param {boolean} readOnly - Whether to refuse writes
+ */
+function setCollectionsReadOnly(readOnly) {
+  collectionsReadOnly = readOnly;
+}
+
+/**
+ * Checks whether an error was thrown because writes are refused
+ *
+ * @param {Error} error - Error thrown by writeCollections()
+ * @returns {boolean}
+ */
+function isReadOnlyError(error) {
+  return /STORAGE_READ_ONLY/.test(error?.message || '');
+}
+
+/**
+ * Fails while read-only mode is on
+ *
+ * @throws {Error} STORAGE_READ_ONLY
+ */
+function assertCollectionsWritable() {
+  if (collectionsReadOnly) {
+    throw new Error('STORAGE_READ_ONLY: Saved data could not be upgraded, changes are not saved');
+  }
+}
+
+// -----------------------------------------------------------------------------
+// WRITE
+// -----------------------------------------------------------------------------
+
+/**
+ * Checks whether an error is a chrome.storage quota error
+ *
+ * @param {Error} error - Error thrown by chrome.storage
+ * @returns {boolean}
+ */
+function isQuotaError(error) {
+  return /QUOTA_BYTES|MAX_ITEMS/.test(error?.message || '');
+}
+
+/**
+ * Shards and writes collections to storage
+ *
+ * Each collection goes to sync if it fits in what is left of the sync
+ * quota (after the collections that are not being written), otherwise
+ * to local. If sync still rejects the write with a quota error, the
+ * collections are written to local instead.
+ *
+ * Collections written to local leave an overflow marker in sync (see
+ * the file header). Stale shards (from a previously larger collection,
+ * or from the other area after a move) and legacy single-key values are
+ * removed afterwards.
+ *
+ * While encryption is enabled, collections are encrypted first; writing
+ * while locked fails rather than storing plaintext.
+ *
+ * Retired collections (RETIRED_COLLECTIONS) are only written when a
+ * migration backup is restored, and are placed last.
+ *
+ * @async
+ * @param {Object} collections - { [key]: Array } collections to write
+ * @returns {Promise<void>}
+ * @throws {Error} If neither storage area accepts the data, ENCRYPTION_LOCKED
+ *   or STORAGE_READ_ONLY
+ */
+async function writeCollections(collections) {
+  assertCollectionsWritable();
+
+  const allKeys = [...SHARDED_COLLECTIONS, ...RETIRED_COLLECTIONS];
+  const keys = allKeys.filter(key => key in collections);
+  if (keys.length === 0) return;
+
+  const encrypted = isEncryptionEnabled();
+  const payloads = {};
+  for (const key of keys) {
+    const json = JSON.stringify(collections[key]);
+    payloads[key] = encrypted ? await encryptText(json) : json;
+  }
+
+  const metas = await readShardMetas(allKeys);
+
+  // Sync quota already used by collections we are not rewriting
+  let usedBytes = STORAGE_LIMITS.SYNC_RESERVED_BYTES;
+  let usedItems = STORAGE_LIMITS.SYNC_RESERVED_ITEMS;
+  allKeys.forEach(key => {
+    const meta = metas[key].sync;
+    if (meta && !keys.includes(key)) {
+      usedBytes += getCollectionBytes(key, meta);
+      usedItems += meta.shards + 1;
+    }
+  });
+
+  // Shard each collection and decide where it goes (in priority order)
+  const updatedAt = Date.now();
+  const planned = keys.map(key => {
+    const shards = splitIntoShards(key, payloads[key]);
+    const meta = {
+      area: 'sync',
+      shards: shards.length,
+      bytes: shards.map((shard, index) => getItemBytes(getShardKey(key, index), shard)),
+      updatedAt
+    };
+    if (encrypted) {
+      meta.encrypted = true;
+    }
+
+    const bytes = getCollectionBytes(key, meta);
+    const fitsInSync = usedBytes + bytes <= STORAGE_LIMITS.SYNC_QUOTA_BYTES &&
+      usedItems + shards.length + 1 <= STORAGE_LIMITS.SYNC_MAX_ITEMS;
+
+    if (fitsInSync) {
+      usedBytes += bytes;
+      usedItems += shards.length + 1;
+    } else {
+      meta.area = 'local';
+      console.warn(`"${key}" does not fit in sync storage, writing to local storage`);
+    }
+
+    return { key, shards, meta };
+  });
+
+  // Write sync collections first, falling back to local on quota errors
+  const syncPlanned = planned.filter(entry => entry.meta.area === 'sync');
+  if (syncPlanned.length > 0) {
+    try {
+      await chrome.storage.sync.set(buildShardItems(syncPlanned));
+    } catch (error) {
+      if (!isQuotaError(error)) throw error;
+
+      console.warn('Sync quota exceeded, writing to local storage instead:', error);
+      syncPlanned.forEach(entry => { entry.meta.area = 'local'; });
+    }
+  }
+
+  const localPlanned = planned.filter(entry => entry.meta.area === 'local');
+  if (localPlanned.length > 0) {
+    await chrome.storage.local.set(buildShardItems(localPlanned));
+    await writeOverflowMarkers(localPlanned, updatedAt);
+  }
+
+  await removeStaleShards(planned, metas);
+}
+
+/**
+ * Tells other devices which collections this device keeps in local
+ * storage, by writing a marker meta record for each in sync
+ *
+ * The collections themselves are already written, so a failure is only
+ * logged; entries that got their marker are flagged marked.
+ *
+ * @async
+ * @param {Object[]} planned - Entries of { key } written to local
+ * @param {number} updatedAt - Time of the write
+ * @returns {Promise<void>}
+ */
+async function writeOverflowMarkers(planned, updatedAt) {
+  const device = await getDeviceId();
+  const items = {};
+  planned.forEach(({ key }) => {
+    items[getShardMetaKey(key)] = { area: 'local', shards: 0, bytes: [], device, updatedAt };
+  });
+
+  try {
+    await chrome.storage.sync.set(items);
+    planned.forEach(entry => { entry.marked = true; });
+  } catch (error) {
+    console.error('Failed to write overflow markers to sync storage:', error);
+  }
+}
+
+/**
+ * Builds the key/value items for a set() call from planned collections
+ *
+ * @param {Object[]} planned - Entries of { key, shards, meta }
+ * @returns {Object} - Storage items
+ */
+function buildShardItems(planned) {
+  const items = {};
+  planned.forEach(({ key, shards, meta }) => {
+    shards.forEach((shard, index) => {
+      items[getShardKey(key, index)] = shard;
+    });
+    items[getShardMetaKey(key)] = meta;
+  });
+  return items;
+}
+
+/**
+ * Removes shards and meta records made obsolete by a write
+ *
+ * @async
+ * @param {Object[]} planned - Entries of { key, shards, meta, marked? } just written
+ * @param {Object} previousMetas - Meta records read before the write
+ * @returns {Promise<void>}
+ */
+async function removeStaleShards(planned, previousMetas) {
+  const stale = { sync: [], local: [] };
+
+  planned.forEach(entry => {
+    const { key, meta } = entry;
+    ['sync', 'local'].forEach(area => {
+      const previous = previousMetas[key][area];
+      if (!previous) return;
+
+      if (area === meta.area) {
+        // Same area: only the shards past the new end are stale
+        for (let index = meta.shards; index < previous.shards; index++) {
+          stale[area].push(getShardKey(key, index));
+        }
+      } else {
+        // Moved to the other area: everything left behind is stale,
+        // except the sync meta once it is the overflow marker
+        if (area === 'local' || !entry.marked) stale[area].push(getShardMetaKey(key));
+        stale[area].push(...getShardKeys(key, previous.shards));
+      }
+    });
+
+    // First sharded write: the legacy single-key value is superseded
+    if (!previousMetas[key].sync && !previousMetas[key].local) {
+      stale.sync.push(key);
+    }
+  });
+
+  await Promise.all([
+    stale.sync.length > 0 ? chrome.storage.sync.remove(stale.sync) : null,
+    stale.local.length > 0 ? chrome.storage.local.remove(stale.local) : null
+  ]);
+}
+
+// -----------------------------------------------------------------------------
+// REMOVE
+// -----------------------------------------------------------------------------
+
+/**
+ * Deletes collections entirely: meta records, shards in both areas and
+ * the legacy single key
+ *
+ * @async
+ * @param {string[]} keys - Collection keys
+ * @returns {Promise<void>}
+ * @throws {Error} STORAGE_READ_ONLY
+ */
+async function removeCollections(keys) {
+  assertCollectionsWritable();
+
+  const metas = await readShardMetas(keys);
+  const stale = { sync: [...keys], local: [] };
+
+  keys.forEach(key => {
+    ['sync', 'local'].forEach(area => {
+      const meta = metas[key][area];
+      if (meta) {
+        stale[area].push(getShardMetaKey(key), ...getShardKeys(key, meta.shards));
+      }
+    });
+  });
+
+  await Promise.all([
+    chrome.storage.sync.remove(stale.sync),
+    stale.local.length > 0 ? chrome.storage.local.remove(stale.local) : null
+  ]);
+}
+
+// -----------------------------------------------------------------------------
+// CHANGE DETECTION
+// -----------------------------------------------------------------------------
+
+/**
+ * Maps a chrome.storage.onChanged event to the collections it updated
+ *
+ * A collection counts as changed when its meta record was written (every
+ * write rewrites the meta, or the overflow marker when another device
+ * moves the collection to its local storage) or its legacy single key
+ * was set. Meta records that were only removed are ignored: the data is
+ * not gone, removeCollections() deletes it on purpose.
+ *
+ * @param {Object} changes - Changes object from chrome.storage.onChanged
+ * @returns {string[]} - Collection keys that need to be re-read
+ */
+function getChangedCollections(changes) {
+  return SHARDED_COLLECTIONS.filter(key => {
+    const metaChange = changes[getShardMetaKey(key)];
+    const legacyChange = changes[key];
+    return metaChange?.newValue !== undefined || legacyChange?.newValue !== undefined;
+  });
+}
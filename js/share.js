@@ -0,0 +1,419 @@
+/**
+ * ============================================================================
+ * SHARE.JS
+ * ============================================================================
+ *
+ * Sharing groups as self-contained share codes and QR codes for the Tab
+ * Saver extension. No account or server is involved: the whole group
+ * travels in the code.
+ *
+ * "Share group" encodes a group with its subgroups (names, tab titles and
+ * URLs only) as compact JSON, compresses it with deflate and writes it as
+ * base64url after a fixed prefix:
+ *
+ *   tabsaver:<payload>
+ *
+ * The code is shown with a QR code (qr-code.js) when it is short enough.
+ * It is not a link: the side panel's chrome-extension:// URL differs
+ * between installs (the manifest has no key), so recipients paste the
+ * code into "Import shared bundle", which adds the group as a new
+ * top-level group. The import also accepts a bare payload and links
+ * from older versions (sidepanel.html#bundle=<payload>). Decompression
+ * stops at SHARE_BUNDLE.MAX_BYTES, so a small crafted code can't expand
+ * into more data than the panel can hold.
+ *
+ * Bundle layout (SHARE_BUNDLE.VERSION 1), keys kept short for size:
+ *   { v: 1, n: name, t: [[url, title?], ...], g: [{ n, t, g }, ...] }
+ * Empty t and g are left out, as is a title equal to its URL.
+ *
+ * ============================================================================
+ */
+
+// -----------------------------------------------------------------------------
+// SHARE STATE
+// -----------------------------------------------------------------------------
+
+/**
+ * Share code shown in the share dialog
+ */
+let shareCode = '';
+
+/**
+ * Group tree decoded in the import dialog, waiting for confirmation
+ */
+let sharedBundleTree = null;
+
+/**
+ * Incremented on every edit of the import text, so a slow decode of an
+ * older text doesn't overwrite the preview of a newer one
+ */
+let sharedBundleDecodeId = 0;
+
+// -----------------------------------------------------------------------------
+// SHARE DIALOG
+// -----------------------------------------------------------------------------
+
+/**
+ * Shows the share dialog for a group and its subgroups
+ *
+ * @async
+ * @param {string} groupId - ID of the group
+ * @returns {Promise<void>}
+ */
+async function showShareModal(groupId) {
+  const group = groups.find(g => g.id === groupId);
+  if (!group) return;
+
+  const bundle = createShareBundle(group);
+  const counts = countBundleTree(readShareBundleNode(bundle, 0));
+
+  try {
+    shareCode = SHARE_BUNDLE.PREFIX + await encodeShareBundle(bundle);
+  } catch (error) {
+    console.error('Failed to encode shared group:', error);
+    alert('Could not create a share code for this group.');
+    return;
+  }
+
+  document.getElementById('shareTitle').textContent = `Share "${group.name}"`;
+  document.getElementById('shareSummary').textContent =
+    `${counts.tabs} tabs in ${counts.groups} ${counts.groups === 1 ? 'group' : 'groups'}. ` +
+    'This is not a link: to import it, paste the code into Tab Saver: ' +
+    'Settings → Backup → Import shared bundle. ' +
+    'Reminders, timers and other settings are not included.';
+  document.getElementById('shareCode').value = shareCode;
+  renderShareQrCode(shareCode);
+
+  document.getElementById('shareModal').classList.remove('hidden');
+  document.getElementById('shareCode').select();
+}
+
+/**
+ * Hides the share dialog
+ */
+function hideShareModal() {
+  document.getElementById('shareModal').classList.add('hidden');
+  document.getElementById('shareQr').innerHTML = '';
+  shareCode = '';
+}
+
+/**
+ * Shows the share code as a QR code, or a note if it is too long for one
+ *
+ * @param {string} code - Share code
+ */
+function renderShareQrCode(code) {
+  const container = document.getElementById('shareQr');
+  const note = document.getElementById('shareQrNote');
+
+  try {
+    container.innerHTML = renderQrSvg(createQrCode(code));
+    container.classList.remove('hidden');
+    note.classList.add('hidden');
+  } catch {
+    container.innerHTML = '';
+    container.classList.add('hidden');
+    note.textContent = 'This group is too large for a QR code. Share the code as text instead.';
+    note.classList.remove('hidden');
+  }
+}
+
+/**
+ * Copies the share code to the clipboard
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function copyShareCode() {
+  const button = document.getElementById('copyShareCode');
+
+  try {
+    await navigator.clipboard.writeText(shareCode);
+    button.textContent = 'Copied';
+    setTimeout(() => { button.textContent = 'Copy code'; }, 1500);
+  } catch (error) {
+    console.error('Failed to copy share code:', error);
+    alert('Could not copy to the clipboard. Select the code and copy it instead.');
+  }
+}
+
+// -----------------------------------------------------------------------------
+// IMPORT DIALOG
+// -----------------------------------------------------------------------------
+
+/**
+ * Shows the dialog for importing a shared bundle
+ */
+function showShareImportModal() {
+  const input = document.getElementById('shareImportText');
+  input.value = '';
+  updateShareImportPreview();
+
+  hideSettingsModal();
+  document.getElementById('shareImportModal').classList.remove('hidden');
+  input.focus();
+}
+
+/**
+ * Hides the import dialog
+ */
+function hideShareImportModal() {
+  document.getElementById('shareImportModal').classList.add('hidden');
+  document.getElementById('shareImportText').value = '';
+  sharedBundleTree = null;
+}
+
+/**
+ * Decodes the pasted share code and shows what it would import
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function updateShareImportPreview() {
+  const decodeId = ++sharedBundleDecodeId;
+  const text = document.getElementById('shareImportText').value.trim();
+  const preview = document.getElementById('shareImportPreview');
+  const importBtn = document.getElementById('confirmShareImport');
+
+  sharedBundleTree = null;
+  importBtn.disabled = true;
+
+  if (!text) {
+    preview.textContent = 'Paste a share code someone sent you.';
+    return;
+  }
+
+  let tree;
+  try {
+    tree = await decodeShareBundle(text);
+  } catch (error) {
+    if (decodeId === sharedBundleDecodeId) preview.textContent = error.message;
+    return;
+  }
+  if (decodeId !== sharedBundleDecodeId) return;
+
+  const counts = countBundleTree(tree);
+  sharedBundleTree = tree;
+  preview.textContent = `"${tree.name}": ${counts.tabs} tabs in ${counts.groups} ` +
+    `${counts.groups === 1 ? 'group' : 'groups'}, added as a new group.`;
+  importBtn.disabled = false;
+}
+
+/**
+ * Imports the decoded bundle as a new top-level group
+ */
+function confirmShareImport() {
+  if (!sharedBundleTree) return;
+
+  importGroupTree({ name: '', tabs: [], children: [sharedBundleTree] });
+
+  const label = 'Import shared group';
+  recordHistory(label);
+  showUndoToast(label);
+  saveData();
+  renderAll();
+  hideShareImportModal();
+}
+
+// -----------------------------------------------------------------------------
+// BUNDLE FORMAT
+// -----------------------------------------------------------------------------
+
+/**
+ * Builds the bundle for a group and its subgroups
+ *
+ * @param {Object} group - Group to share
+ * @returns {Object} - Bundle (see the file header)
+ */
+function createShareBundle(group) {
+  const buildNode = (current) => {
+    const node = { n: current.name };
+
+    const tabs = savedTabs
+      .filter(t => t.groupId === current.id)
+      .map(tab => (tab.title && tab.title !== tab.url ? [tab.url, tab.title] : [tab.url]));
+    if (tabs.length > 0) node.t = tabs;
+
+    const children = groups.filter(g => g.parentId === current.id).map(buildNode);
+    if (children.length > 0) node.g = children;
+
+    return node;
+  };
+
+  return { v: SHARE_BUNDLE.VERSION, ...buildNode(group) };
+}
+
+/**
+ * Converts a bundle node to a group tree node (see importGroupTree())
+ *
+ * Links that can't be opened as tabs (javascript:, data:) are left out.
+ *
+ * @param {Object} node - Bundle node
+ * @param {number} depth - Nesting depth of the node
+ * @returns {Object} - { name, tabs, children }
+ * @throws {Error} If the bundle is malformed or nested too deeply
+ */
+function readShareBundleNode(node, depth) {
+  if (!node || typeof node !== 'object' || typeof node.n !== 'string') {
+    throw new Error('The shared bundle is damaged.');
+  }
+  if (depth > SHARE_BUNDLE.MAX_DEPTH) {
+    throw new Error('The shared bundle has too many nested groups.');
+  }
+
+  const tabs = (Array.isArray(node.t) ? node.t : [])
+    .filter(entry => Array.isArray(entry) && typeof entry[0] === 'string' &&
+      /^[a-z][a-z0-9+.-]*:/i.test(entry[0]) && !/^(javascript|data):/i.test(entry[0]))
+    .map(([url, title]) => ({ url, title: typeof title === 'string' && title ? title : url }));
+
+  return {
+    name: node.n.trim() || 'Shared group',
+    tabs,
+    children: (Array.isArray(node.g) ? node.g : []).map(child => readShareBundleNode(child, depth + 1))
+  };
+}
+
+/**
+ * Counts the groups and tabs in a group tree, the root included
+ *
+ * @param {Object} tree - Group tree node
+ * @returns {Object} - { groups, tabs }
+ */
+function countBundleTree(tree) {
+  return tree.children.reduce((counts, child) => {
+    const childCounts = countBundleTree(child);
+    return { groups: counts.groups + childCounts.groups, tabs: counts.tabs + childCounts.tabs };
+  }, { groups: 1, tabs: tree.tabs.length });
+}
+
+// -----------------------------------------------------------------------------
+// ENCODING
+// -----------------------------------------------------------------------------
+
+/**
+ * Compresses a bundle into a base64url payload (without SHARE_BUNDLE.PREFIX)
+ *
+ * @async
+ * @param {Object} bundle - Bundle to encode
+ * @returns {Promise<string>} - base64url text
+ */
+async function encodeShareBundle(bundle) {
+  const json = new TextEncoder().encode(JSON.stringify(bundle));
+  const compressed = await transformBytes(json, new CompressionStream('deflate-raw'));
+  return bytesToBase64Url(compressed);
+}
+
+/**
+ * Decodes a share code, bare payload or older share link into a group tree
+ *
+ * @async
+ * @param {string} text - Share code (tabsaver:<payload>), payload, or a
+ *   link ending in #bundle=<payload>
+ * @returns {Promise<Object>} - Group tree node of the shared group
+ * @throws {Error} With a message for the user if the text can't be read
+ */
+async function decodeShareBundle(text) {
+  const payload = stripSharePrefix(text.trim());
+
+  if (!/^[A-Za-z0-9_-]+$/.test(payload)) {
+    throw new Error('This is not a Tab Saver share code.');
+  }
+
+  let json;
+  try {
+    json = await transformBytes(base64UrlToBytes(payload), new DecompressionStream('deflate-raw'),
+      SHARE_BUNDLE.MAX_BYTES);
+  } catch (error) {
+    if (error instanceof RangeError) {
+      throw new Error('This shared group is too large to import.');
+    }
+    throw new Error('The code is incomplete or damaged. Ask for it to be shared again.');
+  }
+
+  let bundle;
+  try {
+    bundle = JSON.parse(new TextDecoder().decode(json));
+  } catch {
+    throw new Error('The code is incomplete or damaged. Ask for it to be shared again.');
+  }
+
+  if (bundle?.v > SHARE_BUNDLE.VERSION) {
+    throw new Error('This code was shared from a newer version of Tab Saver. Please update the extension.');
+  }
+  if (bundle?.v !== SHARE_BUNDLE.VERSION) {
+    throw new Error('This is not a Tab Saver share code.');
+  }
+
+  return readShareBundleNode(bundle, 0);
+}
+
+/**
+ * Returns the payload of a share code or older share link
+ *
+ * @param {string} text - Trimmed share code, payload or link
+ * @returns {string} - Text after the prefix, or the text itself
+ */
+function stripSharePrefix(text) {
+  if (text.toLowerCase().startsWith(SHARE_BUNDLE.PREFIX)) {
+    return text.slice(SHARE_BUNDLE.PREFIX.length).trim();
+  }
+
+  const hashIndex = text.indexOf(SHARE_BUNDLE.LEGACY_HASH_PREFIX);
+  return hashIndex === -1 ? text : text.slice(hashIndex + SHARE_BUNDLE.LEGACY_HASH_PREFIX.length);
+}
+
+/**
+ * Runs bytes through a compression or decompression stream
+ *
+ * @async
+ * @param {Uint8Array} bytes - Input
+ * @param {CompressionStream|DecompressionStream} stream - Transform to apply
+ * @param {number} [maxBytes=Infinity] - Largest output to read
+ * @returns {Promise<Uint8Array>} - Output
+ * @throws {RangeError} If the output grows past maxBytes (reading stops there)
+ */
+async function transformBytes(bytes, stream, maxBytes = Infinity) {
+  const reader = new Blob([bytes]).stream().pipeThrough(stream).getReader();
+  const chunks = [];
+  let length = 0;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    length += value.length;
+    if (length > maxBytes) {
+      await reader.cancel();
+      throw new RangeError(`Output is larger than ${maxBytes} bytes`);
+    }
+    chunks.push(value);
+  }
+
+  const output = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return output;
+}
+
+/**
+ * Encodes bytes as base64url without padding (see bytesToBase64() in crypto.js)
+ *
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string}
+ */
+function bytesToBase64Url(bytes) {
+  return bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes base64url (with or without padding)
+ *
+ * @param {string} text - base64url text
+ * @returns {Uint8Array}
+ */
+function base64UrlToBytes(text) {
+  return base64ToBytes(text.replace(/-/g, '+').replace(/_/g, '/'));
+}
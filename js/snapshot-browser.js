@@ -0,0 +1,489 @@
+/**
+ * ============================================================================
+ * SNAPSHOT-BROWSER.JS
+ * ============================================================================
+ *
+ * Snapshot list, comparison and restore in the Settings modal of the
+ * Tab Saver extension.
+ *
+ * Snapshots are taken by the background service worker (see snapshots.js).
+ * This file asks for them with a 'takeSnapshot' message, lists them in
+ * Settings, compares one against the current data in the snapshot modal,
+ * and restores either everything or a single group.
+ *
+ * Restores are regular changes: restored records are touched so they win
+ * when merging with other devices, removed records get tombstones, the
+ * step can be undone, and a snapshot of the data before the restore is
+ * taken first.
+ *
+ * ============================================================================
+ */
+
+// -----------------------------------------------------------------------------
+// SNAPSHOT BROWSER STATE
+// -----------------------------------------------------------------------------
+
+/**
+ * Snapshot shown in the snapshot modal: { entry, data }
+ */
+let openSnapshot = null;
+
+/**
+ * Maximum number of records listed per section of a comparison
+ */
+const SNAPSHOT_DIFF_LIST_LIMIT = 20;
+
+// -----------------------------------------------------------------------------
+// TAKING SNAPSHOTS
+// -----------------------------------------------------------------------------
+
+/**
+ * Asks the background to take a snapshot
+ *
+ * @async
+ * @param {string} reason - SNAPSHOT_REASONS value
+ * @param {string} [label=''] - Action that triggered it
+ * @param {Object} [collections] - Data to store (defaults to current state)
+ * @returns {Promise<Object|null>} - Index entry, or null if skipped or failed
+ */
+async function requestSnapshot(reason, label = '', collections = getSnapshotCollections()) {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'takeSnapshot', reason, label, collections });
+    return response?.entry || null;
+  } catch (error) {
+    console.error('Failed to request snapshot:', error);
+    return null;
+  }
+}
+
+/**
+ * Collects the collections that snapshots hold from current state
+ *
+ * @returns {Object} - { [collectionKey]: Array }
+ */
+function getSnapshotCollections() {
+  const state = getCollectionsState();
+  const collections = {};
+  RECORD_COLLECTIONS.forEach(key => {
+    collections[key] = state[key];
+  });
+  return collections;
+}
+
+/**
+ * Takes a snapshot from the Settings button
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function takeManualSnapshot() {
+  await flushSaves();
+  const entry = await requestSnapshot(SNAPSHOT_REASONS.MANUAL);
+  if (!entry) {
+    alert('Nothing has changed since the last snapshot.');
+  }
+  renderSnapshotList();
+}
+
+// -----------------------------------------------------------------------------
+// SNAPSHOT LIST
+// -----------------------------------------------------------------------------
+
+/**
+ * Renders the snapshot list in the Settings modal
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function renderSnapshotList() {
+  const container = document.getElementById('snapshotList');
+  if (!container) return;
+
+  const index = await readSnapshotIndex();
+  if (index.length === 0) {
+    container.innerHTML = '<div class="empty-state">No snapshots yet</div>';
+    return;
+  }
+
+  container.innerHTML = index.map(entry => `
+    <div class="snapshot-item" data-snapshot-id="${entry.id}" title="Compare and restore">
+      <div class="snapshot-info">
+        <div class="snapshot-date">${formatSnapshotDate(entry.createdAt)}</div>
+        <div class="snapshot-meta">${escapeHtml(getSnapshotReasonText(entry))} · ${entry.counts.tabs} tabs, ${entry.counts.groups} groups</div>
+      </div>
+      <span class="snapshot-size">${formatBytes(entry.bytes)}</span>
+    </div>
+  `).join('');
+
+  container.querySelectorAll('.snapshot-item').forEach(item => {
+    item.addEventListener('click', () => {
+      const entry = index.find(e => e.id === Number(item.dataset.snapshotId));
+      showSnapshotModal(entry);
+    });
+  });
+}
+
+/**
+ * Formats a snapshot time for display
+ *
+ * @param {number} time - Timestamp (ms)
+ * @returns {string} - e.g. 'Mar 4, 14:30'
+ */
+function formatSnapshotDate(time) {
+  const date = new Date(time);
+  return date.toLocaleDateString([], { month: 'short', day: 'numeric' }) + ', ' +
+         date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Describes why a snapshot was taken
+ *
+ * @param {Object} entry - Index entry
+ * @returns {string}
+ */
+function getSnapshotReasonText(entry) {
+  switch (entry.reason) {
+    case SNAPSHOT_REASONS.DESTRUCTIVE:
+      return `Before: ${entry.label}`;
+    case SNAPSHOT_REASONS.MANUAL:
+      return 'Manual';
+    case SNAPSHOT_REASONS.RESTORE:
+      return 'Before restore';
+    case SNAPSHOT_REASONS.IMPORT:
+      return 'Before import';
+    default:
+      return 'Automatic';
+  }
+}
+
+// -----------------------------------------------------------------------------
+// SNAPSHOT MODAL
+// -----------------------------------------------------------------------------
+
+/**
+ * Opens a snapshot and shows how it differs from the current data
+ *
+ * @async
+ * @param {Object} entry - Index entry
+ * @returns {Promise<void>}
+ */
+async function showSnapshotModal(entry) {
+  const data = await readSnapshotData(entry.id);
+  if (!data) {
+    alert('This snapshot could not be read.');
+    return;
+  }
+
+  openSnapshot = { entry, data };
+  document.getElementById('snapshotModalTitle').textContent = `Snapshot of ${formatSnapshotDate(entry.createdAt)}`;
+  renderSnapshotComparison();
+  document.getElementById('snapshotModal').classList.remove('hidden');
+}
+
+/**
+ * Hides the snapshot modal
+ */
+function hideSnapshotModal() {
+  openSnapshot = null;
+  document.getElementById('snapshotModal').classList.add('hidden');
+}
+
+/**
+ * Renders the comparison of the open snapshot with the current data
+ */
+function renderSnapshotComparison() {
+  const container = document.getElementById('snapshotDiff');
+  const { data } = openSnapshot;
+  const current = getSnapshotCollections();
+
+  const tabDiff = diffRecordLists(data[STORAGE_KEYS.SAVED_TABS], current[STORAGE_KEYS.SAVED_TABS]);
+  const groupDiff = diffRecordLists(data[STORAGE_KEYS.GROUPS], current[STORAGE_KEYS.GROUPS]);
+  const topGroups = (data[STORAGE_KEYS.GROUPS] || []).filter(g => !g.parentId);
+
+  container.innerHTML = `
+    <div class="usage-list">
+      ${createDiffSummaryHTML('Tabs', tabDiff)}
+      ${createDiffSummaryHTML('Groups', groupDiff)}
+    </div>
+    ${createDiffListHTML('Deleted since this snapshot', tabDiff.removed)}
+    ${createDiffListHTML('Added since this snapshot', tabDiff.added)}
+    ${createDiffListHTML('Changed since this snapshot', tabDiff.changed)}
+    ${topGroups.length > 0 ? `
+      <div class="usage-subtitle">Groups in this snapshot</div>
+      ${topGroups.map(group => createSnapshotGroupHTML(group, data, current)).join('')}
+    ` : ''}
+  `;
+
+  container.querySelectorAll('.snapshot-restore-group').forEach(btn => {
+    btn.addEventListener('click', () => {
+      restoreSnapshotGroup(btn.dataset.groupId);
+    });
+  });
+}
+
+/**
+ * Creates HTML for a collection's change counts
+ *
+ * @param {string} label - Collection name
+ * @param {Object} diff - Result of diffRecordLists()
+ * @returns {string} - HTML string
+ */
+function createDiffSummaryHTML(label, diff) {
+  const parts = [];
+  if (diff.removed.length) parts.push(`${diff.removed.length} deleted`);
+  if (diff.added.length) parts.push(`${diff.added.length} added`);
+  if (diff.changed.length) parts.push(`${diff.changed.length} changed`);
+
+  return `
+    <div class="usage-row">
+      <span>${label}</span>
+      <span>${parts.length > 0 ? parts.join(', ') + ' since' : 'No changes'}</span>
+    </div>
+  `;
+}
+
+/**
+ * Creates HTML listing the titles of some records
+ *
+ * @param {string} title - Section title
+ * @param {Object[]} records - Tabs (or groups)
+ * @returns {string} - HTML string
+ */
+function createDiffListHTML(title, records) {
+  if (records.length === 0) return '';
+
+  const shown = records.slice(0, SNAPSHOT_DIFF_LIST_LIMIT);
+  const more = records.length - shown.length;
+
+  return `
+    <div class="usage-subtitle">${title}</div>
+    <div class="usage-list">
+      ${shown.map(r => `<div class="snapshot-diff-item">${escapeHtml(r.title || r.name || r.url || '')}</div>`).join('')}
+      ${more > 0 ? `<div class="snapshot-diff-item usage-area">and ${more} more</div>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Creates HTML for a top-level group of the snapshot with a restore button
+ *
+ * @param {Object} group - Group from the snapshot
+ * @param {Object} data - Snapshot data
+ * @param {Object} current - Current collections
+ * @returns {string} - HTML string
+ */
+function createSnapshotGroupHTML(group, data, current) {
+  const stored = getGroupTreeContents(data, group.id);
+  const now = getGroupTreeContents(current, group.id);
+
+  let status = '';
+  if (now.groups.length === 0) {
+    status = 'deleted';
+  } else if (!sameRecordLists(stored.groups, now.groups) || !sameRecordLists(stored.tabs, now.tabs)) {
+    status = 'changed';
+  }
+
+  return `
+    <div class="usage-row snapshot-group">
+      <span>${escapeHtml(group.name)}
+        <span class="usage-area">${stored.tabs.length} tabs${status ? ` · ${status}` : ''}</span>
+      </span>
+      <button class="btn btn-small snapshot-restore-group" data-group-id="${escapeHtml(group.id)}" ${status ? '' : 'disabled'}>Restore</button>
+    </div>
+  `;
+}
+
+// -----------------------------------------------------------------------------
+// COMPARISON
+// -----------------------------------------------------------------------------
+
+/**
+ * Compares two versions of a record list by ID
+ *
+ * Records only differing in updatedAt count as unchanged.
+ *
+ * @param {Object[]} snapshotRecords - Records in the snapshot
+ * @param {Object[]} currentRecords - Records now
+ * @returns {Object} - { removed, added, changed } (removed and changed
+ *   as in the snapshot, added as now)
+ */
+function diffRecordLists(snapshotRecords = [], currentRecords = []) {
+  const stored = new Map(snapshotRecords.map(r => [r.id, r]));
+  const current = new Map(currentRecords.map(r => [r.id, r]));
+
+  return {
+    removed: snapshotRecords.filter(r => !current.has(r.id)),
+    added: currentRecords.filter(r => !stored.has(r.id)),
+    changed: snapshotRecords.filter(r => current.has(r.id) && !sameRecord(r, current.get(r.id)))
+  };
+}
+
+/**
+ * Checks whether two lists hold the same records (ignoring order)
+ *
+ * @param {Object[]} a - Records
+ * @param {Object[]} b - Records
+ * @returns {boolean}
+ */
+function sameRecordLists(a, b) {
+  const diff = diffRecordLists(a, b);
+  return diff.removed.length === 0 && diff.added.length === 0 && diff.changed.length === 0;
+}
+
+/**
+ * Checks whether two versions of a record have the same content
+ *
+ * @param {Object} a - Record
+ * @param {Object} b - Record
+ * @returns {boolean}
+ */
+function sameRecord(a, b) {
+  return JSON.stringify({ ...a, updatedAt: 0 }) === JSON.stringify({ ...b, updatedAt: 0 });
+}
+
+/**
+ * Collects a group, its subgroups and their tabs from a set of collections
+ *
+ * Works on snapshot data as well as on current state.
+ *
+ * @param {Object} collections - { [collectionKey]: Array }
+ * @param {string} groupId - Top group ID
+ * @returns {Object} - { groups: Object[], tabs: Object[] } (empty if the group is missing)
+ */
+function getGroupTreeContents(collections, groupId) {
+  const allGroups = collections[STORAGE_KEYS.GROUPS] || [];
+  if (!allGroups.some(g => g.id === groupId)) {
+    return { groups: [], tabs: [] };
+  }
+
+  const ids = [groupId];
+  for (let i = 0; i < ids.length; i++) {
+    allGroups.filter(g => g.parentId === ids[i]).forEach(g => ids.push(g.id));
+  }
+
+  return {
+    groups: allGroups.filter(g => ids.includes(g.id)),
+    tabs: (collections[STORAGE_KEYS.SAVED_TABS] || []).filter(t => ids.includes(t.groupId))
+  };
+}
+
+// -----------------------------------------------------------------------------
+// RESTORE
+// -----------------------------------------------------------------------------
+
+/**
+ * Replaces all tabs, groups and trash with the open snapshot
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function restoreOpenSnapshot() {
+  if (!openSnapshot) return;
+  if (!confirm('Replace all tabs, groups and trash with this snapshot? A snapshot of the current data is taken first.')) return;
+
+  const { data } = openSnapshot;
+  await requestSnapshot(SNAPSHOT_REASONS.RESTORE, 'Restore snapshot');
+
+  const previousTabs = savedTabs;
+  const current = getSnapshotCollections();
+  const restored = {};
+
+  RECORD_COLLECTIONS.forEach(key => {
+    restored[key] = (data[key] || []).map(record => touchRecord({ ...record }));
+
+    const ids = restored[key].map(r => r.id);
+    recordDeletions(key, current[key].filter(r => !ids.includes(r.id)).map(r => r.id));
+    clearTombstones(key, ids);
+  });
+
+  setCollectionsState(restored);
+  syncTimerAlarms(previousTabs, savedTabs);
+
+  finishSnapshotRestore('Restore snapshot');
+}
+
+/**
+ * Restores a top-level group of the open snapshot, with its subgroups and tabs
+ *
+ * Groups and tabs from the snapshot replace their current versions or
+ * are added back. Tabs added to the group since are left in place.
+ *
+ * @async
+ * @param {string} groupId - Top group ID
+ * @returns {Promise<void>}
+ */
+async function restoreSnapshotGroup(groupId) {
+  if (!openSnapshot) return;
+
+  const contents = getGroupTreeContents(openSnapshot.data, groupId);
+  await requestSnapshot(SNAPSHOT_REASONS.RESTORE, 'Restore group');
+
+  const previousTabs = [...savedTabs];
+
+  contents.groups.forEach(group => {
+    const restored = touchRecord({ ...group });
+    const parentExists = groups.some(g => g.id === restored.parentId) ||
+      contents.groups.some(g => g.id === restored.parentId);
+    if (!parentExists) {
+      restored.parentId = null;
+    }
+    replaceOrAddRecord(groups, restored);
+  });
+
+  contents.tabs.forEach(tab => {
+    replaceOrAddRecord(savedTabs, touchRecord({ ...tab }));
+  });
+
+  clearTombstones(STORAGE_KEYS.GROUPS, contents.groups.map(g => g.id));
+  clearTombstones(STORAGE_KEYS.SAVED_TABS, contents.tabs.map(t => t.id));
+  syncTimerAlarms(previousTabs, savedTabs);
+
+  finishSnapshotRestore('Restore group');
+}
+
+/**
+ * Replaces the record with the same ID, or adds the record at the end
+ *
+ * @param {Object[]} records - Collection to modify
+ * @param {Object} record - Record to put in
+ */
+function replaceOrAddRecord(records, record) {
+  const index = records.findIndex(r => r.id === record.id);
+  if (index !== -1) {
+    records[index] = record;
+  } else {
+    records.push(record);
+  }
+}
+
+/**
+ * Creates or clears timer alarms for tabs whose timer changed
+ *
+ * @param {Object[]} before - Saved tabs before the restore
+ * @param {Object[]} after - Saved tabs after the restore
+ */
+function syncTimerAlarms(before, after) {
+  const ids = new Set([...before, ...after].map(t => t.id));
+  ids.forEach(id => {
+    const oldTab = before.find(t => t.id === id);
+    const newTab = after.find(t => t.id === id);
+    if (oldTab?.timerEnd !== newTab?.timerEnd) {
+      updateTimerAlarm(id, newTab);
+    }
+  });
+}
+
+/**
+ * Records, saves and shows the result of a restore
+ *
+ * @param {string} label - History step label
+ */
+function finishSnapshotRestore(label) {
+  recordHistory(label);
+  showUndoToast(label);
+  saveData();
+  renderAll();
+
+  renderSnapshotComparison();
+  renderSnapshotList();
+}
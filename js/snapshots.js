@@ -0,0 +1,208 @@
+/**
+ * ============================================================================
+ * SNAPSHOTS.JS
+ * ============================================================================
+ *
+ * Local point-in-time snapshots of the Tab Saver data.
+ *
+ * Synced data has a single copy, so a bad sync or an accidental bulk
+ * delete reaches every device. Snapshots are copies of the record
+ * collections (saved tabs, groups and trash) kept in chrome.storage.local,
+ * which is never synced, so each device keeps its own history.
+ *
+ * Snapshots are taken by the background service worker:
+ * - Every SNAPSHOT_ROTATION.INTERVAL_MINUTES (from stored data)
+ * - Before destructive actions, from the side panel's state before the
+ *   change (sent with a 'takeSnapshot' message)
+ * - Before a snapshot is restored, and on request from Settings
+ *
+ * Storage layout (chrome.storage.local):
+ *   snapshots       - Index, newest first:
+ *                     [{ id, createdAt, reason, label, counts, hash, bytes }]
+ *   snapshots.<id>  - Data: { savedTabs: [...], groups: [...], trash: [...] }
+ *
+ * Listing only reads the index; data is read when a snapshot is opened.
+ * Tombstones are not included: they only matter for merging, and a
+ * restore records its own deletions.
+ *
+ * Shared by the side panel and the background service worker, so this
+ * file must not touch the DOM.
+ *
+ * ============================================================================
+ */
+
+// -----------------------------------------------------------------------------
+// KEYS
+// -----------------------------------------------------------------------------
+
+/**
+ * Gets the storage key holding a snapshot's data
+ *
+ * @param {number} id - Snapshot ID
+ * @returns {string} - e.g. 'snapshots.1700000000000'
+ */
+function getSnapshotKey(id) {
+  return `${STORAGE_KEYS.SNAPSHOTS}.${id}`;
+}
+
+// -----------------------------------------------------------------------------
+// READ
+// -----------------------------------------------------------------------------
+
+/**
+ * Reads the snapshot index
+ *
+ * @async
+ * @returns {Promise<Object[]>} - Index entries, newest first
+ */
+async function readSnapshotIndex() {
+  const result = await chrome.storage.local.get([STORAGE_KEYS.SNAPSHOTS]);
+  return result[STORAGE_KEYS.SNAPSHOTS] || [];
+}
+
+/**
+ * Reads a snapshot's data
+ *
+ * @async
+ * @param {number} id - Snapshot ID
+ * @returns {Promise<Object|null>} - { [collectionKey]: Array }, or null if missing
+ */
+async function readSnapshotData(id) {
+  const key = getSnapshotKey(id);
+  const result = await chrome.storage.local.get([key]);
+  return result[key] || null;
+}
+
+// -----------------------------------------------------------------------------
+// TAKE SNAPSHOT
+// -----------------------------------------------------------------------------
+
+/**
+ * Takes a snapshot and rotates out old ones
+ *
+ * Skipped when the data is identical to the newest snapshot, and for
+ * destructive actions shortly after the previous snapshot (which
+ * already holds everything the action removes, minus the last few
+ * minutes of changes that undo can still recover).
+ *
+ * @async
+ * @param {string} reason - SNAPSHOT_REASONS value
+ * @param {string} [label=''] - Action that triggered it (e.g. 'Delete group')
+ * @param {Object|null} [collections=null] - { [collectionKey]: Array } to store;
+ *   read from storage when not given
+ * @returns {Promise<Object|null>} - The new index entry, or null if skipped
+ */
+async function takeSnapshot(reason, label = '', collections = null) {
+  const index = await readSnapshotIndex();
+  const latest = index[0];
+  const now = Date.now();
+
+  if (reason === SNAPSHOT_REASONS.DESTRUCTIVE && latest &&
+      now - latest.createdAt < SNAPSHOT_ROTATION.DESTRUCTIVE_MIN_GAP_MINUTES * TIME.MINUTE) {
+    return null;
+  }
+
+  const source = collections || await readCollections(RECORD_COLLECTIONS);
+  const data = {};
+  RECORD_COLLECTIONS.forEach(key => {
+    data[key] = source[key] || [];
+  });
+
+  const json = JSON.stringify(data);
+  const hash = hashString(json);
+  if (latest && latest.hash === hash) return null;
+
+  const entry = {
+    id: Math.max(now, (latest?.id || 0) + 1),
+    createdAt: now,
+    reason,
+    label,
+    counts: {
+      tabs: data[STORAGE_KEYS.SAVED_TABS].length,
+      groups: data[STORAGE_KEYS.GROUPS].length,
+      trash: data[STORAGE_KEYS.TRASH].length
+    },
+    hash,
+    bytes: byteLength(json)
+  };
+
+  const { kept, dropped } = rotateSnapshots([entry, ...index], now);
+
+  await chrome.storage.local.set({
+    [getSnapshotKey(entry.id)]: data,
+    [STORAGE_KEYS.SNAPSHOTS]: kept
+  });
+
+  if (dropped.length > 0) {
+    await chrome.storage.local.remove(dropped.map(e => getSnapshotKey(e.id)));
+  }
+
+  console.log(`Snapshot taken (${reason}):`, entry.counts);
+  return entry;
+}
+
+// -----------------------------------------------------------------------------
+// ROTATION
+// -----------------------------------------------------------------------------
+
+/**
+ * Splits the index into snapshots to keep and to delete
+ *
+ * Keeps the newest SNAPSHOT_ROTATION.RECENT snapshots, plus the newest
+ * snapshot of each of the last DAILY days and of each of the last
+ * WEEKLY weeks.
+ *
+ * @param {Object[]} index - Index entries, newest first
+ * @param {number} now - Current time (ms)
+ * @returns {Object} - { kept: Object[], dropped: Object[] }
+ */
+function rotateSnapshots(index, now) {
+  const dailyCutoff = now - SNAPSHOT_ROTATION.DAILY * TIME.DAY;
+  const weeklyCutoff = now - SNAPSHOT_ROTATION.WEEKLY * 7 * TIME.DAY;
+  const days = new Set();
+  const weeks = new Set();
+
+  const kept = [];
+  const dropped = [];
+
+  index.forEach((entry, position) => {
+    const day = new Date(entry.createdAt).toDateString();
+    const week = Math.floor(entry.createdAt / (7 * TIME.DAY));
+
+    // Index is newest first, so the first entry seen per day/week is the newest
+    let keep = position < SNAPSHOT_ROTATION.RECENT;
+    if (entry.createdAt > dailyCutoff && !days.has(day)) {
+      days.add(day);
+      keep = true;
+    }
+    if (entry.createdAt > weeklyCutoff && !weeks.has(week)) {
+      weeks.add(week);
+      keep = true;
+    }
+
+    (keep ? kept : dropped).push(entry);
+  });
+
+  return { kept, dropped };
+}
+
+// -----------------------------------------------------------------------------
+// HELPERS
+// -----------------------------------------------------------------------------
+
+/**
+ * Hashes a string (32-bit FNV-1a)
+ *
+ * Only used to tell whether data changed since the last snapshot.
+ *
+ * @param {string} text - Text to hash
+ * @returns {string} - Hash as 8 hex digits
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
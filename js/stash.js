@@ -0,0 +1,218 @@
+/**
+ * ============================================================================
+ * STASH.JS
+ * ============================================================================
+ *
+ * Saving tabs and closing them ("stashing") in the Tab Saver extension,
+ * to reduce the number of open tabs.
+ *
+ * - "Save & Close" in the tab picker saves the selected tabs into the
+ *   chosen group and closes them
+ * - "Stash Window" saves every tab in the current window (except tabs
+ *   pinned in Chrome) into a new group and closes them
+ *
+ * Stashed tabs are saved tabs with a stashedAt time. Tabs that were
+ * already saved in another group stay there and remember the stash's
+ * group in stashedIn. A group holding stashed tabs shows a restore
+ * button, which reopens them in a new window; they stay saved. If closing
+ * the tabs would close a window (and the side panel with it), a new tab
+ * is opened there first.
+ *
+ * Only web pages (http and https) are stashed; other tabs, such as new
+ * tab pages, stay open.
+ *
+ * ============================================================================
+ */
+
+// -----------------------------------------------------------------------------
+// STASHING
+// -----------------------------------------------------------------------------
+
+/**
+ * Saves all tabs in the current window into a new group and closes them
+ *
+ * Tabs pinned in Chrome stay open. Tabs that are already saved are
+ * closed too and stay where they were saved.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function stashCurrentWindow() {
+  const tabs = (await chrome.tabs.query({ currentWindow: true }))
+    .filter(tab => !tab.pinned && isStashableUrl(tab.url));
+
+  if (tabs.length === 0) {
+    alert('There are no tabs to stash in this window.');
+    return;
+  }
+
+  const stashedAt = Date.now();
+  const group = createStashGroup(stashedAt);
+  groups.push(group);
+
+  addStashedTabs(tabs.map(tab => ({ url: tab.url, title: tab.title, favicon: tab.favIconUrl })), group.id, stashedAt);
+
+  recordHistory('Stash window');
+  saveData();
+  renderAll();
+
+  await closeStashedTabs(tabs.map(tab => tab.id));
+}
+
+/**
+ * Creates a group for stashed tabs, named after the stash time
+ *
+ * @param {number} stashedAt - Stash time (ms)
+ * @returns {Object} - New top-level group (not yet added)
+ */
+function createStashGroup(stashedAt) {
+  return {
+    id: generateStringId(),
+    name: `Stash ${formatStashTime(stashedAt)}`,
+    expanded: false,
+    parentId: null,
+    updatedAt: Date.now()
+  };
+}
+
+/**
+ * Checks whether a tab can be stashed (only web pages are)
+ *
+ * @param {string} [url] - Tab URL
+ * @returns {boolean}
+ */
+function isStashableUrl(url) {
+  return /^https?:/i.test(url || '');
+}
+
+/**
+ * Adds tabs to a group as stashed saved tabs, in the given order
+ *
+ * URLs that are already saved are not added again: the saved tab is
+ * marked as stashed where it is, so the stash can still restore it.
+ *
+ * @param {Object[]} tabs - { url, title, favicon }
+ * @param {string} groupId - Group to add them to
+ * @param {number} stashedAt - Stash time (ms)
+ * @returns {number} - Number of tabs added
+ */
+function addStashedTabs(tabs, groupId, stashedAt) {
+  const newTabs = [];
+
+  tabs.forEach(tab => {
+    if (newTabs.some(t => t.url === tab.url)) return;
+
+    const saved = savedTabs.find(t => t.url === tab.url);
+    if (saved) {
+      saved.stashedAt = stashedAt;
+      if (saved.groupId === groupId) {
+        delete saved.stashedIn;
+      } else {
+        saved.stashedIn = groupId;
+      }
+      touchRecord(saved);
+      return;
+    }
+
+    newTabs.push({
+      id: generateId(),
+      title: tab.title || tab.url,
+      url: tab.url,
+      favicon: tab.favicon || '',
+      savedAt: new Date(stashedAt).toISOString(),
+      groupId,
+      stashedAt,
+      updatedAt: Date.now()
+    });
+  });
+
+  savedTabs.unshift(...newTabs);
+  return newTabs.length;
+}
+
+/**
+ * Closes browser tabs, keeping their windows open
+ *
+ * A window whose tabs would all close gets a new tab first.
+ *
+ * @async
+ * @param {number[]} tabIds - Chrome tab IDs
+ * @returns {Promise<void>}
+ */
+async function closeStashedTabs(tabIds) {
+  const closing = new Set(tabIds);
+  const openTabs = await chrome.tabs.query({});
+
+  const windowIds = new Set(openTabs.filter(tab => closing.has(tab.id)).map(tab => tab.windowId));
+  for (const windowId of windowIds) {
+    const staying = openTabs.some(tab => tab.windowId === windowId && !closing.has(tab.id));
+    if (!staying) await chrome.tabs.create({ windowId, active: true });
+  }
+
+  try {
+    await chrome.tabs.remove([...closing]);
+  } catch (error) {
+    // A tab may have been closed meanwhile; the rest are closed anyway
+    console.warn('Some stashed tabs could not be closed:', error);
+  }
+}
+
+// -----------------------------------------------------------------------------
+// RESTORING
+// -----------------------------------------------------------------------------
+
+/**
+ * Gets the tabs stashed into a group, in saved order
+ *
+ * Includes tabs saved elsewhere that were stashed into it (stashedIn).
+ *
+ * @param {string} groupId - Group ID
+ * @returns {Object[]}
+ */
+function getStashedTabs(groupId) {
+  return savedTabs.filter(t => t.stashedAt && (t.stashedIn || t.groupId) === groupId);
+}
+
+/**
+ * Reopens a group's stashed tabs in a new window
+ *
+ * The tabs stay saved in the group and are no longer marked as stashed.
+ *
+ * @async
+ * @param {string} groupId - Group ID
+ * @returns {Promise<void>}
+ */
+async function restoreStash(groupId) {
+  const stashed = getStashedTabs(groupId);
+  if (stashed.length === 0) return;
+
+  try {
+    await chrome.windows.create({ url: stashed.map(tab => tab.url), focused: true });
+  } catch (error) {
+    console.error('Failed to restore stashed tabs:', error);
+    alert('Could not reopen the stashed tabs.');
+    return;
+  }
+
+  stashed.forEach(tab => {
+    delete tab.stashedAt;
+    delete tab.stashedIn;
+    touchRecord(tab);
+  });
+
+  recordHistory('Restore stash');
+  saveData();
+  renderAll();
+}
+
+/**
+ * Formats a stash time for display, e.g. "Oct 19, 14:05"
+ *
+ * @param {number} time - Stash time (ms)
+ * @returns {string}
+ */
+function formatStashTime(time) {
+  const date = new Date(time);
+  return date.toLocaleDateString([], { month: 'short', day: 'numeric' }) + ', ' +
+    date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
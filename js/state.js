@@ -10,9 +10,12 @@
  * State Structure:
  * - savedTabs: Array of saved tab objects
  * - groups: Array of group objects for organizing tabs
- * - dailyTabs: Array of tabs marked for daily opening
- * - pinnedTabs: Array of pinned/protected tabs
- * - timedTabs: Array of tabs with active timers
+ * - tombstones: Deletion records for merging with other devices
+ * - trash: Deleted tabs and group trees that can still be restored
+ *
+ * Saved tabs are the only tab records. Pinned, daily and timed tabs are
+ * saved tabs with a flag set, read through getPinnedTabs(),
+ * getDailyTabs() and getTimedTabs().
  *
  * ============================================================================
  */
@@ -23,39 +26,52 @@
 
 /**
  * Array of all saved tabs
- * Each tab object contains: id, title, url, favicon, savedAt, groupId, reminder?, hasTime?
+ * Each tab object contains: id, title, url, favicon, savedAt, groupId, updatedAt,
+ * reminder?, hasTime?, pinned?, daily?, timerEnd?, timerDuration?, notified?
  */
 let savedTabs = [];
 
 /**
  * Array of tab groups for organization
- * Each group contains: id, name, expanded, parentId
+ * Each group contains: id, name, expanded, parentId, updatedAt
  */
 let groups = [];
 
 /**
- * Array of tabs marked as "daily" - tabs to open every morning
- * These are copies of savedTabs that user wants quick access to
+ * Currently selected tab for context menu operations
+ * Set when user right-clicks a tab, cleared when menu closes
  */
-let dailyTabs = [];
+let selectedTab = null;
 
 /**
- * Array of pinned tabs that are protected from accidental closure
- * The background script monitors these and re-opens them if closed
+ * Array of deletion records used when merging edits from other devices
+ * Each contains: collection, id, deletedAt (see merge.js)
  */
-let pinnedTabs = [];
+let tombstones = [];
 
 /**
- * Array of tabs with active countdown timers
- * Each contains the base tab info plus: timerEnd, timerDuration, notified?
+ * Array of trash entries (deleted tabs and group trees)
+ * Each contains: id, type, deletedAt, updatedAt, plus tab or groups/placements (see trash.js)
  */
-let timedTabs = [];
+let trash = [];
 
 /**
- * Currently selected tab for context menu operations
- * Set when user right-clicks a tab, cleared when menu closes
+ * Archived tabs and groups, loaded from IndexedDB (see archive.js)
+ * Same shape as savedTabs and groups, plus archivedAt
  */
-let selectedTab = null;
+let archivedTabs = [];
+let archivedGroups = [];
+
+/**
+ * Whether archived tabs and groups are listed (the Archive toggle)
+ * Search includes them either way.
+ */
+let showArchived = false;
+
+/**
+ * IDs of archived groups expanded in the list (not persisted)
+ */
+let expandedArchivedGroups = new Set();
 
 /**
  * Object tracking active timer intervals for countdown display
@@ -64,6 +80,38 @@ let selectedTab = null;
  */
 let timerIntervals = {};
 
+// -----------------------------------------------------------------------------
+// DERIVED STATE
+// -----------------------------------------------------------------------------
+
+/**
+ * Gets the pinned tabs (protected from accidental closure)
+ * The background script monitors these and re-opens them if closed
+ *
+ * @returns {Object[]} - Saved tabs with the pinned flag
+ */
+function getPinnedTabs() {
+  return savedTabs.filter(tab => tab.pinned);
+}
+
+/**
+ * Gets the daily tabs - tabs to open every morning
+ *
+ * @returns {Object[]} - Saved tabs with the daily flag
+ */
+function getDailyTabs() {
+  return savedTabs.filter(tab => tab.daily);
+}
+
+/**
+ * Gets the tabs with a countdown timer (running or finished)
+ *
+ * @returns {Object[]} - Saved tabs with timerEnd set
+ */
+function getTimedTabs() {
+  return savedTabs.filter(tab => tab.timerEnd != null);
+}
+
 // -----------------------------------------------------------------------------
 // DOM ELEMENT REFERENCES
 // -----------------------------------------------------------------------------
@@ -91,7 +139,7 @@ let saveGroupBtn, cancelGroupBtn;
 
 // List containers
 let pinnedTabsList, dailyTabsList, timedTabsList;
-let groupsList, savedTabsList, currentTabsList;
+let groupsList, savedTabsList, sessionsList, currentTabsList, trashList;
 
 // Due Soon containers
 let dueSoonContainer, overdueList, todayList;
@@ -0,0 +1,371 @@
+/**
+ * ============================================================================
+ * STORAGE-USAGE.JS
+ * ============================================================================
+ *
+ * Storage usage dashboard in the Settings modal of the Tab Saver extension.
+ *
+ * Chrome sync storage holds ~100KB. Collections that don't fit move to
+ * local storage on this device (see sharded-storage.js), and writes fail
+ * once local storage is full too. This dashboard shows where the space
+ * goes before that happens:
+ *
+ * - Total usage of sync and local storage (chrome.storage getBytesInUse)
+ * - Size and storage area of each collection (its meta record and shards)
+ * - Estimated size of each top-level group, including subgroups and tabs
+ * - Warnings at STORAGE_USAGE_THRESHOLDS
+ * - One-click suggestions to reclaim space (archive old groups and tabs,
+ *   remove favicons, empty trash)
+ *
+ * ============================================================================
+ */
+
+// -----------------------------------------------------------------------------
+// DISPLAY NAMES
+// -----------------------------------------------------------------------------
+
+/**
+ * Display names of the stored collections
+ */
+const COLLECTION_LABELS = {
+  [STORAGE_KEYS.SAVED_TABS]: 'Saved tabs',
+  [STORAGE_KEYS.GROUPS]: 'Groups',
+  [STORAGE_KEYS.TOMBSTONES]: 'Deletion records',
+  [STORAGE_KEYS.TRASH]: 'Trash'
+};
+
+// -----------------------------------------------------------------------------
+// MEASURING
+// -----------------------------------------------------------------------------
+
+/**
+ * Measures storage usage
+ *
+ * @async
+ * @returns {Promise<Object>} - {
+ *   sync: { used, quota }, local: { used, quota },
+ *   collections: [{ key, area, bytes }], area 'elsewhere' for collections
+ *     held on another device
+ *   groups: [{ id, name, bytes, tabCount }],
+ *   favicons: { count, bytes }
+ * }
+ */
+async function measureStorageUsage() {
+  const [syncUsed, localUsed, metas] = await Promise.all([
+    chrome.storage.sync.getBytesInUse(null),
+    chrome.storage.local.getBytesInUse(null),
+    readShardMetas(SHARDED_COLLECTIONS)
+  ]);
+
+  const collections = await Promise.all(SHARDED_COLLECTIONS.map(async key => {
+    const meta = metas[key].current;
+    if (metas[key].elsewhere) {
+      return { key, area: 'elsewhere', bytes: 0 };
+    }
+    if (!meta) {
+      // Never saved, or still in the legacy single-key format
+      return { key, area: 'sync', bytes: await chrome.storage.sync.getBytesInUse([key]) };
+    }
+
+    const keys = [getShardMetaKey(key), ...getShardKeys(key, meta.shards)];
+    return { key, area: meta.area, bytes: await getStorageArea(meta.area).getBytesInUse(keys) };
+  }));
+
+  return {
+    sync: { used: syncUsed, quota: STORAGE_LIMITS.SYNC_QUOTA_BYTES },
+    local: { used: localUsed, quota: STORAGE_LIMITS.LOCAL_QUOTA_BYTES },
+    collections,
+    groups: measureGroups(),
+    favicons: measureFavicons()
+  };
+}
+
+/**
+ * Estimates the stored size of each top-level group
+ *
+ * Counts the serialized group records and tabs of the group and all
+ * its subgroups. Largest first.
+ *
+ * @returns {Object[]} - [{ id, name, bytes, tabCount }]
+ */
+function measureGroups() {
+  return groups
+    .filter(group => !group.parentId)
+    .map(group => {
+      const groupRecords = getGroupAndDescendants(group.id)
+        .map(id => groups.find(g => g.id === id))
+        .filter(Boolean);
+      const tabs = getGroupTabsRecursive(group.id);
+
+      return {
+        id: group.id,
+        name: group.name,
+        bytes: byteLength(JSON.stringify(groupRecords)) + byteLength(JSON.stringify(tabs)),
+        tabCount: tabs.length
+      };
+    })
+    .sort((a, b) => b.bytes - a.bytes);
+}
+
+/**
+ * Measures how much of the saved tabs is favicon URLs
+ *
+ * @returns {Object} - { count, bytes }
+ */
+function measureFavicons() {
+  const withFavicon = savedTabs.filter(tab => tab.favicon);
+  return {
+    count: withFavicon.length,
+    bytes: withFavicon.reduce((sum, tab) => sum + byteLength(JSON.stringify(tab.favicon)), 0)
+  };
+}
+
+// -----------------------------------------------------------------------------
+// RENDERING
+// -----------------------------------------------------------------------------
+
+/**
+ * Measures usage and renders the dashboard into the Settings modal
+ *
+ * Called when the Settings modal opens and after a suggestion is applied.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function renderStorageUsage() {
+  const container = document.getElementById('storageUsage');
+  if (!container) return;
+
+  let usage;
+  try {
+    usage = await measureStorageUsage();
+  } catch (error) {
+    console.error('Failed to measure storage usage:', error);
+    container.innerHTML = '<div class="empty-state">Storage usage is not available.</div>';
+    return;
+  }
+
+  container.innerHTML = `
+    ${createUsageMeterHTML('Sync', usage.sync)}
+    ${createUsageMeterHTML('This device', usage.local)}
+    ${createUsageWarningsHTML(usage)}
+    <div class="usage-list">
+      ${usage.collections.map(createCollectionUsageHTML).join('')}
+    </div>
+    ${usage.groups.length > 0 ? `
+      <div class="usage-subtitle">Groups</div>
+      <div class="usage-list">
+        ${usage.groups.map(createGroupUsageHTML).join('')}
+      </div>
+    ` : ''}
+    ${createSuggestionsHTML(usage)}
+  `;
+
+  attachStorageSuggestionListeners(container);
+}
+
+/**
+ * Gets the warning level for a usage ratio
+ *
+ * @param {number} ratio - Used / quota
+ * @returns {string} - 'critical', 'warning' or ''
+ */
+function getUsageLevel(ratio) {
+  if (ratio >= STORAGE_USAGE_THRESHOLDS.CRITICAL) return 'critical';
+  if (ratio >= STORAGE_USAGE_THRESHOLDS.WARNING) return 'warning';
+  return '';
+}
+
+/**
+ * Creates HTML for a usage bar
+ *
+ * @param {string} label - Storage area name
+ * @param {Object} area - { used, quota }
+ * @returns {string} - HTML string
+ */
+function createUsageMeterHTML(label, area) {
+  const ratio = area.used / area.quota;
+  const percent = Math.min(100, Math.round(ratio * 100));
+
+  return `
+    <div class="usage-meter">
+      <div class="usage-row">
+        <span>${label}</span>
+        <span>${formatBytes(area.used)} of ${formatBytes(area.quota)} (${percent}%)</span>
+      </div>
+      <div class="usage-bar">
+        <div class="usage-bar-fill ${getUsageLevel(ratio)}" style="width: ${percent}%;"></div>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Creates HTML for usage warnings
+ *
+ * Warns when sync storage passes a threshold and when collections
+ * have overflowed to local storage (they no longer sync).
+ *
+ * @param {Object} usage - Result of measureStorageUsage()
+ * @returns {string} - HTML string
+ */
+function createUsageWarningsHTML(usage) {
+  const warnings = [];
+  const syncLevel = getUsageLevel(usage.sync.used / usage.sync.quota);
+  const localLevel = getUsageLevel(usage.local.used / usage.local.quota);
+
+  if (syncLevel === 'critical') {
+    warnings.push({ level: 'critical', text: 'Sync storage is almost full. New changes may only be saved on this device.' });
+  } else if (syncLevel === 'warning') {
+    warnings.push({ level: 'warning', text: 'Sync storage is filling up.' });
+  }
+
+  const overflowed = usage.collections.filter(c => c.area === 'local').map(c => COLLECTION_LABELS[c.key] || c.key);
+  if (overflowed.length > 0) {
+    warnings.push({ level: 'warning', text: `${overflowed.join(', ')} no longer fit in sync storage and are only saved on this device.` });
+  }
+
+  const elsewhere = usage.collections.filter(c => c.area === 'elsewhere').map(c => COLLECTION_LABELS[c.key] || c.key);
+  if (elsewhere.length > 0) {
+    warnings.push({ level: 'warning', text: `${elsewhere.join(', ')} no longer fit in sync storage and are only saved on another device.` });
+  }
+
+  if (localLevel) {
+    warnings.push({ level: localLevel, text: 'Storage on this device is filling up. Saving may fail when it is full.' });
+  }
+
+  return warnings
+    .map(warning => `<div class="usage-warning ${warning.level}">${escapeHtml(warning.text)}</div>`)
+    .join('');
+}
+
+/**
+ * Creates HTML for a collection's usage row
+ *
+ * @param {Object} collection - { key, area, bytes }
+ * @returns {string} - HTML string
+ */
+function createCollectionUsageHTML(collection) {
+  const areaLabels = { sync: 'sync', local: 'device', elsewhere: 'other device' };
+  return `
+    <div class="usage-row">
+      <span>${escapeHtml(COLLECTION_LABELS[collection.key] || collection.key)}
+        <span class="usage-area">${areaLabels[collection.area]}</span>
+      </span>
+      <span>${formatBytes(collection.bytes)}</span>
+    </div>
+  `;
+}
+
+/**
+ * Creates HTML for a group's usage row
+ *
+ * @param {Object} group - { id, name, bytes, tabCount }
+ * @returns {string} - HTML string
+ */
+function createGroupUsageHTML(group) {
+  return `
+    <div class="usage-row">
+      <span>${escapeHtml(group.name)} <span class="usage-area">${group.tabCount} tabs</span></span>
+      <span>~${formatBytes(group.bytes)}</span>
+    </div>
+  `;
+}
+
+/**
+ * Creates HTML for the space-saving suggestions
+ *
+ * Only suggestions that would free space are shown.
+ *
+ * @param {Object} usage - Result of measureStorageUsage()
+ * @returns {string} - HTML string
+ */
+function createSuggestionsHTML(usage) {
+  const suggestions = [];
+
+  const old = findOldRecords();
+  if (old.groupIds.length > 0 || old.tabIds.length > 0) {
+    suggestions.push({
+      action: 'archiveOld',
+      text: `Archive ${old.groupIds.length} groups and ${old.tabIds.length} saved tabs unchanged for ${ARCHIVE_LIMITS.OLD_AFTER_DAYS} days`
+    });
+  }
+
+  if (usage.favicons.count > 0) {
+    suggestions.push({
+      action: 'purgeFavicons',
+      text: `Remove saved favicons from ${usage.favicons.count} tabs (~${formatBytes(usage.favicons.bytes)})`
+    });
+  }
+
+  const trashUsage = usage.collections.find(c => c.key === STORAGE_KEYS.TRASH);
+  if (trash.length > 0) {
+    suggestions.push({
+      action: 'emptyTrash',
+      text: `Empty the trash (${trash.length} items, ${formatBytes(trashUsage?.bytes || 0)})`
+    });
+  }
+
+  if (suggestions.length === 0) return '';
+
+  return `
+    <div class="usage-subtitle">Free up space</div>
+    ${suggestions.map(s => `
+      <button class="btn btn-small usage-suggestion" data-action="${s.action}">${escapeHtml(s.text)}</button>
+    `).join('')}
+  `;
+}
+
+/**
+ * Attaches click handlers to the suggestion buttons
+ *
+ * @param {HTMLElement} container - Dashboard container
+ */
+function attachStorageSuggestionListeners(container) {
+  container.querySelectorAll('.usage-suggestion').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      let saved;
+      if (btn.dataset.action === 'archiveOld') {
+        if (!confirm('Archive these groups and tabs? They are kept on this device only and removed from sync.')) return;
+        await archiveOldRecords();
+        saved = flushSaves();
+      } else if (btn.dataset.action === 'purgeFavicons') {
+        saved = purgeFavicons();
+      } else if (btn.dataset.action === 'emptyTrash') {
+        if (!confirm('Delete everything in the trash? You can undo this until you close the panel.')) return;
+        emptyTrash();
+        saved = flushSaves();
+      }
+
+      // Measure again once the change has been written
+      await saved;
+      renderStorageUsage();
+    });
+  });
+}
+
+// -----------------------------------------------------------------------------
+// SUGGESTION ACTIONS
+// -----------------------------------------------------------------------------
+
+/**
+ * Removes the stored favicon URL from every saved tab
+ *
+ * Tabs fall back to the default icon. Favicon URLs can be long
+ * (especially data: URLs), so this is often the quickest win.
+ *
+ * @returns {Promise<void>} - Resolves once the change is written
+ */
+function purgeFavicons() {
+  savedTabs.forEach(tab => {
+    if (tab.favicon) {
+      tab.favicon = '';
+      touchRecord(tab);
+    }
+  });
+
+  recordHistory('Remove favicons', { destructive: true });
+  renderAll();
+  saveData();
+  return flushSaves();
+}
@@ -8,11 +8,14 @@
  * Chrome Storage API:
  * - Uses chrome.storage.sync for cross-device synchronization
  * - Data persists even after browser restart
- * - Limited to ~100KB total (approximately 500-1000 tabs)
+ * - Limited to ~100KB total and ~8KB per key
+ * - Collections are split into shards by sharded-storage.js to stay under
+ *   the per-key limit; overflow beyond the total is kept in local storage
  *
  * Functions:
  * - loadData(): Load all data from storage on startup
- * - saveData(): Persist current state to storage
+ * - requestMigration(): Have the background upgrade stored data
+ * - saveData(): Queue current state to be persisted (see save-queue.js)
  * - setupStorageChangeListener(): React to external storage changes
  *
  * ============================================================================
@@ -26,7 +29,10 @@
  * Loads all saved data from Chrome's sync storage
  *
  * Called during initialization to restore the user's saved tabs,
- * groups, and settings from their previous session.
+ * groups, and settings from their previous session. Data saved with an
+ * older schema version is migrated first, by the background (see
+ * migrations.js); if that failed, nothing is saved until the backup is
+ * restored.
  *
  * Chrome sync storage automatically synchronizes data across
  * all of the user's Chrome browsers where they're signed in.
@@ -36,34 +42,105 @@
  */
 async function loadData() {
   try {
-    // Request all our data keys from storage
-    const result = await chrome.storage.sync.get([
-      STORAGE_KEYS.SAVED_TABS,
-      STORAGE_KEYS.GROUPS,
-      STORAGE_KEYS.DAILY_TABS,
-      STORAGE_KEYS.PINNED_TABS,
-      STORAGE_KEYS.TIMED_TABS
-    ]);
+    // Data saved by older versions is upgraded before it is used
+    const migration = await requestMigration();
+    if (migration.status === 'failed') {
+      setCollectionsReadOnly(true);
+      showMigrationFailedBanner();
+    }
+
+    // Request all our collections (reassembled from their shards)
+    const result = await readCollections(SHARDED_COLLECTIONS);
 
     // Populate state variables with stored data (or empty arrays as fallback)
-    savedTabs = result[STORAGE_KEYS.SAVED_TABS] || [];
-    groups = result[STORAGE_KEYS.GROUPS] || [];
-    dailyTabs = result[STORAGE_KEYS.DAILY_TABS] || [];
-    pinnedTabs = result[STORAGE_KEYS.PINNED_TABS] || [];
-    timedTabs = result[STORAGE_KEYS.TIMED_TABS] || [];
+    setCollectionsState(result);
+    tombstones = mergeTombstones(tombstones);
+
+    // Only collections that change from here on need to be written.
+    // Collections held on another device (left out of the result) start
+    // empty here and are not written unless they change.
+    rememberPersistedCollections({ ...getCollectionsState(), ...result });
 
     console.log('Data loaded from storage:', {
       savedTabs: savedTabs.length,
       groups: groups.length,
-      dailyTabs: dailyTabs.length,
-      pinnedTabs: pinnedTabs.length,
-      timedTabs: timedTabs.length
+      dailyTabs: getDailyTabs().length,
+      pinnedTabs: getPinnedTabs().length,
+      timedTabs: getTimedTabs().length,
+      tombstones: tombstones.length,
+      trash: trash.length
     });
   } catch (error) {
     console.error('Failed to load data from storage:', error);
   }
 }
 
+// -----------------------------------------------------------------------------
+// MIGRATION
+// -----------------------------------------------------------------------------
+
+/**
+ * Asks the background to bring stored data up to the current schema
+ * version (see migrations.js) and waits for the result
+ *
+ * If the background can't be reached, the data is treated as not
+ * upgraded.
+ *
+ * @async
+ * @returns {Promise<Object>} - { status: 'current'|'migrated'|'failed', error? }
+ */
+async function requestMigration() {
+  try {
+    const result = await chrome.runtime.sendMessage({ type: 'migrateStoredData' });
+    if (result?.status) return result;
+    throw new Error('No response from the background');
+  } catch (error) {
+    console.error('Failed to upgrade stored data:', error);
+    return { status: 'failed', error: error.message };
+  }
+}
+
+/**
+ * Shows the banner saying saved data couldn't be upgraded, so changes
+ * are not saved
+ */
+function showMigrationFailedBanner() {
+  document.getElementById('migrationFailedBanner').classList.remove('hidden');
+}
+
+/**
+ * Restores saved data from the backup taken before the failed upgrade,
+ * then reloads the panel
+ *
+ * The background writes the backup back and tries the upgrade again.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function handleRestoreMigrationBackup() {
+  if (!confirm('Restore your saved data from the backup taken before the upgrade? Changes made since then are lost, and the upgrade is tried again.')) {
+    return;
+  }
+
+  let result;
+  try {
+    result = await chrome.runtime.sendMessage({ type: 'restoreMigrationBackup' });
+  } catch (error) {
+    result = { restored: false, error: error.message };
+  }
+
+  if (!result?.restored) {
+    console.error('Failed to restore the migration backup:', result?.error);
+    alert('Could not restore the backup. Please try again.');
+    return;
+  }
+
+  if (result.status === 'failed') {
+    alert('The backup was restored, but Tab Saver still could not upgrade it. Changes are still not saved.');
+  }
+  location.reload();
+}
+
 // -----------------------------------------------------------------------------
 // SAVE DATA
 // -----------------------------------------------------------------------------
@@ -74,33 +151,138 @@ async function loadData() {
  * Called after any state modification (adding/removing tabs, etc.)
  * to ensure data persistence.
  *
+ * The write is queued rather than performed immediately (see save-queue.js):
+ * saves are debounced, only changed collections are written, and writes
+ * that hit the sync rate limit (MAX_WRITE_OPERATIONS_PER_MINUTE) are retried.
+ *
  * Note: Chrome sync storage has a quota limit (~100KB).
- * Each write counts against a rate limit (MAX_WRITE_OPERATIONS_PER_MINUTE).
+ * Collections that don't fit in sync are written to local storage by
+ * writeCollections(), so this only fails when local storage is full too.
  *
- * @async
- * @returns {Promise<void>}
+ * @returns {Promise<boolean>} - Resolves once written (true on success)
  */
-async function saveData() {
-  try {
-    await chrome.storage.sync.set({
-      [STORAGE_KEYS.SAVED_TABS]: savedTabs,
-      [STORAGE_KEYS.GROUPS]: groups,
-      [STORAGE_KEYS.DAILY_TABS]: dailyTabs,
-      [STORAGE_KEYS.PINNED_TABS]: pinnedTabs,
-      [STORAGE_KEYS.TIMED_TABS]: timedTabs
-    });
+function saveData() {
+  return requestSave();
+}
 
-    console.log('Data saved to storage');
-  } catch (error) {
-    console.error('Failed to save data to storage:', error);
+/**
+ * Collects the persisted collections from current state
+ *
+ * @returns {Object} - { [collectionKey]: Array }
+ */
+function getCollectionsState() {
+  return {
+    [STORAGE_KEYS.SAVED_TABS]: savedTabs,
+    [STORAGE_KEYS.GROUPS]: groups,
+    [STORAGE_KEYS.TOMBSTONES]: tombstones,
+    [STORAGE_KEYS.TRASH]: trash
+  };
+}
 
-    // Check if it's a quota exceeded error
-    if (error.message?.includes('QUOTA')) {
-      alert('Storage quota exceeded! Please delete some tabs to free up space.');
-    }
+/**
+ * Replaces state variables with the given collections
+ *
+ * Only collections present in the object are replaced; null values
+ * (never saved) become empty arrays.
+ *
+ * @param {Object} collections - { [collectionKey]: Array|null }
+ */
+function setCollectionsState(collections) {
+  const value = (key, current) => key in collections ? (collections[key] || []) : current;
+
+  savedTabs = value(STORAGE_KEYS.SAVED_TABS, savedTabs);
+  groups = value(STORAGE_KEYS.GROUPS, groups);
+  tombstones = value(STORAGE_KEYS.TOMBSTONES, tombstones);
+  trash = value(STORAGE_KEYS.TRASH, trash);
+}
+
+/**
+ * Records that records were deleted, so other devices delete them too
+ *
+ * @param {string} collection - Collection key the records were removed from
+ * @param {Array<number|string>} ids - IDs of the removed records
+ */
+function recordDeletions(collection, ids) {
+  if (ids.length === 0) return;
+  tombstones = mergeTombstones(tombstones, createTombstones(collection, ids));
+}
+
+/**
+ * Drops local tombstones of records that are being brought back
+ * (restored from the trash or by undo)
+ *
+ * @param {string} collection - Collection key
+ * @param {Array<number|string>} ids - IDs of the restored records
+ */
+function clearTombstones(collection, ids) {
+  tombstones = tombstones.filter(t => t.collection !== collection || !ids.includes(t.id));
+}
+
+/**
+ * Reports a failed save to the user
+ *
+ * @param {Error} error - Error thrown while writing
+ */
+function reportSaveError(error) {
+  console.error('Failed to save data to storage:', error);
+
+  // Locked elsewhere: the changes stay pending until unlocked
+  if (isLockedError(error)) {
+    showUnlockModal();
+    return;
+  }
+
+  // Data couldn't be upgraded: the banner already says nothing is saved
+  if (isReadOnlyError(error)) {
+    showMigrationFailedBanner();
+    return;
+  }
+
+  // Check if it's a quota exceeded error
+  if (error.message?.includes('QUOTA')) {
+    alert('Storage quota exceeded! Please delete some tabs to free up space.');
   }
 }
 
+// -----------------------------------------------------------------------------
+// MERGING EXTERNAL CHANGES
+// -----------------------------------------------------------------------------
+
+/**
+ * Merges collections written by someone else into the current state
+ *
+ * Reads the given collections from storage and merges every one that
+ * differs from what this panel last wrote or read (see merge.js), so
+ * edits made elsewhere are combined with local edits instead of
+ * replacing them.
+ *
+ * @async
+ * @param {string[]} [keys=SHARDED_COLLECTIONS] - Collections to check
+ * @returns {Promise<string[]>} - Keys of the collections that were merged
+ */
+async function mergeStoredChanges(keys = SHARDED_COLLECTIONS) {
+  const stored = await readCollections(keys);
+
+  // Skip collections we wrote ourselves (or that are unreadable)
+  const remote = {};
+  keys.forEach(key => {
+    if (stored[key] && !isPersistedSnapshot(key, stored[key])) {
+      remote[key] = stored[key];
+    }
+  });
+
+  const remoteKeys = Object.keys(remote);
+  if (remoteKeys.length === 0) return [];
+
+  setCollectionsState(mergeCollections(getCollectionsState(), remote));
+  rememberPersistedCollections(remote);
+
+  // Edits from elsewhere are not undo steps of this panel
+  syncHistoryBaseline();
+
+  return remoteKeys;
+}
+
 // -----------------------------------------------------------------------------
 // STORAGE CHANGE LISTENER
 // -----------------------------------------------------------------------------
@@ -113,44 +295,56 @@ async function saveData() {
  * - The background script (e.g., when removing a pinned tab)
  * - Another device syncing via Chrome sync
  *
- * When changes are detected, the UI is automatically updated
- * to reflect the new state.
+ * Changes are merged record by record with the local state rather than
+ * replacing it, so concurrent edits on two devices are both kept. If the
+ * merged result differs from what is stored (we had edits the other side
+ * didn't), it is saved back. The UI is then re-rendered.
+ *
+ * Changes that can't be decrypted ask for the passphrase instead.
  */
 function setupStorageChangeListener() {
-  chrome.storage.onChanged.addListener((changes, areaName) => {
-    // Only react to sync storage changes
-    if (areaName !== 'sync') return;
-
-    console.log('Storage changed externally:', Object.keys(changes));
-
-    // Update pinned tabs if changed
-    if (changes[STORAGE_KEYS.PINNED_TABS]) {
-      pinnedTabs = changes[STORAGE_KEYS.PINNED_TABS].newValue || [];
-      renderPinnedTabs();
+  chrome.storage.onChanged.addListener(async (changes, areaName) => {
+    // Unlocked, locked or turned on/off elsewhere (see encryption.js)
+    if (isEncryptionChange(changes, areaName)) {
+      await handleEncryptionChange();
     }
 
-    // Update saved tabs if changed (triggers full re-render)
-    if (changes[STORAGE_KEYS.SAVED_TABS]) {
-      savedTabs = changes[STORAGE_KEYS.SAVED_TABS].newValue || [];
-      renderAll();
+    // Groups bound or unbound by the background (see bookmark-binding.js)
+    if (areaName === 'local' && changes[STORAGE_KEYS.BOOKMARK_BINDINGS]) {
+      handleBookmarkBindingsChange(changes[STORAGE_KEYS.BOOKMARK_BINDINGS]);
     }
 
-    // Update groups if changed
-    if (changes[STORAGE_KEYS.GROUPS]) {
-      groups = changes[STORAGE_KEYS.GROUPS].newValue || [];
-      renderGroups();
+    // Sessions saved in another panel or autosaved by the background (see sessions.js)
+    if (areaName === 'local') {
+      handleSessionsChange(changes);
     }
 
-    // Update daily tabs if changed
-    if (changes[STORAGE_KEYS.DAILY_TABS]) {
-      dailyTabs = changes[STORAGE_KEYS.DAILY_TABS].newValue || [];
-      renderDailyTabs();
+    // Workspaces created or switched in another panel (see workspaces.js)
+    if (areaName === 'local') {
+      handleWorkspacesChange(changes);
     }
 
-    // Update timed tabs if changed
-    if (changes[STORAGE_KEYS.TIMED_TABS]) {
-      timedTabs = changes[STORAGE_KEYS.TIMED_TABS].newValue || [];
-      renderTimedTabs();
+    // Collections live in sync, or in local once they overflow
+    if (areaName !== 'sync' && areaName !== 'local') return;
+
+    const changedKeys = getChangedCollections(changes);
+    if (changedKeys.length === 0) return;
+
+    let mergedKeys;
+    try {
+      mergedKeys = await mergeStoredChanges(changedKeys);
+    } catch (error) {
+      if (!isLockedError(error)) throw error;
+      // Encrypted with a key we don't have (e.g. a new passphrase)
+      showUnlockModal();
+      return;
     }
+    if (mergedKeys.length === 0) return;
+
+    console.log('Storage changed externally:', mergedKeys);
+
+    // Push back anything the other side was missing (no-op if identical)
+    saveData();
+    renderAll();
   });
 }
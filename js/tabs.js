@@ -14,10 +14,17 @@
  *   favicon: string,      // Favicon URL or empty string
  *   savedAt: string,      // ISO timestamp when saved
  *   groupId: string|null, // Group ID or null if ungrouped
+ *   updatedAt: number,    // Last modification time (ms), used for sync merging
  *   reminder?: string,    // Optional: ISO timestamp for reminder
- *   hasTime?: boolean     // Optional: Whether reminder has specific time
+ *   hasTime?: boolean,    // Optional: Whether reminder has specific time
+ *   pinned?: boolean,     // Optional: Protected from accidental closure
+ *   daily?: boolean,      // Optional: Opened with the daily tabs
+ *   timerEnd?: number     // Optional: Countdown timer (see timers.js)
  * }
  *
+ * Pinned, daily and timed tabs are not separate records: they are saved
+ * tabs with these flags set, so edits, moves and deletes apply everywhere.
+ *
  * ============================================================================
  */
 
@@ -54,8 +61,7 @@ async function saveCurrentTab() {
  */
 function addTab(tab) {
   // Check if tab with this URL is already saved
-  const exists = savedTabs.some(t => t.url === tab.url);
-  if (exists) return;
+  if (isTabSaved(tab.url)) return;
 
   // Create saved tab object
   const savedTab = {
@@ -64,15 +70,30 @@ function addTab(tab) {
     url: tab.url,
     favicon: tab.favIconUrl || '',
     savedAt: new Date().toISOString(),
-    groupId: null
+    groupId: null,
+    updatedAt: Date.now()
   };
 
   // Add to beginning of array (most recent first)
   savedTabs.unshift(savedTab);
+  recordHistory('Save tab');
   saveData();
   renderAll();
 }
 
+/**
+ * Checks whether a URL is already saved
+ *
+ * Every way of saving a tab (current tab, picker, Current Tabs panel,
+ * OneTab import) skips URLs that are already saved.
+ *
+ * @param {string} url - URL to check
+ * @returns {boolean}
+ */
+function isTabSaved(url) {
+  return savedTabs.some(t => t.url === url);
+}
+
 /**
  * Saves a tab from the Current Tabs panel
  *
@@ -86,7 +107,7 @@ function addTab(tab) {
  */
 function saveTabFromCurrent(url, title, favicon) {
   // Prevent duplicate saves
-  if (savedTabs.some(t => t.url === url)) return;
+  if (isTabSaved(url)) return;
 
   const savedTab = {
     id: generateId(),
@@ -94,10 +115,12 @@ function saveTabFromCurrent(url, title, favicon) {
     url: url,
     favicon: favicon,
     savedAt: new Date().toISOString(),
-    groupId: null
+    groupId: null,
+    updatedAt: Date.now()
   };
 
   savedTabs.unshift(savedTab);
+  recordHistory('Save tab');
   saveData();
 }
 
@@ -106,23 +129,26 @@ function saveTabFromCurrent(url, title, favicon) {
 // -----------------------------------------------------------------------------
 
 /**
- * Deletes a tab from all lists (saved, daily, timed)
+ * Deletes a saved tab (moves it to the trash)
  *
- * Removes the tab from savedTabs, dailyTabs, and timedTabs arrays.
+ * Pinned, daily and timer state live on the tab, so they go with it
+ * and come back if the tab is restored from the trash.
  * Also clears any associated alarms and timer intervals.
+ * The deletion is recorded so other devices remove the tab too.
  *
  * @param {number} tabId - ID of the tab to delete
  */
 function deleteTab(tabId) {
-  // Remove from saved tabs
-  savedTabs = savedTabs.filter(t => t.id !== tabId);
+  const tab = savedTabs.find(t => t.id === tabId);
+  if (!tab) return;
 
-  // Remove from daily tabs
-  dailyTabs = dailyTabs.filter(t => t.id !== tabId);
+  // Move from saved tabs to the trash
+  savedTabs = savedTabs.filter(t => t.id !== tabId);
+  recordDeletions(STORAGE_KEYS.SAVED_TABS, [tabId]);
+  trashTab(tab);
 
-  // Remove from timed tabs and clean up alarm/interval
-  if (timedTabs.some(t => t.id === tabId)) {
-    timedTabs = timedTabs.filter(t => t.id !== tabId);
+  // Clean up timer alarm/interval
+  if (tab.timerEnd != null) {
     chrome.alarms.clear(`timer-${tabId}`);
 
     if (timerIntervals[tabId]) {
@@ -131,6 +157,7 @@ function deleteTab(tabId) {
     }
   }
 
+  recordHistory('Delete tab', { destructive: true });
   saveData();
   renderAll();
 }
@@ -177,7 +204,7 @@ async function openTab(url, newTab = false) {
 // -----------------------------------------------------------------------------
 
 /**
- * Adds a saved tab to the pinned tabs list
+ * Pins a saved tab
  *
  * Pinned tabs are "protected" tabs that the background script
  * monitors and re-opens if accidentally closed.
@@ -186,26 +213,31 @@ async function openTab(url, newTab = false) {
  */
 function addToPinnedTabs(tabId) {
   const tab = savedTabs.find(t => t.id === tabId);
-  if (!tab) return;
 
   // Prevent duplicate pinning
-  if (!pinnedTabs.some(t => t.id === tabId)) {
-    // Create a copy of the tab for the pinned list
-    pinnedTabs.push({ ...tab });
+  if (tab && !tab.pinned) {
+    tab.pinned = true;
+    touchRecord(tab);
+    recordHistory('Pin tab');
     saveData();
     renderAll();
   }
 }
 
 /**
- * Removes a tab from the pinned tabs list
+ * Unpins a tab
  *
  * The tab remains in savedTabs; it's just no longer protected.
  *
  * @param {number} tabId - ID of the tab to unpin
  */
 function removeFromPinnedTabs(tabId) {
-  pinnedTabs = pinnedTabs.filter(t => t.id !== tabId);
+  const tab = savedTabs.find(t => t.id === tabId);
+  if (!tab?.pinned) return;
+
+  delete tab.pinned;
+  touchRecord(tab);
+  recordHistory('Unpin tab', { destructive: true });
   saveData();
   renderAll();
 }
@@ -213,14 +245,14 @@ function removeFromPinnedTabs(tabId) {
 /**
  * Opens all pinned tabs in new tabs
  *
- * Iterates through pinnedTabs and opens each one.
+ * Iterates through the pinned tabs and opens each one.
  * Uses the openTab function which prevents duplicates.
  *
  * @async
  * @returns {Promise<void>}
  */
 async function openAllPinnedTabs() {
-  for (const tab of pinnedTabs) {
+  for (const tab of getPinnedTabs()) {
     await openTab(tab.url, true);
   }
 }
@@ -230,7 +262,7 @@ async function openAllPinnedTabs() {
 // -----------------------------------------------------------------------------
 
 /**
- * Adds a saved tab to the daily tabs list
+ * Marks a saved tab as daily
  *
  * Daily tabs are tabs the user wants quick access to every day.
  * They can be opened all at once with the "Open All" button.
@@ -239,26 +271,31 @@ async function openAllPinnedTabs() {
  */
 function addToDailyTabs(tabId) {
   const tab = savedTabs.find(t => t.id === tabId);
-  if (!tab) return;
 
   // Prevent duplicate addition
-  if (!dailyTabs.some(t => t.id === tabId)) {
-    // Create a copy for the daily list
-    dailyTabs.push({ ...tab });
+  if (tab && !tab.daily) {
+    tab.daily = true;
+    touchRecord(tab);
+    recordHistory('Add to daily tabs');
     saveData();
     renderAll();
   }
 }
 
 /**
- * Removes a tab from the daily tabs list
+ * Removes the daily mark from a tab
  *
  * The tab remains in savedTabs; it's just no longer marked as daily.
  *
  * @param {number} tabId - ID of the tab to remove from daily
  */
 function removeFromDailyTabs(tabId) {
-  dailyTabs = dailyTabs.filter(t => t.id !== tabId);
+  const tab = savedTabs.find(t => t.id === tabId);
+  if (!tab?.daily) return;
+
+  delete tab.daily;
+  touchRecord(tab);
+  recordHistory('Remove from daily tabs', { destructive: true });
   saveData();
   renderAll();
 }
@@ -273,7 +310,7 @@ function removeFromDailyTabs(tabId) {
  * @returns {Promise<void>}
  */
 async function openAllDailyTabs() {
-  for (const tab of dailyTabs) {
+  for (const tab of getDailyTabs()) {
     await openTab(tab.url, true);
   }
 }
@@ -295,6 +332,8 @@ function moveToGroup(tabId, groupId) {
   const tab = savedTabs.find(t => t.id === tabId);
   if (tab) {
     tab.groupId = groupId;
+    touchRecord(tab);
+    recordHistory('Move tab');
     saveData();
     renderAll();
   }
@@ -76,6 +76,9 @@ function applyTheme(theme) {
  */
 function showSettingsModal() {
   document.getElementById('settingsModal').classList.remove('hidden');
+  renderStorageUsage();
+  renderSnapshotList();
+  renderEncryptionSettings();
 }
 
 /**
@@ -6,7 +6,7 @@
  * Manages countdown timers for tabs in the Tab Saver extension.
  * Timers show a live countdown and trigger notifications when complete.
  *
- * Timer Object Structure (extends base tab object):
+ * Timer Fields (set on the saved tab itself):
  * {
  *   ...tabProperties,
  *   timerEnd: number,      // Unix timestamp (ms) when timer ends
@@ -16,7 +16,7 @@
  *
  * How Timers Work:
  * 1. User sets a timer via context menu or UI
- * 2. Timer is stored in timedTabs array and Chrome alarm is created
+ * 2. Timer fields are set on the saved tab and a Chrome alarm is created
  * 3. Live countdown updates every second via setInterval
  * 4. When timer expires, notification is triggered
  * 5. Background script also listens for alarm for when sidepanel is closed
@@ -63,7 +63,7 @@ function hideTimerModal() {
 /**
  * Handles saving a timer from the modal
  *
- * Creates a timed tab entry with:
+ * Sets the timer fields on the saved tab (replacing any existing timer):
  * - timerEnd: Calculated end time (now + duration)
  * - timerDuration: Original duration for reference
  *
@@ -85,16 +85,11 @@ function handleSaveTimer() {
     const actualDurationMs = (hours * 60 + minutes) * 60 * 1000;
     const endTime = Date.now() + actualDurationMs;
 
-    // Create timed tab object (copy of tab with timer properties)
-    const timedTab = {
-      ...tab,
-      timerEnd: endTime,
-      timerDuration: actualDurationMs
-    };
-
-    // Remove existing timer for this tab if any
-    timedTabs = timedTabs.filter(t => t.id !== tabId);
-    timedTabs.push(timedTab);
+    // Set timer properties on the tab, replacing any existing timer
+    tab.timerEnd = endTime;
+    tab.timerDuration = actualDurationMs;
+    delete tab.notified;
+    touchRecord(tab);
 
     // Create Chrome alarm for notification when timer completes
     // This ensures notification works even if sidepanel is closed
@@ -102,6 +97,7 @@ function handleSaveTimer() {
       console.log(`Alarm created: timer-${tabId}, will fire at:`, new Date(endTime));
     });
 
+    recordHistory('Set timer');
     saveData();
     renderAll();
   }
@@ -113,12 +109,18 @@ function handleSaveTimer() {
  * Removes a timer from a tab
  *
  * Clears the Chrome alarm and any active interval for countdown display.
- * Removes the tab from timedTabs array.
+ * Clears the timer fields; the tab itself stays saved.
  *
  * @param {number} tabId - ID of the tab to remove timer from
  */
 function removeTimer(tabId) {
-  timedTabs = timedTabs.filter(t => t.id !== tabId);
+  const tab = savedTabs.find(t => t.id === tabId);
+  if (tab) {
+    delete tab.timerEnd;
+    delete tab.timerDuration;
+    delete tab.notified;
+    touchRecord(tab);
+  }
 
   // Clear Chrome alarm
   chrome.alarms.clear(`timer-${tabId}`);
@@ -129,6 +131,7 @@ function removeTimer(tabId) {
     delete timerIntervals[tabId];
   }
 
+  recordHistory('Remove timer', { destructive: true });
   saveData();
   renderAll();
 }
@@ -150,7 +153,7 @@ function startTimerCountdowns() {
   timerIntervals = {};
 
   // Create new intervals for each timed tab
-  timedTabs.forEach(tab => {
+  getTimedTabs().forEach(tab => {
     // Initial update
     updateTimerDisplay(tab.id);
 
@@ -170,8 +173,8 @@ function startTimerCountdowns() {
  * @param {number} tabId - ID of the timed tab to update
  */
 function updateTimerDisplay(tabId) {
-  const tab = timedTabs.find(t => t.id === tabId);
-  if (!tab) return;
+  const tab = savedTabs.find(t => t.id === tabId);
+  if (tab?.timerEnd == null) return;
 
   const remaining = tab.timerEnd - Date.now();
   const countdownEl = document.querySelector(`.timer-countdown[data-tab-id="${tabId}"]`);
@@ -226,11 +229,15 @@ function updateTimerDisplay(tabId) {
  */
 function triggerTimerNotification(tab) {
   // Check if we already notified for this tab
-  const timedTab = timedTabs.find(t => t.id === tab.id);
-  if (!timedTab || timedTab.notified) return;
+  const timedTab = savedTabs.find(t => t.id === tab.id);
+  if (timedTab?.timerEnd == null || timedTab.notified) return;
 
   // Mark as notified to prevent duplicate notifications
   timedTab.notified = true;
+  touchRecord(timedTab);
+
+  // Not a user action, so not an undo step
+  syncHistoryBaseline();
   saveData();
 
   console.log('Triggering timer notification for:', tab.title);
@@ -312,25 +319,29 @@ function testNotification() {
 /**
  * Test function for Chrome alarms
  *
- * Creates a 5-second test alarm and adds a test timed tab
+ * Creates a 5-second test alarm and saves a test tab with a timer
  * to verify the alarm system is working correctly.
  * Note: Chrome alarms have a minimum ~1 minute delay in production.
  */
 function testAlarm() {
   console.log('Creating test alarm for 5 seconds...');
 
-  // Create a test timed tab entry
+  // Create a test saved tab with a timer
   const testTab = {
-    id: Date.now(),
+    id: generateId(),
     title: 'Test Alarm Tab',
     url: 'https://example.com',
     favicon: '',
+    savedAt: new Date().toISOString(),
+    groupId: null,
     timerEnd: Date.now() + 5000,
-    timerDuration: 5000
+    timerDuration: 5000,
+    updatedAt: Date.now()
   };
 
-  // Add to timed tabs
-  timedTabs.push(testTab);
+  // Add to saved tabs (it shows up under Timed Tabs)
+  savedTabs.unshift(testTab);
+  recordHistory('Add test alarm');
   saveData();
 
   // Create alarm
@@ -347,5 +358,5 @@ function testAlarm() {
 
   alert('Test alarm created!\n\nAlarm name: ' + alarmName + '\nShould fire in 5 seconds.\n\nNote: Chrome alarms have ~1 min minimum delay.\nCheck background console for alarm events.');
 
-  renderTimedTabs();
+  renderAll();
 }
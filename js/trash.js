@@ -0,0 +1,258 @@
+/**
+ * ============================================================================
+ * TRASH.JS
+ * ============================================================================
+ *
+ * Trash bin for deleted tabs and groups in the Tab Saver extension.
+ *
+ * Deleting a tab or a group moves it to the trash instead of discarding
+ * it. Entries keep everything needed to put the item back where it was,
+ * and are removed for good after the retention period set in Settings.
+ *
+ * Trash Entry Structure:
+ * {
+ *   id: number,           // Unique identifier of the entry
+ *   type: 'tab'|'group',  // TRASH_TYPES
+ *   deletedAt: number,    // When the item was deleted (ms)
+ *   updatedAt: number,    // Last modification time (ms), used for sync merging
+ *
+ *   // type 'tab':
+ *   tab: Object,          // The saved tab as it was, including groupId,
+ *                         // pinned/daily flags, reminder and timer fields
+ *
+ *   // type 'group':
+ *   groups: Object[],     // The deleted group followed by its descendants
+ *   placements: Object[]  // { tabId, groupId } for tabs that were in them
+ * }
+ *
+ * Deleting a group moves its tabs to Saved Tabs; restoring the group moves
+ * them back, unless they have been moved to another group since.
+ *
+ * ============================================================================
+ */
+
+// -----------------------------------------------------------------------------
+// TRASH SETTINGS
+// -----------------------------------------------------------------------------
+
+/**
+ * Number of days deleted items are kept (loaded from sync storage)
+ */
+let trashRetentionDays = TRASH_RETENTION_DAYS.DEFAULT;
+
+/**
+ * Loads the trash retention setting and updates the Settings select
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadTrashRetentionSetting() {
+  const result = await chrome.storage.sync.get([STORAGE_KEYS.TRASH_RETENTION]);
+  trashRetentionDays = result[STORAGE_KEYS.TRASH_RETENTION] || TRASH_RETENTION_DAYS.DEFAULT;
+
+  const select = document.getElementById('trashRetentionSelect');
+  if (select) select.value = String(trashRetentionDays);
+}
+
+/**
+ * Saves a new retention period and purges entries older than it
+ *
+ * @param {number} days - Number of days to keep deleted items
+ */
+function setTrashRetentionDays(days) {
+  trashRetentionDays = days;
+  chrome.storage.sync.set({ [STORAGE_KEYS.TRASH_RETENTION]: days });
+
+  if (purgeExpiredTrash()) {
+    recordHistory('Purge trash');
+    saveData();
+    renderAll();
+  }
+}
+
+// -----------------------------------------------------------------------------
+// MOVING ITEMS TO TRASH
+// -----------------------------------------------------------------------------
+
+/**
+ * Creates a trash entry with the common fields
+ *
+ * @param {string} type - TRASH_TYPES value
+ * @param {Object} fields - Type-specific fields
+ * @returns {Object} - Trash entry
+ */
+function createTrashEntry(type, fields) {
+  const now = Date.now();
+  return {
+    id: generateId(),
+    type,
+    deletedAt: now,
+    updatedAt: now,
+    ...fields
+  };
+}
+
+/**
+ * Moves a deleted tab to the trash
+ *
+ * The caller removes the tab from savedTabs.
+ *
+ * @param {Object} tab - The saved tab being deleted
+ */
+function trashTab(tab) {
+  trash.unshift(createTrashEntry(TRASH_TYPES.TAB, { tab: { ...tab } }));
+}
+
+/**
+ * Moves a deleted group tree to the trash
+ *
+ * The caller removes the groups and ungroups their tabs.
+ *
+ * @param {Object[]} groupTree - The deleted group followed by its descendants
+ * @param {Object[]} placements - { tabId, groupId } of the tabs in those groups
+ */
+function trashGroupTree(groupTree, placements) {
+  trash.unshift(createTrashEntry(TRASH_TYPES.GROUP, {
+    groups: groupTree.map(group => ({ ...group })),
+    placements
+  }));
+}
+
+// -----------------------------------------------------------------------------
+// RESTORE
+// -----------------------------------------------------------------------------
+
+/**
+ * Restores a trash entry and removes it from the trash
+ *
+ * @param {number} entryId - ID of the trash entry
+ */
+function restoreTrashEntry(entryId) {
+  const entry = trash.find(e => e.id === entryId);
+  if (!entry) return;
+
+  if (entry.type === TRASH_TYPES.GROUP) {
+    restoreGroupTree(entry);
+  } else {
+    restoreTab(entry.tab);
+  }
+
+  removeTrashEntries([entryId]);
+  recordHistory('Restore from trash');
+  saveData();
+  renderAll();
+}
+
+/**
+ * Puts a deleted tab back into savedTabs
+ *
+ * Goes back to its original group if that still exists, otherwise to
+ * Saved Tabs. Running timers get their alarm back.
+ *
+ * @param {Object} tab - Tab from a trash entry
+ */
+function restoreTab(tab) {
+  if (savedTabs.some(t => t.id === tab.id)) return;
+
+  const restored = touchRecord({ ...tab });
+  if (restored.groupId && !groups.some(g => g.id === restored.groupId)) {
+    restored.groupId = null;
+  }
+
+  clearTombstones(STORAGE_KEYS.SAVED_TABS, [restored.id]);
+  savedTabs.unshift(restored);
+
+  if (restored.timerEnd > Date.now()) {
+    chrome.alarms.create(`timer-${restored.id}`, { when: restored.timerEnd });
+  }
+}
+
+/**
+ * Puts a deleted group tree back and moves its tabs back into it
+ *
+ * The top group goes back under its original parent if that still
+ * exists. Tabs are only moved back if they still exist and are
+ * still ungrouped.
+ *
+ * @param {Object} entry - Group trash entry
+ */
+function restoreGroupTree(entry) {
+  const restoredIds = [];
+
+  entry.groups.forEach(group => {
+    if (groups.some(g => g.id === group.id)) return;
+
+    const restored = touchRecord({ ...group });
+    const parentExists = groups.some(g => g.id === restored.parentId) ||
+      entry.groups.some(g => g.id === restored.parentId);
+    if (!parentExists) {
+      restored.parentId = null;
+    }
+
+    groups.push(restored);
+    restoredIds.push(restored.id);
+  });
+
+  clearTombstones(STORAGE_KEYS.GROUPS, restoredIds);
+
+  entry.placements.forEach(({ tabId, groupId }) => {
+    const tab = savedTabs.find(t => t.id === tabId);
+    if (tab && !tab.groupId && groups.some(g => g.id === groupId)) {
+      tab.groupId = groupId;
+      touchRecord(tab);
+    }
+  });
+}
+
+// -----------------------------------------------------------------------------
+// PERMANENT DELETION
+// -----------------------------------------------------------------------------
+
+/**
+ * Removes entries from the trash for good
+ *
+ * @param {number[]} entryIds - IDs of the trash entries
+ */
+function removeTrashEntries(entryIds) {
+  if (entryIds.length === 0) return;
+
+  trash = trash.filter(e => !entryIds.includes(e.id));
+  recordDeletions(STORAGE_KEYS.TRASH, entryIds);
+}
+
+/**
+ * Permanently deletes a single trash entry
+ *
+ * @param {number} entryId - ID of the trash entry
+ */
+function deleteTrashEntry(entryId) {
+  removeTrashEntries([entryId]);
+  recordHistory('Delete forever', { destructive: true });
+  saveData();
+  renderAll();
+}
+
+/**
+ * Permanently deletes everything in the trash
+ */
+function emptyTrash() {
+  removeTrashEntries(trash.map(e => e.id));
+  recordHistory('Empty trash', { destructive: true });
+  saveData();
+  renderAll();
+}
+
+/**
+ * Removes entries older than the retention period
+ *
+ * Called on startup and when the retention setting changes.
+ *
+ * @returns {boolean} - Whether any entries were removed
+ */
+function purgeExpiredTrash() {
+  const cutoff = Date.now() - trashRetentionDays * TIME.DAY;
+  const expired = trash.filter(e => e.deletedAt < cutoff).map(e => e.id);
+
+  removeTrashEntries(expired);
+  return expired.length > 0;
+}
@@ -11,6 +11,7 @@
  * - getHostname(): Safely extract hostname from URL
  * - normalizeUrl(): Normalize URLs for comparison
  * - generateId(): Generate unique IDs for tabs/groups
+ * - formatBytes(): Format a byte count for display
  * - attachFaviconErrorHandlers(): Handle broken favicon images
  *
  * ============================================================================
@@ -39,6 +40,22 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
+/**
+ * Escapes text for use in a double-quoted HTML attribute
+ *
+ * escapeHtml() leaves quotes alone, which is fine for element content
+ * but not for attribute values.
+ *
+ * @param {string} text - The text to escape
+ * @returns {string} - Attribute-safe escaped text
+ *
+ * @example
+ * escapeAttribute('say "hi"') // 'say &quot;hi&quot;'
+ */
+function escapeAttribute(text) {
+  return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
 // -----------------------------------------------------------------------------
 // URL HANDLING
 // -----------------------------------------------------------------------------
@@ -115,13 +132,42 @@ function generateId() {
   return Date.now() + Math.random();
 }
 
+/**
+ * Last ID returned by generateStringId()
+ */
+let lastStringId = 0;
+
 /**
  * Generates a string ID (used for groups)
  *
+ * IDs are timestamps, bumped by one when several are created in the
+ * same millisecond (e.g. when importing many groups at once).
+ *
  * @returns {string} - Unique string ID
  */
 function generateStringId() {
-  return Date.now().toString();
+  lastStringId = Math.max(Date.now(), lastStringId + 1);
+  return lastStringId.toString();
+}
+
+// -----------------------------------------------------------------------------
+// FORMATTING
+// -----------------------------------------------------------------------------
+
+/**
+ * Formats a byte count for display
+ *
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - Human readable size
+ *
+ * @example
+ * formatBytes(512)    // '512 B'
+ * formatBytes(20480)  // '20.0 KB'
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
 }
 
 // -----------------------------------------------------------------------------
@@ -204,3 +250,40 @@ function getSearchQuery(searchQuery) {
   // Otherwise, get value from search input (with null safety)
   return searchInput?.value?.toLowerCase() || '';
 }
+
+// -----------------------------------------------------------------------------
+// FILES
+// -----------------------------------------------------------------------------
+
+/**
+ * Downloads text as a file
+ *
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} [mimeType='text/plain'] - MIME type of the contents
+ *
+ * @example
+ * downloadFile('tabs.json', JSON.stringify(data), 'application/json')
+ */
+function downloadFile(filename, content, mimeType = 'text/plain') {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+
+  // Give the download a moment to start before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Formats a date for use in a file name
+ *
+ * @param {Date} [date=new Date()] - Date to format
+ * @returns {string} - e.g. '2024-02-01'
+ */
+function formatFileDate(date = new Date()) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
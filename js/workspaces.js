@@ -0,0 +1,376 @@
+/**
+ * ============================================================================
+ * WORKSPACES.JS
+ * ============================================================================
+ *
+ * Workspaces in the Tab Saver side panel: named sets of windows and tabs
+ * to switch the whole browser between, e.g. one per project.
+ *
+ * Each workspace owns a top-level group, which holds its tabs, and the
+ * layout of its windows on this device (as in a session, see
+ * session-capture.js). Switching from one workspace to another:
+ * 1. saves the open web pages into the current workspace's group (tabs
+ *    that are already saved elsewhere stay where they are) and captures
+ *    its windows
+ * 2. opens the target workspace's windows, or its group's tabs in a new
+ *    window when it has no windows on this device yet
+ * 3. closes the windows of the workspace left behind
+ *
+ * "No workspace" leaves the open windows alone: switching to it saves
+ * the current workspace without closing anything, and switching from it
+ * opens the target alongside the open windows. A new workspace created
+ * while none is active takes over the open windows.
+ *
+ * The active workspace is shown in the header. Workspaces are kept in
+ * local storage (key workspaces, with activeWorkspace), since windows
+ * only make sense on the device they were opened on; their groups sync
+ * like any other group.
+ *
+ * ============================================================================
+ */
+
+// -----------------------------------------------------------------------------
+// WORKSPACE STATE
+// -----------------------------------------------------------------------------
+
+/**
+ * Workspaces: { id, name, groupId, windows, updatedAt }
+ */
+let workspaces = [];
+
+/**
+ * ID of the active workspace, or null
+ */
+let activeWorkspaceId = null;
+
+/**
+ * Whether a switch is in progress (switches never overlap)
+ */
+let switchingWorkspace = false;
+
+/**
+ * Loads the workspaces and the active workspace
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadWorkspaces() {
+  const result = await chrome.storage.local.get([STORAGE_KEYS.WORKSPACES, STORAGE_KEYS.ACTIVE_WORKSPACE]);
+  workspaces = result[STORAGE_KEYS.WORKSPACES] || [];
+  activeWorkspaceId = result[STORAGE_KEYS.ACTIVE_WORKSPACE] || null;
+}
+
+/**
+ * Writes the workspaces and the active workspace to local storage
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function saveWorkspaces() {
+  await chrome.storage.local.set({
+    [STORAGE_KEYS.WORKSPACES]: workspaces,
+    [STORAGE_KEYS.ACTIVE_WORKSPACE]: activeWorkspaceId
+  });
+}
+
+/**
+ * Follows workspaces created or switched in another panel
+ *
+ * @param {Object} changes - Changes in local storage
+ */
+function handleWorkspacesChange(changes) {
+  if (!changes[STORAGE_KEYS.WORKSPACES] && !changes[STORAGE_KEYS.ACTIVE_WORKSPACE]) return;
+
+  if (changes[STORAGE_KEYS.WORKSPACES]) {
+    workspaces = changes[STORAGE_KEYS.WORKSPACES].newValue || [];
+  }
+  if (changes[STORAGE_KEYS.ACTIVE_WORKSPACE]) {
+    activeWorkspaceId = changes[STORAGE_KEYS.ACTIVE_WORKSPACE].newValue || null;
+  }
+
+  renderWorkspaceSwitcher();
+}
+
+/**
+ * Gets the active workspace
+ *
+ * @returns {Object|null}
+ */
+function getActiveWorkspace() {
+  return workspaces.find(w => w.id === activeWorkspaceId) || null;
+}
+
+/**
+ * Gets a workspace's group, creating it again if it was deleted
+ *
+ * @param {Object} workspace - Workspace
+ * @returns {Object} - Top-level group
+ */
+function getWorkspaceGroup(workspace) {
+  let group = groups.find(g => g.id === workspace.groupId);
+  if (!group) {
+    group = findOrCreateWorkspaceGroup(workspace.name);
+    workspace.groupId = group.id;
+  }
+  return group;
+}
+
+/**
+ * Finds the top-level group named after a workspace, or creates it
+ *
+ * @param {string} name - Workspace name
+ * @returns {Object} - Top-level group
+ */
+function findOrCreateWorkspaceGroup(name) {
+  let group = groups.find(g => !g.parentId && g.name === name);
+  if (!group) {
+    group = {
+      id: generateStringId(),
+      name,
+      expanded: false,
+      parentId: null,
+      updatedAt: Date.now()
+    };
+    groups.push(group);
+  }
+  return group;
+}
+
+// -----------------------------------------------------------------------------
+// SWITCHER
+// -----------------------------------------------------------------------------
+
+/**
+ * Shows the workspaces in the header's switcher, with the active one
+ * selected
+ */
+function renderWorkspaceSwitcher() {
+  const select = document.getElementById('workspaceSelect');
+  select.innerHTML = '<option value="">No workspace</option>' +
+    workspaces
+      .map(w => `<option value="${escapeHtml(w.id)}">${escapeHtml(w.name)}</option>`)
+      .join('');
+  select.value = getActiveWorkspace() ? activeWorkspaceId : '';
+  select.disabled = switchingWorkspace;
+
+  document.getElementById('removeWorkspace').classList.toggle('hidden', !getActiveWorkspace());
+}
+
+/**
+ * Shows the modal for naming a new workspace
+ */
+function showWorkspaceModal() {
+  const modal = document.getElementById('workspaceModal');
+  const input = document.getElementById('workspaceNameInput');
+
+  document.getElementById('workspaceModalNote').textContent = getActiveWorkspace()
+    ? 'Your open tabs are saved to the current workspace and closed; the new workspace starts with an empty window.'
+    : 'Your open windows become this workspace.';
+  input.value = '';
+  modal.classList.remove('hidden');
+  input.focus();
+}
+
+/**
+ * Hides the new workspace modal
+ */
+function hideWorkspaceModal() {
+  document.getElementById('workspaceModal').classList.add('hidden');
+  document.getElementById('workspaceNameInput').value = '';
+}
+
+// -----------------------------------------------------------------------------
+// WORKSPACE ACTIONS
+// -----------------------------------------------------------------------------
+
+/**
+ * Creates a workspace from the name in the modal
+ *
+ * While no workspace is active, the open windows become the new
+ * workspace; otherwise the browser switches to it.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function handleCreateWorkspace() {
+  const name = document.getElementById('workspaceNameInput').value.trim();
+  if (!name) {
+    alert('Please enter a workspace name.');
+    return;
+  }
+  if (workspaces.some(w => w.name === name)) {
+    alert('A workspace with this name already exists.');
+    return;
+  }
+
+  hideWorkspaceModal();
+
+  const workspace = {
+    id: generateStringId(),
+    name,
+    groupId: findOrCreateWorkspaceGroup(name).id,
+    windows: [],
+    updatedAt: Date.now()
+  };
+  workspaces.push(workspace);
+
+  if (getActiveWorkspace()) {
+    await saveWorkspaces();
+    await switchWorkspace(workspace.id);
+    return;
+  }
+
+  activeWorkspaceId = workspace.id;
+  await saveActiveWorkspaceTabs();
+  renderWorkspaceSwitcher();
+  await saveWorkspaces();
+}
+
+/**
+ * Switches the browser to another workspace (see file header)
+ *
+ * @async
+ * @param {string|null} workspaceId - Target workspace, or null for none
+ * @returns {Promise<void>}
+ */
+async function switchWorkspace(workspaceId) {
+  const current = getActiveWorkspace();
+  const target = workspaces.find(w => w.id === workspaceId) || null;
+  if (switchingWorkspace || current === target) {
+    renderWorkspaceSwitcher();
+    return;
+  }
+
+  switchingWorkspace = true;
+  renderWorkspaceSwitcher();
+
+  try {
+    // Windows to close once the target is open
+    const openWindows = current
+      ? await chrome.windows.getAll({ windowTypes: ['normal'] })
+      : [];
+
+    if (current && !(await saveActiveWorkspaceTabs())) {
+      alert('Could not save the tabs of this workspace, so they were left open.');
+      return;
+    }
+
+    if (target) await openWorkspace(target);
+
+    activeWorkspaceId = target ? target.id : null;
+    await saveWorkspaces();
+
+    if (target) await closeWorkspaceWindows(openWindows.filter(win => !win.incognito));
+  } catch (error) {
+    console.error('Failed to switch workspace:', error);
+    alert('Could not switch workspaces. Please try again.');
+  } finally {
+    switchingWorkspace = false;
+    renderWorkspaceSwitcher();
+  }
+}
+
+/**
+ * Saves the open tabs into the active workspace's group and captures
+ * its windows
+ *
+ * @async
+ * @returns {Promise<boolean>} - Whether the tabs were written
+ */
+async function saveActiveWorkspaceTabs() {
+  const workspace = getActiveWorkspace();
+  if (!workspace) return true;
+
+  const session = await captureSession(true);
+  workspace.windows = session ? session.windows : [];
+  workspace.updatedAt = Date.now();
+
+  const group = getWorkspaceGroup(workspace);
+  // New tab pages and other browser pages are only kept in the layout
+  const tabs = workspace.windows.flatMap(win => win.tabs).filter(tab => /^https?:/i.test(tab.url));
+  const newTabs = [];
+
+  tabs.forEach(tab => {
+    if (isTabSaved(tab.url) || newTabs.some(t => t.url === tab.url)) return;
+    newTabs.push({
+      id: generateId(),
+      title: tab.title || tab.url,
+      url: tab.url,
+      favicon: tab.favicon || '',
+      savedAt: new Date().toISOString(),
+      groupId: group.id,
+      updatedAt: Date.now()
+    });
+  });
+  savedTabs.unshift(...newTabs);
+
+  recordHistory('Save workspace');
+  renderAll();
+  return saveData();
+}
+
+/**
+ * Opens a workspace's windows, or its group's tabs in a new window
+ *
+ * @async
+ * @param {Object} workspace - Workspace to open
+ * @returns {Promise<void>}
+ */
+async function openWorkspace(workspace) {
+  if (workspace.windows.some(win => win.tabs.length > 0)) {
+    await restoreSession(workspace);
+    return;
+  }
+
+  const tabs = getGroupTabsRecursive(getWorkspaceGroup(workspace).id);
+  await chrome.windows.create({
+    url: tabs.length > 0 ? tabs.map(tab => tab.url) : undefined,
+    focused: true
+  });
+}
+
+/**
+ * Closes the windows of the workspace left behind
+ *
+ * This panel's own window is closed last, since the panel closes with it.
+ *
+ * @async
+ * @param {chrome.windows.Window[]} windows - Windows to close
+ * @returns {Promise<void>}
+ */
+async function closeWorkspaceWindows(windows) {
+  const panelWindow = await chrome.windows.getCurrent();
+  const ordered = [
+    ...windows.filter(win => win.id !== panelWindow.id),
+    ...windows.filter(win => win.id === panelWindow.id)
+  ];
+
+  for (const win of ordered) {
+    try {
+      await chrome.windows.remove(win.id);
+    } catch (error) {
+      // Already closed
+      console.warn('Could not close workspace window:', win.id, error);
+    }
+  }
+}
+
+/**
+ * Removes the active workspace
+ *
+ * Its group and tabs stay saved, and its windows stay open.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function removeActiveWorkspace() {
+  const workspace = getActiveWorkspace();
+  if (!workspace) return;
+
+  if (!confirm(`Remove the workspace "${workspace.name}"? Its group and tabs stay saved.`)) return;
+
+  workspaces = workspaces.filter(w => w.id !== workspace.id);
+  activeWorkspaceId = null;
+  renderWorkspaceSwitcher();
+  await saveWorkspaces();
+}
@@ -0,0 +1,154 @@
+/**
+ * ============================================================================
+ * BACKUP TESTS
+ * ============================================================================
+ *
+ * Tests for reading backup files and merging them into the saved data
+ * (js/backup.js).
+ *
+ * ============================================================================
+ */
+
+const { loadScripts } = require('./helpers/load-scripts');
+
+let backup;
+
+beforeEach(() => {
+  backup = loadScripts(
+    ['js/constants.js', 'js/state.js', 'js/utils.js', 'js/migrations.js', 'js/tabs.js', 'js/backup.js'],
+    ['parseBackup', 'mergeBackup', 'createImportReport', 'CURRENT_SCHEMA_VERSION', 'savedTabs', 'groups']
+  );
+});
+
+/**
+ * Serializes a backup file
+ */
+function backupFile(overrides = {}) {
+  return JSON.stringify({
+    format: 'tab-saver-backup',
+    version: 1,
+    schemaVersion: backup.CURRENT_SCHEMA_VERSION,
+    exportedAt: '2024-03-01T10:00:00.000Z',
+    collections: { savedTabs: [], groups: [], trash: [] },
+    settings: { theme: 'dark' },
+    ...overrides
+  });
+}
+
+// =============================================================================
+// PARSE
+// =============================================================================
+
+describe('parseBackup', () => {
+  test('reads a current backup', () => {
+    const tab = { id: 1, url: 'https://a.com', title: 'A', favicon: '', savedAt: '2024-01-01T00:00:00.000Z', groupId: 'g1' };
+    const group = { id: 'g1', name: 'Work', expanded: true, parentId: null };
+
+    const result = backup.parseBackup(backupFile({ collections: { savedTabs: [tab], groups: [group], trash: [] } }));
+
+    expect(result.collections.savedTabs).toEqual([tab]);
+    expect(result.collections.groups).toEqual([group]);
+    expect(result.settings).toEqual({ theme: 'dark' });
+    expect(result.exportedAt).toBe('2024-03-01T10:00:00.000Z');
+  });
+
+  test('migrates older backups', () => {
+    const result = backup.parseBackup(backupFile({
+      schemaVersion: 0,
+      collections: {
+        savedTabs: [{ id: '1', url: 'https://a.com' }],
+        pinnedTabs: [{ id: 1, url: 'https://a.com' }]
+      }
+    }));
+
+    expect(result.collections.savedTabs).toHaveLength(1);
+    expect(result.collections.savedTabs[0]).toMatchObject({ id: 1, pinned: true });
+    expect(Object.keys(result.collections).sort()).toEqual(['groups', 'savedTabs', 'trash']);
+  });
+
+  test('repairs duplicate IDs, group cycles and unknown trash entries', () => {
+    const result = backup.parseBackup(backupFile({
+      collections: {
+        savedTabs: [{ id: 1, url: 'https://a.com' }, { id: 1, url: 'https://b.com' }],
+        groups: [
+          { id: 'child', name: 'Child', parentId: 'parent' },
+          { id: 'parent', name: 'Parent', parentId: 'child' }
+        ],
+        trash: [{ id: 't', type: 'unknown' }]
+      }
+    }));
+
+    expect(result.collections.savedTabs.map(tab => tab.url)).toEqual(['https://a.com']);
+    expect(result.collections.groups.map(group => [group.id, group.parentId]))
+      .toEqual([['child', null], ['parent', 'child']]);
+    expect(result.collections.trash).toEqual([]);
+  });
+
+  test.each([
+    ['not JSON', () => 'not json', 'The file is not valid JSON.'],
+    ['another format', () => JSON.stringify({ format: 'other' }), 'The file is not a Tab Saver backup.'],
+    ['a newer schema', () => backupFile({ schemaVersion: backup.CURRENT_SCHEMA_VERSION + 1 }),
+      'The backup was made by a newer version of Tab Saver. Please update the extension first.'],
+    ['damaged collections', () => backupFile({ collections: { savedTabs: 'oops' } }), 'The backup file is damaged.']
+  ])('rejects %s', (_, file, message) => {
+    expect(() => backup.parseBackup(file())).toThrow(message);
+  });
+});
+
+// =============================================================================
+// MERGE
+// =============================================================================
+
+describe('mergeBackup', () => {
+  test('reuses groups with the same name and parent, and adds the rest', () => {
+    backup.groups.push({ id: 'mine', name: 'Work', parentId: null });
+    const report = backup.createImportReport();
+
+    backup.mergeBackup({
+      savedTabs: [],
+      groups: [
+        { id: 'b1', name: 'Work', parentId: null },
+        { id: 'b2', name: 'Docs', parentId: 'b1' }
+      ]
+    }, report);
+
+    expect(backup.groups.map(group => group.name)).toEqual(['Work', 'Docs']);
+    expect(backup.groups[1].parentId).toBe('mine');
+    expect(report).toMatchObject({ mergedGroups: 1, addedGroups: 1 });
+  });
+
+  test('skips tabs whose exact URL is already saved or earlier in the backup', () => {
+    backup.savedTabs.push({ id: 1, url: 'https://a.com/page' });
+    const report = backup.createImportReport();
+
+    backup.mergeBackup({
+      groups: [{ id: 'b1', name: 'Work', parentId: null }],
+      savedTabs: [
+        { id: 1, url: 'https://a.com/page', groupId: null },
+        { id: 2, url: 'https://a.com/page#section', groupId: 'b1' },
+        { id: 3, url: 'https://b.com', groupId: 'b1' },
+        { id: 4, url: 'https://b.com', groupId: null }
+      ]
+    }, report);
+
+    expect(backup.savedTabs.map(tab => tab.url))
+      .toEqual(['https://a.com/page', 'https://a.com/page#section', 'https://b.com']);
+    expect(report).toMatchObject({ addedTabs: 2, skippedTabs: 2 });
+  });
+
+  test('gives imported records new IDs in the current groups', () => {
+    const report = backup.createImportReport();
+
+    backup.mergeBackup({
+      groups: [{ id: 'b1', name: 'Work', parentId: null }],
+      savedTabs: [{ id: 1, url: 'https://a.com', groupId: 'b1' }]
+    }, report);
+
+    const [group] = backup.groups;
+    const [tab] = backup.savedTabs;
+    expect(group.id).not.toBe('b1');
+    expect(tab.id).not.toBe(1);
+    expect(tab.groupId).toBe(group.id);
+    expect(tab.updatedAt).toEqual(expect.any(Number));
+  });
+});
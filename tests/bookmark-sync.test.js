@@ -0,0 +1,108 @@
+/**
+ * ============================================================================
+ * BOOKMARK SYNC TESTS
+ * ============================================================================
+ *
+ * Tests for pushing groups and tabs to bookmarks (js/bookmark-sync.js).
+ *
+ * ============================================================================
+ */
+
+const { loadScripts, createMockStorageArea } = require('./helpers/load-scripts');
+
+const SCRIPTS = [
+  'js/constants.js',
+  'js/crypto.js',
+  'js/sharded-storage.js',
+  'js/merge.js',
+  'js/bookmark-sync.js'
+];
+
+let bookmarkSync;
+let local;
+
+beforeEach(async () => {
+  bookmarkSync = loadScripts(SCRIPTS, ['syncToBookmarks']);
+  local = createMockStorageArea();
+  chrome.storage.local = local;
+  chrome.bookmarks = {
+    create: jest.fn(async details => ({ id: `new-${details.title}`, ...details })),
+    update: jest.fn(async () => {}),
+    move: jest.fn(async () => {}),
+    remove: jest.fn(async () => {}),
+    removeTree: jest.fn(async () => {})
+  };
+
+  testUtils.setMockStorage({
+    'groups.meta': { area: 'sync', shards: 1, bytes: [0], updatedAt: 1 },
+    'groups.0': JSON.stringify([{ id: 'g1', name: 'Work', parentId: null, updatedAt: 1 }])
+  });
+  await local.set({
+    bookmarkBindings: { g1: 'f1' },
+    bookmarkLinks: {
+      groups: {},
+      tabs: { 1: { bookmarkId: 'b1', url: 'https://a.com', title: 'A', groupId: 'g1' } }
+    }
+  });
+});
+
+afterAll(() => {
+  delete chrome.storage.local;
+  delete chrome.bookmarks;
+});
+
+describe('syncToBookmarks', () => {
+  test('keeps a synced bookmark while its tab is saved', async () => {
+    testUtils.setMockStorage({
+      'savedTabs.meta': { area: 'sync', shards: 1, bytes: [0], updatedAt: 1 },
+      'savedTabs.0': JSON.stringify([{ id: 1, url: 'https://a.com', title: 'A', groupId: 'g1', updatedAt: 1 }])
+    });
+
+    await bookmarkSync.syncToBookmarks();
+
+    expect(chrome.bookmarks.remove).not.toHaveBeenCalled();
+    expect(local.data.bookmarkLinks.tabs[1].bookmarkId).toBe('b1');
+  });
+
+  test('removes the bookmark of a deleted tab', async () => {
+    testUtils.setMockStorage({
+      'savedTabs.meta': { area: 'sync', shards: 1, bytes: [0], updatedAt: 1 },
+      'savedTabs.0': '[]'
+    });
+
+    await bookmarkSync.syncToBookmarks();
+
+    expect(chrome.bookmarks.remove).toHaveBeenCalledWith('b1');
+    expect(local.data.bookmarkLinks.tabs).toEqual({});
+  });
+
+  test('stops without touching bookmarks when saved tabs are held on another device', async () => {
+    testUtils.setMockStorage({
+      'savedTabs.meta': { area: 'local', shards: 0, bytes: [], device: 'other', updatedAt: 2 }
+    });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await expect(bookmarkSync.syncToBookmarks()).rejects.toThrow(/Bookmark sync is paused: savedTabs/);
+
+    expect(chrome.bookmarks.remove).not.toHaveBeenCalled();
+    expect(chrome.bookmarks.removeTree).not.toHaveBeenCalled();
+    expect(local.data.bookmarkLinks.tabs[1].bookmarkId).toBe('b1');
+    expect(local.data.bookmarkBindings).toEqual({ g1: 'f1' });
+    console.warn.mockRestore();
+  });
+
+  test('stops without touching bookmarks when groups are damaged', async () => {
+    testUtils.setMockStorage({
+      'groups.meta': { area: 'sync', shards: 2, bytes: [0, 0], updatedAt: 1 },
+      'savedTabs.meta': { area: 'sync', shards: 1, bytes: [0], updatedAt: 1 },
+      'savedTabs.0': '[]'
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(bookmarkSync.syncToBookmarks()).rejects.toThrow(/Bookmark sync is paused: groups/);
+
+    expect(chrome.bookmarks.remove).not.toHaveBeenCalled();
+    expect(local.data.bookmarkBindings).toEqual({ g1: 'f1' });
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * ============================================================================
+ * BOOKMARKS HTML TESTS
+ * ============================================================================
+ *
+ * Tests for parsing Netscape bookmark files in js/bookmarks-html.js.
+ *
+ * ============================================================================
+ */
+
+const { loadScripts } = require('./helpers/load-scripts');
+
+const { parseBookmarksHtml, decodeHtmlEntities } = loadScripts(
+  ['js/constants.js', 'js/bookmarks-html.js'],
+  ['parseBookmarksHtml', 'decodeHtmlEntities']
+);
+
+const BOOKMARKS_FILE = `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">
+<TITLE>Bookmarks</TITLE>
+<H1>Bookmarks</H1>
+<DL><p>
+    <DT><A HREF="https://top.example.com/" ADD_DATE="1700000000" ICON="data:image/png;base64,AAAA">Top &amp; level</A>
+    <DT><H3 ADD_DATE="1700000000">Work</H3>
+    <DL><p>
+        <DT><A HREF="https://work.example.com/a?x=1&amp;y=2" ICON_URI="https://work.example.com/favicon.ico">Work A</A>
+        <DT><H3>Nested</H3>
+        <DL><p>
+            <DT><A HREF="https://nested.example.com/">Nested &#39;link&#39;</A>
+        </DL><p>
+        <DT><A HREF="javascript:alert(1)">Bookmarklet</A>
+        <DT><A HREF="https://work.example.com/b"></A>
+    </DL><p>
+    <DT><H3></H3>
+    <DL><p>
+        <DT><A HREF="place:sort=8">Recent</A>
+    </DL><p>
+</DL><p>
+`;
+
+describe('parseBookmarksHtml', () => {
+  let tree;
+
+  beforeEach(() => {
+    tree = parseBookmarksHtml(BOOKMARKS_FILE);
+  });
+
+  test('puts top-level links on the root', () => {
+    expect(tree.tabs).toEqual([{
+      url: 'https://top.example.com/',
+      title: 'Top & level',
+      savedAt: new Date(1700000000 * 1000).toISOString(),
+      favicon: ''
+    }]);
+  });
+
+  test('turns folders into groups, nested as in the file', () => {
+    expect(tree.children.map(group => group.name)).toEqual(['Work', 'Untitled group']);
+
+    const work = tree.children[0];
+    expect(work.children.map(group => group.name)).toEqual(['Nested']);
+    expect(work.children[0].tabs).toEqual([
+      { url: 'https://nested.example.com/', title: "Nested 'link'", savedAt: undefined, favicon: '' }
+    ]);
+  });
+
+  test('decodes attributes and keeps web icons', () => {
+    expect(tree.children[0].tabs[0]).toEqual({
+      url: 'https://work.example.com/a?x=1&y=2',
+      title: 'Work A',
+      savedAt: undefined,
+      favicon: 'https://work.example.com/favicon.ico'
+    });
+  });
+
+  test('skips links that cannot be opened as tabs and falls back to the URL as title', () => {
+    expect(tree.children[0].tabs.map(tab => tab.title)).toEqual(['Work A', 'https://work.example.com/b']);
+    expect(tree.children[1].tabs).toEqual([]);
+  });
+
+  test('throws when the file has no bookmarks', () => {
+    expect(() => parseBookmarksHtml('<html><body>Nothing here</body></html>'))
+      .toThrow('No bookmarks were found in the file.');
+  });
+});
+
+describe('decodeHtmlEntities', () => {
+  test('decodes named and numeric references', () => {
+    expect(decodeHtmlEntities('Tom &amp; Jerry&#39;s &#x1F600; &lt;b&gt;')).toBe("Tom & Jerry's 😀 <b>");
+  });
+
+  test('leaves unknown or invalid references alone', () => {
+    expect(decodeHtmlEntities('&bogus; &#0;')).toBe('&bogus; &#0;');
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * ============================================================================
+ * CRYPTO TESTS
+ * ============================================================================
+ *
+ * Tests for passphrase encryption in js/crypto.js: round-trips, locking,
+ * and unlocking in another context. jsdom has no Web Crypto, so Node's is
+ * handed to the scripts.
+ *
+ * ============================================================================
+ */
+
+const { TextEncoder, TextDecoder } = require('util');
+const { webcrypto } = require('crypto');
+const { loadScripts, createMockStorageArea } = require('./helpers/load-scripts');
+
+const NAMES = [
+  'enableEncryption',
+  'loadEncryptionState',
+  'unlockEncryption',
+  'lockEncryption',
+  'encryptText',
+  'decryptText',
+  'isEncryptionLocked',
+  'isLockedError'
+];
+
+/**
+ * Loads crypto.js in a fresh context, as the panel or background would
+ */
+function loadCrypto() {
+  return loadScripts(['js/constants.js', 'js/crypto.js'], NAMES, { crypto: webcrypto, TextEncoder, TextDecoder });
+}
+
+let encryption;
+
+beforeEach(() => {
+  chrome.storage.session = createMockStorageArea();
+  encryption = loadCrypto();
+});
+
+afterAll(() => {
+  delete chrome.storage.session;
+});
+
+describe('encryptText and decryptText', () => {
+  test('round-trip text with a fresh IV each time', async () => {
+    await encryption.enableEncryption('correct horse');
+    const text = JSON.stringify([{ id: 1, title: 'Café ☕', url: 'https://a.com' }]);
+
+    const first = await encryption.encryptText(text);
+    const second = await encryption.encryptText(text);
+
+    expect(first).toMatch(/^[A-Za-z0-9+/=]+\.[A-Za-z0-9+/=]+$/);
+    expect(first).not.toBe(second);
+    expect(first).not.toContain('https');
+    expect(await encryption.decryptText(first)).toBe(text);
+    expect(await encryption.decryptText(second)).toBe(text);
+  });
+
+  test('report a tampered payload as locked', async () => {
+    await encryption.enableEncryption('correct horse');
+    const [iv, ciphertext] = (await encryption.encryptText('secret')).split('.');
+    const flipped = (ciphertext[0] === 'A' ? 'B' : 'A') + ciphertext.slice(1);
+
+    await expect(encryption.decryptText(`${iv}.${flipped}`)).rejects.toThrow(/ENCRYPTION_LOCKED/);
+  });
+
+  test('throw a locked error after locking', async () => {
+    await encryption.enableEncryption('correct horse');
+    await encryption.lockEncryption();
+
+    expect(encryption.isEncryptionLocked()).toBe(true);
+    await expect(encryption.encryptText('secret')).rejects.toThrow(/ENCRYPTION_LOCKED/);
+  });
+});
+
+describe('other contexts', () => {
+  test('decrypt with the key cached in session storage', async () => {
+    await encryption.enableEncryption('correct horse');
+    const payload = await encryption.encryptText('secret');
+
+    const other = loadCrypto();
+    await other.loadEncryptionState();
+
+    expect(other.isEncryptionLocked()).toBe(false);
+    expect(await other.decryptText(payload)).toBe('secret');
+  });
+
+  test('stay locked until the right passphrase is entered', async () => {
+    await encryption.enableEncryption('correct horse');
+    const payload = await encryption.encryptText('secret');
+    await encryption.lockEncryption();
+
+    const other = loadCrypto();
+    await other.loadEncryptionState();
+    expect(other.isEncryptionLocked()).toBe(true);
+
+    expect(await other.unlockEncryption('wrong horse')).toBe(false);
+    expect(other.isEncryptionLocked()).toBe(true);
+
+    expect(await other.unlockEncryption('correct horse')).toBe(true);
+    expect(await other.decryptText(payload)).toBe('secret');
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * ============================================================================
+ * GROUP SCHEDULE TESTS
+ * ============================================================================
+ *
+ * Tests for the schedule rules in js/group-schedule.js. Times are built
+ * with local Date constructors, as the schedules are local to the device.
+ *
+ * ============================================================================
+ */
+
+const { loadScripts } = require('./helpers/load-scripts');
+
+let schedule;
+
+beforeEach(() => {
+  schedule = loadScripts(
+    ['js/constants.js', 'js/group-schedule.js'],
+    ['normalizeGroupSchedule', 'getNextScheduleTime', 'getNextGroupOpening']
+  );
+});
+
+/**
+ * Local time (ms); March 1, 2024 is a Friday
+ */
+function at(day, hours, minutes) {
+  return new Date(2024, 2, day, hours, minutes).getTime();
+}
+
+const weekdays = { time: '09:55', days: [1, 2, 3, 4, 5] };
+
+describe('normalizeGroupSchedule', () => {
+  test('keeps valid fields and sorts the days', () => {
+    expect(schedule.normalizeGroupSchedule({ time: '09:55', days: [5, 1, 1], skip: 3, extra: true }))
+      .toEqual({ time: '09:55', days: [1, 5], skip: 3 });
+  });
+
+  test('rejects bad times, dates and empty day lists', () => {
+    expect(schedule.normalizeGroupSchedule({ time: '24:00', days: [1] })).toBeNull();
+    expect(schedule.normalizeGroupSchedule({ time: '09:55', date: '1 March' })).toBeNull();
+    expect(schedule.normalizeGroupSchedule({ time: '09:55', days: [7] })).toBeNull();
+  });
+});
+
+describe('getNextScheduleTime', () => {
+  test('returns later the same day', () => {
+    expect(schedule.getNextScheduleTime(weekdays, at(1, 8, 0))).toBe(at(1, 9, 55));
+  });
+
+  test('rolls over to the next matching day once the time has passed', () => {
+    // Friday after 09:55: the next weekday is Monday the 4th
+    expect(schedule.getNextScheduleTime(weekdays, at(1, 9, 55))).toBe(at(4, 9, 55));
+  });
+
+  test('comes round to the same weekday a week later', () => {
+    const fridays = { time: '09:55', days: [5] };
+    expect(schedule.getNextScheduleTime(fridays, at(1, 10, 0))).toBe(at(8, 9, 55));
+  });
+
+  test('returns a single date until it has passed', () => {
+    const once = { time: '18:30', date: '2024-03-04' };
+
+    expect(schedule.getNextScheduleTime(once, at(1, 8, 0))).toBe(at(4, 18, 30));
+    expect(schedule.getNextScheduleTime(once, at(4, 18, 30))).toBeNull();
+  });
+});
+
+describe('getNextGroupOpening', () => {
+  test('passes over the skipped opening', () => {
+    const skipped = { ...weekdays, skip: at(4, 9, 55) };
+    expect(schedule.getNextGroupOpening(skipped, at(2, 12, 0))).toBe(at(5, 9, 55));
+  });
+
+  test('ignores a skip that is not the next opening', () => {
+    const skipped = { ...weekdays, skip: at(1, 9, 55) };
+    expect(schedule.getNextGroupOpening(skipped, at(2, 12, 0))).toBe(at(4, 9, 55));
+  });
+
+  test('never opens a skipped single date', () => {
+    const once = { time: '18:30', date: '2024-03-04', skip: at(4, 18, 30) };
+    expect(schedule.getNextGroupOpening(once, at(1, 8, 0))).toBeNull();
+  });
+});
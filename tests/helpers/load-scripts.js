@@ -0,0 +1,75 @@
+/**
+ * ============================================================================
+ * LOAD SCRIPTS
+ * ============================================================================
+ *
+ * Test helper for the extension's plain scripts, which declare globals
+ * instead of exporting anything.
+ *
+ * loadScripts() runs the given files in one shared scope, the way the
+ * side panel's <script> tags do, and returns live accessors for the
+ * names a test needs. Each call gets a fresh scope, so state (savedTabs,
+ * groups, ...) never leaks between tests.
+ *
+ * ============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Runs scripts in a fresh shared scope
+ *
+ * @param {string[]} files - Paths relative to the repo root, in load order
+ * @param {string[]} names - Globals to expose (functions, const or let)
+ * @param {Object} [stubs={}] - Globals from scripts that aren't loaded,
+ *   e.g. { renderAll: jest.fn() }
+ * @returns {Object} - { [name]: value }; values are read when accessed,
+ *   so reassigned lets (e.g. savedTabs) stay current
+ *
+ * @example
+ * const { parseOneTabText, savedTabs } = loadScripts(['js/state.js', ...], ['parseOneTabText', 'savedTabs']);
+ */
+function loadScripts(files, names, stubs = {}) {
+  const source = files
+    .map(file => fs.readFileSync(path.join(ROOT, file), 'utf8'))
+    .join('\n;\n');
+  const accessors = names.map(name => `get ${name}() { return ${name}; }`).join(',\n');
+
+  return new Function(...Object.keys(stubs), `${source}\nreturn {\n${accessors}\n};`)(...Object.values(stubs));
+}
+
+/**
+ * Creates an in-memory chrome.storage area (setup.js only mocks sync)
+ *
+ * @returns {Object} - { get, set, remove, clear, data }
+ */
+function createMockStorageArea() {
+  const data = {};
+
+  return {
+    data,
+    get: jest.fn(async (keys) => {
+      if (keys == null) return { ...data };
+      const list = typeof keys === 'string' ? [keys] : keys;
+      const result = {};
+      list.forEach(key => {
+        if (data[key] !== undefined) result[key] = data[key];
+      });
+      return result;
+    }),
+    set: jest.fn(async (items) => {
+      Object.assign(data, JSON.parse(JSON.stringify(items)));
+    }),
+    remove: jest.fn(async (keys) => {
+      (typeof keys === 'string' ? [keys] : keys).forEach(key => delete data[key]);
+    }),
+    clear: jest.fn(async () => {
+      Object.keys(data).forEach(key => delete data[key]);
+    })
+  };
+}
+
+module.exports = { loadScripts, createMockStorageArea };
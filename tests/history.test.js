@@ -0,0 +1,147 @@
+/**
+ * ============================================================================
+ * HISTORY TESTS
+ * ============================================================================
+ *
+ * Tests for the record diffing behind undo and redo in js/history.js.
+ *
+ * ============================================================================
+ */
+
+const { loadScripts } = require('./helpers/load-scripts');
+
+let history;
+let state;
+let stubs;
+
+beforeEach(() => {
+  state = {
+    savedTabs: [
+      { id: 1, url: 'https://a.com', title: 'A', updatedAt: 1 },
+      { id: 2, url: 'https://b.com', title: 'B', updatedAt: 1 },
+      { id: 3, url: 'https://c.com', title: 'C', updatedAt: 1 }
+    ],
+    groups: [{ id: 'g1', name: 'Reading', updatedAt: 1 }],
+    tombstones: [],
+    trash: []
+  };
+  stubs = {
+    getCollectionsState: jest.fn(() => state),
+    recordDeletions: jest.fn(),
+    clearTombstones: jest.fn(),
+    requestSnapshot: jest.fn(),
+    saveData: jest.fn(),
+    renderAll: jest.fn()
+  };
+
+  history = loadScripts(
+    ['js/constants.js', 'js/merge.js', 'js/history.js'],
+    ['recordHistory', 'syncHistoryBaseline', 'snapshotRecords', 'diffRecords', 'undo', 'redo', 'undoStack', 'redoStack'],
+    stubs
+  );
+  history.syncHistoryBaseline();
+});
+
+describe('diffRecords', () => {
+  test('lists added, removed and changed records with their positions', () => {
+    const before = history.snapshotRecords();
+    state.savedTabs = [
+      { id: 3, url: 'https://c.com', title: 'C', updatedAt: 1 },
+      { id: 1, url: 'https://a.com', title: 'A renamed', updatedAt: 2 },
+      { id: 4, url: 'https://d.com', title: 'D', updatedAt: 2 }
+    ];
+
+    const patches = history.diffRecords(before, history.snapshotRecords());
+
+    expect(patches).toEqual([
+      {
+        collection: 'savedTabs',
+        id: 1,
+        before: { id: 1, url: 'https://a.com', title: 'A', updatedAt: 1 },
+        after: { id: 1, url: 'https://a.com', title: 'A renamed', updatedAt: 2 },
+        beforeIndex: 0,
+        afterIndex: 1
+      },
+      {
+        collection: 'savedTabs',
+        id: 2,
+        before: { id: 2, url: 'https://b.com', title: 'B', updatedAt: 1 },
+        after: null,
+        beforeIndex: 1,
+        afterIndex: -1
+      },
+      {
+        collection: 'savedTabs',
+        id: 4,
+        before: null,
+        after: { id: 4, url: 'https://d.com', title: 'D', updatedAt: 2 },
+        beforeIndex: -1,
+        afterIndex: 2
+      }
+    ]);
+  });
+
+  test('does not track tombstones', () => {
+    const before = history.snapshotRecords();
+    state.tombstones.push({ collection: 'savedTabs', id: 2, deletedAt: 5 });
+
+    expect(history.diffRecords(before, history.snapshotRecords())).toEqual([]);
+  });
+});
+
+describe('recordHistory', () => {
+  test('records nothing when state is unchanged', () => {
+    history.recordHistory('Nothing');
+
+    expect(history.undoStack).toEqual([]);
+  });
+
+  test('asks for a snapshot of the previous state before destructive steps', () => {
+    state.groups = [];
+    history.recordHistory('Delete group', { destructive: true });
+
+    expect(stubs.requestSnapshot).toHaveBeenCalledWith(
+      'destructive',
+      'Delete group',
+      expect.objectContaining({ groups: [{ id: 'g1', name: 'Reading', updatedAt: 1 }] })
+    );
+  });
+});
+
+describe('undo and redo', () => {
+  test('put a removed record back where it was, then remove it again', () => {
+    state.savedTabs.splice(1, 1);
+    history.recordHistory('Delete tab');
+
+    history.undo();
+    expect(state.savedTabs.map(t => t.id)).toEqual([1, 2, 3]);
+    expect(stubs.clearTombstones).toHaveBeenCalledWith('savedTabs', [2]);
+    expect(history.redoStack).toHaveLength(1);
+
+    history.redo();
+    expect(state.savedTabs.map(t => t.id)).toEqual([1, 3]);
+    expect(stubs.recordDeletions).toHaveBeenCalledWith('savedTabs', [2]);
+    expect(history.undoStack).toHaveLength(1);
+  });
+
+  test('restore an edited record and touch it so it wins merges', () => {
+    state.savedTabs[0] = { ...state.savedTabs[0], title: 'Renamed', updatedAt: 2 };
+    history.recordHistory('Rename tab');
+
+    history.undo();
+
+    expect(state.savedTabs[0].title).toBe('A');
+    expect(state.savedTabs[0].updatedAt).toBeGreaterThan(2);
+  });
+
+  test('a new step clears the redo stack', () => {
+    state.savedTabs.pop();
+    history.recordHistory('Delete tab');
+    history.undo();
+
+    state.groups[0] = { ...state.groups[0], name: 'Later' };
+    history.recordHistory('Rename group');
+
+    expect(history.redoStack).toEqual([]);
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * ============================================================================
+ * IMPORTERS TESTS
+ * ============================================================================
+ *
+ * Tests for the Session Buddy, Toby and Workona importers in
+ * js/importers.js.
+ *
+ * ============================================================================
+ */
+
+const { loadScripts } = require('./helpers/load-scripts');
+
+let importers;
+
+beforeEach(() => {
+  importers = loadScripts(
+    ['js/constants.js', 'js/state.js', 'js/utils.js', 'js/tabs.js', 'js/importers.js'],
+    ['findImporter', 'filterImportTree', 'createImportTab', 'parseImportDate', 'savedTabs']
+  );
+});
+
+/**
+ * Lists a group tree as { name: [urls], children } for comparison
+ */
+function outline(node) {
+  return {
+    name: node.name,
+    urls: node.tabs.map(tab => tab.url),
+    children: node.children.map(outline)
+  };
+}
+
+// =============================================================================
+// DETECTION
+// =============================================================================
+
+describe('findImporter', () => {
+  test.each([
+    ['sessionBuddy', { collections: [{ folders: [] }] }],
+    ['sessionBuddy', { sessions: [{ windows: [] }] }],
+    ['toby', { lists: [{ cards: [] }] }],
+    ['toby', { groups: [{ lists: [] }] }],
+    ['workona', { workspaces: [] }]
+  ])('recognizes a %s export', (id, data) => {
+    expect(importers.findImporter(data).id).toBe(id);
+  });
+
+  test('returns null for anything else', () => {
+    expect(importers.findImporter({ format: 'tab-saver-backup' })).toBeNull();
+    expect(importers.findImporter([])).toBeNull();
+    expect(importers.findImporter(null)).toBeNull();
+  });
+});
+
+// =============================================================================
+// PARSERS
+// =============================================================================
+
+describe('Session Buddy', () => {
+  test('makes a group per collection, with a subgroup per window when there are several', () => {
+    const data = {
+      collections: [
+        { title: 'Research', created: 1700000000000, folders: [{ links: [{ url: 'https://a.com', title: 'A' }] }] },
+        { folders: [{ title: 'Left', links: [{ url: 'https://b.com' }] }, { links: [{ url: 'https://c.com' }] }] }
+      ]
+    };
+
+    const tree = importers.findImporter(data).parse(data);
+
+    expect(outline(tree).children).toEqual([
+      { name: 'Research', urls: ['https://a.com'], children: [] },
+      {
+        name: 'Collection 2',
+        urls: [],
+        children: [
+          { name: 'Left', urls: ['https://b.com'], children: [] },
+          { name: 'Window 2', urls: ['https://c.com'], children: [] }
+        ]
+      }
+    ]);
+    expect(tree.children[0].tabs[0]).toEqual({
+      url: 'https://a.com',
+      title: 'A',
+      favicon: '',
+      savedAt: new Date(1700000000000).toISOString()
+    });
+  });
+
+  test('reads older exports with sessions of windows', () => {
+    const data = { sessions: [{ type: 'current', windows: [{ tabs: [{ url: 'https://a.com' }] }] }] };
+
+    expect(outline(importers.findImporter(data).parse(data)).children).toEqual([
+      { name: 'Current session', urls: ['https://a.com'], children: [] }
+    ]);
+  });
+});
+
+describe('Toby', () => {
+  test('makes a group per list, nested in its Toby group', () => {
+    const data = {
+      lists: [{ title: 'Reading', cards: [{ url: 'https://a.com', title: 'A', customTitle: 'Custom' }] }],
+      groups: [{ name: 'Work', lists: [{ title: 'Docs', cards: [{ url: 'https://b.com' }] }] }]
+    };
+
+    const tree = importers.findImporter(data).parse(data);
+
+    expect(outline(tree).children).toEqual([
+      { name: 'Reading', urls: ['https://a.com'], children: [] },
+      { name: 'Work', urls: [], children: [{ name: 'Docs', urls: ['https://b.com'], children: [] }] }
+    ]);
+    expect(tree.children[0].tabs[0].title).toBe('Custom');
+  });
+});
+
+describe('Workona', () => {
+  test('makes a group per workspace, with resources and sections as subgroups', () => {
+    const data = {
+      workspaces: [{
+        title: 'Project',
+        tabs: [{ url: 'https://a.com' }],
+        resources: [{ url: 'https://b.com', name: 'B' }],
+        sections: [{ title: 'Specs', resources: [{ url: 'https://c.com' }] }]
+      }]
+    };
+
+    const tree = importers.findImporter(data).parse(data);
+
+    expect(outline(tree).children).toEqual([{
+      name: 'Project',
+      urls: ['https://a.com'],
+      children: [
+        { name: 'Resources', urls: ['https://b.com'], children: [] },
+        { name: 'Specs', urls: ['https://c.com'], children: [] }
+      ]
+    }]);
+  });
+});
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+describe('createImportTab', () => {
+  test('leaves out links that cannot be opened as tabs', () => {
+    expect(importers.createImportTab('javascript:alert(1)')).toBeNull();
+    expect(importers.createImportTab('data:text/html,hi')).toBeNull();
+    expect(importers.createImportTab('not a url')).toBeNull();
+    expect(importers.createImportTab(undefined)).toBeNull();
+  });
+
+  test('drops embedded icons and falls back to the URL as title', () => {
+    expect(importers.createImportTab('https://a.com', '  ', 'data:image/png;base64,AAAA')).toEqual({
+      url: 'https://a.com',
+      title: 'https://a.com',
+      favicon: '',
+      savedAt: undefined
+    });
+  });
+});
+
+describe('parseImportDate', () => {
+  test('accepts milliseconds, seconds and date strings', () => {
+    const iso = new Date(1700000000000).toISOString();
+
+    expect(importers.parseImportDate(1700000000000)).toBe(iso);
+    expect(importers.parseImportDate(1700000000)).toBe(iso);
+    expect(importers.parseImportDate(iso)).toBe(iso);
+  });
+
+  test('returns undefined for unknown dates', () => {
+    expect(importers.parseImportDate(undefined)).toBeUndefined();
+    expect(importers.parseImportDate('someday')).toBeUndefined();
+    expect(importers.parseImportDate(0)).toBeUndefined();
+  });
+});
+
+describe('filterImportTree', () => {
+  const tree = {
+    name: '',
+    tabs: [],
+    children: [
+      { name: 'A', tabs: [{ url: 'https://saved.com' }, { url: 'https://a.com' }], children: [] },
+      { name: 'B', tabs: [{ url: 'https://a.com' }, { url: 'https://b.com' }], children: [] }
+    ]
+  };
+
+  beforeEach(() => {
+    importers.savedTabs.push({ id: 1, url: 'https://saved.com' });
+  });
+
+  test('counts saved and repeated tabs', () => {
+    const { tree: filtered, stats } = importers.filterImportTree(tree, false);
+
+    expect(stats).toEqual({ groups: 2, tabs: 4, saved: 1, repeated: 1 });
+    expect(filtered.tabCount).toBe(4);
+  });
+
+  test('leaves duplicates out when asked to', () => {
+    const { tree: filtered, stats } = importers.filterImportTree(tree, true);
+
+    expect(outline(filtered).children).toEqual([
+      { name: 'A', urls: ['https://a.com'], children: [] },
+      { name: 'B', urls: ['https://b.com'], children: [] }
+    ]);
+    expect(stats.tabs).toBe(2);
+    expect(filtered.children.map(group => group.tabCount)).toEqual([1, 1]);
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * ============================================================================
+ * LINK EXPORT TESTS
+ * ============================================================================
+ *
+ * Tests for the CSV format in js/link-export.js.
+ *
+ * ============================================================================
+ */
+
+const { loadScripts } = require('./helpers/load-scripts');
+
+let linkExport;
+
+beforeEach(() => {
+  linkExport = loadScripts(
+    ['js/constants.js', 'js/utils.js', 'js/link-export.js'],
+    ['formatCsvLinks']
+  );
+});
+
+describe('formatCsvLinks', () => {
+  test('writes a header row and quotes values with commas and quotes', () => {
+    const csv = linkExport.formatCsvLinks([
+      { title: 'Docs, "new"', url: 'https://a.com', savedAt: 1700000000000 }
+    ]);
+
+    expect(csv).toBe(
+      'title,url,savedAt,reminder\r\n' +
+      '"Docs, ""new""",https://a.com,1700000000000,\r\n'
+    );
+  });
+
+  test('keeps spreadsheets from reading titles as formulas', () => {
+    const titles = ['=HYPERLINK("x")', '+1', '-2', '@SUM(A1)', '\tTab', '\rReturn', 'Plain'];
+    const csv = linkExport.formatCsvLinks(titles.map(title => ({ title, url: 'https://a.com' })));
+
+    expect(csv.split('\r\n').slice(1, -1).map(row => row.split(',')[0])).toEqual([
+      '"\'=HYPERLINK(""x"")"',
+      '\'+1',
+      '\'-2',
+      '\'@SUM(A1)',
+      '\'\tTab',
+      '"\'\rReturn"',
+      'Plain'
+    ]);
+  });
+});
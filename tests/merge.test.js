@@ -0,0 +1,202 @@
+/**
+ * ============================================================================
+ * MERGE TESTS
+ * ============================================================================
+ *
+ * Tests for js/merge.js: merging record collections edited on several
+ * devices, tombstones and reorders.
+ *
+ * ============================================================================
+ */
+
+const { loadScripts } = require('./helpers/load-scripts');
+
+const {
+  TOMBSTONE_TTL,
+  touchRecord,
+  createTombstones,
+  mergeTombstones,
+  applyTombstones,
+  mergeRecords,
+  mergeCollections,
+  touchReorderedRecords
+} = loadScripts(['js/constants.js', 'js/merge.js'], [
+  'TOMBSTONE_TTL',
+  'touchRecord',
+  'createTombstones',
+  'mergeTombstones',
+  'applyTombstones',
+  'mergeRecords',
+  'mergeCollections',
+  'touchReorderedRecords'
+]);
+
+/**
+ * Builds records with the given IDs and updatedAt
+ */
+function records(ids, updatedAt = 1) {
+  return ids.split('').map(id => ({ id, updatedAt }));
+}
+
+/**
+ * Lists the IDs of records, e.g. 'abc'
+ */
+function ids(list) {
+  return list.map(record => record.id).join('');
+}
+
+// =============================================================================
+// RECORD TIMESTAMPS
+// =============================================================================
+
+describe('touchRecord', () => {
+  test('sets updatedAt to now and returns the record', () => {
+    const record = { id: 1, updatedAt: 1 };
+    const before = Date.now();
+
+    expect(touchRecord(record)).toBe(record);
+    expect(record.updatedAt).toBeGreaterThanOrEqual(before);
+  });
+});
+
+// =============================================================================
+// TOMBSTONES
+// =============================================================================
+
+describe('tombstones', () => {
+  test('createTombstones records the collection and deletion time', () => {
+    const tombstones = createTombstones('groups', ['1', '2']);
+
+    expect(tombstones).toHaveLength(2);
+    expect(tombstones[0]).toMatchObject({ collection: 'groups', id: '1' });
+    expect(tombstones[1].deletedAt).toBe(tombstones[0].deletedAt);
+  });
+
+  test('mergeTombstones keeps the latest deletion per record', () => {
+    const now = Date.now();
+    const merged = mergeTombstones(
+      [{ collection: 'groups', id: '1', deletedAt: now - 10 }],
+      [{ collection: 'groups', id: '1', deletedAt: now }, { collection: 'savedTabs', id: '1', deletedAt: now }]
+    );
+
+    expect(merged).toEqual([
+      { collection: 'groups', id: '1', deletedAt: now },
+      { collection: 'savedTabs', id: '1', deletedAt: now }
+    ]);
+  });
+
+  test('mergeTombstones drops tombstones past their TTL', () => {
+    const expired = { collection: 'groups', id: '1', deletedAt: Date.now() - TOMBSTONE_TTL - 1000 };
+
+    expect(mergeTombstones([expired])).toEqual([]);
+  });
+
+  test('applyTombstones removes records deleted after their last edit', () => {
+    const tombstones = [
+      { collection: 'savedTabs', id: 'a', deletedAt: 5 },
+      { collection: 'savedTabs', id: 'b', deletedAt: 5 },
+      { collection: 'groups', id: 'c', deletedAt: 5 }
+    ];
+    const tabs = [{ id: 'a', updatedAt: 1 }, { id: 'b', updatedAt: 9 }, { id: 'c', updatedAt: 1 }];
+
+    expect(ids(applyTombstones(tabs, 'savedTabs', tombstones))).toBe('bc');
+  });
+});
+
+// =============================================================================
+// RECORD MERGING
+// =============================================================================
+
+describe('mergeRecords', () => {
+  test('keeps the newer copy of each record', () => {
+    const local = [{ id: 'a', title: 'local', updatedAt: 2 }, { id: 'b', title: 'local', updatedAt: 1 }];
+    const remote = [{ id: 'a', title: 'remote', updatedAt: 1 }, { id: 'b', title: 'remote', updatedAt: 2 }];
+
+    expect(mergeRecords(local, remote).map(record => record.title)).toEqual(['local', 'remote']);
+  });
+
+  test('inserts remote-only records at their remote position', () => {
+    expect(ids(mergeRecords(records('ac'), records('abc')))).toBe('abc');
+    expect(ids(mergeRecords(records('ab'), records('xab')))).toBe('xab');
+  });
+
+  test('keeps local-only records', () => {
+    expect(ids(mergeRecords(records('abx'), records('ab')))).toBe('abx');
+  });
+
+  test('moves a newer remote record to its remote position', () => {
+    const remote = [{ id: 'c', updatedAt: 2 }, ...records('ab')];
+
+    expect(ids(mergeRecords(records('abc'), remote))).toBe('cab');
+  });
+
+  test('leaves the local order when the remote copies are older', () => {
+    const local = records('abc', 2);
+    const remote = records('cab', 1);
+
+    expect(ids(mergeRecords(local, remote))).toBe('abc');
+  });
+
+  test('places a moved record after its remote predecessor among shared records', () => {
+    const local = records('abcd');
+    const remote = [{ id: 'x', updatedAt: 1 }, { id: 'b', updatedAt: 1 }, { id: 'c', updatedAt: 1 }, { id: 'a', updatedAt: 2 }];
+
+    expect(ids(mergeRecords(local, remote))).toBe('xbcad');
+  });
+});
+
+describe('mergeCollections', () => {
+  test('merges every record collection and applies tombstones from both sides', () => {
+    const deletedAt = Date.now();
+    const local = {
+      savedTabs: [{ id: 1, updatedAt: 1 }, { id: 2, updatedAt: 1 }],
+      groups: [{ id: 'g', updatedAt: 1 }],
+      tombstones: [{ collection: 'groups', id: 'g', deletedAt }]
+    };
+    const remote = {
+      savedTabs: [{ id: 1, updatedAt: 1 }, { id: 3, updatedAt: 1 }],
+      tombstones: [{ collection: 'savedTabs', id: 2, deletedAt }]
+    };
+
+    const merged = mergeCollections(local, remote);
+
+    expect(merged.savedTabs.map(tab => tab.id)).toEqual([1, 3]);
+    expect(merged.groups).toEqual([]);
+    expect(merged.trash).toEqual([]);
+    expect(merged.tombstones).toHaveLength(2);
+  });
+
+  test('treats missing remote collections as unchanged', () => {
+    const local = { savedTabs: [{ id: 1, updatedAt: 1 }], groups: [], tombstones: [] };
+
+    expect(mergeCollections(local, {}).savedTabs).toEqual(local.savedTabs);
+  });
+});
+
+// =============================================================================
+// REORDERS
+// =============================================================================
+
+describe('touchReorderedRecords', () => {
+  test('touches the records that moved', () => {
+    const current = records('cab');
+
+    expect(touchReorderedRecords(records('abc'), current)).toBe(2);
+    expect(current.map(record => record.updatedAt > 1)).toEqual([true, true, false]);
+  });
+
+  test('moves nothing when records are only added or removed', () => {
+    const current = records('axc');
+
+    expect(touchReorderedRecords(records('abc'), current)).toBe(0);
+    expect(current.every(record => record.updatedAt === 1)).toBe(true);
+  });
+
+  test('lets the new order win when merged on another device', () => {
+    const other = records('abc');
+    const current = records('cab');
+    touchReorderedRecords(records('abc'), current);
+
+    expect(ids(mergeRecords(other, current))).toBe('cab');
+  });
+});
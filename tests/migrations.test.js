@@ -0,0 +1,279 @@
+/**
+ * ============================================================================
+ * MIGRATIONS TESTS
+ * ============================================================================
+ *
+ * Tests for the schema migrations in js/migrations.js.
+ *
+ * ============================================================================
+ */
+
+const { TextEncoder } = require('util');
+const { loadScripts, createMockStorageArea } = require('./helpers/load-scripts');
+
+global.TextEncoder = global.TextEncoder || TextEncoder;
+
+const {
+  CURRENT_SCHEMA_VERSION,
+  MIGRATIONS,
+  runMigrations,
+  normalizeRecordsV1,
+  addMergeMetadataV2,
+  mergeTabCopiesV3
+} = loadScripts(['js/constants.js', 'js/utils.js', 'js/migrations.js'], [
+  'CURRENT_SCHEMA_VERSION',
+  'MIGRATIONS',
+  'runMigrations',
+  'normalizeRecordsV1',
+  'addMergeMetadataV2',
+  'mergeTabCopiesV3'
+]);
+
+// =============================================================================
+// PIPELINE
+// =============================================================================
+
+describe('MIGRATIONS', () => {
+  test('are numbered in order from 1', () => {
+    expect(MIGRATIONS.map(migration => migration.version))
+      .toEqual(Array.from({ length: MIGRATIONS.length }, (_, index) => index + 1));
+    expect(CURRENT_SCHEMA_VERSION).toBe(MIGRATIONS.length);
+  });
+});
+
+describe('runMigrations', () => {
+  test('brings v0 data to the current shape', () => {
+    const data = {
+      savedTabs: [{ id: '1', url: 'https://a.com', savedAt: '2024-01-01T00:00:00.000Z', groupId: 5 }],
+      groups: [{ id: 5, name: 'Work' }],
+      pinnedTabs: [{ id: 1, url: 'https://a.com' }],
+      dailyTabs: [],
+      timedTabs: []
+    };
+
+    const migrated = runMigrations(data, 0);
+
+    expect(migrated.savedTabs).toEqual([{
+      id: 1,
+      url: 'https://a.com',
+      title: 'https://a.com',
+      favicon: '',
+      savedAt: '2024-01-01T00:00:00.000Z',
+      groupId: '5',
+      updatedAt: Date.parse('2024-01-01T00:00:00.000Z'),
+      pinned: true
+    }]);
+    expect(migrated.groups).toEqual([
+      { id: '5', name: 'Work', expanded: true, parentId: null, updatedAt: 5 }
+    ]);
+    expect(migrated.tombstones).toEqual([]);
+    expect(migrated).not.toHaveProperty('pinnedTabs');
+  });
+
+  test('leaves the input untouched', () => {
+    const data = { savedTabs: [{ id: '1', url: 'https://a.com' }], groups: [] };
+    const copy = JSON.parse(JSON.stringify(data));
+
+    runMigrations(data, 0);
+
+    expect(data).toEqual(copy);
+  });
+
+  test('only runs migrations newer than the stored version', () => {
+    const data = { savedTabs: [{ id: 1, url: 'https://a.com' }], groups: [], tombstones: [] };
+
+    expect(runMigrations(data, CURRENT_SCHEMA_VERSION)).toEqual(data);
+  });
+
+  test('names the migration that failed', () => {
+    expect(() => runMigrations({ groups: 'broken' }, 0)).toThrow(/Migration to v1/);
+  });
+});
+
+// =============================================================================
+// V1: NORMALIZE RECORDS
+// =============================================================================
+
+describe('normalizeRecordsV1', () => {
+  test('fills in missing tab fields and drops tabs without a URL', () => {
+    const migrated = normalizeRecordsV1({
+      savedTabs: [{ id: 1, url: 'https://a.com' }, { id: 2, title: 'No URL' }, { id: 'x', url: 'https://b.com' }],
+      groups: []
+    });
+
+    expect(migrated.savedTabs).toEqual([{
+      id: 1,
+      url: 'https://a.com',
+      title: 'https://a.com',
+      favicon: '',
+      savedAt: new Date(0).toISOString(),
+      groupId: null
+    }]);
+  });
+
+  test('clears references to missing or cyclic groups', () => {
+    const migrated = normalizeRecordsV1({
+      savedTabs: [{ id: 1, url: 'https://a.com', groupId: 'gone' }],
+      groups: [
+        { id: 1, name: 'Self', parentId: 1 },
+        { id: 2, name: '', parentId: 'gone', expanded: false },
+        null
+      ]
+    });
+
+    expect(migrated.savedTabs[0].groupId).toBeNull();
+    expect(migrated.groups).toEqual([
+      { id: '1', name: 'Self', expanded: true, parentId: null },
+      { id: '2', name: 'Untitled group', expanded: false, parentId: null }
+    ]);
+  });
+});
+
+// =============================================================================
+// V2: MERGE METADATA
+// =============================================================================
+
+describe('addMergeMetadataV2', () => {
+  test('stamps records with when they were created', () => {
+    const migrated = addMergeMetadataV2({
+      savedTabs: [
+        { id: 1, url: 'https://a.com', savedAt: '2024-01-01T00:00:00.000Z' },
+        { id: 2, url: 'https://b.com', savedAt: 'unknown' },
+        { id: 3, url: 'https://c.com', updatedAt: 42 }
+      ],
+      groups: [{ id: '1706889234567' }]
+    });
+
+    expect(migrated.savedTabs.map(tab => tab.updatedAt))
+      .toEqual([Date.parse('2024-01-01T00:00:00.000Z'), 0, 42]);
+    expect(migrated.groups[0].updatedAt).toBe(1706889234567);
+    expect(migrated.tombstones).toEqual([]);
+  });
+
+  test('keeps existing tombstones', () => {
+    const tombstones = [{ collection: 'groups', id: '1', deletedAt: 1 }];
+
+    expect(addMergeMetadataV2({ tombstones }).tombstones).toEqual(tombstones);
+  });
+});
+
+// =============================================================================
+// V3: TAB COPIES TO FLAGS
+// =============================================================================
+
+describe('mergeTabCopiesV3', () => {
+  test('turns pinned, daily and timed copies into flags on the saved tab', () => {
+    const migrated = mergeTabCopiesV3({
+      savedTabs: [{ id: 1, url: 'https://a.com/page', updatedAt: 1 }],
+      pinnedTabs: [{ id: 1, url: 'https://a.com/page', updatedAt: 5 }],
+      dailyTabs: [{ id: 99, url: 'https://a.com/page/#top' }],
+      timedTabs: [{ id: 1, url: 'https://a.com/page', timerEnd: 100, timerDuration: 50, notified: true }],
+      tombstones: []
+    });
+
+    expect(migrated.savedTabs).toEqual([{
+      id: 1,
+      url: 'https://a.com/page',
+      updatedAt: 5,
+      pinned: true,
+      daily: true,
+      timerEnd: 100,
+      timerDuration: 50,
+      notified: true
+    }]);
+  });
+
+  test('re-adds copies whose saved tab was deleted', () => {
+    const migrated = mergeTabCopiesV3({
+      savedTabs: [],
+      timedTabs: [{ id: 7, url: 'https://b.com', timerEnd: 100, timerDuration: 50, notified: false }]
+    });
+
+    expect(migrated.savedTabs).toEqual([
+      { id: 7, url: 'https://b.com', timerEnd: 100, timerDuration: 50, updatedAt: 0 }
+    ]);
+  });
+
+  test('drops the retired lists and their tombstones', () => {
+    const migrated = mergeTabCopiesV3({
+      savedTabs: [],
+      pinnedTabs: [],
+      dailyTabs: [],
+      timedTabs: [],
+      tombstones: [
+        { collection: 'pinnedTabs', id: 1, deletedAt: 1 },
+        { collection: 'savedTabs', id: 2, deletedAt: 1 }
+      ]
+    });
+
+    expect(Object.keys(migrated).sort()).toEqual(['savedTabs', 'tombstones']);
+    expect(migrated.tombstones).toEqual([{ collection: 'savedTabs', id: 2, deletedAt: 1 }]);
+  });
+});
+
+// =============================================================================
+// STORED DATA
+// =============================================================================
+
+describe('migrateStoredData', () => {
+  let storage;
+  let local;
+
+  beforeEach(() => {
+    storage = loadScripts(
+      ['js/constants.js', 'js/utils.js', 'js/crypto.js', 'js/sharded-storage.js', 'js/migrations.js'],
+      ['migrateStoredData', 'writeCollections', 'readCollections', 'CURRENT_SCHEMA_VERSION']
+    );
+    local = createMockStorageArea();
+    chrome.storage.local = local;
+    chrome.alarms.get = jest.fn(async () => null);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  afterAll(() => {
+    delete chrome.storage.local;
+    delete chrome.alarms.get;
+  });
+
+  test('records the version on a fresh install', async () => {
+    expect(await storage.migrateStoredData()).toEqual({ status: 'current' });
+    expect(testUtils.mockStorageData.schemaVersion).toBe(storage.CURRENT_SCHEMA_VERSION);
+  });
+
+  test('does nothing else once data is current', async () => {
+    testUtils.setMockStorage({ schemaVersion: storage.CURRENT_SCHEMA_VERSION });
+
+    expect(await storage.migrateStoredData()).toEqual({ status: 'current' });
+    expect(chrome.storage.sync.set).not.toHaveBeenCalled();
+  });
+
+  test('folds retired lists that arrive after the version was recorded', async () => {
+    await storage.writeCollections({
+      savedTabs: [{ id: 1, url: 'https://a.com', title: 'A', groupId: null, updatedAt: 1 }],
+      groups: [],
+      tombstones: []
+    });
+    testUtils.setMockStorage({
+      schemaVersion: storage.CURRENT_SCHEMA_VERSION,
+      pinnedTabs: [{ id: 1, url: 'https://a.com' }],
+      dailyTabs: [{ id: 2, url: 'https://b.com', title: 'B' }]
+    });
+
+    expect(await storage.migrateStoredData()).toEqual({ status: 'migrated' });
+
+    const { savedTabs } = await storage.readCollections(['savedTabs']);
+    expect(savedTabs.map(tab => [tab.url, Boolean(tab.pinned), Boolean(tab.daily)])).toEqual([
+      ['https://a.com', true, false],
+      ['https://b.com', false, true]
+    ]);
+    expect(testUtils.mockStorageData.pinnedTabs).toBeUndefined();
+    expect(testUtils.mockStorageData.dailyTabs).toBeUndefined();
+    expect(testUtils.mockStorageData.schemaVersion).toBe(storage.CURRENT_SCHEMA_VERSION);
+  });
+});
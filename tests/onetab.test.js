@@ -0,0 +1,69 @@
+/**
+ * ============================================================================
+ * ONETAB TESTS
+ * ============================================================================
+ *
+ * Tests for parsing OneTab export text in js/onetab.js.
+ *
+ * ============================================================================
+ */
+
+const { loadScripts } = require('./helpers/load-scripts');
+
+let onetab;
+
+beforeEach(() => {
+  onetab = loadScripts(
+    ['js/constants.js', 'js/state.js', 'js/utils.js', 'js/tabs.js', 'js/onetab.js'],
+    ['parseOneTabText', 'savedTabs']
+  );
+});
+
+describe('parseOneTabText', () => {
+  test('makes a group of each block of lines', () => {
+    const text = [
+      'https://a.com | Site A',
+      'https://b.com | Site B | with a bar',
+      '',
+      '',
+      'https://c.com'
+    ].join('\r\n');
+
+    const { tree, skipped, invalid } = onetab.parseOneTabText(text);
+
+    expect(tree.tabs).toEqual([]);
+    expect(tree.children).toEqual([
+      {
+        name: 'OneTab 1',
+        tabs: [
+          { url: 'https://a.com', title: 'Site A' },
+          { url: 'https://b.com', title: 'Site B | with a bar' }
+        ],
+        children: []
+      },
+      { name: 'OneTab 2', tabs: [{ url: 'https://c.com', title: 'https://c.com' }], children: [] }
+    ]);
+    expect(skipped).toBe(0);
+    expect(invalid).toBe(0);
+  });
+
+  test('skips saved and repeated URLs', () => {
+    onetab.savedTabs.push({ id: 1, url: 'https://saved.com', title: 'Saved' });
+
+    const { tree, skipped } = onetab.parseOneTabText('https://saved.com | Saved\nhttps://a.com\nhttps://a.com | Again');
+
+    expect(tree.children[0].tabs).toEqual([{ url: 'https://a.com', title: 'https://a.com' }]);
+    expect(skipped).toBe(2);
+  });
+
+  test('counts lines that do not start with a URL', () => {
+    const { tree, invalid } = onetab.parseOneTabText('Just a note\nnot a url | Title\nhttps://a.com');
+
+    expect(invalid).toBe(2);
+    expect(tree.children).toHaveLength(1);
+  });
+
+  test('creates no groups for empty text', () => {
+    expect(onetab.parseOneTabText('\n\n').tree.children).toEqual([]);
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * ============================================================================
+ * QR CODE TESTS
+ * ============================================================================
+ *
+ * Tests for the QR code generator in js/qr-code.js. Error correction is
+ * checked against the worked example in ISO/IEC 18004, and a version 1
+ * code is read back module by module to recover the text.
+ *
+ * ============================================================================
+ */
+
+const { TextEncoder, TextDecoder } = require('util');
+const { loadScripts } = require('./helpers/load-scripts');
+
+let qr;
+
+beforeEach(() => {
+  qr = loadScripts(
+    ['js/qr-code.js'],
+    ['createQrCode', 'addQrErrorCorrection', 'renderQrSvg'],
+    { TextEncoder }
+  );
+});
+
+/**
+ * Mask patterns by number (ISO/IEC 18004, table 10)
+ */
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+/**
+ * Level names by their two format bits
+ */
+const LEVELS_BY_BITS = ['M', 'L', 'H', 'Q'];
+
+/**
+ * Reads both copies of the format bits as 15-bit numbers
+ */
+function readFormatBits(modules) {
+  const size = modules.length;
+  const bit = (x, y) => (modules[y][x] ? 1 : 0);
+  let first = 0;
+  let second = 0;
+
+  for (let i = 0; i <= 5; i++) first |= bit(8, i) << i;
+  first |= bit(8, 7) << 6;
+  first |= bit(8, 8) << 7;
+  first |= bit(7, 8) << 8;
+  for (let i = 9; i < 15; i++) first |= bit(14 - i, 8) << i;
+
+  for (let i = 0; i < 8; i++) second |= bit(size - 1 - i, 8) << i;
+  for (let i = 8; i < 15; i++) second |= bit(8, size - 15 + i) << i;
+
+  return [first, second];
+}
+
+/**
+ * Reads the text back from a version 1 code
+ */
+function readVersion1(modules) {
+  const size = modules.length;
+  const format = readFormatBits(modules)[0] ^ 0x5412;
+  const mask = (format >>> 10) & 7;
+  const isFunction = (x, y) => x === 6 || y === 6 ||
+    (x < 9 && y < 9) || (x >= size - 8 && y < 9) || (x < 9 && y >= size - 8);
+
+  const bits = [];
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    const upward = ((right + 1) & 2) === 0;
+    for (let vertical = 0; vertical < size; vertical++) {
+      const y = upward ? size - 1 - vertical : vertical;
+      for (const x of [right, right - 1]) {
+        if (!isFunction(x, y)) bits.push(modules[y][x] !== MASKS[mask](x, y) ? 1 : 0);
+      }
+    }
+  }
+
+  const read = (offset, length) => bits.slice(offset, offset + length).reduce((value, b) => (value << 1) | b, 0);
+  expect(read(0, 4)).toBe(0b0100);
+  const length = read(4, 8);
+  const bytes = Array.from({ length }, (_, i) => read(12 + i * 8, 8));
+  return new TextDecoder().decode(new Uint8Array(bytes));
+}
+
+describe('addQrErrorCorrection', () => {
+  test('matches the version 1-M example in ISO/IEC 18004', () => {
+    const data = [0x10, 0x20, 0x0C, 0x56, 0x61, 0x80, 0xEC, 0x11, 0xEC, 0x11, 0xEC, 0x11, 0xEC, 0x11, 0xEC, 0x11];
+
+    expect(qr.addQrErrorCorrection([...data], 1, 1)).toEqual([
+      ...data,
+      0xA5, 0x24, 0xD4, 0xC1, 0xED, 0x36, 0xC7, 0x87, 0x2C, 0x55
+    ]);
+  });
+});
+
+describe('createQrCode', () => {
+  test('picks the smallest version that fits', () => {
+    // Version 1-L holds 17 bytes, version 2-L 32
+    expect(qr.createQrCode('a'.repeat(17))).toHaveLength(21);
+    expect(qr.createQrCode('a'.repeat(18))).toHaveLength(25);
+    expect(qr.createQrCode('a'.repeat(2953))).toHaveLength(177);
+    expect(() => qr.createQrCode('a'.repeat(2954))).toThrow('too long');
+  });
+
+  test('draws the finder and timing patterns', () => {
+    const modules = qr.createQrCode('tabsaver:abc');
+    const size = modules.length;
+    const finder = [
+      '1111111',
+      '1000001',
+      '1011101',
+      '1011101',
+      '1011101',
+      '1000001',
+      '1111111'
+    ];
+    const region = (x0, y0) => finder.map((_, y) =>
+      finder.map((__, x) => (modules[y0 + y][x0 + x] ? '1' : '0')).join(''));
+
+    expect(region(0, 0)).toEqual(finder);
+    expect(region(size - 7, 0)).toEqual(finder);
+    expect(region(0, size - 7)).toEqual(finder);
+
+    for (let i = 8; i < size - 8; i++) {
+      expect(modules[6][i]).toBe(i % 2 === 0);
+      expect(modules[i][6]).toBe(i % 2 === 0);
+    }
+    expect(modules[size - 8][8]).toBe(true);
+  });
+
+  test('writes valid format bits twice, at the highest level that fits', () => {
+    const [first, second] = readFormatBits(qr.createQrCode('tabsaver:abc'));
+
+    expect(second).toBe(first);
+
+    // Unmasked, the 15 bits are a BCH codeword: divisible by 0x537
+    let remainder = first ^ 0x5412;
+    for (let i = 14; i >= 10; i--) {
+      if ((remainder >>> i) & 1) remainder ^= 0x537 << (i - 10);
+    }
+    expect(remainder).toBe(0);
+
+    // 12 bytes fit version 1 at level M (16 data codewords) but not Q (13)
+    expect(LEVELS_BY_BITS[(first ^ 0x5412) >>> 13]).toBe('M');
+  });
+
+  test('can be read back', () => {
+    expect(readVersion1(qr.createQrCode('tabsaver:abc'))).toBe('tabsaver:abc');
+    expect(readVersion1(qr.createQrCode('Grüße'))).toBe('Grüße');
+  });
+});
+
+describe('renderQrSvg', () => {
+  test('draws one square per dark module inside a quiet zone', () => {
+    const svg = qr.renderQrSvg([[true, false], [false, true]]);
+
+    expect(svg).toContain('viewBox="0 0 10 10"');
+    expect(svg).toContain('d="M4,4h1v1h-1zM5,5h1v1h-1z"');
+  });
+});
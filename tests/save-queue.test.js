@@ -0,0 +1,236 @@
+/**
+ * ============================================================================
+ * SAVE QUEUE TESTS
+ * ============================================================================
+ *
+ * Tests for the write coalescing queue in js/save-queue.js: debouncing,
+ * diffing, rate-limit retries and the save on unload.
+ *
+ * ============================================================================
+ */
+
+const { loadScripts, createMockStorageArea } = require('./helpers/load-scripts');
+
+let queue;
+let state;
+let stubs;
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  state = {
+    savedTabs: [{ id: 1, url: 'https://a.com', updatedAt: 1 }],
+    groups: [],
+    tombstones: [],
+    trash: []
+  };
+  stubs = {
+    getCollectionsState: jest.fn(() => state),
+    mergeStoredChanges: jest.fn(async () => []),
+    renderAll: jest.fn(),
+    writeCollections: jest.fn(async () => {}),
+    reportSaveError: jest.fn()
+  };
+  chrome.storage.local = createMockStorageArea();
+
+  queue = loadScripts(
+    ['js/constants.js', 'js/merge.js', 'js/save-queue.js'],
+    ['requestSave', 'flushSaves', 'rememberPersistedCollections', 'saveOnUnload', 'SAVE_QUEUE_TIMING'],
+    stubs
+  );
+  queue.rememberPersistedCollections(JSON.parse(JSON.stringify(state)));
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  console.log.mockRestore();
+  console.warn.mockRestore();
+});
+
+afterAll(() => {
+  delete chrome.storage.local;
+});
+
+/**
+ * Edits the first saved tab, as the panel would
+ */
+function editTab(title) {
+  state.savedTabs[0] = { ...state.savedTabs[0], title, updatedAt: Date.now() };
+}
+
+// =============================================================================
+// DEBOUNCE
+// =============================================================================
+
+describe('debounce', () => {
+  test('turns a burst of saves into one write', async () => {
+    editTab('One');
+    queue.requestSave();
+    await jest.advanceTimersByTimeAsync(100);
+    editTab('Two');
+    queue.requestSave();
+    await jest.advanceTimersByTimeAsync(queue.SAVE_QUEUE_TIMING.DEBOUNCE_MS - 1);
+
+    expect(stubs.writeCollections).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1);
+
+    expect(stubs.writeCollections).toHaveBeenCalledTimes(1);
+    expect(stubs.writeCollections.mock.calls[0][0].savedTabs[0].title).toBe('Two');
+  });
+
+  test('writes a long burst after at most MAX_WAIT_MS', async () => {
+    const { DEBOUNCE_MS, MAX_WAIT_MS } = queue.SAVE_QUEUE_TIMING;
+
+    for (let elapsed = 0; elapsed < MAX_WAIT_MS; elapsed += DEBOUNCE_MS / 2) {
+      editTab(`Edit ${elapsed}`);
+      queue.requestSave();
+      await jest.advanceTimersByTimeAsync(DEBOUNCE_MS / 2);
+    }
+
+    expect(stubs.writeCollections).toHaveBeenCalledTimes(1);
+  });
+
+  test('resolves saves once their changes are written', async () => {
+    editTab('One');
+    const saved = queue.requestSave();
+
+    await jest.advanceTimersByTimeAsync(queue.SAVE_QUEUE_TIMING.DEBOUNCE_MS);
+
+    await expect(saved).resolves.toBe(true);
+  });
+});
+
+// =============================================================================
+// DIFFING
+// =============================================================================
+
+describe('diffing', () => {
+  test('only writes collections that changed', async () => {
+    editTab('One');
+    queue.requestSave();
+    await queue.flushSaves();
+
+    expect(Object.keys(stubs.writeCollections.mock.calls[0][0])).toEqual(['savedTabs']);
+  });
+
+  test('writes nothing when nothing changed since the last write', async () => {
+    editTab('One');
+    queue.requestSave();
+    await queue.flushSaves();
+    queue.requestSave();
+    await queue.flushSaves();
+
+    expect(stubs.writeCollections).toHaveBeenCalledTimes(1);
+  });
+
+  test('merges stored changes before writing', async () => {
+    stubs.mergeStoredChanges.mockResolvedValueOnce(['groups']);
+    editTab('One');
+    queue.requestSave();
+    await queue.flushSaves();
+
+    expect(stubs.mergeStoredChanges).toHaveBeenCalled();
+    expect(stubs.renderAll).toHaveBeenCalled();
+  });
+
+  test('touches records that moved, so the new order syncs', async () => {
+    state.groups = [{ id: 'a', updatedAt: 1 }, { id: 'b', updatedAt: 1 }];
+    queue.rememberPersistedCollections({ groups: state.groups });
+    state.groups = [state.groups[1], state.groups[0]];
+
+    queue.requestSave();
+    await queue.flushSaves();
+
+    const written = stubs.writeCollections.mock.calls[0][0].groups;
+    expect(written.map(group => group.id)).toEqual(['b', 'a']);
+    expect(written.some(group => group.updatedAt > 1)).toBe(true);
+  });
+});
+
+// =============================================================================
+// ERRORS
+// =============================================================================
+
+describe('rate-limit retry', () => {
+  const rateLimitError = () => new Error('MAX_WRITE_OPERATIONS_PER_MINUTE quota exceeded');
+
+  test('retries with backoff and resolves once written', async () => {
+    const { RETRY_BASE_MS } = queue.SAVE_QUEUE_TIMING;
+    stubs.writeCollections
+      .mockRejectedValueOnce(rateLimitError())
+      .mockRejectedValueOnce(rateLimitError());
+
+    editTab('One');
+    const saved = queue.requestSave();
+    await queue.flushSaves();
+    expect(stubs.writeCollections).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(RETRY_BASE_MS);
+    expect(stubs.writeCollections).toHaveBeenCalledTimes(2);
+
+    await jest.advanceTimersByTimeAsync(RETRY_BASE_MS);
+    expect(stubs.writeCollections).toHaveBeenCalledTimes(2);
+
+    await jest.advanceTimersByTimeAsync(RETRY_BASE_MS);
+    expect(stubs.writeCollections).toHaveBeenCalledTimes(3);
+    await expect(saved).resolves.toBe(true);
+    expect(stubs.reportSaveError).not.toHaveBeenCalled();
+  });
+
+  test('keeps the retry schedule when more saves arrive', async () => {
+    const { DEBOUNCE_MS, RETRY_BASE_MS } = queue.SAVE_QUEUE_TIMING;
+    stubs.writeCollections.mockRejectedValueOnce(rateLimitError());
+
+    editTab('One');
+    queue.requestSave();
+    await queue.flushSaves();
+    editTab('Two');
+    queue.requestSave();
+    await jest.advanceTimersByTimeAsync(DEBOUNCE_MS);
+
+    expect(stubs.writeCollections).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(RETRY_BASE_MS - DEBOUNCE_MS);
+    expect(stubs.writeCollections).toHaveBeenCalledTimes(2);
+    expect(stubs.writeCollections.mock.calls[1][0].savedTabs[0].title).toBe('Two');
+  });
+
+  test('reports other errors and resolves with false', async () => {
+    const error = new Error('QUOTA_BYTES quota exceeded');
+    stubs.writeCollections.mockRejectedValueOnce(error);
+
+    editTab('One');
+    const saved = queue.requestSave();
+    await queue.flushSaves();
+
+    await expect(saved).resolves.toBe(false);
+    expect(stubs.reportSaveError).toHaveBeenCalledWith(error);
+  });
+});
+
+// =============================================================================
+// UNLOAD
+// =============================================================================
+
+describe('saveOnUnload', () => {
+  test('leaves pending changes in local storage right away, without reading first', () => {
+    editTab('One');
+    queue.requestSave();
+
+    queue.saveOnUnload();
+
+    expect(stubs.mergeStoredChanges).not.toHaveBeenCalled();
+    expect(chrome.storage.local.set).toHaveBeenCalledWith({
+      unloadSave: { collections: { savedTabs: state.savedTabs }, savedAt: expect.any(Number) }
+    });
+  });
+
+  test('does nothing without pending changes', () => {
+    queue.saveOnUnload();
+
+    expect(chrome.storage.local.set).not.toHaveBeenCalled();
+  });
+});
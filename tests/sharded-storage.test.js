@@ -0,0 +1,206 @@
+/**
+ * ============================================================================
+ * SHARDED STORAGE TESTS
+ * ============================================================================
+ *
+ * Tests for js/sharded-storage.js: splitting collections into sync items
+ * and reading them back from either storage area.
+ *
+ * ============================================================================
+ */
+
+const { TextEncoder } = require('util');
+const { randomUUID } = require('crypto');
+const { loadScripts, createMockStorageArea } = require('./helpers/load-scripts');
+
+global.TextEncoder = global.TextEncoder || TextEncoder;
+if (!global.crypto.randomUUID) global.crypto.randomUUID = randomUUID;
+
+const SCRIPTS = ['js/constants.js', 'js/crypto.js', 'js/sharded-storage.js'];
+const NAMES = [
+  'STORAGE_KEYS',
+  'STORAGE_LIMITS',
+  'splitIntoShards',
+  'getItemBytes',
+  'getShardKey',
+  'readCollections',
+  'writeCollections',
+  'getCollectionsHeldElsewhere'
+];
+
+let storage;
+let local;
+let sync;
+
+beforeEach(() => {
+  storage = loadScripts(SCRIPTS, NAMES);
+  local = createMockStorageArea();
+  chrome.storage.local = local;
+  sync = testUtils.mockStorageData;
+});
+
+afterAll(() => {
+  delete chrome.storage.local;
+});
+
+/**
+ * Builds tabs whose JSON is roughly `count` * 150 bytes
+ */
+function buildTabs(count) {
+  return Array.from({ length: count }, (_, index) => ({
+    id: index + 1,
+    title: `Tab ${index}`,
+    url: `https://example.com/articles/${index}/${'x'.repeat(80)}`,
+    groupId: null
+  }));
+}
+
+// =============================================================================
+// SPLIT INTO SHARDS
+// =============================================================================
+
+describe('splitIntoShards', () => {
+  test('keeps a small collection in one shard', () => {
+    const json = JSON.stringify([{ id: 1, url: 'https://example.com' }]);
+
+    expect(storage.splitIntoShards('savedTabs', json)).toEqual([json]);
+  });
+
+  test('returns one empty shard for an empty string', () => {
+    expect(storage.splitIntoShards('savedTabs', '')).toEqual(['']);
+  });
+
+  test('splits a large collection into items under the per-item quota', () => {
+    const json = JSON.stringify(buildTabs(300));
+    const shards = storage.splitIntoShards('savedTabs', json);
+
+    expect(shards.length).toBeGreaterThan(1);
+    expect(shards.join('')).toBe(json);
+    shards.forEach((shard, index) => {
+      const bytes = storage.getItemBytes(storage.getShardKey('savedTabs', index), shard);
+      expect(bytes).toBeLessThanOrEqual(storage.STORAGE_LIMITS.SYNC_QUOTA_BYTES_PER_ITEM);
+    });
+  });
+
+  test('counts the escaping JSON adds to quotes and backslashes', () => {
+    const json = '"\\'.repeat(5000);
+    const shards = storage.splitIntoShards('savedTabs', json);
+
+    expect(shards.join('')).toBe(json);
+    shards.forEach((shard, index) => {
+      const bytes = storage.getItemBytes(storage.getShardKey('savedTabs', index), shard);
+      expect(bytes).toBeLessThanOrEqual(storage.STORAGE_LIMITS.SYNC_QUOTA_BYTES_PER_ITEM);
+    });
+  });
+
+  test('never cuts a surrogate pair in half', () => {
+    const json = '😀'.repeat(5000);
+    const shards = storage.splitIntoShards('savedTabs', json);
+
+    expect(shards.length).toBeGreaterThan(1);
+    shards.forEach(shard => {
+      expect(shard.length % 2).toBe(0);
+      expect(shard.codePointAt(0)).toBe(0x1f600);
+    });
+  });
+});
+
+// =============================================================================
+// READ COLLECTIONS
+// =============================================================================
+
+describe('readCollections', () => {
+  test('returns null for collections that were never saved', async () => {
+    const result = await storage.readCollections(['savedTabs', 'groups']);
+
+    expect(result).toEqual({ savedTabs: null, groups: null });
+  });
+
+  test('reads the legacy single-key format', async () => {
+    const tabs = buildTabs(2);
+    testUtils.setMockStorage({ savedTabs: tabs });
+
+    const result = await storage.readCollections(['savedTabs']);
+
+    expect(result.savedTabs).toEqual(tabs);
+  });
+
+  test('reassembles shards from sync storage', async () => {
+    testUtils.setMockStorage({
+      'groups.meta': { area: 'sync', shards: 2, bytes: [0, 0], updatedAt: 1 },
+      'groups.0': '[{"id":"1","na',
+      'groups.1': 'me":"Work"}]'
+    });
+
+    const result = await storage.readCollections(['groups']);
+
+    expect(result.groups).toEqual([{ id: '1', name: 'Work' }]);
+  });
+
+  test('returns null when a shard is missing', async () => {
+    testUtils.setMockStorage({
+      'groups.meta': { area: 'sync', shards: 2, bytes: [0, 0], updatedAt: 1 },
+      'groups.0': '[{"id":"1","na'
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await storage.readCollections(['groups']);
+
+    expect(result.groups).toBeNull();
+    console.error.mockRestore();
+  });
+
+  test('prefers the local copy over an overflow marker in sync', async () => {
+    testUtils.setMockStorage({
+      'savedTabs.meta': { area: 'local', shards: 0, bytes: [], device: 'a', updatedAt: 2 }
+    });
+    await local.set({
+      'savedTabs.meta': { area: 'local', shards: 1, bytes: [0], updatedAt: 1 },
+      'savedTabs.0': '[{"id":1}]'
+    });
+
+    const result = await storage.readCollections(['savedTabs']);
+
+    expect(result.savedTabs).toEqual([{ id: 1 }]);
+  });
+
+  test('leaves out collections held in another device\'s local storage', async () => {
+    testUtils.setMockStorage({
+      'savedTabs.meta': { area: 'local', shards: 0, bytes: [], device: 'other', updatedAt: 2 },
+      'groups.meta': { area: 'sync', shards: 1, bytes: [0], updatedAt: 1 },
+      'groups.0': '[]'
+    });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const result = await storage.readCollections(['savedTabs', 'groups']);
+
+    expect(result).toEqual({ groups: [] });
+    expect(await storage.getCollectionsHeldElsewhere(['savedTabs', 'groups'])).toEqual(['savedTabs']);
+    console.warn.mockRestore();
+  });
+
+  test('reads back what writeCollections stored in sync', async () => {
+    const tabs = buildTabs(100);
+
+    await storage.writeCollections({ savedTabs: tabs, groups: [] });
+    const result = await storage.readCollections(['savedTabs', 'groups']);
+
+    expect(result).toEqual({ savedTabs: tabs, groups: [] });
+    expect(sync['savedTabs.meta'].area).toBe('sync');
+    expect(sync.savedTabs).toBeUndefined();
+  });
+
+  test('reads back a collection that overflowed to local storage', async () => {
+    const tabs = buildTabs(1000);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await storage.writeCollections({ savedTabs: tabs });
+    const result = await storage.readCollections(['savedTabs']);
+
+    expect(result.savedTabs).toEqual(tabs);
+    expect(local.data['savedTabs.meta'].area).toBe('local');
+    expect(sync['savedTabs.meta']).toMatchObject({ area: 'local', shards: 0 });
+    expect(Object.keys(sync).filter(key => /^savedTabs\.\d+$/.test(key))).toEqual([]);
+    console.warn.mockRestore();
+  });
+});
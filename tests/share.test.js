@@ -0,0 +1,123 @@
+/**
+ * ============================================================================
+ * SHARE TESTS
+ * ============================================================================
+ *
+ * Tests for encoding and decoding shared groups in js/share.js. jsdom
+ * lacks the streams and compression APIs, so Node's are handed to the
+ * scripts.
+ *
+ * ============================================================================
+ */
+
+const { TextEncoder, TextDecoder } = require('util');
+const { Blob } = require('buffer');
+const { CompressionStream, DecompressionStream } = require('stream/web');
+const zlib = require('zlib');
+const { loadScripts } = require('./helpers/load-scripts');
+
+let share;
+let state;
+
+beforeEach(() => {
+  state = {
+    groups: [
+      { id: 'g1', name: 'Research', parentId: null },
+      { id: 'g2', name: 'Papers', parentId: 'g1' },
+      { id: 'g3', name: 'Other', parentId: null }
+    ],
+    savedTabs: [
+      { id: 1, groupId: 'g1', url: 'https://a.com', title: 'Site A' },
+      { id: 2, groupId: 'g2', url: 'https://b.com', title: 'https://b.com' },
+      { id: 3, groupId: 'g3', url: 'https://c.com', title: 'Site C' }
+    ]
+  };
+
+  share = loadScripts(
+    ['js/constants.js', 'js/crypto.js', 'js/share.js'],
+    ['createShareBundle', 'encodeShareBundle', 'decodeShareBundle', 'countBundleTree', 'SHARE_BUNDLE'],
+    {
+      groups: state.groups,
+      savedTabs: state.savedTabs,
+      TextEncoder,
+      TextDecoder,
+      Blob,
+      CompressionStream,
+      DecompressionStream
+    }
+  );
+});
+
+/**
+ * Compresses a raw bundle object into a share code
+ */
+function toCode(bundle) {
+  return 'tabsaver:' + zlib.deflateRawSync(JSON.stringify(bundle)).toString('base64url');
+}
+
+describe('createShareBundle', () => {
+  test('keeps names, URLs and titles that differ from the URL', () => {
+    expect(share.createShareBundle(state.groups[0])).toEqual({
+      v: 1,
+      n: 'Research',
+      t: [['https://a.com', 'Site A']],
+      g: [{ n: 'Papers', t: [['https://b.com']] }]
+    });
+  });
+});
+
+describe('encodeShareBundle and decodeShareBundle', () => {
+  const tree = {
+    name: 'Research',
+    tabs: [{ url: 'https://a.com', title: 'Site A' }],
+    children: [{ name: 'Papers', tabs: [{ url: 'https://b.com', title: 'https://b.com' }], children: [] }]
+  };
+
+  test('round-trip a group and its subgroups', async () => {
+    const payload = await share.encodeShareBundle(share.createShareBundle(state.groups[0]));
+
+    expect(payload).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(await share.decodeShareBundle(`tabsaver:${payload}`)).toEqual(tree);
+    expect(share.countBundleTree(tree)).toEqual({ groups: 2, tabs: 2 });
+  });
+
+  test('accept a bare payload and older share links', async () => {
+    const payload = await share.encodeShareBundle(share.createShareBundle(state.groups[0]));
+
+    expect(await share.decodeShareBundle(`  ${payload}\n`)).toEqual(tree);
+    expect(await share.decodeShareBundle(`chrome-extension://abc/sidepanel.html#bundle=${payload}`)).toEqual(tree);
+  });
+
+  test('leave out links that cannot be opened as tabs', async () => {
+    const decoded = await share.decodeShareBundle(toCode({
+      v: 1,
+      n: ' ',
+      t: [['javascript:alert(1)'], ['data:text/html,hi'], ['not a url'], ['https://ok.com', '']]
+    }));
+
+    expect(decoded).toEqual({ name: 'Shared group', tabs: [{ url: 'https://ok.com', title: 'https://ok.com' }], children: [] });
+  });
+
+  test('reject text that is not a share code', async () => {
+    await expect(share.decodeShareBundle('https://example.com/page')).rejects.toThrow('not a Tab Saver share code');
+    await expect(share.decodeShareBundle('tabsaver:AAAA')).rejects.toThrow('incomplete or damaged');
+    await expect(share.decodeShareBundle(toCode({ n: 'No version' }))).rejects.toThrow('not a Tab Saver share code');
+  });
+
+  test('ask for an update for bundles from a newer version', async () => {
+    await expect(share.decodeShareBundle(toCode({ v: 2, n: 'Later' }))).rejects.toThrow('newer version');
+  });
+
+  test('reject groups nested too deeply', async () => {
+    let node = { n: 'Deepest' };
+    for (let i = 0; i <= share.SHARE_BUNDLE.MAX_DEPTH; i++) node = { n: `Level ${i}`, g: [node] };
+
+    await expect(share.decodeShareBundle(toCode({ v: 1, ...node }))).rejects.toThrow('too many nested groups');
+  });
+
+  test('stop decompressing past the size cap', async () => {
+    const bomb = zlib.deflateRawSync(Buffer.alloc(share.SHARE_BUNDLE.MAX_BYTES + 1, 0x20));
+
+    await expect(share.decodeShareBundle(`tabsaver:${bomb.toString('base64url')}`)).rejects.toThrow('too large');
+  });
+});